@@ -231,7 +231,7 @@ describe('PagedBuffer - Size Tracking Verification', () => {
       
       // Only test line tracking if size is correct
       if ((buffer as any).virtualPageManager.getTotalSize() > 0) {
-        const lineCount = await buffer.getLineCount();
+        const lineCount = buffer.getLineCount().count;
         
         console.log('  lineCount:', lineCount);
         
@@ -500,7 +500,7 @@ describe('PagedBuffer - Comprehensive Integration Tests', () => {
       expect(result).toEqual(expected);
       
       // Line operations should still work (return single line)
-      const lineCount = await buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       expect(lineCount).toEqual(1);
     });
   });
@@ -804,7 +804,7 @@ describe('PagedBuffer - Text Features (UTF-8)', () => {
       const content = 'Line 1\nLine 2\nLine 3\n';
       buffer.loadContent(content);
       
-      const lineCount = buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       
       expect(lineCount).toBe(4); // 3 lines + 1 final line after last newline
     });
@@ -812,7 +812,7 @@ describe('PagedBuffer - Text Features (UTF-8)', () => {
     test('should handle empty content', async () => {
       buffer.loadContent('');
       
-      const lineCount = buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       
       expect(lineCount).toBe(1); // Empty buffer has 1 line
     });
@@ -820,7 +820,7 @@ describe('PagedBuffer - Text Features (UTF-8)', () => {
     test('should handle content without newlines', async () => {
       buffer.loadContent('Single line content');
       
-      const lineCount = buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       
       expect(lineCount).toBe(1);
     });
@@ -829,7 +829,7 @@ describe('PagedBuffer - Text Features (UTF-8)', () => {
       const content = 'Line 1\nLine 2\nLine 3';
       buffer.loadContent(content);
       
-      const lineCount = buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       
       expect(lineCount).toBe(3);
     });
@@ -957,7 +957,7 @@ describe('PagedBuffer - Text Features (UTF-8)', () => {
         'New line\nAnother line\n'
       );
       
-      const lineCount = buffer.getLineCount();
+      const lineCount = buffer.getLineCount().count;
       expect(lineCount).toBeGreaterThan(3); // Original + inserted lines
     });
   });
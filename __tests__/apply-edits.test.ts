@@ -0,0 +1,117 @@
+/**
+ * Batched Edit Tests - applyEdits()
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('applyEdits', () => {
+  // 32 lines of 8 bytes over 64-byte pages, so edits land on several pages
+  const content = Array.from({ length: 32 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`).join('');
+  let buffer: PagedBuffer;
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(64);
+    buffer.loadContent(content);
+    buffer.enableUndo();
+  });
+
+  test('should apply edits given in any order against the original coordinates', async () => {
+    const applied = await buffer.applyEdits([
+      { start: 200, end: 200, data: Buffer.from('// ') },
+      { start: 0, end: 0, data: Buffer.from('// ') },
+      { start: 100, end: 104, data: Buffer.from('LINE') },
+      { start: 120, end: 128 }
+    ]);
+
+    let expected = content.slice(0, 200) + '// ' + content.slice(200);
+    expected = expected.slice(0, 120) + expected.slice(128);
+    expected = expected.slice(0, 100) + 'LINE' + expected.slice(104);
+    expected = '// ' + expected;
+    expect(await testUtils.getText(buffer)).toBe(expected);
+    expect(buffer.getTotalSize()).toBe(content.length - 2);
+    expect(applied).toEqual([
+      { start: 195, end: 198 },
+      { start: 0, end: 3 },
+      { start: 103, end: 107 },
+      { start: 123, end: 123 }
+    ]);
+    expect(buffer.hasChanges()).toBe(true);
+  });
+
+  test('should move marks once and set marks given with the edits', async () => {
+    buffer.setMark('before', 10);
+    buffer.setMark('inside', 66);
+    buffer.setMark('after', 150);
+
+    await buffer.applyEdits([
+      { start: 64, end: 72, data: Buffer.from('XY'), marks: [['new', 1]] },
+      { start: 0, end: 0, data: Buffer.from('>>>>') }
+    ]);
+
+    expect(buffer.getMark('before')).toBe(14);
+    expect(buffer.getMark('inside')).toBe(68);
+    expect(buffer.getMark('after')).toBe(148);
+    expect(buffer.getMark('new')).toBe(69);
+  });
+
+  test('should be one undo step, marks included', async () => {
+    buffer.setMark('m', 130);
+    await buffer.insertBytes(0, Buffer.from('typed'));
+    await buffer.applyEdits([
+      { start: 10, end: 15, data: Buffer.from('abc') },
+      { start: 50, end: 50, data: Buffer.from('inserted') },
+      { start: 90, end: 140 }
+    ]);
+
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe('typed' + content);
+    expect(buffer.getMark('m')).toBe(135);
+
+    await buffer.redo();
+    const redone = await testUtils.getText(buffer);
+    await buffer.undo();
+    await buffer.redo();
+    expect(await testUtils.getText(buffer)).toBe(redone);
+    expect(redone.length).toBe(content.length + 5 - 2 + 8 - 50);
+  });
+
+  test('should put an insert before a range replaced at the same start', async () => {
+    const applied = await buffer.applyEdits([
+      { start: 8, end: 16, data: Buffer.from('[replaced]') },
+      { start: 8, end: 8, data: Buffer.from('A') },
+      { start: 8, end: 8, data: Buffer.from('B') }
+    ]);
+
+    expect((await testUtils.getText(buffer)).slice(0, 30)).toBe('line 00\nAB[replaced]line 02\nli');
+    expect(applied).toEqual([{ start: 10, end: 20 }, { start: 8, end: 9 }, { start: 9, end: 10 }]);
+  });
+
+  test('should refuse overlapping or out-of-range edits without changing anything', async () => {
+    await expect(buffer.applyEdits([
+      { start: 0, end: 10, data: Buffer.from('a') },
+      { start: 9, end: 12 }
+    ])).rejects.toThrow('overlaps');
+    await expect(buffer.applyEdits([
+      { start: 0, end: 0, data: Buffer.from('a') },
+      { start: 250, end: 300 }
+    ])).rejects.toThrow('outside the buffer');
+
+    expect(await testUtils.getText(buffer)).toBe(content);
+    expect(buffer.canUndo()).toBe(false);
+    expect(await buffer.applyEdits([])).toEqual([]);
+  });
+
+  test('should join an open undo transaction', async () => {
+    buffer.beginUndoTransaction('Refactor');
+    await buffer.insertBytes(0, Buffer.from('#'));
+    await buffer.applyEdits([{ start: 1, end: 5, data: Buffer.from('LINE') }, { start: 9, end: 13 }]);
+    buffer.commitUndoTransaction();
+
+    expect((await testUtils.getText(buffer)).slice(0, 14)).toBe('#LINE 00\n 01\nl');
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe(content);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Async Line API Tests - getLineAsync() / getLinesText() / getLineRangeForAddress()
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Async line operations', () => {
+  // Lines shorter and longer than the 16-byte pages, so some span several pages
+  const lines = ['short', 'a line that spans more than two pages', '', 'mid', 'ünïcödé line', 'last without newline'];
+  const content = lines.join('\n');
+  let buffer: PagedBuffer;
+
+  function bounds(lineNumber: number): { byteStart: number; byteEnd: number } {
+    const byteStart = Buffer.byteLength(lines.slice(0, lineNumber - 1).map(line => line + '\n').join(''));
+    const newline = lineNumber < lines.length ? 1 : 0;
+    return { byteStart, byteEnd: byteStart + Buffer.byteLength(lines[lineNumber - 1]) + newline };
+  }
+
+  beforeEach(async () => {
+    const filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(16, null, 2);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should return exact bounds and text for lines on pages never loaded', async () => {
+    for (let lineNumber = lines.length; lineNumber >= 1; lineNumber--) {
+      const line = await buffer.getLineAsync(lineNumber);
+      expect(line).toMatchObject({ lineNumber, ...bounds(lineNumber), text: lines[lineNumber - 1], isExact: true });
+    }
+    expect(await buffer.getLineAsync(0)).toBeNull();
+    expect(await buffer.getLineAsync(lines.length + 1)).toBeNull();
+  });
+
+  test('should return a range of lines, leaving out lines past the end', async () => {
+    const result = await buffer.getLinesText(2, 10);
+    expect(result.map(line => line.text)).toEqual(lines.slice(1));
+    expect(result.map(line => line.lineNumber)).toEqual([2, 3, 4, 5, 6]);
+    expect(result[1]).toMatchObject({ ...bounds(3), length: 1 });
+    expect(await buffer.getLinesText(7, 9)).toEqual([]);
+  });
+
+  test('should find the line containing an address', async () => {
+    const second = bounds(2);
+    expect(await buffer.getLineRangeForAddress(second.byteStart + 20)).toMatchObject({ lineNumber: 2, ...second });
+    // A newline belongs to the line it ends
+    expect((await buffer.getLineRangeForAddress(second.byteEnd - 1))?.lineNumber).toBe(2);
+    expect((await buffer.getLineRangeForAddress(second.byteEnd))?.lineNumber).toBe(3);
+    // The end of the buffer belongs to the last line
+    expect((await buffer.getLineRangeForAddress(buffer.getTotalSize()))?.text).toBe('last without newline');
+    expect(await buffer.getLineRangeForAddress(buffer.getTotalSize() + 1)).toBeNull();
+  });
+
+  test('should follow edits and report the marks on a line', async () => {
+    await buffer.insertBytes(bounds(4).byteStart, Buffer.from('new line\n'));
+    buffer.setMark('m', bounds(4).byteStart + 2);
+
+    expect(await buffer.getLineAsync(4)).toMatchObject({ text: 'new line', marks: [['m', bounds(4).byteStart + 2]] });
+    expect((await buffer.getLineAsync(5))?.text).toBe('mid');
+    expect((await buffer.getLineAsync(7))?.text).toBe('last without newline');
+  });
+
+  test('should end with an empty line after a trailing newline', async () => {
+    const memory = new PagedBuffer(16);
+    memory.loadContent('one\ntwo\n');
+    expect(await memory.getLinesText(1, 5)).toMatchObject([
+      { text: 'one', byteStart: 0, byteEnd: 4 },
+      { text: 'two', byteStart: 4, byteEnd: 8 },
+      { text: '', byteStart: 8, byteEnd: 8 }
+    ]);
+
+    memory.loadContent('');
+    expect(await memory.getLineAsync(1)).toMatchObject({ text: '', byteStart: 0, byteEnd: 0 });
+  });
+
+  test('should leave CRLF line endings out of the text', async () => {
+    const memory = new PagedBuffer(16);
+    memory.loadContent('one\r\ntwo\r\n\r\nlone\rcr');
+    expect(await memory.getLinesText(1, 4)).toMatchObject([
+      { text: 'one', byteStart: 0, byteEnd: 5 },
+      { text: 'two', byteStart: 5, byteEnd: 10 },
+      { text: '', byteStart: 10, byteEnd: 12 },
+      { text: 'lone\rcr', byteStart: 12, byteEnd: 19 }
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Patch Export/Apply Tests
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Patches', () => {
+  const content = Array.from({ length: 60 }, (_, i) => `line ${i + 1}\n`).join('');
+  let filePath: string;
+  let buffer: PagedBuffer;
+
+  async function loadCopy(): Promise<PagedBuffer> {
+    const copy = new PagedBuffer(64);
+    await copy.loadFile(filePath);
+    copy.enableUndo();
+    return copy;
+  }
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should export a unified diff with context', async () => {
+    await buffer.overwriteBytes(content.indexOf('line 10'), Buffer.from('LINE'));
+    await buffer.insertBytes(content.indexOf('line 13\n') + 8, Buffer.from('added\n'));
+
+    const patch = await buffer.exportPatch('unified');
+    const lines = patch.split('\n');
+    expect(lines[0]).toMatch(/^# base-fingerprint: \{.*"size":\d+/);
+    expect(lines.slice(1)).toEqual([
+      expect.stringMatching(/^--- a\/.+/),
+      expect.stringMatching(/^\+\+\+ b\/.+/),
+      '@@ -7,10 +7,11 @@',
+      ' line 7',
+      ' line 8',
+      ' line 9',
+      '-line 10',
+      '+LINE 10',
+      ' line 11',
+      ' line 12',
+      ' line 13',
+      '+added',
+      ' line 14',
+      ' line 15',
+      ' line 16',
+      ''
+    ]);
+  });
+
+  test('should round-trip a unified patch as one undo step', async () => {
+    await buffer.deleteBytes(0, content.indexOf('line 3'));
+    await buffer.insertBytes(200, Buffer.from('middle\n'));
+    await buffer.insertBytes(buffer.getTotalSize(), Buffer.from('no newline'));
+    const patch = await buffer.exportPatch('unified');
+    expect(patch).toContain('\\ No newline at end of file');
+
+    const target = await loadCopy();
+    expect(await target.applyPatch(patch)).toBeGreaterThan(0);
+    expect(await testUtils.getText(target)).toBe(await testUtils.getText(buffer));
+
+    await target.undo();
+    expect(await testUtils.getText(target)).toBe(content);
+  });
+
+  test('should round-trip a binary patch of non-text content', async () => {
+    const binary = Buffer.alloc(4096);
+    for (let i = 0; i < binary.length; i++) binary[i] = (i * 7) % 256;
+    filePath = await testUtils.createTempFile(binary);
+    buffer = new PagedBuffer(256);
+    await buffer.loadFile(filePath);
+
+    await buffer.overwriteBytes(1000, Buffer.from([0xFF, 0xFE, 0x00]));
+    await buffer.deleteBytes(3000, 3100);
+    await expect(buffer.exportPatch('unified')).rejects.toThrow('UTF-8');
+
+    const patch = await buffer.exportPatch('binary');
+    expect(patch.length).toBeLessThan(400);
+
+    const target = new PagedBuffer(256);
+    await target.loadFile(filePath);
+    expect(await target.applyPatch(patch)).toBe(2);
+    expect((await target.getBytes(0, target.getTotalSize()) as Buffer)
+      .equals(await buffer.getBytes(0, buffer.getTotalSize()) as Buffer)).toBe(true);
+  });
+
+  test('should refuse content that does not match the base fingerprint', async () => {
+    await buffer.insertBytes(0, Buffer.from('header\n'));
+    const patch = await buffer.exportPatch('binary');
+
+    const target = await loadCopy();
+    await target.overwriteBytes(300, Buffer.from('X'));
+    await expect(target.applyPatch(patch)).rejects.toThrow('base fingerprint');
+    expect((await testUtils.getText(target)).startsWith('header')).toBe(false);
+  });
+
+  test('should change nothing when a hunk does not fit', async () => {
+    await buffer.overwriteBytes(content.indexOf('line 20'), Buffer.from('LINE'));
+    await buffer.overwriteBytes(content.indexOf('line 50'), Buffer.from('LINE'));
+    const patch = (await buffer.exportPatch('unified')).replace(' line 53', ' line 99');
+
+    const target = await loadCopy();
+    await expect(target.applyPatch(patch)).rejects.toThrow('does not apply');
+    expect(await testUtils.getText(target)).toBe(content);
+  });
+
+  test('should verify a sampled fingerprint', async () => {
+    buffer.setFingerprintStrategy({ strategy: 'sampled', sampleSize: 16, sampleCount: 2 });
+    await buffer.insertBytes(5, Buffer.from('!'));
+    const patch = await buffer.exportPatch('unified');
+    expect(patch).toContain('"strategy":"sampled"');
+
+    const target = await loadCopy();
+    await target.applyPatch(patch);
+    expect(await testUtils.getText(target)).toBe(await testUtils.getText(buffer));
+  });
+
+  test('should export an empty patch for an unchanged buffer', async () => {
+    const patch = await buffer.exportPatch('binary');
+    expect(await (await loadCopy()).applyPatch(patch)).toBe(0);
+    expect((await buffer.exportPatch('unified')).split('\n')).toHaveLength(4);
+  });
+});
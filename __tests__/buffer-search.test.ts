@@ -0,0 +1,179 @@
+/**
+ * Streaming Search Tests
+ */
+
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { type SearchMatch } from '../src/utils/buffer-search';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+async function collect(iterator: AsyncIterable<SearchMatch>): Promise<SearchMatch[]> {
+  const matches: SearchMatch[] = [];
+  for await (const match of iterator) {
+    matches.push(match);
+  }
+  return matches;
+}
+
+describe('Streaming Search', () => {
+  let buffer: PagedBuffer;
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 4);
+  });
+
+  describe('findBytes', () => {
+    test('should find all occurrences in order', async () => {
+      buffer.loadContent('abc needle def needle ghi needle');
+
+      const matches = await collect(buffer.findBytes(Buffer.from('needle')));
+
+      expect(matches.map(m => m.start)).toEqual([4, 15, 26]);
+      expect(matches[0].end).toBe(10);
+      expect(matches[0].length).toBe(6);
+    });
+
+    test('should find matches straddling page and chunk boundaries', async () => {
+      // Page size 16: "needle" at 13 crosses the first page boundary
+      buffer.loadContent('0123456789abcneedle' + 'x'.repeat(20));
+
+      const matches = await collect(buffer.findBytes(Buffer.from('needle'), { chunkSize: 15 }));
+
+      expect(matches.map(m => m.start)).toEqual([13]);
+    });
+
+    test('should respect the start address', async () => {
+      buffer.loadContent('aXaXaXaX');
+
+      const matches = await collect(buffer.findBytes(Buffer.from('X'), { start: 4 }));
+
+      expect(matches.map(m => m.start)).toEqual([5, 7]);
+    });
+
+    test('should search backward from the start address, nearest first', async () => {
+      buffer.loadContent('one two one two one two');
+
+      const matches = await collect(buffer.findBytes(Buffer.from('one'), {
+        direction: 'backward',
+        start: 16,
+        chunkSize: 5
+      }));
+
+      expect(matches.map(m => m.start)).toEqual([8, 0]);
+    });
+
+    test('should report addresses in the content as it was when the search began', async () => {
+      buffer.loadContent('needle' + '.'.repeat(30) + 'needle');
+      const iterator = buffer.findBytes(Buffer.from('needle'), { chunkSize: 16 });
+      const first = await iterator.next();
+
+      const insert = buffer.insertBytes(0, Buffer.from('shift'));
+      const second = await iterator.next();
+      await insert;
+
+      expect([first.value?.start, second.value?.start]).toEqual([0, 36]);
+      expect((await iterator.next()).done).toBe(true);
+    });
+
+    test('should not report overlapping matches', async () => {
+      buffer.loadContent('aaaaa');
+
+      const forward = await collect(buffer.findBytes(Buffer.from('aa')));
+      const backward = await collect(buffer.findBytes(Buffer.from('aa'), { direction: 'backward' }));
+
+      expect(forward.map(m => m.start)).toEqual([0, 2]);
+      expect(backward.map(m => m.start)).toEqual([3, 1]);
+    });
+
+    test('should see edits made to the buffer', async () => {
+      buffer.loadContent('hello world');
+      await buffer.insertBytes(6, Buffer.from('big '));
+
+      const matches = await collect(buffer.findBytes(Buffer.from('big world')));
+
+      expect(matches.map(m => m.start)).toEqual([6]);
+    });
+
+    test('should reject an empty needle', async () => {
+      buffer.loadContent('content');
+
+      await expect(collect(buffer.findBytes(Buffer.alloc(0)))).rejects.toThrow('empty');
+    });
+
+    test('should stop early without reading the rest of the buffer', async () => {
+      buffer.loadContent('find me '.repeat(100));
+      const readSpy = jest.spyOn(buffer.virtualPageManager, 'readSnapshotPage');
+
+      const iterator = buffer.findBytes(Buffer.from('me'));
+      const first = await iterator.next();
+      await iterator.return(undefined);
+
+      expect(first.value.start).toBe(5);
+      // The first 16-byte chunk plus the byte of the next page its window overlaps
+      expect(readSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stay within the memory page budget on files', async () => {
+      const content = 'line of text\n'.repeat(200) + 'TARGET';
+      const filePath = await testUtils.createTempFile(content);
+      await buffer.loadFile(filePath);
+
+      const matches = await collect(buffer.findBytes(Buffer.from('TARGET')));
+
+      expect(matches.map(m => m.start)).toEqual([content.length - 6]);
+      expect(buffer.getMemoryStats().loadedPages).toBeLessThanOrEqual(4);
+    });
+  });
+
+  describe('findPattern', () => {
+    test('should find regex matches with byte addresses and groups', async () => {
+      buffer.loadContent('id=12, id=345, id=6');
+
+      const matches = await collect(buffer.findPattern(/id=(\d+)/));
+
+      expect(matches.map(m => [m.start, m.end])).toEqual([[0, 5], [7, 13], [15, 19]]);
+      expect(matches[1].text).toBe('id=345');
+      expect(matches[1].groups).toEqual(['345']);
+    });
+
+    test('should report byte offsets for multi-byte UTF-8 content', async () => {
+      // Each 🚀 is four bytes and the chunk size splits them
+      buffer.loadContent('🚀🚀 café 🚀 café');
+
+      const matches = await collect(buffer.findPattern(/café/, { chunkSize: 5 }));
+      const expectedFirst = Buffer.byteLength('🚀🚀 ');
+      const expectedSecond = Buffer.byteLength('🚀🚀 café 🚀 ');
+
+      expect(matches.map(m => m.start)).toEqual([expectedFirst, expectedSecond]);
+      expect(matches[0].length).toBe(Buffer.byteLength('café'));
+    });
+
+    test('should find matches crossing chunk boundaries within maxMatchLength', async () => {
+      buffer.loadContent('xxxxxxxBEGIN-middle-ENDxxxxxx');
+
+      const matches = await collect(buffer.findPattern(/BEGIN.*?END/, { chunkSize: 8, maxMatchLength: 32 }));
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].start).toBe(7);
+      expect(matches[0].text).toBe('BEGIN-middle-END');
+    });
+
+    test('should search backward', async () => {
+      buffer.loadContent('a1 b2 c3 d4');
+
+      const matches = await collect(buffer.findPattern(/[a-z]\d/, { direction: 'backward', start: 8 }));
+
+      expect(matches.map(m => m.text)).toEqual(['c3', 'b2', 'a1']);
+    });
+
+    test('should not loop forever on empty matches', async () => {
+      buffer.loadContent('abc');
+
+      const matches = await collect(buffer.findPattern(/x*/));
+
+      expect(matches.map(m => m.start)).toEqual([0, 1, 2, 3].slice(0, matches.length));
+      expect(matches.length).toBeLessThanOrEqual(4);
+    });
+  });
+});
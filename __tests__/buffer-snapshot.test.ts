@@ -0,0 +1,109 @@
+/**
+ * Buffer Snapshot Tests
+ */
+
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Buffer snapshots', () => {
+  const content = Array.from({ length: 40 }, (_, i) => `line ${String(i + 1).padStart(2, '0')}\n`).join('');
+
+  async function read(source: { getBytes: (start: number, end: number) => Promise<any>; getTotalSize: () => number }): Promise<string> {
+    return (await source.getBytes(0, source.getTotalSize()) as Buffer).toString();
+  }
+
+  test('should keep the content it was taken with while the buffer is edited', async () => {
+    const buffer = new PagedBuffer(64);
+    buffer.loadContent(content);
+    const snapshot = buffer.snapshot();
+
+    await buffer.insertBytes(0, Buffer.from('>>'));
+    await buffer.deleteBytes(100, 300);
+    await buffer.insertBytes(50, Buffer.from('x'.repeat(200)));
+
+    expect(snapshot.getTotalSize()).toBe(content.length);
+    expect(await read(snapshot)).toBe(content);
+    expect((await snapshot.getBytes(8, 16)).toString()).toBe(content.slice(8, 16));
+    expect(await read(buffer)).not.toBe(content);
+  });
+
+  test('should take the old bytes of unloaded pages only when they are written', async () => {
+    const filePath = await testUtils.createTempFile(content);
+    const storage = new MemoryPageStorage();
+    const buffer = new PagedBuffer(64, storage, 2);
+    await buffer.loadFile(filePath);
+    const snapshot = buffer.snapshot();
+
+    let expected = content;
+    for (let position = 0; position < buffer.getTotalSize(); position += 64) {
+      await buffer.insertBytes(position, Buffer.from('#'));
+      expected = expected.slice(0, position) + '#' + expected.slice(position);
+    }
+
+    expect(await read(snapshot)).toBe(content);
+    expect(await read(buffer)).toBe(expected);
+  });
+
+  test('should answer line queries for its own content', async () => {
+    const buffer = new PagedBuffer(64);
+    buffer.loadContent(content);
+    const snapshot = buffer.snapshot();
+    await buffer.insertBytes(0, Buffer.from('new first line\n'));
+
+    expect(await snapshot.getLineCount()).toBe(41);
+    const line = await snapshot.getLineInfo(12);
+    expect(line).toMatchObject({ lineNumber: 12, byteStart: 88, byteEnd: 96 });
+    expect((await snapshot.getBytes(88, 96)).toString()).toBe('line 12\n');
+    expect(await snapshot.getLineInfo(41)).toMatchObject({ byteStart: content.length, byteEnd: content.length });
+    expect(await snapshot.getLineInfo(42)).toBeNull();
+    expect(await snapshot.getLineNumberFromAddress(90)).toBe(12);
+    expect(await snapshot.getLineNumberFromAddress(content.length + 1)).toBe(0);
+  });
+
+  test('should refuse reads after release', async () => {
+    const buffer = new PagedBuffer(64);
+    buffer.loadContent(content);
+    const snapshot = buffer.snapshot();
+
+    snapshot.release();
+    snapshot.release();
+    expect(snapshot.isReleased()).toBe(true);
+    await expect(snapshot.getBytes(0, 10)).rejects.toThrow('released');
+    await expect(snapshot.getLineCount()).rejects.toThrow('released');
+
+    await buffer.insertBytes(0, Buffer.from('still editable'));
+    expect(buffer.getTotalSize()).toBe(content.length + 14);
+  });
+
+  test('should survive the buffer being reloaded and saved over its file', async () => {
+    const filePath = await testUtils.createTempFile(content);
+    const buffer = new PagedBuffer(64);
+    await buffer.loadFile(filePath);
+    const snapshot = buffer.snapshot();
+
+    await buffer.loadFile(filePath);
+    await buffer.deleteBytes(0, 200);
+    await buffer.saveFile();
+
+    expect(await read(snapshot)).toBe(content);
+  });
+
+  test('should keep swapped-out pages in storage until released', async () => {
+    const storage = new MemoryPageStorage();
+    const buffer = new PagedBuffer(64, storage, 2);
+    await buffer.loadFile(await testUtils.createTempFile(content));
+    await buffer.insertBytes(0, Buffer.from('#'));
+    await buffer.getBytes(200, buffer.getTotalSize());
+    expect(storage.getAllPageKeys()).toHaveLength(1);
+
+    const snapshot = buffer.snapshot();
+    buffer.loadContent('replaced');
+
+    expect(await read(snapshot)).toBe('#' + content);
+    snapshot.release();
+    await testUtils.wait(10);
+    expect(storage.getAllPageKeys()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Streaming Read Tests
+ */
+
+import { createHash } from 'crypto';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Streaming reads', () => {
+  const content = Array.from({ length: 64 }, (_, i) => `line ${i.toString().padStart(2, '0')}\n`).join('');
+  let buffer: PagedBuffer;
+
+  beforeEach(async () => {
+    const filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(32, new MemoryPageStorage(), 2);
+    await buffer.loadFile(filePath);
+  });
+
+  async function collect(chunks: AsyncIterable<Buffer>): Promise<Buffer[]> {
+    const result: Buffer[] = [];
+    for await (const chunk of chunks) {
+      result.push(chunk);
+    }
+    return result;
+  }
+
+  test('should iterate the whole buffer page by page', async () => {
+    const chunks = await collect(buffer.chunks());
+
+    expect(Buffer.concat(chunks).toString()).toBe(content);
+    expect(chunks.every(chunk => chunk.length <= 32)).toBe(true);
+    expect(chunks).toHaveLength(Math.ceil(content.length / 32));
+  });
+
+  test('should iterate a range of an edited buffer', async () => {
+    await buffer.insertBytes(10, Buffer.from('[inserted]'));
+    await buffer.deleteBytes(100, 150);
+    const expected = (await buffer.getBytes(5, 300) as Buffer).toString();
+
+    const chunks = await collect(buffer.chunks(5, 300, 7));
+    expect(Buffer.concat(chunks).toString()).toBe(expected);
+    expect(chunks[0]).toHaveLength(7);
+  });
+
+  test('should yield nothing for empty or out-of-range requests', async () => {
+    expect(await collect(buffer.chunks(20, 20))).toEqual([]);
+    expect(await collect(buffer.chunks(content.length + 10))).toEqual([]);
+    await expect(collect(buffer.chunks(-1, 10))).rejects.toThrow('cannot be negative');
+    await expect(collect(buffer.chunks(0, 10, 0))).rejects.toThrow('must be positive');
+  });
+
+  test('should pipe a range into a hash', async () => {
+    await buffer.overwriteBytes(0, Buffer.from('LINE'));
+    const expected = createHash('sha256').update(await buffer.getBytes(0, 400) as Buffer).digest('hex');
+
+    const hash = createHash('sha256');
+    await pipeline(buffer.createReadStream({ end: 400, highWaterMark: 50 }), hash);
+    expect(hash.digest('hex')).toBe(expected);
+  });
+
+  test('should stop reading while the consumer applies backpressure', async () => {
+    const readRange = jest.spyOn(buffer.virtualPageManager, 'readSnapshotPage');
+    let release: () => void = () => {};
+    const received: Buffer[] = [];
+
+    const slow = new Writable({
+      highWaterMark: 1,
+      write(chunk: Buffer, _encoding, callback): void {
+        received.push(chunk);
+        if (received.length === 1) {
+          release = callback; // Hold the first chunk
+        } else {
+          callback();
+        }
+      }
+    });
+
+    const done = pipeline(buffer.createReadStream({ highWaterMark: 16 }), slow);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Only a few chunks ahead of the stalled consumer have been read
+    expect(readRange.mock.calls.length).toBeLessThanOrEqual(4);
+    expect(buffer.getMemoryStats().loadedPages).toBeLessThanOrEqual(2);
+
+    release();
+    await done;
+    expect(Buffer.concat(received).toString()).toBe(content);
+  });
+
+  test('should keep reading the content as it was when an edit lands mid-read', async () => {
+    buffer.loadContent('A'.repeat(32) + 'B'.repeat(32));
+    const iterator = buffer.chunks(0, 64, 16);
+    const first = await iterator.next();
+
+    const insert = buffer.insertBytes(0, Buffer.from('XXXXXXXX'));
+    const rest = await collect({ [Symbol.asyncIterator]: () => iterator });
+    await insert;
+
+    expect(Buffer.concat([first.value as Buffer, ...rest]).toString()).toBe('A'.repeat(32) + 'B'.repeat(32));
+    expect((await buffer.getBytes(0, 8) as Buffer).toString()).toBe('XXXXXXXX');
+  });
+
+  test('should release its view of the content when closed early', async () => {
+    const release = jest.spyOn(buffer.virtualPageManager, 'releaseSnapshotPages');
+    const iterator = buffer.chunks();
+    await iterator.next();
+    await iterator.return(undefined);
+    expect(release).toHaveBeenCalledTimes(1);
+
+    const stream = buffer.createReadStream({ highWaterMark: 8 });
+    await new Promise(resolve => stream.once('readable', resolve));
+    stream.destroy();
+    await new Promise(resolve => stream.once('close', resolve));
+    expect(release).toHaveBeenCalledTimes(2);
+  });
+
+  test('should treat end as exclusive', async () => {
+    const chunks = await collect(buffer.createReadStream({ start: 8, end: 16 }));
+    expect(Buffer.concat(chunks).toString()).toBe(content.slice(8, 16));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Compressed Page Storage Tests
+ */
+
+import { randomBytes } from 'crypto';
+import * as path from 'path';
+import { PagedBuffer, MemoryPageStorage, FilePageStorage, CompressedPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('CompressedPageStorage', () => {
+  const text = Buffer.from('All work and no play makes Jack a dull boy. '.repeat(100));
+
+  test.each(['deflate', 'brotli'] as const)('should round-trip pages with %s', async (algorithm) => {
+    const inner = new MemoryPageStorage();
+    const storage = new CompressedPageStorage(inner, { algorithm });
+
+    await storage.savePage('p1', text);
+    expect((await inner.loadPage('p1')).length).toBeLessThan(text.length / 10);
+    expect((await storage.loadPage('p1')).equals(text)).toBe(true);
+    expect(await storage.pageExists('p1')).toBe(true);
+
+    await storage.deletePage('p1');
+    expect(await storage.pageExists('p1')).toBe(false);
+  });
+
+  test('should store incompressible pages uncompressed', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new CompressedPageStorage(inner, { level: 9 });
+    const noise = randomBytes(4096);
+
+    await storage.savePage('noise', noise);
+    expect((await inner.loadPage('noise')).length).toBe(noise.length + 1);
+    expect((await storage.loadPage('noise')).equals(noise)).toBe(true);
+
+    await storage.savePage('empty', Buffer.alloc(0));
+    expect((await storage.loadPage('empty')).length).toBe(0);
+  });
+
+  test('should report the compression ratio', async () => {
+    const storage = new CompressedPageStorage(new MemoryPageStorage(), { algorithm: 'brotli', level: 11 });
+    await storage.savePage('text', text);
+    await storage.savePage('noise', randomBytes(1000));
+
+    const stats = await storage.getStorageStats();
+    expect(stats.pageCount).toBe(2);
+    expect(stats.originalBytes).toBe(text.length + 1000);
+    expect(stats.uncompressedPages).toBe(1);
+    expect(stats.compressionRatio).toBeGreaterThan(0);
+    expect(stats.compressionRatio).toBeLessThan(0.5);
+    expect(stats.algorithm).toBe('brotli');
+    expect(stats.level).toBe(11);
+
+    await storage.deletePage('text');
+    expect((await storage.getStorageStats()).uncompressedPages).toBe(1);
+    expect((await new CompressedPageStorage(new MemoryPageStorage()).getStorageStats()).compressionRatio).toBe(1);
+  });
+
+  test('should include the wrapped storage statistics', async () => {
+    const directory = path.join(path.dirname(await testUtils.createTempFile('')), 'pages');
+    const storage = new CompressedPageStorage(new FilePageStorage(directory));
+    await storage.savePage('p1', text);
+
+    const stats = await storage.getStorageStats();
+    expect(stats.inner).toMatchObject({ pageCount: 1, totalBytes: stats.storedBytes, directory });
+  });
+
+  test('should read pages written with another algorithm', async () => {
+    const inner = new MemoryPageStorage();
+    await new CompressedPageStorage(inner, { algorithm: 'brotli' }).savePage('p1', text);
+
+    const storage = new CompressedPageStorage(inner, { algorithm: 'deflate' });
+    expect((await storage.loadPage('p1')).equals(text)).toBe(true);
+  });
+
+  test('should reject invalid levels and unknown data', async () => {
+    const inner = new MemoryPageStorage();
+    expect(() => new CompressedPageStorage(inner, { level: 10 })).toThrow('0 to 9');
+    expect(() => new CompressedPageStorage(inner, { algorithm: 'brotli', level: -1 })).toThrow('0 to 11');
+
+    await inner.savePage('foreign', Buffer.from([7, 1, 2, 3]));
+    await expect(new CompressedPageStorage(inner).loadPage('foreign')).rejects.toThrow('unknown format tag 7');
+  });
+
+  test('should back a PagedBuffer that swaps dirty pages out', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new CompressedPageStorage(inner);
+    const buffer = new PagedBuffer(256, storage, 2);
+    await buffer.loadFile(await testUtils.createTempFile(text.toString()));
+
+    // Edit every page so evictions must save them to storage
+    let expected = text.toString();
+    for (let position = 0; position < buffer.getTotalSize(); position += 256) {
+      await buffer.insertBytes(position, Buffer.from('#'));
+      expected = expected.slice(0, position) + '#' + expected.slice(position);
+    }
+
+    expect(inner.getAllPageKeys().length).toBeGreaterThan(0);
+    const stats = await storage.getStorageStats();
+    expect(stats.compressionRatio).toBeLessThan(0.5);
+
+    // Read everything back, loading the swapped-out pages through storage
+    const reread = await buffer.getBytes(0, buffer.getTotalSize()) as Buffer;
+    expect(reread.toString()).toBe(expected);
+  });
+});
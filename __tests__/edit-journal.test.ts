@@ -0,0 +1,208 @@
+/**
+ * Crash-Recovery Journal Tests
+ */
+
+import { promises as fs, readFileSync } from 'fs';
+import * as path from 'path';
+import { PagedBuffer, MemoryPageStorage, FilePageStorage, CompressedPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Edit Journal', () => {
+  let filePath: string;
+  let journalDir: string;
+  let buffer: PagedBuffer;
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile('The quick brown fox jumps over the lazy dog');
+    journalDir = path.join(path.dirname(filePath), 'journal');
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 2);
+    await buffer.loadFile(filePath);
+  });
+
+  /**
+   * Recover into a fresh buffer, as a restarted process would
+   */
+  async function recoverFresh(): Promise<PagedBuffer> {
+    const recovered = new PagedBuffer(16, new MemoryPageStorage(), 2);
+    await recovered.recover(journalDir);
+    return recovered;
+  }
+
+  test('should require a file and a directory', async () => {
+    const unsaved = new PagedBuffer(16, new MemoryPageStorage());
+    unsaved.loadContent('no file');
+    await expect(unsaved.enableJournal({ directory: journalDir })).rejects.toThrow('no associated file');
+    await expect(buffer.enableJournal()).rejects.toThrow('no directory given');
+  });
+
+  test('should default to the FilePageStorage directory', async () => {
+    const storage = new FilePageStorage(journalDir);
+    const fileBuffer = new PagedBuffer(16, storage, 2);
+    await fileBuffer.loadFile(filePath);
+
+    await fileBuffer.enableJournal();
+    expect(fileBuffer.isJournaling()).toBe(true);
+    await expect(fs.access(path.join(journalDir, 'buffer.journal'))).resolves.toBeUndefined();
+  });
+
+  test('should default to the directory of a wrapped storage', async () => {
+    const storage = new CompressedPageStorage(new FilePageStorage(journalDir));
+    const fileBuffer = new PagedBuffer(16, storage, 2);
+    await fileBuffer.loadFile(filePath);
+
+    await fileBuffer.enableJournal();
+    await expect(fs.access(path.join(journalDir, 'buffer.journal'))).resolves.toBeUndefined();
+  });
+
+  test('should recover edits after a crash', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(4, Buffer.from('very '));
+    await buffer.deleteBytes(20, 26);
+    await buffer.overwriteBytes(0, Buffer.from('A'));
+    const expected = await testUtils.getText(buffer);
+    await buffer.flushJournal();
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe(expected);
+    expect(recovered.hasChanges()).toBe(true);
+    expect(recovered.filename).toBe(path.resolve(filePath));
+  });
+
+  test('should have an edit on disk once it returns', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(4, Buffer.from('very '));
+
+    // Read before anything else can run: the edit waited for its record
+    const journal = readFileSync(path.join(journalDir, 'buffer.journal'), 'utf8');
+    expect(journal).toContain('"kind":"op"');
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe('The very quick brown fox jumps over the lazy dog');
+  });
+
+  test('should journal undo and redo', async () => {
+    buffer.enableUndo({ mergeTimeWindow: 0 });
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('One '));
+    await buffer.insertBytes(0, Buffer.from('Two '));
+    await buffer.undo();
+    const expected = await testUtils.getText(buffer);
+    await buffer.flushJournal();
+
+    expect(await testUtils.getText(await recoverFresh())).toBe(expected);
+  });
+
+  test('should rebuild from checkpoints of pages in storage', async () => {
+    await buffer.enableJournal({ directory: journalDir, checkpointInterval: 3 });
+    for (let i = 0; i < 10; i++) {
+      await buffer.insertBytes(i * 5, Buffer.from(`<${i}>`));
+      await buffer.flushJournal(); // Checkpoints are taken while the buffer is idle
+    }
+    await buffer.deleteBytes(2, 9);
+    const expected = await testUtils.getText(buffer);
+    await buffer.flushJournal();
+
+    // Only operations since the last checkpoint remain in the journal
+    const journal = await fs.readFile(path.join(journalDir, 'buffer.journal'), 'utf8');
+    const operationLines = journal.trim().split('\n').filter(line => line.includes('"kind":"op"'));
+    expect(operationLines.length).toBeLessThan(3);
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe(expected);
+  });
+
+  test('should not replay edits a queued checkpoint already includes', async () => {
+    const content = 'hello world';
+    filePath = await testUtils.createTempFile(content);
+    await buffer.loadFile(filePath);
+    await buffer.enableJournal({ directory: journalDir, checkpointInterval: 2 });
+
+    // The checkpoint queued by the second insert runs after all five
+    for (const letter of 'ABCDE') {
+      await buffer.insertBytes(0, Buffer.from(letter));
+    }
+    await buffer.flushJournal();
+    expect(await testUtils.getText(buffer)).toBe('EDCBA' + content);
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe('EDCBA' + content);
+  });
+
+  test('should refuse to recover against a changed file', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('X'));
+    await buffer.flushJournal();
+
+    await fs.writeFile(filePath, 'The quick brown cat jumps over the lazy dog');
+    await expect(recoverFresh()).rejects.toThrow('changed since the journal was written');
+  });
+
+  test('should refuse changed files with no fingerprint by mtime', async () => {
+    buffer.setFingerprintStrategy({ strategy: 'none' });
+    await buffer.loadFile(filePath);
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('X'));
+    await buffer.flushJournal();
+
+    const future = new Date(Date.now() + 60000);
+    await fs.utimes(filePath, future, future);
+    await expect(recoverFresh()).rejects.toThrow('changed since the journal was written');
+  });
+
+  test('should start over after a save', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('Saved: '));
+    await buffer.saveFile();
+    await buffer.insertBytes(0, Buffer.from('>'));
+    await buffer.flushJournal();
+
+    const journal = await fs.readFile(path.join(journalDir, 'buffer.journal'), 'utf8');
+    expect(journal.trim().split('\n')).toHaveLength(3);
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe('>Saved: The quick brown fox jumps over the lazy dog');
+  });
+
+  test('should recover an unedited buffer as unmodified', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe('The quick brown fox jumps over the lazy dog');
+    expect(recovered.hasChanges()).toBe(false);
+  });
+
+  test('should ignore a torn final record', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('Kept '));
+    await buffer.flushJournal();
+    await fs.appendFile(path.join(journalDir, 'buffer.journal'), '{"kind":"op","type":"ins');
+
+    const recovered = await recoverFresh();
+    expect(await testUtils.getText(recovered)).toBe('Kept The quick brown fox jumps over the lazy dog');
+  });
+
+  test('should keep journaling after recovery', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('1'));
+    await buffer.flushJournal();
+
+    const recovered = new PagedBuffer(16, new MemoryPageStorage(), 2);
+    await recovered.recover(journalDir);
+    await recovered.enableJournal({ directory: journalDir });
+    await recovered.insertBytes(1, Buffer.from('2'));
+    await recovered.flushJournal();
+
+    expect(await testUtils.getText(await recoverFresh())).toBe('12The quick brown fox jumps over the lazy dog');
+  });
+
+  test('should remove the journal when disabled', async () => {
+    await buffer.enableJournal({ directory: journalDir });
+    await buffer.insertBytes(0, Buffer.from('X'));
+    await buffer.disableJournal();
+
+    expect(buffer.isJournaling()).toBe(false);
+    expect(await fs.readdir(journalDir)).toEqual([]);
+    await expect(recoverFresh()).rejects.toThrow('No edit journal found');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Encrypted Page Storage Tests
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  PagedBuffer,
+  MemoryPageStorage,
+  EncryptedPageStorage,
+  CompressedPageStorage,
+  BufferState,
+  isPageAuthenticationError
+} from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('EncryptedPageStorage', () => {
+  const secret = Buffer.from('password=hunter2; card=4111111111111111\n'.repeat(20));
+
+  test('should never hand plaintext to the wrapped storage', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new EncryptedPageStorage(inner);
+
+    await storage.savePage('p1', secret);
+    const stored = await inner.loadPage('p1');
+    expect(stored.includes(Buffer.from('hunter2'))).toBe(false);
+    expect(stored.length).toBe(secret.length + 28);
+    expect((await storage.loadPage('p1')).equals(secret)).toBe(true);
+  });
+
+  test('should use a fresh nonce for every save', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new EncryptedPageStorage(inner);
+
+    await storage.savePage('a', secret);
+    await storage.savePage('b', secret);
+    expect((await inner.loadPage('a')).equals(await inner.loadPage('b'))).toBe(false);
+  });
+
+  test('should read pages back with the same caller-supplied key', async () => {
+    const key = randomBytes(32);
+    const inner = new MemoryPageStorage();
+    await new EncryptedPageStorage(inner, { key }).savePage('p1', secret);
+
+    expect((await new EncryptedPageStorage(inner, { key }).loadPage('p1')).equals(secret)).toBe(true);
+    await expect(new EncryptedPageStorage(inner).loadPage('p1')).rejects.toThrow('failed authentication');
+    expect(() => new EncryptedPageStorage(inner, { key: randomBytes(16) })).toThrow('must be 32 bytes');
+  });
+
+  test('should detect altered, truncated and swapped pages', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new EncryptedPageStorage(inner);
+    await storage.savePage('a', secret);
+    await storage.savePage('b', Buffer.from('other page'));
+
+    const stored = await inner.loadPage('a');
+    const altered = Buffer.from(stored);
+    altered[altered.length - 1] ^= 1;
+    await inner.savePage('altered', altered);
+    await inner.savePage('truncated', stored.subarray(0, 20));
+    await inner.savePage('swapped', await inner.loadPage('b'));
+
+    for (const pageKey of ['altered', 'truncated', 'swapped']) {
+      const error = await storage.loadPage(pageKey).catch(e => e);
+      expect(isPageAuthenticationError(error)).toBe(true);
+    }
+  });
+
+  test('should compose with compression', async () => {
+    const inner = new MemoryPageStorage();
+    const storage = new CompressedPageStorage(new EncryptedPageStorage(inner));
+
+    await storage.savePage('p1', secret);
+    expect((await inner.loadPage('p1')).length).toBeLessThan(secret.length / 4);
+    expect((await storage.loadPage('p1')).equals(secret)).toBe(true);
+  });
+
+  test('should raise a storage error when a swapped-out page was tampered with', async () => {
+    const inner = new MemoryPageStorage();
+    const buffer = new PagedBuffer(64, new EncryptedPageStorage(inner), 2);
+    const handler = testUtils.createMockNotificationHandler();
+    buffer.onNotification(handler.handler);
+    await buffer.loadFile(await testUtils.createTempFile(secret.toString()));
+
+    // Dirty the first page, then read on until it is swapped out
+    await buffer.insertBytes(0, Buffer.from('#'));
+    await buffer.getBytes(200, buffer.getTotalSize());
+    const [pageKey] = inner.getAllPageKeys();
+    expect(pageKey).toBeDefined();
+
+    const stored = await inner.loadPage(pageKey);
+    stored[stored.length - 1] ^= 1;
+    await buffer.getBytes(0, 10);
+
+    const [notification] = handler.getByType('storage_error');
+    expect(notification.severity).toBe('critical');
+    expect(notification.metadata).toMatchObject({ pageKey, tampered: true });
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(buffer.getDetachmentInfo().ranges[0].reason).toBe('storage_tampered');
+  });
+});
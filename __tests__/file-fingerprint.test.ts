@@ -0,0 +1,203 @@
+/**
+ * File Fingerprint Strategy Tests
+ */
+
+import { promises as fs } from 'fs';
+import * as crypto from 'crypto';
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+function md5(content: string): string {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+describe('File Fingerprint Strategies', () => {
+  const content = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+  let buffer: PagedBuffer;
+  let filePath: string;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(64, new MemoryPageStorage(), 8);
+    filePath = await testUtils.createTempFile(content);
+  });
+
+  afterEach(async () => {
+    await buffer.waitForFingerprint();
+  });
+
+  describe('full', () => {
+    test('should hash the whole file on load by default', async () => {
+      await buffer.loadFile(filePath);
+
+      expect(buffer.getFingerprintStrategy().strategy).toBe('full');
+      expect(buffer.fileChecksum).toBe(md5(content));
+    });
+
+    test('should use the selected algorithm', async () => {
+      buffer.setFingerprintStrategy({ algorithm: 'sha256' });
+      await buffer.loadFile(filePath);
+
+      expect(buffer.fileChecksum).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    });
+
+    test('should detect in-place edits that keep size and mtime', async () => {
+      await buffer.loadFile(filePath);
+
+      const unchanged = await buffer.checkFileChanges();
+      expect(unchanged.changed).toBe(false);
+      expect(unchanged.checkedBy).toBe('full');
+
+      await testUtils.rewriteKeepingMtime(filePath, content.replace('lazy', 'LAZY'));
+      const changed = await buffer.checkFileChanges();
+
+      expect(changed.changed).toBe(true);
+      expect(changed.mtimeChanged).toBe(false);
+      expect(changed.checkedBy).toBe('full');
+    });
+
+    test('should report metadata verdicts when size or mtime changed', async () => {
+      await buffer.loadFile(filePath);
+      await fs.writeFile(filePath, 'shorter');
+
+      const changes = await buffer.checkFileChanges();
+
+      expect(changes.changed).toBe(true);
+      expect(changes.checkedBy).toBe('metadata');
+    });
+
+    test('should refresh the fingerprint after saving', async () => {
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('>> '));
+      await buffer.saveFile();
+
+      expect(buffer.fileChecksum).toBe(md5('>> ' + content));
+      expect((await buffer.checkFileChanges()).changed).toBe(false);
+    });
+
+    test('should fingerprint a save without reading the file back', async () => {
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('>> '));
+      const openSpy = jest.spyOn(fs, 'open');
+
+      await buffer.saveFile();
+
+      // Pages are read from a temporary copy; the saved file is only written
+      expect(openSpy.mock.calls.filter(call => call[0] === filePath)).toEqual([[filePath, 'w']]);
+      openSpy.mockRestore();
+      expect(buffer.fileChecksum).toBe(md5('>> ' + content));
+    });
+
+    test('should trust an unchanged mtime too old to hide a rewrite', async () => {
+      const old = new Date(Date.now() - 60000);
+      await fs.utimes(filePath, old, old);
+      await buffer.loadFile(filePath);
+      const openSpy = jest.spyOn(fs, 'open');
+
+      const changes = await buffer.checkFileChanges();
+
+      expect(changes.changed).toBe(false);
+      expect(changes.checkedBy).toBe('metadata');
+      expect(openSpy).not.toHaveBeenCalled();
+      openSpy.mockRestore();
+    });
+  });
+
+  describe('none', () => {
+    test('should skip hashing and rely on metadata', async () => {
+      buffer.setFingerprintStrategy({ strategy: 'none' });
+      await buffer.loadFile(filePath);
+
+      expect(buffer.fileChecksum).toBeNull();
+
+      await testUtils.rewriteKeepingMtime(filePath, content.replace('lazy', 'LAZY'));
+      const changes = await buffer.checkFileChanges();
+
+      expect(changes.changed).toBe(false);
+      expect(changes.checkedBy).toBe('metadata');
+    });
+  });
+
+  describe('sampled', () => {
+    const large = 'abcdefghij'.repeat(1000);
+
+    beforeEach(async () => {
+      filePath = await testUtils.createTempFile(large);
+      buffer.setFingerprintStrategy({ strategy: 'sampled', sampleSize: 100, sampleCount: 3 });
+      await buffer.loadFile(filePath);
+    });
+
+    test('should read only the sampled blocks on load', async () => {
+      const readSpy = jest.spyOn(fs, 'open');
+      buffer = new PagedBuffer(64, new MemoryPageStorage(), 8);
+      buffer.setFingerprintStrategy({ strategy: 'sampled', sampleSize: 100, sampleCount: 3 });
+
+      await buffer.loadFile(filePath);
+
+      expect(buffer.fileChecksum).toMatch(/^[0-9a-f]{32}$/);
+      expect(readSpy).toHaveBeenCalledTimes(1);
+      readSpy.mockRestore();
+    });
+
+    test('should detect edits inside sampled blocks', async () => {
+      await testUtils.rewriteKeepingMtime(filePath, 'X' + large.slice(1));
+
+      const changes = await buffer.checkFileChanges();
+
+      expect(changes.changed).toBe(true);
+      expect(changes.checkedBy).toBe('sampled');
+    });
+
+    test('should trade accuracy for speed between samples', async () => {
+      // Blocks sit at 0, 2475, 4950, 7425 and 9900; offset 2000 is never read
+      await testUtils.rewriteKeepingMtime(filePath, large.slice(0, 2000) + 'X' + large.slice(2001));
+
+      const changes = await buffer.checkFileChanges();
+
+      expect(changes.changed).toBe(false);
+      expect(changes.checkedBy).toBe('sampled');
+    });
+  });
+
+  describe('lazy', () => {
+    test('should return from load before hashing and notify when done', async () => {
+      const handler = testUtils.createMockNotificationHandler();
+      buffer.onNotification(handler.handler);
+      buffer.setFingerprintStrategy({ strategy: 'lazy' });
+
+      await buffer.loadFile(filePath);
+      expect(buffer.fileChecksum).toBeNull();
+      expect((await buffer.checkFileChanges()).checkedBy).toBe('metadata');
+
+      await buffer.waitForFingerprint();
+
+      expect(buffer.fileChecksum).toBe(md5(content));
+      const ready = handler.getByType('file_fingerprint_ready');
+      expect(ready).toHaveLength(1);
+      expect(ready[0].metadata.strategy).toBe('lazy');
+      expect((await buffer.checkFileChanges()).checkedBy).toBe('lazy');
+    });
+
+    test('should record per-page checksums once finished', async () => {
+      buffer.setFingerprintStrategy({ strategy: 'lazy' });
+      await buffer.loadFile(filePath);
+      await buffer.waitForFingerprint();
+
+      await fs.writeFile(filePath, content.replace('lazy', 'LAZY'));
+
+      expect(await buffer.verifyOriginalPages()).toHaveLength(1);
+    });
+
+    test('should abandon hashing when another file is loaded', async () => {
+      const otherPath = await testUtils.createTempFile('other file');
+      buffer.setFingerprintStrategy({ strategy: 'lazy' });
+
+      await buffer.loadFile(filePath);
+      await buffer.loadFile(otherPath);
+      await buffer.waitForFingerprint();
+
+      expect(buffer.fileChecksum).toBe(md5('other file'));
+    });
+  });
+});
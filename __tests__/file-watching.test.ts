@@ -0,0 +1,316 @@
+/**
+ * File Watching and Change Strategy Tests
+ */
+
+import { promises as fs } from 'fs';
+import { PagedBuffer, MemoryPageStorage, BufferState, FileChangeStrategy } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+/**
+ * Wait until a notification of the given type arrives
+ */
+async function waitForNotification(
+  handler: ReturnType<typeof testUtils.createMockNotificationHandler>,
+  type: string,
+  timeout: number = 3000
+): Promise<any> {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const found = handler.getByType(type);
+    if (found.length > 0) return found[found.length - 1];
+    await testUtils.wait(20);
+  }
+  throw new Error(`Timed out waiting for ${type}`);
+}
+
+describe('File Watching', () => {
+  let buffer: PagedBuffer;
+  let handler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 4);
+    handler = testUtils.createMockNotificationHandler();
+  });
+
+  afterEach(async () => {
+    buffer.stopWatching();
+    await buffer.waitForWatchCheck();
+  });
+
+  test('should require a loaded file', () => {
+    buffer.loadContent('no file');
+    expect(() => buffer.startWatching()).toThrow('no associated file');
+  });
+
+  test('should start and stop watching', async () => {
+    const filePath = await testUtils.createTempFile('content');
+    await buffer.loadFile(filePath);
+
+    buffer.startWatching({ usePolling: true, interval: 20 });
+    expect(buffer.isWatching()).toBe(true);
+
+    buffer.stopWatching();
+    expect(buffer.isWatching()).toBe(false);
+  });
+
+  test('should reload an unedited buffer under the REBASE strategy', async () => {
+    const filePath = await testUtils.createTempFile('original content here');
+    await buffer.loadFile(filePath);
+    buffer.setMark('m', 9);
+    buffer.onNotification(handler.handler);
+    buffer.startWatching({ usePolling: true, interval: 20 });
+
+    await testUtils.rewriteFile(filePath, 'replaced content here');
+    await waitForNotification(handler, 'file_modified_on_disk');
+    await buffer.waitForWatchCheck();
+
+    const data = await buffer.getBytes(0, buffer.getTotalSize()) as Buffer;
+    expect(data.toString()).toBe('replaced content here');
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+    expect(buffer.getMark('m')).toBe(9);
+  });
+
+  test('should only warn when edits exist under the WARN strategy', async () => {
+    const filePath = await testUtils.createTempFile('original content here');
+    await buffer.loadFile(filePath);
+    await buffer.insertBytes(0, Buffer.from('EDIT '));
+    buffer.onNotification(handler.handler);
+    buffer.startWatching({ usePolling: true, interval: 20 });
+
+    await testUtils.rewriteFile(filePath, 'replaced content here');
+    const notification = await waitForNotification(handler, 'file_modified_on_disk');
+    await buffer.waitForWatchCheck();
+
+    expect(notification.metadata.strategy).toBe(FileChangeStrategy.WARN);
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+    const data = await buffer.getBytes(0, 5) as Buffer;
+    expect(data.toString()).toBe('EDIT ');
+
+    // The same on-disk state is only reported once
+    await testUtils.wait(100);
+    expect(handler.getByType('file_modified_on_disk')).toHaveLength(1);
+  });
+
+  test('should detach on size change under the default strategy', async () => {
+    const filePath = await testUtils.createTempFile('0123456789'.repeat(4));
+    await buffer.loadFile(filePath);
+    buffer.onNotification(handler.handler);
+    buffer.startWatching({ usePolling: true, interval: 20 });
+
+    await testUtils.rewriteFile(filePath, 'short');
+    const notification = await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(notification.metadata.newSize).toBe(5);
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(buffer.getDetachmentInfo().missingRanges).toBeGreaterThan(0);
+  });
+
+  test('should report deletion and detach', async () => {
+    const filePath = await testUtils.createTempFile('soon to be gone');
+    await buffer.loadFile(filePath);
+    buffer.onNotification(handler.handler);
+    buffer.startWatching({ usePolling: true, interval: 20 });
+
+    await fs.unlink(filePath);
+    await waitForNotification(handler, 'file_deleted');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(buffer.isWatching()).toBe(false);
+  });
+
+  test('should not react to its own saves', async () => {
+    const filePath = await testUtils.createTempFile('original content');
+    await buffer.loadFile(filePath);
+    buffer.onNotification(handler.handler);
+    buffer.startWatching({ usePolling: true, interval: 10 });
+
+    await buffer.insertBytes(0, Buffer.from('more '));
+    await buffer.saveFile();
+    await testUtils.wait(100);
+    await buffer.waitForWatchCheck();
+
+    expect(handler.getByType('file_size_changed')).toHaveLength(0);
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+  });
+
+  test('should detect changes through fs.watch', async () => {
+    const filePath = await testUtils.createTempFile('watched content');
+    await buffer.loadFile(filePath);
+    buffer.setChangeStrategy({ noEdits: FileChangeStrategy.WARN });
+    buffer.onNotification(handler.handler);
+    buffer.startWatching();
+
+    await testUtils.rewriteFile(filePath, 'changed content');
+    await waitForNotification(handler, 'file_modified_on_disk');
+  });
+});
+
+describe('Follow Mode', () => {
+  let buffer: PagedBuffer;
+  let handler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+  let filePath: string;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 4);
+    handler = testUtils.createMockNotificationHandler();
+    filePath = await testUtils.createTempFile('first line\nsecond line\n');
+    await buffer.loadFile(filePath);
+    buffer.onNotification(handler.handler);
+  });
+
+  afterEach(async () => {
+    buffer.stopWatching();
+    await buffer.waitForWatchCheck();
+  });
+
+  test('should extend the buffer with appended bytes', async () => {
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+    expect(buffer.isFollowing()).toBe(true);
+
+    await fs.appendFile(filePath, 'third line\nfourth line\n');
+    const notification = await waitForNotification(handler, 'file_appended');
+    await buffer.waitForWatchCheck();
+
+    expect(notification.metadata).toMatchObject({
+      oldSize: 23,
+      newSize: 46,
+      fileStart: 23,
+      fileEnd: 46,
+      virtualStart: 23,
+      virtualEnd: 46
+    });
+    expect(await testUtils.getText(buffer)).toBe('first line\nsecond line\nthird line\nfourth line\n');
+    expect(buffer.getLineCount().count).toBe(5);
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+    expect(buffer.hasChanges()).toBe(false);
+    expect(handler.getByType('file_size_changed')).toHaveLength(0);
+    expect((await buffer.checkFileChanges()).changed).toBe(false);
+  });
+
+  test('should keep local edits and follow repeated appends', async () => {
+    await buffer.insertBytes(0, Buffer.from('> '));
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await fs.appendFile(filePath, 'third\n');
+    await waitForNotification(handler, 'file_appended');
+    await buffer.waitForWatchCheck();
+    await fs.appendFile(filePath, 'fourth\n');
+    while (handler.getByType('file_appended').length < 2) {
+      await testUtils.wait(20);
+    }
+    await buffer.waitForWatchCheck();
+
+    expect(handler.getByType('file_appended')[1].metadata.virtualStart).toBe(31);
+    expect(await testUtils.getText(buffer)).toBe('> first line\nsecond line\nthird\nfourth\n');
+    expect(buffer.hasChanges()).toBe(true);
+  });
+
+  test('should detach when the followed file is truncated', async () => {
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await fs.truncate(filePath, 0);
+    const notification = await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(notification.metadata.strategy).toBe(FileChangeStrategy.DETACH);
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(handler.getByType('file_appended')).toHaveLength(0);
+  });
+
+  test('should detach when the followed file is rewritten larger', async () => {
+    buffer.setChangeStrategy({ sizeChanged: FileChangeStrategy.WARN });
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await testUtils.rewriteFile(filePath, 'FIRST LINE\nsecond line\nthird line\n');
+    await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(buffer.getDetachmentInfo().reason).toContain('file_rewritten');
+    expect(handler.getByType('file_appended')).toHaveLength(0);
+  });
+
+  test('should check the tail when there is no fingerprint', async () => {
+    buffer.setFingerprintStrategy({ strategy: 'none' });
+    await buffer.loadFile(filePath);
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await testUtils.rewriteFile(filePath, 'FIRST LINE\nsecond line\nthird line\n');
+    await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+  });
+
+  test('should detach when an appended file is then rewritten larger', async () => {
+    buffer.setFingerprintStrategy({ strategy: 'sampled' });
+    await fs.writeFile(filePath, 'A'.repeat(32));
+    await buffer.loadFile(filePath);
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await fs.appendFile(filePath, 'B'.repeat(32));
+    await waitForNotification(handler, 'file_appended');
+    await buffer.waitForWatchCheck();
+    await testUtils.rewriteFile(filePath, 'Z'.repeat(80));
+    await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(handler.getByType('file_appended')).toHaveLength(1);
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(buffer.getDetachmentInfo().reason).toContain('file_rewritten');
+  });
+
+  test('should check only the last page before taking an append', async () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`).join('');
+    await fs.writeFile(filePath, lines);
+    await buffer.loadFile(filePath);
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    // Same-size edit on the first page, then an append: the tail still matches
+    await fs.writeFile(filePath, 'LINE' + lines.slice(4) + 'appended\n');
+    await waitForNotification(handler, 'file_appended');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getTotalSize()).toBe(lines.length + 9);
+    // The stale first page is still caught before it is served
+    const stale = await buffer.verifyOriginalPages();
+    expect(stale.map(range => range.virtualStart)).toEqual([0]);
+  });
+
+  test('should detach when the last page changed before an append', async () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`).join('');
+    await fs.writeFile(filePath, lines);
+    await buffer.loadFile(filePath);
+    buffer.startWatching({ usePolling: true, interval: 20, follow: true });
+    await buffer.waitForWatchCheck();
+
+    await fs.writeFile(filePath, lines.slice(0, -4) + 'XX\n\nappended\n');
+    await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(handler.getByType('file_appended')).toHaveLength(0);
+  });
+
+  test('should apply the change strategy without follow mode', async () => {
+    buffer.startWatching({ usePolling: true, interval: 20 });
+    expect(buffer.isFollowing()).toBe(false);
+
+    await fs.appendFile(filePath, 'third line\n');
+    await waitForNotification(handler, 'file_size_changed');
+    await buffer.waitForWatchCheck();
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+  });
+});
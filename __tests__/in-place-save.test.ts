@@ -0,0 +1,127 @@
+/**
+ * In-Place Save Tests
+ */
+
+import { promises as fs } from 'fs';
+import * as crypto from 'crypto';
+import { PagedBuffer, rollbackInPlaceSave } from '../src';
+import { writeInPlace, inPlaceJournalPath } from '../src/utils/in-place-save';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('In-place save', () => {
+  // 640 bytes: ten 64-byte pages
+  const content = Array.from({ length: 80 }, (_, i) => `row ${String(i).padStart(2, '0')}\n`).join('').repeat(2).slice(0, 640);
+  let filePath: string;
+  let buffer: PagedBuffer;
+  let mockHandler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64);
+    mockHandler = testUtils.createMockNotificationHandler();
+    buffer.onNotification(mockHandler.handler);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should write only the changed pages of a same-size edit', async () => {
+    await buffer.overwriteBytes(70, Buffer.from('AB'));
+    await buffer.overwriteBytes(500, Buffer.from('Z'));
+    await buffer.saveFile(filePath, { inPlace: true });
+
+    const expected = content.slice(0, 70) + 'AB' + content.slice(72, 500) + 'Z' + content.slice(501);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(expected);
+    expect(mockHandler.getByType('save_completed')[0].metadata).toMatchObject({ inPlace: true, bytesWritten: 128 });
+    expect(mockHandler.getByType('atomic_save_started')).toHaveLength(0);
+    await expect(fs.access(inPlaceJournalPath(filePath))).rejects.toThrow();
+    expect(buffer.hasChanges()).toBe(false);
+    expect(buffer.getModifiedRanges()).toEqual([]);
+
+    await buffer.overwriteBytes(0, Buffer.from('!'));
+    expect((await buffer.getBytes(0, 640) as Buffer).toString()).toBe('!' + expected.slice(1));
+  });
+
+  test('should fingerprint the saved file in the background', async () => {
+    await buffer.overwriteBytes(70, Buffer.from('AB'));
+    await buffer.saveFile(filePath, { inPlace: true });
+    expect(buffer.fileChecksum).toBeNull();
+
+    await buffer.waitForFingerprint();
+
+    const saved = await fs.readFile(filePath);
+    expect(buffer.fileChecksum).toBe(crypto.createHash('md5').update(saved).digest('hex'));
+    expect(mockHandler.getByType('file_fingerprint_ready')).toHaveLength(1);
+  });
+
+  test('should fall back to a full save when the size changes', async () => {
+    await buffer.insertBytes(10, Buffer.from('grow'));
+    await buffer.saveFile(filePath, { inPlace: true });
+
+    expect(mockHandler.getByType('in_place_save_unavailable')[0].metadata.reason).toBe('size changed');
+    expect(mockHandler.getByType('save_completed')[0].metadata.wasAtomic).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content.slice(0, 10) + 'grow' + content.slice(10));
+  });
+
+  test('should fall back when content moved to other offsets', async () => {
+    await buffer.deleteBytes(10, 14);
+    await buffer.insertBytes(300, Buffer.from('move'));
+    await buffer.saveFile(filePath, { inPlace: true });
+
+    expect(mockHandler.getByType('in_place_save_unavailable')[0].metadata.reason).toBe('content moved');
+    expect(await fs.readFile(filePath, 'utf8')).toBe((await buffer.getBytes(0, 640) as Buffer).toString());
+  });
+
+  test('should fall back when the file changed on disk', async () => {
+    await buffer.overwriteBytes(0, Buffer.from('X'));
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(filePath, later, later);
+    await buffer.saveFile(filePath, { inPlace: true });
+
+    expect(mockHandler.getByType('in_place_save_unavailable')[0].metadata.reason).toBe('file changed on disk');
+  });
+
+  test('should restore the old bytes when a write fails', async () => {
+    const ranges = [{ offset: 0, length: 64 }, { offset: 320, length: 64 }];
+    let reads = 0;
+    await expect(writeInPlace(filePath, ranges, async (start, end) => {
+      if (++reads > 1) throw new Error('disk full');
+      return Buffer.alloc(end - start, 'x');
+    })).rejects.toThrow('disk full');
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    await expect(fs.access(inPlaceJournalPath(filePath))).rejects.toThrow();
+  });
+
+  test('should roll back a save interrupted after the journal was written', async () => {
+    const journalPath = inPlaceJournalPath(filePath);
+    const ranges = [{ offset: 64, length: 64 }];
+    await expect(writeInPlace(filePath, ranges, async () => {
+      // Keep the journal as a crash at this point would have left it
+      await fs.copyFile(journalPath, `${journalPath}.kept`);
+      throw new Error('crash');
+    })).rejects.toThrow('crash');
+    await fs.rename(`${journalPath}.kept`, journalPath);
+    const fd = await fs.open(filePath, 'r+');
+    await fd.write(Buffer.alloc(64, 'x'), 0, 64, 64);
+    await fd.close();
+
+    const reloaded = new PagedBuffer(64);
+    const handler = testUtils.createMockNotificationHandler();
+    reloaded.onNotification(handler.handler);
+    await reloaded.loadFile(filePath);
+    expect(handler.getByType('in_place_save_interrupted')).toHaveLength(1);
+
+    expect(await rollbackInPlaceSave(filePath)).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    expect(await rollbackInPlaceSave(filePath)).toBe(false);
+  });
+
+  test('should leave the file alone for a journal cut short', async () => {
+    await fs.writeFile(inPlaceJournalPath(filePath), '{"version":1,"fileSize":640,"ranges":[{"offset":0,"length":64}]}\nrow');
+
+    expect(await rollbackInPlaceSave(filePath)).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    await expect(fs.access(inPlaceJournalPath(filePath))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Line Index Tests - buildLineIndex() and exact vs estimated line counts
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Line index', () => {
+  // 40 lines of 8 bytes over 64-byte pages: 5 pages, 8 lines each
+  const content = Array.from({ length: 40 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`).join('');
+  let buffer: PagedBuffer;
+  let mockHandler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+
+  beforeEach(async () => {
+    const filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64);
+    await buffer.loadFile(filePath);
+    mockHandler = testUtils.createMockNotificationHandler();
+    buffer.onNotification(mockHandler.handler);
+  });
+
+  test('should make the line count exact without keeping pages loaded', async () => {
+    expect(buffer.isLineIndexExact()).toBe(false);
+    expect(buffer.getLineCount().count).toBeLessThan(41);
+    expect(buffer.getLineCount().isExact).toBe(false);
+
+    const progress: Array<[number, number]> = [];
+    const lineCount = await buffer.buildLineIndex({ onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(lineCount).toEqual({ count: 41, isExact: true });
+    expect(buffer.getLineCount()).toEqual({ count: 41, isExact: true });
+    expect(buffer.isLineIndexExact()).toBe(true);
+    expect(progress).toHaveLength(5);
+    expect(progress[4]).toEqual([content.length, content.length]);
+    expect(buffer.getMemoryStats().loadedPages).toBe(0);
+
+    const notifications = mockHandler.getByType('line_index_complete');
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].metadata).toEqual({ lineCount: 41, indexedBytes: content.length });
+
+    // Nothing left to index: no second notification
+    await buffer.buildLineIndex();
+    expect(mockHandler.getByType('line_index_complete')).toHaveLength(1);
+  });
+
+  test('should keep the index of untouched pages across edits', async () => {
+    await buffer.buildLineIndex();
+    await buffer.insertBytes(0, Buffer.from('new\n'));
+    await buffer.deleteBytes(100, 108);
+
+    expect(buffer.isLineIndexExact()).toBe(true);
+    expect(buffer.getLineCount()).toEqual({ count: 41, isExact: true });
+  });
+
+  test('should flag line bounds found past unindexed pages as estimates', async () => {
+    // Load only the last page: its line numbers depend on the pages before it
+    await buffer.getBytes(300, 310);
+    expect(buffer.getLineInfo(2)?.isExact).toBe(false);
+
+    await buffer.buildLineIndex();
+    const line = buffer.getLineInfo(39);
+    expect(line).toMatchObject({ byteStart: 304, byteEnd: 312, isExact: true });
+  });
+
+  test('should stop between pages when aborted and resume later', async () => {
+    const controller = new AbortController();
+    await expect(buffer.buildLineIndex({
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    })).rejects.toThrow('Line indexing aborted');
+    expect(buffer.isLineIndexExact()).toBe(false);
+
+    const progress: Array<[number, number]> = [];
+    await buffer.buildLineIndex({ onProgress: (done, total) => progress.push([done, total]) });
+    expect(progress).toHaveLength(4);
+    expect(progress[3]).toEqual([256, 256]);
+    expect(buffer.getLineCount()).toEqual({ count: 41, isExact: true });
+  });
+});
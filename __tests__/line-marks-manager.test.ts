@@ -509,7 +509,7 @@ describe('LineAndMarksManager - Page Coordinate Marks System', () => {
     });
 
     test('should get total line count correctly', () => {
-      expect(lineAndMarksManager.getTotalLineCount()).toBe(4); // 3 lines + final empty line
+      expect(lineAndMarksManager.getTotalLineCount().count).toBe(4); // 3 lines + final empty line
     });
 
     test('should get line info for specific lines', () => {
@@ -575,7 +575,7 @@ describe('LineAndMarksManager - Page Coordinate Marks System', () => {
     test('should handle empty content', () => {
       buffer.loadContent('');
       
-      expect(lineAndMarksManager.getTotalLineCount()).toBe(1);
+      expect(lineAndMarksManager.getTotalLineCount().count).toBe(1);
       expect(lineAndMarksManager.getLineInfo(1)).toBeTruthy();
       expect(lineAndMarksManager.getLineInfo(1)?.byteStart).toBe(0);
       expect(lineAndMarksManager.getLineInfo(1)?.byteEnd).toBe(0);
@@ -584,7 +584,7 @@ describe('LineAndMarksManager - Page Coordinate Marks System', () => {
     test('should handle single character content', () => {
       buffer.loadContent('A');
       
-      expect(lineAndMarksManager.getTotalLineCount()).toBe(1);
+      expect(lineAndMarksManager.getTotalLineCount().count).toBe(1);
       
       lineAndMarksManager.setMark('single', 0);
       expect(lineAndMarksManager.getMark('single')).toBe(0);
@@ -593,7 +593,7 @@ describe('LineAndMarksManager - Page Coordinate Marks System', () => {
     test('should handle content with only newlines', () => {
       buffer.loadContent('\n\n\n');
       
-      expect(lineAndMarksManager.getTotalLineCount()).toBe(4); // 3 newlines create 4 lines
+      expect(lineAndMarksManager.getTotalLineCount().count).toBe(4); // 3 newlines create 4 lines
     });
 
     test('should handle marks at exact page boundaries', () => {
@@ -0,0 +1,175 @@
+/**
+ * Mark Gravity and Named Range Tests
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Mark gravity and named ranges', () => {
+  const content = '0123456789abcdefghijklmnopqrstuv';
+  let buffer: PagedBuffer;
+  let mockHandler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+
+  function span(name: string): [number, number] | null {
+    const range = buffer.getRange(name);
+    return range ? [range.start, range.end] : null;
+  }
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(16);
+    buffer.loadContent(content);
+    mockHandler = testUtils.createMockNotificationHandler();
+    buffer.onNotification(mockHandler.handler);
+  });
+
+  describe('mark gravity', () => {
+    test('should move a right-gravity mark past bytes inserted at it', async () => {
+      buffer.setMark('left', 10);
+      buffer.setMark('right', 10, 'right');
+      expect(buffer.getMarkGravity('left')).toBe('left');
+      expect(buffer.getMarkGravity('right')).toBe('right');
+      expect(buffer.getMarkGravity('missing')).toBeNull();
+
+      await buffer.insertBytes(10, Buffer.from('XYZ'));
+      expect(buffer.getMark('left')).toBe(10);
+      expect(buffer.getMark('right')).toBe(13);
+
+      // Moving a mark keeps its gravity unless a new one is given
+      buffer.setMark('right', 20);
+      await buffer.insertBytes(20, Buffer.from('!'));
+      expect(buffer.getMark('right')).toBe(21);
+      buffer.setMark('right', 20, 'left');
+      await buffer.insertBytes(20, Buffer.from('!'));
+      expect(buffer.getMark('right')).toBe(20);
+    });
+
+    test('should send a right-gravity mark to the end of replacing data', async () => {
+      buffer.setMark('left', 12);
+      buffer.setMark('right', 12, 'right');
+      buffer.setMark('inside', 14, 'right');
+
+      await buffer.applyEdits([{ start: 12, end: 16, data: Buffer.from('replaced') }]);
+      expect(buffer.getMark('left')).toBe(12);
+      expect(buffer.getMark('right')).toBe(20);
+      expect(buffer.getMark('inside')).toBe(20);
+    });
+
+    test('should keep gravity across undo', async () => {
+      buffer.enableUndo();
+      buffer.setMark('m', 4, 'right');
+      await buffer.deleteBytes(0, 8);
+      await buffer.undo();
+
+      expect(buffer.getMark('m')).toBe(4);
+      await buffer.insertBytes(4, Buffer.from('ab'));
+      expect(buffer.getMark('m')).toBe(6);
+    });
+  });
+
+  describe('ranges', () => {
+    test('should not grow at the edges by default', async () => {
+      buffer.setRange('r', 4, 8);
+      await buffer.insertBytes(4, Buffer.from('XX'));
+      await buffer.insertBytes(10, Buffer.from('YY'));
+      expect(span('r')).toEqual([6, 10]);
+
+      await buffer.insertBytes(7, Buffer.from('Z'));
+      expect(span('r')).toEqual([6, 11]);
+
+      await buffer.deleteBytes(0, 8);
+      expect(span('r')).toEqual([0, 3]);
+      expect(buffer.getRange('r')).toMatchObject({ name: 'r', startGravity: 'right', endGravity: 'left', collapsed: false });
+    });
+
+    test('should grow at the edges with the opposite gravity', async () => {
+      buffer.setRange('g', 4, 8, { startGravity: 'left', endGravity: 'right' });
+      await buffer.insertBytes(4, Buffer.from('XX'));
+      await buffer.insertBytes(10, Buffer.from('Y'));
+      expect(span('g')).toEqual([4, 11]);
+    });
+
+    test('should report ranges a deletion empties', async () => {
+      buffer.setRange('gone', 2, 5);
+      buffer.setRange('kept', 5, 9);
+      buffer.setRange('empty', 20, 20);
+      await buffer.deleteBytes(1, 6);
+
+      expect(buffer.getRange('gone')).toMatchObject({ start: 1, end: 1, collapsed: true });
+      expect(buffer.getRange('kept')).toMatchObject({ start: 1, end: 4, collapsed: false });
+      expect(buffer.getRange('empty')?.collapsed).toBe(false);
+      const notifications = mockHandler.getByType('ranges_collapsed');
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].metadata.ranges).toEqual(['gone']);
+
+      // Stays empty, and is not reported again, when bytes are typed at it
+      await buffer.insertBytes(1, Buffer.from('Q'));
+      expect(buffer.getRange('gone')).toMatchObject({ start: 1, end: 1, collapsed: true });
+      expect(mockHandler.getByType('ranges_collapsed')).toHaveLength(1);
+    });
+
+    test('should find the ranges overlapping an interval', () => {
+      buffer.setRange('a', 2, 5);
+      buffer.setRange('b', 5, 8);
+      buffer.setRange('e', 5, 5);
+      const names = (start: number, end: number): string[] =>
+        buffer.getRangesOverlapping(start, end).map(range => range.name);
+
+      expect(names(4, 5)).toEqual(['a', 'e']);
+      expect(names(5, 5)).toEqual(['a', 'e', 'b']);
+      expect(names(0, 32)).toEqual(['a', 'e', 'b']);
+      expect(names(8, 10)).toEqual([]);
+      expect(buffer.getAllRanges().map(range => range.name)).toEqual(['a', 'e', 'b']);
+    });
+
+    test('should move ranges once for a batch of edits', async () => {
+      buffer.setRange('r', 10, 20);
+      await buffer.applyEdits([
+        { start: 15, end: 18, data: Buffer.from('B') },
+        { start: 10, end: 10, data: Buffer.from('AAA') }
+      ]);
+      expect(span('r')).toEqual([13, 21]);
+    });
+
+    test('should restore ranges on undo and move them again on redo', async () => {
+      buffer.enableUndo();
+      buffer.setRange('u', 2, 6);
+      await buffer.deleteBytes(0, 10);
+      expect(buffer.getRange('u')?.collapsed).toBe(true);
+
+      await buffer.undo();
+      expect(buffer.getRange('u')).toMatchObject({ start: 2, end: 6, collapsed: false });
+
+      await buffer.redo();
+      expect(span('u')).toEqual([0, 0]);
+      await buffer.undo();
+      expect(span('u')).toEqual([2, 6]);
+    });
+
+    test('should restore ranges when a transaction is rolled back', async () => {
+      buffer.enableUndo();
+      buffer.setRange('t', 10, 12);
+      buffer.beginUndoTransaction('Edit');
+      await buffer.insertBytes(0, Buffer.from('xxxx'));
+      await buffer.deleteBytes(12, 20);
+      expect(span('t')).toEqual([12, 12]);
+
+      await buffer.rollbackUndoTransaction();
+      expect(span('t')).toEqual([10, 12]);
+    });
+
+    test('should reject ranges outside the buffer and forget them on load', () => {
+      expect(() => buffer.setRange('bad', 5, 40)).toThrow('out of range');
+      expect(() => buffer.setRange('bad', 6, 5)).toThrow('out of range');
+
+      buffer.setRange('r', 0, 4);
+      expect(buffer.removeRange('r')).toBe(true);
+      expect(buffer.removeRange('r')).toBe(false);
+
+      buffer.setRange('r', 0, 4);
+      buffer.loadContent('new');
+      expect(buffer.getRange('r')).toBeNull();
+    });
+  });
+});
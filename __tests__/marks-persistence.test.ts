@@ -0,0 +1,122 @@
+/**
+ * Marks Persistence Tests - saveMarks() / loadMarks()
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { PagedBuffer } from '../src';
+import { marksSidecarPath } from '../src/utils/marks-persistence';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Marks persistence', () => {
+  const content = Array.from({ length: 20 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`).join('');
+  let filePath: string;
+  let buffer: PagedBuffer;
+
+  async function reopen(): Promise<PagedBuffer> {
+    const reopened = new PagedBuffer(64);
+    await reopened.loadFile(filePath);
+    return reopened;
+  }
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should round-trip marks, gravity and ranges through the sidecar', async () => {
+    buffer.setMark('top', 0);
+    buffer.setMark('cursor', 50, 'right');
+    buffer.setRange('fold', 16, 80, { startGravity: 'left', endGravity: 'right' });
+    await buffer.saveMarks();
+
+    const sidecar = JSON.parse(await fs.readFile(marksSidecarPath(filePath), 'utf8'));
+    expect(sidecar.version).toBe(1);
+    expect(sidecar.size).toBe(content.length);
+    expect(sidecar.fingerprint).toMatchObject({ size: content.length });
+
+    const reopened = await reopen();
+    const result = await reopened.loadMarks();
+    expect(result).toEqual({ changed: false, restored: ['top', 'cursor', 'fold'], clamped: [], dropped: [] });
+    expect(reopened.getMark('cursor')).toBe(50);
+    expect(reopened.getMarkGravity('cursor')).toBe('right');
+    expect(reopened.getRange('fold')).toMatchObject({ start: 16, end: 80, startGravity: 'left', endGravity: 'right' });
+  });
+
+  test('should refuse to save marks placed on unsaved edits', async () => {
+    await buffer.insertBytes(0, Buffer.from('new\n'));
+    buffer.setMark('m', 2);
+    await expect(buffer.saveMarks()).rejects.toThrow('unsaved changes');
+    await expect(fs.access(marksSidecarPath(filePath))).rejects.toThrow();
+  });
+
+  test('should clamp marks to content that shrank, with a report', async () => {
+    buffer.setMark('early', 10);
+    buffer.setMark('late', 150);
+    buffer.setRange('tail', 100, 160);
+    await buffer.saveMarks();
+    await fs.writeFile(filePath, content.slice(0, 120));
+
+    const reopened = await reopen();
+    const handler = testUtils.createMockNotificationHandler();
+    reopened.onNotification(handler.handler);
+    const result = await reopened.loadMarks();
+
+    expect(result).toEqual({ changed: true, restored: ['early', 'late', 'tail'], clamped: ['late', 'tail'], dropped: [] });
+    expect(reopened.getMark('early')).toBe(10);
+    expect(reopened.getMark('late')).toBe(120);
+    expect(reopened.getRange('tail')).toMatchObject({ start: 100, end: 120 });
+    expect(handler.getByType('marks_file_changed')).toHaveLength(1);
+  });
+
+  test('should drop marks when asked and the content changed at the same size', async () => {
+    buffer.setMark('m', 30);
+    buffer.setRange('r', 0, 8);
+    await buffer.saveMarks();
+    await fs.writeFile(filePath, content.replace('line 03', 'LINE 03'));
+
+    const reopened = await reopen();
+    reopened.setMark('kept', 5);
+    const result = await reopened.loadMarks(undefined, { ifChanged: 'drop' });
+
+    expect(result).toEqual({ changed: true, restored: [], clamped: [], dropped: ['m', 'r'] });
+    expect(reopened.getMark('m')).toBeNull();
+    expect(reopened.getRange('r')).toBeNull();
+    expect(reopened.getMark('kept')).toBe(5);
+  });
+
+  test('should save marks after saveFile when auto-save is on', async () => {
+    buffer.setMarksAutoSave(true);
+    buffer.setMark('m', 40);
+    await buffer.insertBytes(0, Buffer.from('head\n'));
+    await buffer.saveFile();
+
+    const reopened = await reopen();
+    expect(await reopened.loadMarks()).toMatchObject({ changed: false, restored: ['m'] });
+    expect(reopened.getMark('m')).toBe(45);
+  });
+
+  test('should use an explicit path for buffers without a file', async () => {
+    const marksPath = path.join(path.dirname(filePath), `marks-${path.basename(filePath)}.json`);
+    const memory = new PagedBuffer(64);
+    memory.loadContent('hello world');
+    memory.setMark('w', 6);
+    await expect(memory.saveMarks()).rejects.toThrow('no path given');
+    await memory.saveMarks(marksPath);
+
+    const other = new PagedBuffer(64);
+    other.loadContent('hello there');
+    expect(await other.loadMarks(marksPath)).toMatchObject({ changed: false, restored: ['w'] });
+    expect(other.getMark('w')).toBe(6);
+  });
+
+  test('should return null without a sidecar and reject unknown versions', async () => {
+    expect(await buffer.loadMarks()).toBeNull();
+
+    await fs.writeFile(marksSidecarPath(filePath), JSON.stringify({ version: 99, size: 0, marks: [], ranges: [] }));
+    await expect(buffer.loadMarks()).rejects.toThrow('Unsupported marks file version: 99');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Operation Queue Tests - serialized edits, saves and reads
+ */
+
+import { promises as fs } from 'fs';
+import { PagedBuffer, isBufferBusyError } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Operation queue', () => {
+  const content = Array.from({ length: 100 }, (_, i) => `line ${String(i).padStart(3, '0')}\n`).join('');
+  let filePath: string;
+  let buffer: PagedBuffer;
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should apply edits called together in call order', async () => {
+    const edits = [
+      buffer.insertBytes(0, Buffer.from('a')),
+      buffer.insertBytes(1, Buffer.from('b')),
+      buffer.deleteBytes(0, 1),
+      buffer.overwriteBytes(1, Buffer.from('X'))
+    ];
+    expect(buffer.isBusy()).toBe(true);
+
+    await Promise.all(edits);
+    expect(await testUtils.getText(buffer)).toBe('bXine 000\n' + content.slice(9));
+  });
+
+  test('should run a keystroke made mid-save after the save', async () => {
+    await buffer.insertBytes(0, Buffer.from('saved '));
+    const save = buffer.saveFile();
+    const keystroke = buffer.insertBytes(0, Buffer.from('!'));
+    await Promise.all([save, keystroke]);
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe('saved ' + content);
+    expect(await testUtils.getText(buffer)).toBe('!saved ' + content);
+    expect(buffer.hasChanges()).toBe(true);
+  });
+
+  test('should let reads see every edit called before them', async () => {
+    buffer.insertBytes(5, Buffer.from('[new]'));
+    const read = buffer.getBytes(0, 15);
+    buffer.deleteBytes(0, 5);
+
+    expect((await read as Buffer).toString()).toBe('line [new]000\nl');
+    await buffer.whenIdle();
+    expect(buffer.isBusy()).toBe(false);
+    expect((await buffer.getBytes(0, 5) as Buffer).toString()).toBe('[new]');
+  });
+
+  test('should keep going after an operation fails', async () => {
+    const failed = buffer.insertBytes(content.length + 10, Buffer.from('x'));
+    const next = buffer.insertBytes(0, Buffer.from('ok '));
+
+    await expect(failed).rejects.toThrow('beyond end of buffer');
+    await next;
+    expect((await testUtils.getText(buffer)).startsWith('ok line')).toBe(true);
+  });
+
+  test('should reject instead of queueing when asked to', async () => {
+    buffer.setBusyBehavior('reject');
+    expect(buffer.getBusyBehavior()).toBe('reject');
+    await buffer.insertBytes(0, Buffer.from('x'));
+
+    const save = buffer.saveFile();
+    const rejected = buffer.insertBytes(0, Buffer.from('y')).catch(error => error);
+    await save;
+
+    const error = await rejected;
+    expect(isBufferBusyError(error)).toBe(true);
+    expect(error.message).toContain('insertBytes');
+    expect(await testUtils.getText(buffer)).toBe('x' + content);
+
+    await buffer.insertBytes(0, Buffer.from('y'));
+    expect((await testUtils.getText(buffer)).startsWith('yx')).toBe(true);
+  });
+
+  test('should run nested operations without waiting for themselves', async () => {
+    buffer.enableUndo();
+    const replaced = buffer.replaceAll('line', 'row');
+    const undone = buffer.undo();
+
+    expect(await replaced).toBe(100);
+    expect(await undone).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe(content);
+  });
+
+  test('should queue edits made from a notification handler', async () => {
+    let reacted: Promise<void> | null = null;
+    buffer.onNotification(notification => {
+      if (notification.type === 'save_completed' && !reacted) {
+        reacted = buffer.insertBytes(0, Buffer.from('after save\n'));
+      }
+    });
+    await buffer.insertBytes(0, Buffer.from('#'));
+    await buffer.saveFile();
+    await buffer.whenIdle();
+
+    expect(reacted).not.toBeNull();
+    expect(await fs.readFile(filePath, 'utf8')).toBe('#' + content);
+    expect(await testUtils.getText(buffer)).toBe('after save\n#' + content);
+  });
+
+  test('should resolve whenIdle at once for an idle buffer', async () => {
+    expect(buffer.isBusy()).toBe(false);
+    await expect(buffer.whenIdle()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Pack-File Page Storage Tests
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { PagedBuffer, PackFilePageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('PackFilePageStorage', () => {
+  let directory: string;
+  let storage: PackFilePageStorage;
+
+  function page(fill: string, length: number): Buffer {
+    return Buffer.alloc(length, fill);
+  }
+
+  async function packFiles(): Promise<string[]> {
+    return (await fs.readdir(directory)).filter(file => file.endsWith('.pack'));
+  }
+
+  beforeEach(async () => {
+    directory = path.join(path.dirname(await testUtils.createTempFile('')), 'packs');
+    storage = new PackFilePageStorage(directory, { autoCompact: false });
+  });
+
+  afterEach(async () => {
+    await storage.destroy();
+  });
+
+  test('should store many pages in one pack file', async () => {
+    for (let i = 0; i < 50; i++) {
+      await storage.savePage(`p${i}`, page(String.fromCharCode(65 + (i % 26)), 100));
+    }
+
+    expect(await packFiles()).toHaveLength(1);
+    expect((await storage.loadPage('p27')).equals(page('B', 100))).toBe(true);
+    expect(await storage.pageExists('p49')).toBe(true);
+    expect(storage.getAllPageKeys()).toHaveLength(50);
+
+    const stats = await storage.getStorageStats();
+    expect(stats).toMatchObject({ pageCount: 50, totalBytes: 5000, packCount: 1, packBytes: 5000, freeBytes: 0 });
+  });
+
+  test('should overwrite, delete and report missing pages', async () => {
+    await storage.savePage('a', page('a', 100));
+    await storage.savePage('a', page('b', 40));
+    expect((await storage.loadPage('a')).equals(page('b', 40))).toBe(true);
+
+    await storage.savePage('a', page('c', 200));
+    expect((await storage.loadPage('a')).equals(page('c', 200))).toBe(true);
+
+    await storage.deletePage('a');
+    await storage.deletePage('never-saved');
+    expect(await storage.pageExists('a')).toBe(false);
+    await expect(storage.loadPage('a')).rejects.toThrow('not found');
+  });
+
+  test('should reuse freed slots', async () => {
+    await storage.savePage('a', page('a', 100));
+    await storage.savePage('b', page('b', 100));
+    await storage.deletePage('a');
+    await storage.savePage('c', page('c', 80));
+
+    const stats = await storage.getStorageStats();
+    expect(stats.packBytes).toBe(200);
+    expect(stats.freeBytes).toBe(20);
+    expect((await storage.loadPage('c')).equals(page('c', 80))).toBe(true);
+    expect((await storage.loadPage('b')).equals(page('b', 100))).toBe(true);
+  });
+
+  test('should start new packs at the size limit', async () => {
+    storage = new PackFilePageStorage(directory, { maxPackSize: 250, autoCompact: false });
+    for (let i = 0; i < 5; i++) {
+      await storage.savePage(`p${i}`, page('x', 100));
+    }
+
+    expect(await packFiles()).toHaveLength(3);
+    expect((await storage.getStorageStats()).packCount).toBe(3);
+  });
+
+  test('should compact fragmented packs', async () => {
+    storage = new PackFilePageStorage(directory, { maxPackSize: 1000, autoCompact: false });
+    for (let i = 0; i < 20; i++) {
+      await storage.savePage(`p${i}`, page(String(i % 10), 100));
+    }
+    for (let i = 0; i < 20; i += 4) {
+      await storage.deletePage(`p${i}`);
+      await storage.deletePage(`p${i + 1}`);
+      await storage.deletePage(`p${i + 2}`);
+    }
+
+    const reclaimed = await storage.compact();
+    const stats = await storage.getStorageStats();
+    expect(reclaimed).toBe(1500);
+    expect(stats).toMatchObject({ pageCount: 5, packBytes: 500, freeBytes: 0, compactions: 2 });
+    expect(await packFiles()).toHaveLength(1);
+    for (let i = 3; i < 20; i += 4) {
+      expect((await storage.loadPage(`p${i}`)).equals(page(String(i % 10), 100))).toBe(true);
+    }
+  });
+
+  test('should compact in the background', async () => {
+    storage = new PackFilePageStorage(directory, { compactionThreshold: 0.5 });
+    await storage.savePage('keep', page('k', 100));
+    await storage.savePage('drop', page('d', 300));
+    await storage.deletePage('drop');
+
+    await testUtils.wait(50);
+    const stats = await storage.getStorageStats();
+    expect(stats.compactions).toBe(1);
+    expect(stats.packBytes).toBe(100);
+    expect((await storage.loadPage('keep')).equals(page('k', 100))).toBe(true);
+  });
+
+  test('should keep pages from different instances apart', async () => {
+    const other = new PackFilePageStorage(directory, { autoCompact: false });
+    await storage.savePage('p', page('1', 10));
+    await other.savePage('p', page('2', 10));
+
+    await other.cleanup();
+    expect((await storage.loadPage('p')).equals(page('1', 10))).toBe(true);
+    expect(await packFiles()).toHaveLength(1);
+  });
+
+  test('should remove its packs on cleanup', async () => {
+    await storage.savePage('p', page('p', 10));
+    await storage.cleanup();
+
+    expect(await packFiles()).toHaveLength(0);
+    expect(storage.getAllPageKeys()).toEqual([]);
+    await storage.savePage('q', page('q', 10));
+    expect((await storage.loadPage('q')).equals(page('q', 10))).toBe(true);
+  });
+
+  test('should back a PagedBuffer that swaps dirty pages out', async () => {
+    const content = 'abcdefghijklmnopqrstuvwxyz\n'.repeat(40);
+    const buffer = new PagedBuffer(64, storage, 2);
+    await buffer.loadFile(await testUtils.createTempFile(content));
+
+    let expected = content;
+    for (let position = 0; position < buffer.getTotalSize(); position += 64) {
+      await buffer.insertBytes(position, Buffer.from('#'));
+      expected = expected.slice(0, position) + '#' + expected.slice(position);
+    }
+
+    expect(storage.getAllPageKeys().length).toBeGreaterThan(0);
+    expect(await packFiles()).toHaveLength(1);
+    expect((await buffer.getBytes(0, buffer.getTotalSize()) as Buffer).toString()).toBe(expected);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Per-Page Checksum Tests
+ */
+
+import { promises as fs } from 'fs';
+import { PagedBuffer, MemoryPageStorage, BufferState } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Per-Page Checksums', () => {
+  // Four 16-byte pages
+  const original = 'AAAAAAAAAAAAAAAA' + 'BBBBBBBBBBBBBBBB' + 'CCCCCCCCCCCCCCCC' + 'DDDDDDDDDDDDDDDD';
+  let buffer: PagedBuffer;
+  let handler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+  let filePath: string;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 8);
+    handler = testUtils.createMockNotificationHandler();
+    filePath = await testUtils.createTempFile(original);
+    await buffer.loadFile(filePath);
+    buffer.onNotification(handler.handler);
+  });
+
+  test('should report nothing while the file is unchanged', async () => {
+    expect(await buffer.verifyOriginalPages()).toEqual([]);
+  });
+
+  test('should report changed pages that were never read', async () => {
+    await fs.writeFile(filePath, original.replace('CCCC', 'cccc'));
+
+    const stale = await buffer.verifyOriginalPages();
+
+    expect(stale).toHaveLength(1);
+    expect(stale[0].virtualStart).toBe(32);
+    expect(stale[0].virtualEnd).toBe(48);
+    expect(stale[0].originalFileStart).toBe(32);
+    expect(stale[0].originalFileEnd).toBe(48);
+    expect(stale[0].reason).toBe('checksum_mismatch');
+  });
+
+  test('should not report pages holding local edits', async () => {
+    await buffer.overwriteBytes(34, Buffer.from('x'));
+    await fs.writeFile(filePath, original.replace('CCCC', 'cccc'));
+
+    expect(await buffer.verifyOriginalPages()).toEqual([]);
+  });
+
+  test('should map stale pages to shifted buffer addresses', async () => {
+    await buffer.insertBytes(0, Buffer.from('++++'));
+    await fs.writeFile(filePath, original.replace('DDDD', 'dddd'));
+
+    const stale = await buffer.verifyOriginalPages();
+
+    expect(stale.map(r => [r.virtualStart, r.originalFileStart])).toEqual([[52, 48]]);
+  });
+
+  test('should report truncated pages', async () => {
+    await fs.writeFile(filePath, original.slice(0, 40));
+
+    const stale = await buffer.verifyOriginalPages();
+
+    expect(stale.map(r => [r.originalFileStart, r.reason])).toEqual([
+      [32, 'file_truncated'],
+      [48, 'file_truncated']
+    ]);
+  });
+
+  test('should refuse to load a page whose content changed', async () => {
+    await fs.writeFile(filePath, original.replace('BBBB', 'bbbb'));
+
+    const data = await buffer.getBytes(16, 32) as Buffer;
+
+    expect(data.toString()).not.toContain('bbbb');
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    const missing = buffer.getDetachmentInfo();
+    expect(missing.missingRanges).toBe(1);
+    expect(handler.getByType('page_data_unavailable')[0].message).toContain('Checksum mismatch');
+  });
+
+  test('should refuse a partial read of a truncated page', async () => {
+    await fs.writeFile(filePath, original.slice(0, 56));
+
+    await buffer.getBytes(48, 64);
+
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+    expect(handler.getByType('page_data_unavailable')[0].message).toContain('truncated');
+  });
+
+  test('should still read unchanged pages after other pages changed', async () => {
+    await fs.writeFile(filePath, original.replace('DDDD', 'dddd'));
+
+    const data = await buffer.getBytes(0, 32) as Buffer;
+
+    expect(data.toString()).toBe(original.slice(0, 32));
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Rebase Tests
+ */
+
+import { promises as fs } from 'fs';
+import { PagedBuffer, MemoryPageStorage, BufferState } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('PagedBuffer.rebase', () => {
+  // Four 16-byte pages
+  const original = 'AAAAAAAAAAAAAAAA' + 'BBBBBBBBBBBBBBBB' + 'CCCCCCCCCCCCCCCC' + 'DDDDDDDDDDDDDDDD';
+  let buffer: PagedBuffer;
+  let handler: ReturnType<typeof testUtils.createMockNotificationHandler>;
+  let filePath: string;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 8);
+    handler = testUtils.createMockNotificationHandler();
+    filePath = await testUtils.createTempFile(original);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should reload changed regions and keep unrelated local edits', async () => {
+    await testUtils.getText(buffer); // Read every page so its original content is known
+    await buffer.overwriteBytes(0, Buffer.from('aaaa'));
+    buffer.onNotification(handler.handler);
+
+    await testUtils.rewriteFile(filePath, original.replace('CCCC', 'cccc'));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(result.conflicts).toEqual([]);
+    expect(result.reloadedRanges).toEqual([{ fileOffset: 32, size: 16 }]);
+    expect(await testUtils.getText(buffer)).toBe('aaaa' + original.slice(4).replace('CCCC', 'cccc'));
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+    expect(handler.getByType('page_rebase_success')).toHaveLength(1);
+  });
+
+  test('should keep edits that shifted later pages', async () => {
+    await testUtils.getText(buffer);
+    await buffer.insertBytes(8, Buffer.from('++'));
+
+    await testUtils.rewriteFile(filePath, original.replace('DDDD', 'dddd'));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('AAAAAAAA++AAAAAAAA' + original.slice(16).replace('DDDD', 'dddd'));
+  });
+
+  test('should report a conflict when an edited region changed on disk', async () => {
+    await testUtils.getText(buffer);
+    await buffer.overwriteBytes(18, Buffer.from('bb'));
+    buffer.onNotification(handler.handler);
+
+    await testUtils.rewriteFile(filePath, original.replace('BBBB', 'XXXX').replace('CCCC', 'cccc'));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(false);
+    expect(result.conflicts).toEqual([{ fileStart: 16, fileEnd: 32, virtualStart: 16, virtualEnd: 32 }]);
+    expect(handler.getByType('page_conflict_detected')[0].metadata.conflicts).toEqual(result.conflicts);
+    expect(handler.getByType('page_rebase_failed')).toHaveLength(1);
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+
+    // The local edit wins inside the conflict; the clean page was still rebased
+    const data = await testUtils.getText(buffer);
+    expect(data.slice(16, 32)).toBe('BBbbBBBBBBBBBBBB');
+    expect(data.slice(32, 48)).toBe('ccccCCCCCCCCCCCC');
+  });
+
+  test('should keep local edits and marks across an insert elsewhere in the file', async () => {
+    await buffer.overwriteBytes(0, Buffer.from('aaaa'));
+    buffer.setMark('d', 56);
+    buffer.onNotification(handler.handler);
+
+    await testUtils.rewriteFile(filePath, original.replace('CCCC', 'CCCCEEEEEE'));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(result.reloadedRanges).toEqual([{ fileOffset: 32, size: 22 }]);
+    expect(await testUtils.getText(buffer)).toBe('aaaa' + original.slice(4).replace('CCCC', 'CCCCEEEEEE'));
+    expect(buffer.getMark('d')).toBe(62);
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+    expect(handler.getByType('page_rebase_success')).toHaveLength(1);
+
+    await buffer.saveFile();
+    expect((await fs.readFile(filePath)).toString()).toBe(await testUtils.getText(buffer));
+  });
+
+  test('should keep local edits across a delete before them', async () => {
+    await buffer.insertBytes(40, Buffer.from('++'));
+
+    await testUtils.rewriteFile(filePath, original.slice(4));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(result.reloadedRanges).toEqual([{ fileOffset: 0, size: 12 }]);
+    expect(await testUtils.getText(buffer)).toBe(original.slice(4, 40) + '++' + original.slice(40));
+  });
+
+  test('should keep local edits across an append', async () => {
+    await buffer.overwriteBytes(0, Buffer.from('aaaa'));
+
+    await testUtils.rewriteFile(filePath, original + 'EEEE');
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('aaaa' + original.slice(4) + 'EEEE');
+  });
+
+  test('should report a conflict when a resized region was edited', async () => {
+    await buffer.overwriteBytes(18, Buffer.from('bb'));
+    buffer.onNotification(handler.handler);
+
+    await testUtils.rewriteFile(filePath, original.replace('BBBB', 'BB'));
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(false);
+    expect(result.conflicts).toEqual([{ fileStart: 16, fileEnd: 32, virtualStart: 16, virtualEnd: 32 }]);
+    expect(handler.getByType('page_conflict_detected')).toHaveLength(1);
+    expect(buffer.getState()).toBe(BufferState.DETACHED);
+  });
+
+  test('should reload an unedited buffer completely', async () => {
+    await testUtils.rewriteFile(filePath, 'entirely new');
+
+    const result = await buffer.rebase();
+
+    expect(result.success).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('entirely new');
+  });
+
+  test('should serve correct data from the file after saving over it', async () => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 2);
+    await buffer.loadFile(filePath);
+    await buffer.insertBytes(0, Buffer.from('xxxx'));
+    await buffer.saveFile();
+
+    // Touch every page so earlier ones are evicted and read back from disk
+    const expected = 'xxxx' + original;
+    expect(await testUtils.getText(buffer)).toBe(expected);
+    expect(await testUtils.getText(buffer)).toBe(expected);
+    expect((await fs.readFile(filePath)).toString()).toBe(expected);
+  });
+});
+
+describe('Pages after a complete save', () => {
+  // Four 16-byte pages, at most two in memory, so most reads go to the file
+  const original = 'AAAAAAAAAAAAAAAA' + 'BBBBBBBBBBBBBBBB' + 'CCCCCCCCCCCCCCCC' + 'DDDDDDDDDDDDDDDD';
+  let buffer: PagedBuffer;
+  let filePath: string;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(16, new MemoryPageStorage(), 2);
+    filePath = await testUtils.createTempFile(original);
+    await buffer.loadFile(filePath);
+    buffer.enableUndo();
+  });
+
+  test('should undo and redo edits made after the save', async () => {
+    await buffer.insertBytes(0, Buffer.from('xxxx'));
+    await buffer.saveFile();
+    const saved = 'xxxx' + original;
+
+    await buffer.deleteBytes(10, 40);
+    await buffer.insertBytes(30, Buffer.from('yy'));
+    const edited = await testUtils.getText(buffer);
+    expect(edited).toBe(saved.slice(0, 10) + saved.slice(40, 60) + 'yy' + saved.slice(60));
+
+    await buffer.undo();
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe(saved);
+    await buffer.redo();
+    await buffer.redo();
+    expect(await testUtils.getText(buffer)).toBe(edited);
+
+    await buffer.saveFile();
+    expect((await fs.readFile(filePath)).toString()).toBe(edited);
+    expect(await testUtils.getText(buffer)).toBe(edited);
+  });
+
+  test('should undo past the save back to the loaded content', async () => {
+    await buffer.insertBytes(0, Buffer.from('xxxx'));
+    await buffer.saveFile();
+
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe(original);
+    expect(buffer.hasChanges()).toBe(true);
+
+    await buffer.saveFile();
+    expect((await fs.readFile(filePath)).toString()).toBe(original);
+  });
+
+  test('should read from the file saved to, not the one loaded', async () => {
+    const otherPath = await testUtils.createTempFile('');
+    await buffer.insertBytes(0, Buffer.from('xxxx'));
+    await buffer.saveAs(otherPath);
+
+    await fs.writeFile(filePath, 'Z'.repeat(original.length));
+    expect(await testUtils.getText(buffer)).toBe('xxxx' + original);
+    expect(buffer.getState()).toBe(BufferState.CLEAN);
+  });
+});
+
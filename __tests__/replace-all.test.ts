@@ -0,0 +1,124 @@
+/**
+ * Replace-All Tests
+ */
+
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('PagedBuffer.replaceAll', () => {
+  let buffer: PagedBuffer;
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(32, new MemoryPageStorage(), 8);
+    buffer.enableUndo();
+  });
+
+  test('should replace literals with size changes across pages', async () => {
+    buffer.loadContent('cat '.repeat(30));
+
+    const count = await buffer.replaceAll('cat', 'tiger');
+
+    expect(count).toBe(30);
+    expect(await testUtils.getText(buffer)).toBe('tiger '.repeat(30));
+    expect(buffer.getTotalSize()).toBe(180);
+  });
+
+  test('should shrink matches and keep later offsets correct', async () => {
+    buffer.loadContent('aaXXbbXXccXX');
+
+    await buffer.replaceAll(Buffer.from('XX'), Buffer.alloc(0));
+
+    expect(await testUtils.getText(buffer)).toBe('aabbcc');
+  });
+
+  test('should record a single undo transaction', async () => {
+    buffer.loadContent('one two one two one');
+
+    await buffer.replaceAll('one', '1');
+    expect(await testUtils.getText(buffer)).toBe('1 two 1 two 1');
+
+    expect(buffer.undoSystem!.getStats().undoGroups).toBe(1);
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe('one two one two one');
+
+    await buffer.redo();
+    expect(await testUtils.getText(buffer)).toBe('1 two 1 two 1');
+  });
+
+  test('should expand regex references in string replacements', async () => {
+    buffer.loadContent('x=1; y=22; z=333;');
+
+    const count = await buffer.replaceAll(/(\w)=(\d+)/, '$2:$1 ($&) $$');
+
+    expect(count).toBe(3);
+    expect(await testUtils.getText(buffer)).toBe('1:x (x=1) $; 22:y (y=22) $; 333:z (z=333) $;');
+  });
+
+  test('should accept a replacement function', async () => {
+    buffer.loadContent('a1 b2 c3');
+
+    await buffer.replaceAll(/\d/, match => String(Number(match.text) * 10));
+
+    expect(await testUtils.getText(buffer)).toBe('a10 b20 c30');
+  });
+
+  test('should limit replacements to the given range', async () => {
+    buffer.loadContent('x x x x x');
+
+    const count = await buffer.replaceAll('x', 'y', { start: 2, end: 7 });
+
+    expect(count).toBe(3);
+    expect(await testUtils.getText(buffer)).toBe('x y y y x');
+  });
+
+  test('should report progress', async () => {
+    buffer.loadContent('a-b-c-d');
+    const progress: Array<[number, number]> = [];
+
+    await buffer.replaceAll('-', '+', { onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(progress).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+
+  test('should roll back on abort and leave no undo entry', async () => {
+    const original = 'foo bar foo bar foo bar';
+    buffer.loadContent(original);
+    const controller = new AbortController();
+
+    await expect(buffer.replaceAll('foo', 'quux', {
+      signal: controller.signal,
+      onProgress: done => {
+        if (done === 2) controller.abort();
+      }
+    })).rejects.toThrow('aborted');
+
+    expect(await testUtils.getText(buffer)).toBe(original);
+    expect(buffer.inUndoTransaction()).toBe(false);
+    expect(buffer.canUndo()).toBe(false);
+  });
+
+  test('should roll back on abort when undo is disabled', async () => {
+    buffer.disableUndo();
+    const original = 'foo bar foo bar foo bar';
+    buffer.loadContent(original);
+    const controller = new AbortController();
+
+    await expect(buffer.replaceAll('foo', 'q', {
+      signal: controller.signal,
+      onProgress: done => {
+        if (done === 2) controller.abort();
+      }
+    })).rejects.toThrow('aborted');
+
+    expect(await testUtils.getText(buffer)).toBe(original);
+  });
+
+  test('should return zero when nothing matches', async () => {
+    buffer.loadContent('nothing here');
+
+    expect(await buffer.replaceAll('missing', 'x')).toBe(0);
+    expect(buffer.canUndo()).toBe(false);
+  });
+});
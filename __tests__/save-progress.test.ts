@@ -0,0 +1,135 @@
+/**
+ * Save Progress and Cancellation Tests
+ */
+
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PagedBuffer, MemoryPageStorage } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Save progress and cancellation', () => {
+  // 1280 bytes, saved 128 bytes (two pages) at a time
+  const content = Array.from({ length: 160 }, (_, i) => `row ${String(i).padStart(3, '0')}\n`).join('');
+  let filePath: string;
+  let buffer: PagedBuffer;
+
+  async function tempCopies(): Promise<string[]> {
+    const base = path.basename(filePath);
+    return (await fs.readdir(os.tmpdir())).filter(name => name.startsWith('paged-buffer-') && name.endsWith(base));
+  }
+
+  beforeEach(async () => {
+    filePath = await testUtils.createTempFile(content);
+    buffer = new PagedBuffer(64, new MemoryPageStorage(), 2);
+    await buffer.loadFile(filePath);
+  });
+
+  test('should report progress through to the total', async () => {
+    await buffer.insertBytes(0, Buffer.from('head\n'));
+    const calls: Array<[number, number]> = [];
+    await buffer.saveFile(filePath, { onProgress: (written, total) => calls.push([written, total]) });
+
+    const total = content.length + 5;
+    expect(calls.length).toBe(Math.ceil(total / 128));
+    expect(calls[0]).toEqual([128, total]);
+    expect(calls[calls.length - 1]).toEqual([total, total]);
+    expect(calls.every(([written], i) => i === 0 || written > calls[i - 1][0])).toBe(true);
+  });
+
+  test('should report progress for saveAs', async () => {
+    const target = path.join(path.dirname(filePath), `copy-${path.basename(filePath)}`);
+    let last = 0;
+    await buffer.saveAs(target, { onProgress: (written) => { last = written; } });
+
+    expect(last).toBe(content.length);
+    expect(await fs.readFile(target, 'utf8')).toBe(content);
+  });
+
+  test('should leave the original untouched when an atomic save is aborted', async () => {
+    const before = await fs.stat(filePath);
+    await buffer.deleteBytes(0, 100);
+    const controller = new AbortController();
+
+    await expect(buffer.saveFile(filePath, {
+      signal: controller.signal,
+      onProgress: (written) => { if (written >= 256) controller.abort(); }
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    const after = await fs.stat(filePath);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    expect(after.mtime.getTime()).toBe(before.mtime.getTime());
+    expect(await tempCopies()).toEqual([]);
+
+    // Still editing the loaded file, with the edit unsaved
+    expect(buffer.hasChanges()).toBe(true);
+    expect((await buffer.getBytes(0, buffer.getTotalSize()) as Buffer).toString()).toBe(content.slice(100));
+    await buffer.saveFile();
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content.slice(100));
+  });
+
+  test('should leave no partial file when a saveAs is aborted', async () => {
+    const target = path.join(path.dirname(filePath), `copy-${path.basename(filePath)}`);
+    const controller = new AbortController();
+
+    await expect(buffer.saveAs(target, {
+      signal: controller.signal,
+      onProgress: (written) => { if (written >= 256) controller.abort(); }
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    await expect(fs.access(target)).rejects.toThrow();
+    const leftovers = (await fs.readdir(path.dirname(filePath))).filter(name => name.endsWith('.tmp'));
+    expect(leftovers).toEqual([]);
+    expect(buffer.filename).toBe(filePath);
+  });
+
+  test('should keep an existing destination when a saveAs is aborted', async () => {
+    const target = await testUtils.createTempFile('previous content');
+    await fs.chmod(target, 0o640);
+    const controller = new AbortController();
+
+    await expect(buffer.saveAs(target, {
+      signal: controller.signal,
+      onProgress: (written) => { if (written >= 256) controller.abort(); }
+    })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(await fs.readFile(target, 'utf8')).toBe('previous content');
+
+    // A completed saveAs replaces it and keeps its permissions
+    await buffer.saveAs(target);
+    expect(await fs.readFile(target, 'utf8')).toBe(content);
+    expect((await fs.stat(target)).mode & 0o777).toBe(0o640);
+  });
+
+  test('should not start a save with an aborted signal', async () => {
+    await buffer.insertBytes(0, Buffer.from('x'));
+    const controller = new AbortController();
+    controller.abort();
+    const onProgress = jest.fn();
+
+    await expect(buffer.saveFile(filePath, { signal: controller.signal, onProgress })).rejects.toThrow('aborted');
+    expect(onProgress).not.toHaveBeenCalled();
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+  });
+
+  test('should roll back an aborted in-place save', async () => {
+    await buffer.overwriteBytes(10, Buffer.from('AAAA'));
+    await buffer.overwriteBytes(900, Buffer.from('BBBB'));
+    const controller = new AbortController();
+    const calls: number[] = [];
+
+    await expect(buffer.saveFile(filePath, {
+      inPlace: true,
+      signal: controller.signal,
+      onProgress: (_written, total) => {
+        calls.push(total);
+        controller.abort();
+      }
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(calls).toEqual([128]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(content);
+    expect(buffer.hasChanges()).toBe(true);
+  });
+});
@@ -347,6 +347,37 @@ class TestUtils {
     return newContent;
   }
 
+  /**
+   * Rewrite a file with an mtime a minute ahead, so its stat shows the change
+   * @param filePath - Path to file
+   * @param content - New content
+   */
+  async rewriteFile(filePath: string, content: string): Promise<void> {
+    await fs.writeFile(filePath, content);
+    const future = new Date(Date.now() + 60000);
+    await fs.utimes(filePath, future, future);
+  }
+
+  /**
+   * Rewrite a file and put its mtime back, so only its content shows the change
+   * @param filePath - Path to file
+   * @param content - New content
+   */
+  async rewriteKeepingMtime(filePath: string, content: string): Promise<void> {
+    const stats = await fs.stat(filePath);
+    await fs.writeFile(filePath, content);
+    await fs.utimes(filePath, stats.atime, stats.mtime);
+  }
+
+  /**
+   * Get a buffer's whole content as a string
+   * @param buffer - Buffer instance
+   * @returns Buffer content
+   */
+  async getText(buffer: PagedBuffer): Promise<string> {
+    return (await buffer.getBytes(0, buffer.getTotalSize()) as Buffer).toString();
+  }
+
   // Direct filesystem methods (to replace testUtils.xxx calls)
   async readFile(filePath: string, encoding?: BufferEncoding): Promise<string>;
   async readFile(filePath: string): Promise<Buffer>;
@@ -0,0 +1,237 @@
+/**
+ * Undo History Serialization and Persistence Tests
+ */
+
+import { promises as fs } from 'fs';
+import { PagedBuffer, MemoryPageStorage, type UndoPayloadStore } from '../src';
+import { SidecarUndoHistoryStore } from '../src/utils/undo-persistence';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+/**
+ * In-memory payload store that records what was written
+ */
+function createPayloadStore(): UndoPayloadStore & { payloads: Map<string, Buffer> } {
+  const payloads = new Map<string, Buffer>();
+  return {
+    payloads,
+    write: async (data: Buffer) => {
+      const ref = `payload_${payloads.size}`;
+      payloads.set(ref, Buffer.from(data));
+      return ref;
+    },
+    read: async (ref: string) => payloads.get(ref)!
+  };
+}
+
+describe('Undo Persistence', () => {
+  let buffer: PagedBuffer;
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(32, new MemoryPageStorage(), 8);
+    buffer.enableUndo({ mergeTimeWindow: 0 });
+  });
+
+  describe('serialize / deserialize', () => {
+    test('should round-trip groups, names, marks and timestamps through JSON', async () => {
+      buffer.loadContent('Hello World');
+      buffer.setMark('cursor', 6);
+      await buffer.insertBytes(5, Buffer.from(','));
+      buffer.beginUndoTransaction('Shout');
+      await buffer.overwriteBytes(7, Buffer.from('WORLD'));
+      await buffer.deleteBytes(0, 1);
+      buffer.commitUndoTransaction();
+      await buffer.undo(); // Leave something on the redo stack too
+
+      const serialized = await buffer.undoSystem!.serialize();
+      const json = JSON.parse(JSON.stringify(serialized));
+
+      const restored = new PagedBuffer(32, new MemoryPageStorage(), 8);
+      restored.enableUndo();
+      restored.loadContent(await testUtils.getText(buffer));
+      await restored.undoSystem!.deserialize(json);
+
+      const info = restored.undoSystem!.getDebugInfo();
+      expect(info.undoStack).toHaveLength(1);
+      expect(info.redoStack.map(g => g.name)).toEqual(['Shout']);
+      expect(info.undoStack[0].marksCount).toBe(1);
+      expect(json.undoStack[0].timestamp).toBe(serialized.undoStack[0].timestamp);
+
+      await restored.redo();
+      expect(await testUtils.getText(restored)).toBe('ello, WORLD');
+      await restored.undo();
+      await restored.undo();
+      expect(await testUtils.getText(restored)).toBe('Hello World');
+      expect(restored.getMark('cursor')).toBe(6);
+    });
+
+    test('should keep large payloads out of the JSON', async () => {
+      buffer.loadContent('small');
+      const large = Buffer.alloc(200, 'x');
+      await buffer.insertBytes(5, large);
+      await buffer.insertBytes(0, Buffer.from('tiny'));
+      const store = createPayloadStore();
+
+      const serialized = await buffer.undoSystem!.serialize({ payloadStore: store, inlineLimit: 16 });
+
+      expect(store.payloads.size).toBe(1);
+      const ops = serialized.undoStack.map(g => g.operations[0]);
+      expect(ops[0].data).toEqual({ length: 200, ref: 'payload_0' });
+      expect(ops[1].data!.inline).toBe(Buffer.from('tiny').toString('base64'));
+      expect(JSON.stringify(serialized)).not.toContain(large.toString('base64'));
+
+      const restored = new PagedBuffer(32, new MemoryPageStorage(), 8);
+      restored.enableUndo();
+      restored.loadContent(await testUtils.getText(buffer));
+      await restored.undoSystem!.deserialize(serialized, store);
+      await restored.undo();
+      await restored.undo();
+      expect(await testUtils.getText(restored)).toBe('small');
+    });
+
+    test('should leave history untouched when payloads cannot be read', async () => {
+      buffer.loadContent('abc');
+      await buffer.insertBytes(3, Buffer.alloc(64, 'z'));
+      const serialized = await buffer.undoSystem!.serialize({ payloadStore: createPayloadStore(), inlineLimit: 8 });
+      await buffer.insertBytes(0, Buffer.from('!'));
+
+      await expect(buffer.undoSystem!.deserialize(serialized)).rejects.toThrow('no payload store');
+      expect(buffer.undoSystem!.getStats().undoGroups).toBe(2);
+    });
+
+    test('should reject unknown versions', async () => {
+      const serialized = await buffer.undoSystem!.serialize();
+
+      await expect(buffer.undoSystem!.deserialize({ ...serialized, version: 99 })).rejects.toThrow('version');
+    });
+  });
+
+  describe('PagedBuffer persistence', () => {
+    const original = 'line one\nline two\nline three\n';
+    let filePath: string;
+
+    beforeEach(async () => {
+      filePath = await testUtils.createTempFile(original);
+    });
+
+    async function reopen(target: 'sidecar' | 'storage', storage = new MemoryPageStorage()): Promise<{ reopened: PagedBuffer; handler: ReturnType<typeof testUtils.createMockNotificationHandler> }> {
+      const reopened = new PagedBuffer(32, storage, 8);
+      const handler = testUtils.createMockNotificationHandler();
+      reopened.onNotification(handler.handler);
+      reopened.enableUndo();
+      reopened.setUndoPersistence({ target });
+      await reopened.loadFile(filePath);
+      return { reopened, handler };
+    }
+
+    test('should restore history from a sidecar after reopening', async () => {
+      buffer.setUndoPersistence({ target: 'sidecar' });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('# header\n'));
+      await buffer.deleteBytes(buffer.getTotalSize() - 11, buffer.getTotalSize());
+      await buffer.saveFile();
+
+      await fs.access(SidecarUndoHistoryStore.pathFor(filePath));
+      const { reopened, handler } = await reopen('sidecar');
+
+      expect(handler.getByType('undo_history_restored')).toHaveLength(1);
+      expect(reopened.canUndo()).toBe(true);
+      await reopened.undo();
+      await reopened.undo();
+      expect(await testUtils.getText(reopened)).toBe(original);
+    });
+
+    test('should store large payloads after the sidecar header', async () => {
+      buffer.setUndoPersistence({ target: 'sidecar', inlineLimit: 32 });
+      await buffer.loadFile(filePath);
+      const large = 'L'.repeat(500);
+      await buffer.insertBytes(0, Buffer.from(large));
+      await buffer.saveFile();
+
+      const sidecar = await fs.readFile(SidecarUndoHistoryStore.pathFor(filePath));
+      const header = sidecar.subarray(0, sidecar.indexOf(0x0A)).toString();
+      expect(header).not.toContain(Buffer.from(large).toString('base64'));
+      expect(sidecar.length).toBeGreaterThan(header.length + 500);
+
+      const { reopened } = await reopen('sidecar');
+      await reopened.undo();
+      expect(await testUtils.getText(reopened)).toBe(original);
+    });
+
+    test('should ignore history when the file changed since it was saved', async () => {
+      buffer.setUndoPersistence({ target: 'sidecar' });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('edit '));
+      await buffer.saveFile();
+      await fs.writeFile(filePath, 'changed elsewhere');
+
+      const { reopened, handler } = await reopen('sidecar');
+
+      expect(reopened.canUndo()).toBe(false);
+      expect(handler.getByType('undo_history_discarded')[0].metadata.reason).toBe('fingerprint_mismatch');
+    });
+
+    test('should persist into the configured page storage', async () => {
+      const storage = new MemoryPageStorage();
+      buffer = new PagedBuffer(32, storage, 8);
+      buffer.enableUndo();
+      buffer.setUndoPersistence({ target: 'storage', inlineLimit: 4 });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('stored in pages\n'));
+      await buffer.saveFile();
+
+      await expect(fs.access(SidecarUndoHistoryStore.pathFor(filePath))).rejects.toThrow();
+      const { reopened } = await reopen('storage', storage);
+
+      await reopened.undo();
+      expect(await testUtils.getText(reopened)).toBe(original);
+    });
+
+    test('should replace earlier history on the next save', async () => {
+      buffer.setUndoPersistence({ target: 'sidecar' });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('one '));
+      await buffer.saveFile();
+      await buffer.insertBytes(0, Buffer.from('two '));
+      await buffer.saveFile();
+
+      const { reopened } = await reopen('sidecar');
+
+      expect(reopened.undoSystem!.getStats().undoGroups).toBe(2);
+      await reopened.undo();
+      expect(await testUtils.getText(reopened)).toBe('one ' + original);
+    });
+
+    test('should report that history cannot be saved without a fingerprint', async () => {
+      const handler = testUtils.createMockNotificationHandler();
+      buffer.onNotification(handler.handler);
+      buffer.setFingerprintStrategy({ strategy: 'none' });
+      buffer.setUndoPersistence({ target: 'sidecar' });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('x'));
+      await buffer.saveFile();
+
+      expect(handler.getByType('undo_history_save_failed')[0].metadata.reason).toBe('no_fingerprint');
+      await expect(fs.access(SidecarUndoHistoryStore.pathFor(filePath))).rejects.toThrow();
+    });
+
+    test('should restore once a lazy fingerprint is ready', async () => {
+      buffer.setFingerprintStrategy({ strategy: 'lazy' });
+      buffer.setUndoPersistence({ target: 'sidecar' });
+      await buffer.loadFile(filePath);
+      await buffer.insertBytes(0, Buffer.from('lazy '));
+      await buffer.saveFile();
+
+      const reopened = new PagedBuffer(32, new MemoryPageStorage(), 8);
+      reopened.enableUndo();
+      reopened.setFingerprintStrategy({ strategy: 'lazy' });
+      reopened.setUndoPersistence({ target: 'sidecar' });
+      await reopened.loadFile(filePath);
+      expect(reopened.canUndo()).toBe(false);
+
+      await reopened.waitForFingerprint();
+      expect(reopened.canUndo()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Undo Tree Tests
+ */
+
+import { PagedBuffer, MemoryPageStorage, isBufferBusyError } from '../src';
+import { BufferUndoSystem } from '../src/undo-system';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Undo Tree', () => {
+  let buffer: PagedBuffer;
+  let undo: BufferUndoSystem;
+  let currentTime: number;
+
+  /**
+   * Build:  root - A - B - C
+   *                 \
+   *                  D
+   */
+  async function buildBranches(): Promise<void> {
+    await buffer.insertBytes(0, Buffer.from('A'));
+    await buffer.insertBytes(1, Buffer.from('B'));
+    await buffer.insertBytes(2, Buffer.from('C'));
+    await buffer.undo();
+    await buffer.undo();
+    await buffer.insertBytes(1, Buffer.from('D'));
+  }
+
+  beforeEach(() => {
+    buffer = new PagedBuffer(32, new MemoryPageStorage(), 8);
+    buffer.loadContent('');
+    buffer.enableUndo({ mergeTimeWindow: 0, undoTree: true });
+    undo = buffer.undoSystem!;
+
+    // Every operation a second apart, so none of them merge
+    currentTime = 1000;
+    undo.setClock(() => (currentTime += 1000));
+  });
+
+  test('should keep undone operations as a branch', async () => {
+    await buildBranches();
+
+    expect(await testUtils.getText(buffer)).toBe('AD');
+    expect(buffer.canRedo()).toBe(false);
+
+    const branches = buffer.getUndoBranches();
+    expect(branches).toHaveLength(2);
+    expect(branches.map(branch => branch.depth)).toEqual([3, 2]);
+    expect(branches.map(branch => branch.containsCurrent)).toEqual([false, true]);
+  });
+
+  test('should discard undone operations without tree mode', async () => {
+    undo.configure({ undoTree: false });
+    await buildBranches();
+
+    expect(undo.isTreeMode()).toBe(false);
+    expect(() => buffer.getUndoBranches()).toThrow('not enabled');
+    expect(undo.getStats().undoGroups).toBe(2);
+  });
+
+  test('should jump to a node on another branch', async () => {
+    await buildBranches();
+    const [oldBranch] = buffer.getUndoBranches();
+
+    expect(await buffer.jumpToUndoNode(oldBranch.tipId)).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('ABC');
+    expect(undo.getCurrentNodeId()).toBe(oldBranch.tipId);
+    expect(await buffer.jumpToUndoNode(oldBranch.tipId)).toBe(false);
+
+    // Jumping to the root undoes everything
+    const rootId = undo.getDebugInfo().tree!.rootId;
+    await buffer.jumpToUndoNode(rootId);
+    expect(await testUtils.getText(buffer)).toBe('');
+
+    await expect(buffer.jumpToUndoNode('nope')).rejects.toThrow('Unknown undo tree node');
+  });
+
+  test('should redo along the branch last visited', async () => {
+    await buildBranches();
+    const [oldBranch] = buffer.getUndoBranches();
+    await buffer.jumpToUndoNode(oldBranch.tipId);
+
+    await buffer.undo();
+    await buffer.undo();
+    expect(await testUtils.getText(buffer)).toBe('A');
+
+    await buffer.redo();
+    await buffer.redo();
+    expect(await testUtils.getText(buffer)).toBe('ABC');
+    expect(buffer.canRedo()).toBe(false);
+  });
+
+  test('should move through states chronologically', async () => {
+    await buildBranches();
+
+    // States in creation order: '', A, AB, ABC, AD
+    expect(await buffer.undoEarlier()).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('ABC');
+    expect(await buffer.undoEarlier(2)).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('A');
+    expect(await buffer.undoEarlier(10)).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('');
+    expect(await buffer.undoEarlier()).toBe(false);
+
+    expect(await buffer.undoLater(3)).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('ABC');
+    expect(await buffer.undoLater()).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('AD');
+    expect(await buffer.undoLater()).toBe(false);
+  });
+
+  test('should restore marks when jumping', async () => {
+    buffer.loadContent('xy');
+    buffer.setMark('m', 1);
+    await buffer.insertBytes(0, Buffer.from('A'));
+    await buffer.undo();
+    await buffer.insertBytes(2, Buffer.from('B'));
+    expect(buffer.getMark('m')).toBe(1);
+
+    const [first] = buffer.getUndoBranches();
+    await buffer.jumpToUndoNode(first.tipId);
+    expect(await testUtils.getText(buffer)).toBe('Axy');
+    expect(buffer.getMark('m')).toBe(2);
+  });
+
+  test('should not merge into a node that has branches', async () => {
+    undo.configure({ mergeTimeWindow: 15000, mergePositionWindow: 1000 });
+    undo.setClock(() => currentTime);
+    await buffer.insertBytes(0, Buffer.from('A'));
+    await buffer.insertBytes(1, Buffer.from('B'));
+    await buffer.insertBytes(2, Buffer.from('C'));
+    expect(undo.getStats().undoGroups).toBe(1);
+
+    await buffer.undo();
+    await buffer.insertBytes(0, Buffer.from('X'));
+    await buffer.insertBytes(1, Buffer.from('Y'));
+
+    // Typing after the undo merges into one new child of the root
+    expect(buffer.getUndoBranches()).toHaveLength(2);
+    expect(undo.getStats().undoGroups).toBe(1);
+    expect(await testUtils.getText(buffer)).toBe('XY');
+  });
+
+  test('should describe the tree in debug info', async () => {
+    await buildBranches();
+    const tree = undo.getDebugInfo().tree!;
+
+    expect(tree.nodeCount).toBe(5);
+    expect(tree.branchCount).toBe(2);
+    expect(tree.root.children).toHaveLength(1);
+    expect(tree.root.children[0].children.map(child => child.operationCount)).toEqual([1, 1]);
+    expect(tree.root.children[0].children[1].isCurrent).toBe(true);
+    expect(tree.currentId).toBe(undo.getCurrentNodeId());
+
+    undo.configure({ undoTree: false });
+    expect(undo.getDebugInfo().tree).toBeNull();
+  });
+
+  test('should link existing history when tree mode is enabled later', async () => {
+    undo.configure({ undoTree: false });
+    await buffer.insertBytes(0, Buffer.from('A'));
+    await buffer.insertBytes(1, Buffer.from('B'));
+    await buffer.undo();
+
+    undo.configure({ undoTree: true });
+    expect(buffer.getUndoBranches()).toHaveLength(1);
+
+    await buffer.insertBytes(1, Buffer.from('C'));
+    expect(buffer.getUndoBranches()).toHaveLength(2);
+  });
+
+  test('should prune branches below the oldest reachable state', async () => {
+    undo.configure({ maxUndoLevels: 2 });
+    await buffer.insertBytes(0, Buffer.from('A'));
+    await buffer.undo();
+    await buffer.insertBytes(0, Buffer.from('B'));
+    await buffer.insertBytes(1, Buffer.from('C'));
+    await buffer.insertBytes(2, Buffer.from('D'));
+
+    // 'B' became the root, dropping the 'A' branch forked below it
+    expect(buffer.getUndoBranches()).toHaveLength(1);
+    await buffer.undoEarlier(10);
+    expect(await testUtils.getText(buffer)).toBe('B');
+  });
+
+  test('should serialize and restore the whole tree', async () => {
+    await buildBranches();
+    const history = await undo.serialize();
+    expect(history.tree!.nodes).toHaveLength(4);
+
+    const restored = new PagedBuffer(32, new MemoryPageStorage(), 8);
+    restored.loadContent('AD');
+    restored.enableUndo({ undoTree: true });
+    await restored.undoSystem!.deserialize(JSON.parse(JSON.stringify(history)));
+
+    expect(restored.getUndoBranches()).toHaveLength(2);
+    await restored.undoEarlier();
+    expect(await testUtils.getText(restored)).toBe('ABC');
+  });
+
+  test('should restore only the current path into a linear history', async () => {
+    await buildBranches();
+    const history = await undo.serialize();
+
+    const restored = new PagedBuffer(32, new MemoryPageStorage(), 8);
+    restored.loadContent('AD');
+    restored.enableUndo();
+    await restored.undoSystem!.deserialize(history);
+
+    expect(restored.undoSystem!.getStats().undoGroups).toBe(2);
+    await restored.undo();
+    await restored.undo();
+    expect(await testUtils.getText(restored)).toBe('');
+  });
+
+  test('should queue moves behind other operations', async () => {
+    await buildBranches();
+    const [oldBranch] = buffer.getUndoBranches();
+
+    const edit = buffer.insertBytes(2, Buffer.from('E'));
+    const jumped = buffer.jumpToUndoNode(oldBranch.tipId);
+    await edit;
+    expect(await jumped).toBe(true);
+    expect(await testUtils.getText(buffer)).toBe('ABC');
+
+    buffer.setBusyBehavior('reject');
+    const pending = buffer.insertBytes(0, Buffer.from('F'));
+    const rejected = buffer.undoEarlier().catch(error => error);
+    await pending;
+    const error = await rejected;
+    expect(isBufferBusyError(error)).toBe(true);
+    expect(error.message).toContain('undoEarlier');
+  });
+
+  test('should refuse to jump during a transaction', async () => {
+    await buildBranches();
+    buffer.beginUndoTransaction('edit');
+
+    await expect(buffer.jumpToUndoNode(buffer.getUndoBranches()[0].tipId)).rejects.toThrow('during a transaction');
+    await buffer.rollbackUndoTransaction();
+  });
+});
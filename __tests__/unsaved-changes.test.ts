@@ -0,0 +1,104 @@
+/**
+ * Unsaved Changes Tests - getModifiedRanges() and diffAgainstOriginal()
+ */
+
+import { PagedBuffer } from '../src';
+import { testUtils } from './setup';
+
+jest.setTimeout(10000);
+
+describe('Unsaved changes', () => {
+  // 560 bytes: nine 64-byte pages, the last one partial
+  const content = Array.from({ length: 80 }, (_, i) => `row ${String(i).padStart(2, '0')}\n`).join('');
+  let buffer: PagedBuffer;
+
+  beforeEach(async () => {
+    buffer = new PagedBuffer(64);
+    await buffer.loadFile(await testUtils.createTempFile(content));
+  });
+
+  test('should report nothing for an unedited buffer', async () => {
+    expect(buffer.getModifiedRanges()).toEqual([]);
+    expect(await buffer.diffAgainstOriginal()).toEqual([]);
+  });
+
+  test('should report page-granular regions without reading other pages', async () => {
+    await buffer.insertBytes(130, Buffer.from('NEW'));
+    const loaded = buffer.getMemoryStats().loadedPages;
+
+    expect(buffer.getModifiedRanges()).toEqual([
+      { bufferStart: 128, bufferEnd: 195, fileStart: 128, fileEnd: 192 }
+    ]);
+    expect(buffer.getMemoryStats().loadedPages).toBe(loaded);
+  });
+
+  test('should narrow an insert to the inserted bytes', async () => {
+    await buffer.insertBytes(130, Buffer.from('NEW'));
+
+    expect(await buffer.diffAgainstOriginal()).toEqual([
+      { type: 'insert', bufferStart: 130, bufferEnd: 133, fileStart: 130, fileEnd: 130 }
+    ]);
+  });
+
+  test('should report pages deleted outright', async () => {
+    await buffer.deleteBytes(64, 256);
+
+    expect(buffer.getModifiedRanges()).toEqual([
+      { bufferStart: 64, bufferEnd: 64, fileStart: 64, fileEnd: 256 }
+    ]);
+    expect(await buffer.diffAgainstOriginal()).toEqual([
+      { type: 'delete', bufferStart: 64, bufferEnd: 64, fileStart: 64, fileEnd: 256 }
+    ]);
+  });
+
+  test('should split separate edits within a page into hunks', async () => {
+    await buffer.overwriteBytes(200, Buffer.from('XY'));
+    await buffer.deleteBytes(220, 224);
+    await buffer.insertBytes(500, Buffer.from('tail'));
+
+    expect(await buffer.diffAgainstOriginal()).toEqual([
+      { type: 'replace', bufferStart: 200, bufferEnd: 202, fileStart: 200, fileEnd: 202 },
+      { type: 'delete', bufferStart: 220, bufferEnd: 220, fileStart: 220, fileEnd: 224 },
+      { type: 'insert', bufferStart: 500, bufferEnd: 504, fileStart: 504, fileEnd: 504 }
+    ]);
+  });
+
+  test('should find no hunks where edits were undone', async () => {
+    buffer.enableUndo();
+    await buffer.insertBytes(10, Buffer.from('temporary'));
+    await buffer.undo();
+
+    expect(buffer.getModifiedRanges().length).toBeGreaterThan(0);
+    expect(await buffer.diffAgainstOriginal()).toEqual([]);
+  });
+
+  test('should report nothing once saved', async () => {
+    await buffer.insertBytes(10, Buffer.from('saved'));
+    await buffer.saveFile();
+
+    expect(buffer.getModifiedRanges()).toEqual([]);
+    expect(await buffer.diffAgainstOriginal()).toEqual([]);
+  });
+
+  test('should report an oversized region as one hunk without reading it', async () => {
+    const size = 600 * 1024;
+    buffer = new PagedBuffer(64 * 1024);
+    await buffer.loadFile(await testUtils.createTempFile('a'.repeat(size)));
+    await buffer.overwriteBytes(0, Buffer.alloc(size, 'b'));
+    const readSpy = jest.spyOn(buffer.virtualPageManager, 'readSourceRange');
+
+    expect(await buffer.diffAgainstOriginal()).toEqual([
+      { type: 'replace', bufferStart: 0, bufferEnd: size, fileStart: 0, fileEnd: size }
+    ]);
+    expect(readSpy).not.toHaveBeenCalled();
+  });
+
+  test('should treat a buffer without a file as one insert', async () => {
+    buffer = new PagedBuffer(64);
+    buffer.loadContent('hello\nworld\n');
+
+    expect(await buffer.diffAgainstOriginal()).toEqual([
+      { type: 'insert', bufferStart: 0, bufferEnd: 12, fileStart: 0, fileEnd: 0 }
+    ]);
+  });
+});
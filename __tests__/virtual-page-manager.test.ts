@@ -425,6 +425,14 @@ describe('VirtualPageManager', () => {
       );
     });
 
+    test('should keep the data of both halves after a split', async () => {
+      await manager.insertAt(8, Buffer.from('X'.repeat(20)));
+
+      const result = await manager.readRange(0, manager.getTotalSize());
+      expect(result.toString()).toBe('ABCDEFGH' + 'X'.repeat(20) + 'IJKLMNOP');
+      expect(mockBuffer._markAsDetached).not.toHaveBeenCalled();
+    });
+
     test('should handle insertions that span multiple pages', async () => {
       // Create multi-page content first
       const content = Buffer.from('A'.repeat(40)); // 40 bytes = 3 pages
@@ -482,6 +490,17 @@ describe('VirtualPageManager', () => {
       expect(result.toString()).toBe('ABCDEFGHIJUVWXYZ');
     });
 
+    test('should keep following pages addressed after a merge', async () => {
+      manager.initializeFromContent(Buffer.from('0123456789abcdefghijklmnopqrstuvWXYZWXYZWXYZWXYZ'));
+
+      // Leaves a 2-byte middle page, which merges into the first one
+      await manager.deleteRange(16, 30);
+      manager.addressIndex.validate();
+
+      const result = await manager.readRange(0, manager.getTotalSize());
+      expect(result.toString()).toBe('0123456789abcdefuvWXYZWXYZWXYZWXYZ');
+    });
+
     test('should clean up empty pages', async () => {
       // Delete entire first page
       await manager.deleteRange(0, 16);
@@ -15,7 +15,7 @@
  * await buffer.insertBytes(100, Buffer.from('Hello'));
  * 
  * // Line operations
- * const lineCount = await buffer.getLineCount();
+ * const { count: lineCount } = buffer.getLineCount();
  * const lineInfo = await buffer.getLineInfo(5); // Get info about line 5
  * 
  * // Named marks
@@ -34,15 +34,60 @@
  * @version 2.2.0
  */
 
-import { PagedBuffer } from './paged-buffer';
+import {
+  PagedBuffer,
+  type JournalOptions,
+  type RecoveryResult,
+  type BusyBehavior,
+  type BufferEdit,
+  type AppliedEdit,
+  type RangeOptions,
+  type LoadMarksOptions,
+  type MarksLoadResult,
+  type LineIndexOptions,
+  type LineText,
+  type ModifiedRange,
+  type DiffHunk
+} from './paged-buffer';
 import { BufferOperation, OperationType } from './buffer-operation';
-import { BufferUndoSystem, OperationGroup } from './undo-system';
-import { PageStorage } from './storage/page-storage';
+import { type MarkGravity, type MarkRange, type LineCount } from './types/common';
+import {
+  BufferUndoSystem,
+  OperationGroup,
+  type SerializedUndoHistory,
+  type UndoPayloadStore,
+  type UndoBranchInfo,
+  type UndoTreeDebugInfo
+} from './undo-system';
+import { type UndoPersistenceOptions } from './utils/undo-persistence';
+import { PageStorage, isPageAuthenticationError } from './storage/page-storage';
 import { FilePageStorage } from './storage/file-page-storage';
 import { MemoryPageStorage } from './storage/memory-page-storage';
+import {
+  CompressedPageStorage,
+  type CompressionAlgorithm,
+  type CompressedPageStorageOptions,
+  type CompressedStorageStats
+} from './storage/compressed-page-storage';
+import {
+  PackFilePageStorage,
+  type PackFilePageStorageOptions,
+  type PackStorageStats
+} from './storage/pack-file-page-storage';
+import {
+  EncryptedPageStorage,
+  type EncryptedPageStorageOptions
+} from './storage/encrypted-page-storage';
 import { PageInfo, LineInfo, MarkInfo } from './utils/page-info';
 import { VirtualPageManager, PageDescriptor, PageAddressIndex } from './virtual-page-manager';
 import { LineAndMarksManager, LineOperationResult, ExtractedContent } from './utils/line-marks-manager';
+import { BufferSearch, type SearchOptions, type SearchMatch, type SearchDirection } from './utils/buffer-search';
+import { type ReadStreamOptions } from './utils/buffer-stream';
+import { BufferSnapshot } from './utils/buffer-snapshot';
+import { rollbackInPlaceSave } from './utils/in-place-save';
+import { isBufferBusyError } from './utils/operation-queue';
+import { type PatchFormat, type PatchFingerprint } from './utils/buffer-patch';
+import { type FingerprintOptions, type FingerprintStrategy } from './utils/file-fingerprint';
 import { 
   BufferState, 
   FileChangeStrategy 
@@ -64,11 +109,23 @@ export {
   BufferUndoSystem,
   VirtualPageManager,
   LineAndMarksManager,
+  BufferSearch,
+  BufferSnapshot,
   
   // Storage implementations
   PageStorage,
   FilePageStorage,
   MemoryPageStorage,
+  PackFilePageStorage,
+  CompressedPageStorage,
+  EncryptedPageStorage,
+  isPageAuthenticationError,
+  
+  // Save recovery
+  rollbackInPlaceSave,
+  
+  // Operation queue
+  isBufferBusyError,
   
   // Enhanced utility classes
   PageInfo,
@@ -98,6 +155,100 @@ export {
   FileChangeStrategy
 };
 
+// Search types
+export type {
+  SearchOptions,
+  SearchMatch,
+  SearchDirection
+};
+
+// Pack storage types
+export type {
+  PackFilePageStorageOptions,
+  PackStorageStats
+};
+
+// Compressed storage types
+export type {
+  CompressionAlgorithm,
+  CompressedPageStorageOptions,
+  CompressedStorageStats
+};
+
+// Encrypted storage types
+export type {
+  EncryptedPageStorageOptions
+};
+
+// Streaming types
+export type {
+  ReadStreamOptions
+};
+
+// File fingerprint types
+export type {
+  FingerprintOptions,
+  FingerprintStrategy
+};
+
+// Undo history persistence types
+export type {
+  SerializedUndoHistory,
+  UndoPayloadStore,
+  UndoPersistenceOptions
+};
+
+// Undo tree types
+export type {
+  UndoBranchInfo,
+  UndoTreeDebugInfo
+};
+
+// Unsaved change and patch types
+export type {
+  ModifiedRange,
+  DiffHunk,
+  PatchFormat,
+  PatchFingerprint
+};
+
+// Crash-recovery journal types
+export type {
+  JournalOptions,
+  RecoveryResult
+};
+
+// Operation queue types
+export type {
+  BusyBehavior
+};
+
+// Batched edit types
+export type {
+  BufferEdit,
+  AppliedEdit
+};
+
+// Mark gravity and named range types
+export type {
+  MarkGravity,
+  MarkRange,
+  RangeOptions
+};
+
+// Marks persistence types
+export type {
+  LoadMarksOptions,
+  MarksLoadResult
+};
+
+// Line types
+export type {
+  LineCount,
+  LineIndexOptions,
+  LineText
+};
+
 // Default export for convenience
 export default {
   // Core classes
@@ -105,11 +256,23 @@ export default {
   BufferUndoSystem,
   VirtualPageManager,
   LineAndMarksManager,
+  BufferSearch,
+  BufferSnapshot,
   
   // Storage implementations
   PageStorage,
   FilePageStorage,
   MemoryPageStorage,
+  PackFilePageStorage,
+  CompressedPageStorage,
+  EncryptedPageStorage,
+  isPageAuthenticationError,
+  
+  // Save recovery
+  rollbackInPlaceSave,
+  
+  // Operation queue
+  isBufferBusyError,
   
   // Enhanced utility classes
   PageInfo,
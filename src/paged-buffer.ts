@@ -5,21 +5,70 @@
  * @version 2.3.0 - Page coordinate marks system
  */
 
-import { promises as fs } from 'fs';
-import * as crypto from 'crypto';
+import { promises as fs, watch as watchFile, type FSWatcher, type Stats } from 'fs';
 import * as path from 'path';
 import * as os from 'os';
+import { type Readable } from 'stream';
 import { logger } from './utils/logger';
-import { BufferUndoSystem } from './undo-system';
+import { BufferUndoSystem, type UndoBranchInfo } from './undo-system';
 import { MemoryPageStorage } from './storage/memory-page-storage';
-import { VirtualPageManager } from './virtual-page-manager';
+import { VirtualPageManager, type FileRange, type ContentChange, type ModifiedRange } from './virtual-page-manager';
 import { LineAndMarksManager, ExtractedContent } from './utils/line-marks-manager';
+import {
+  hashFullFile,
+  hashSampledFile,
+  hashContent,
+  hashFileTail,
+  createWriteHash,
+  isMtimeAmbiguous,
+  DEFAULT_FINGERPRINT_OPTIONS,
+  type FingerprintOptions,
+  type FingerprintStrategy
+} from './utils/file-fingerprint';
+import {
+  SidecarUndoHistoryStore,
+  StorageUndoHistoryStore,
+  fingerprintsMatch,
+  type UndoHistoryStore,
+  type UndoPersistenceOptions,
+  type PersistedFingerprint
+} from './utils/undo-persistence';
+import {
+  EditJournal,
+  journalBaselineMatches,
+  JOURNAL_VERSION,
+  type JournalHeader
+} from './utils/edit-journal';
+import { BufferSearch, type SearchOptions, type SearchMatch } from './utils/buffer-search';
+import { readChunks, createChunkStream, type ReadStreamOptions } from './utils/buffer-stream';
+import { BufferSnapshot } from './utils/buffer-snapshot';
+import { diffBytes, MAX_DIFF_REGION_SIZE } from './utils/byte-diff';
+import { writeInPlace, hasInPlaceJournal, inPlaceJournalPath } from './utils/in-place-save';
+import {
+  encodeBinaryPatch,
+  createUnifiedPatch,
+  parsePatch,
+  resolveLineHunks,
+  type PatchFormat,
+  type PatchFingerprint,
+  type PatchEdit,
+  type PatchSource
+} from './utils/buffer-patch';
+import { throwIfAborted } from './utils/abort';
+import { replaceRange, runReplacementBatch, type ReplacementPrimitives, type Replace } from './utils/replacement-batch';
+import { OperationQueue, type BusyBehavior } from './utils/operation-queue';
+import { marksSidecarPath, writeMarksFile, readMarksFile } from './utils/marks-persistence';
 
 import {
+  OperationType,
   type IBuffer,
   type MarkInfo,
+  type MarkGravity,
+  type MarkRange,
   type LineCharPosition,
-  type RelativeMarkTuple
+  type LineCount,
+  type RelativeMarkTuple,
+  type ByteSource
 } from './types/common';
 
 // Import buffer-specific types (these would need to be created)
@@ -38,7 +87,25 @@ enum FileChangeStrategy {
 enum NotificationType {
   BUFFER_DETACHED = 'buffer_detached',
   FILE_MODIFIED_ON_DISK = 'file_modified_on_disk',
+  FILE_SIZE_CHANGED = 'file_size_changed',
+  FILE_DELETED = 'file_deleted',
+  FILE_FINGERPRINT_READY = 'file_fingerprint_ready',
+  FILE_APPENDED = 'file_appended',
+  IN_PLACE_SAVE_INTERRUPTED = 'in_place_save_interrupted',
   PAGE_SPLIT = 'page_split',
+  PAGE_CONFLICT_DETECTED = 'page_conflict_detected',
+  PAGE_REBASE_SUCCESS = 'page_rebase_success',
+  PAGE_REBASE_FAILED = 'page_rebase_failed',
+  RANGES_COLLAPSED = 'ranges_collapsed',
+  MARKS_FILE_CHANGED = 'marks_file_changed',
+  MARKS_SAVE_FAILED = 'marks_save_failed',
+  LINE_INDEX_COMPLETE = 'line_index_complete',
+  UNDO_HISTORY_SAVED = 'undo_history_saved',
+  UNDO_HISTORY_RESTORED = 'undo_history_restored',
+  UNDO_HISTORY_DISCARDED = 'undo_history_discarded',
+  UNDO_HISTORY_SAVE_FAILED = 'undo_history_save_failed',
+  JOURNAL_WRITE_FAILED = 'journal_write_failed',
+  JOURNAL_RECOVERED = 'journal_recovered',
   PAGE_MERGED = 'page_merged',
   STORAGE_ERROR = 'storage_error'
 }
@@ -74,14 +141,102 @@ interface Storage {
   savePage(pageKey: string, data: Buffer): Promise<void>;
   loadPage(pageKey: string): Promise<Buffer>;
   deletePage(pageKey: string): Promise<void>;
+  getTempDir?(): string | null;
 }
 
 interface SaveOptions {
   forcePartialSave?: boolean;
   allowDetached?: boolean;
   isAtomicSave?: boolean;
+  /**
+   * Write only the changed ranges over the file being saved, when the size
+   * is unchanged and every change keeps its file offset. Falls back to a
+   * full save otherwise.
+   */
+  inPlace?: boolean;
+  /** Called after each chunk with the bytes of the buffer saved so far */
+  onProgress?: (bytesWritten: number, totalBytes: number) => void;
+  /** Aborting a save over the loaded file puts the original content back */
+  signal?: AbortSignal;
+}
+
+/** Where a save writes the buffer's bytes */
+interface FileWriter {
+  write(data: Buffer): Promise<unknown>;
+}
+
+interface ReplaceAllOptions {
+  /** First address to search (default: 0) */
+  start?: number;
+  /** Matches must end at or before this address (default: end of buffer) */
+  end?: number;
+  /** Name recorded for the undo transaction */
+  transactionName?: string;
+  /** Called after each replacement with the number done and the total */
+  onProgress?: (replaced: number, total: number) => void;
+  /** Aborting rolls back every replacement already applied */
+  signal?: AbortSignal;
+}
+
+interface LineIndexOptions {
+  /** Called after each page with the bytes indexed so far and the total to index */
+  onProgress?: (indexedBytes: number, totalBytes: number) => void;
+  /** Aborting stops between pages; pages already indexed stay indexed */
+  signal?: AbortSignal;
+}
+
+/**
+ * One edit of a batch: replace [start, end) with data. Every edit of a
+ * batch is given in the coordinates of the content before any of them.
+ */
+interface BufferEdit {
+  start: number;
+  end: number;
+  /** Bytes to put in place of [start, end) (default: none, a deletion) */
+  data?: Buffer;
+  /** Marks to set within the new data, relative to its start */
+  marks?: MarkInfo[] | RelativeMarkTuple[];
+}
+
+/**
+ * Where an edit's data ended up once the whole batch was applied
+ */
+interface AppliedEdit {
+  start: number;
+  end: number;
+}
+
+/**
+ * What loadMarks() does with marks saved against content that has changed
+ * - clamp: keep them, moving any past the end back to it
+ * - drop: set none of them
+ */
+interface LoadMarksOptions {
+  ifChanged?: 'clamp' | 'drop';
+}
+
+/**
+ * Outcome of loadMarks(); names cover marks and ranges alike
+ */
+interface MarksLoadResult {
+  /** Whether the content differs from what the marks were saved against */
+  changed: boolean;
+  restored: string[];
+  /** Restored, but moved back to the end of the content */
+  clamped: string[];
+  dropped: string[];
+}
+
+/**
+ * Gravity of each end of a named range
+ */
+interface RangeOptions {
+  startGravity?: MarkGravity;
+  endGravity?: MarkGravity;
 }
 
+type ReplacementValue = Buffer | string | ((match: SearchMatch) => Buffer | string);
+
 interface UndoConfig {
   maxUndoLevels?: number;
   [key: string]: any;
@@ -100,6 +255,14 @@ interface LineOperationResult {
   isExact: boolean;
 }
 
+/**
+ * A line with exact bounds and its content
+ */
+interface LineText extends LineOperationResult {
+  /** Line content decoded as UTF-8, without its \n or \r\n line ending */
+  text: string;
+}
+
 interface FileChangeInfo {
   changed: boolean;
   sizeChanged?: boolean;
@@ -107,6 +270,55 @@ interface FileChangeInfo {
   newSize?: number;
   newMtime?: Date;
   deleted?: boolean;
+  /** What produced the verdict: size/mtime alone, or the file fingerprint */
+  checkedBy?: FingerprintStrategy | 'metadata';
+}
+
+interface RebaseConflict {
+  fileStart: number;
+  fileEnd: number;
+  virtualStart: number;
+  virtualEnd: number;
+}
+
+interface RebaseResult {
+  success: boolean;
+  reason?: string;
+  reloadedRanges: FileRange[];
+  conflicts: RebaseConflict[];
+}
+
+interface DiffHunk extends ModifiedRange {
+  type: 'insert' | 'delete' | 'replace';
+}
+
+interface JournalOptions {
+  /** Where the journal lives (default: the page storage's directory, through any wrappers) */
+  directory?: string;
+  /** Operations appended between checkpoints (default: 1000) */
+  checkpointInterval?: number;
+}
+
+interface RecoveryResult {
+  filename: string;
+  /** Operations replayed on top of the last checkpoint */
+  replayedOperations: number;
+  size: number;
+}
+
+interface WatchOptions {
+  /** Poll with fs.stat every `fileCheckInterval` ms instead of using fs.watch */
+  usePolling?: boolean;
+  /** Override the polling interval (defaults to `fileCheckInterval`) */
+  interval?: number;
+  /**
+   * Follow a growing file (tail -f): when the file only gained bytes at its
+   * end, extend the buffer with them instead of applying the change strategy.
+   * Truncation or a rewrite of the known content detaches the buffer. The
+   * file's last page is hashed first (waitForWatchCheck() waits for it); a
+   * file that changes before then cannot be verified and detaches too.
+   */
+  follow?: boolean;
 }
 
 interface BufferStatus {
@@ -212,6 +424,14 @@ class PagedBuffer implements IBuffer {
   public fileMtime: Date | null = null;
   public fileChecksum: string | null = null;
   
+  // Source file fingerprint: configured options, and those that produced fileChecksum
+  private fingerprintOptions: FingerprintOptions = { ...DEFAULT_FINGERPRINT_OPTIONS };
+  private _fingerprintUsed: FingerprintOptions | null = null;
+  private _fingerprintTask: Promise<void> | null = null;
+  private _fingerprintGeneration: number = 0;
+  // When fileSize/fileMtime were last taken from the file
+  private _statTakenAt: number = 0;
+  
   // Virtual Page Manager
   public virtualPageManager: VirtualPageManager;
   
@@ -242,8 +462,37 @@ class PagedBuffer implements IBuffer {
   public lastFileCheck: number | null = null;
   public fileCheckInterval: number = 5000;
   
+  // File watching
+  private _watcher: FSWatcher | null = null;
+  private _pollTimer: ReturnType<typeof setInterval> | null = null;
+  private _watchCheck: Promise<void> | null = null;
+  private _watchCheckQueued: boolean = false;
+  private _watchOptions: WatchOptions = {};
+  private _lastObservedStat: { size: number; mtimeMs: number } | null = null;
+  // In follow mode, a hash of the file's last page, checked before taking an append
+  private _followTail: { end: number; algorithm: string; checksum: string } | null = null;
+  private _followTailTask: Promise<void> | null = null;
+  private _saveInProgress: number = 0;
+  
+  // Edits, saves and async reads run one at a time through this queue. The
+  // public methods queue; their _-prefixed bodies call each other directly.
+  // Each settles only once the journal records of its changes are on disk.
+  private _operations: OperationQueue = new OperationQueue(() => this.flushJournal());
+  
   // Undo/Redo system
   public undoSystem: BufferUndoSystem | null = null;
+  private undoPersistence: UndoPersistenceOptions | null = null;
+  
+  // Write the marks sidecar after every saveFile()
+  private marksAutoSave: boolean = false;
+  
+  // Crash-recovery journal; writes are serialized through _journalQueue
+  private _journal: EditJournal | null = null;
+  private _journalQueue: Promise<void> = Promise.resolve();
+  private _journalCheckpointInterval: number = 1000;
+  private _journalOpsSinceCheckpoint: number = 0;
+  private _journalChanges: number = 0;
+  private _journalCheckpointQueued: boolean = false;
 
   constructor(pageSize: number = 64 * 1024, storage: Storage | null = null, maxMemoryPages: number = 100) {
     this.pageSize = pageSize;
@@ -364,7 +613,11 @@ class PagedBuffer implements IBuffer {
   /**
    * Load a file into the buffer
    */
-  async loadFile(filename: string): Promise<void> {
+  loadFile(filename: string): Promise<void> {
+    return this._operations.run('loadFile', () => this._loadFile(filename));
+  }
+
+  private async _loadFile(filename: string): Promise<void> {
     try {
       const stats = await fs.stat(filename);
       this.filename = filename;
@@ -379,11 +632,26 @@ class PagedBuffer implements IBuffer {
       this.missingDataRanges = [];
       this.detachmentReason = null;
       
-      // Calculate file checksum
-      this.fileChecksum = await this._calculateFileChecksum(filename);
-      
       // Initialize Virtual Page Manager from file
-      this.virtualPageManager.initializeFromFile(filename, stats.size, this.fileChecksum);
+      this.virtualPageManager.initializeFromFile(filename, stats.size, null);
+      this.lineAndMarksManager.clearAllRanges();
+      
+      // Fingerprint the file (and its pages) with the configured strategy
+      await this._refreshFingerprint(filename, true);
+      
+      // Bring back the undo history saved with this exact content
+      await this._restoreUndoHistory(filename);
+      
+      this._restartJournal();
+      
+      if (await hasInPlaceJournal(filename)) {
+        this._notify(
+          NotificationType.IN_PLACE_SAVE_INTERRUPTED,
+          'warning',
+          `An in-place save of ${filename} was interrupted; call rollbackInPlaceSave() to restore it`,
+          { filename, journalPath: inPlaceJournalPath(filename) }
+        );
+      }
       
       this._notify(
         NotificationType.FILE_MODIFIED_ON_DISK,
@@ -413,6 +681,8 @@ class PagedBuffer implements IBuffer {
     // Initialize Virtual Page Manager from content
     const contentBuffer = Buffer.from(content, 'utf8');
     this.virtualPageManager.initializeFromContent(contentBuffer);
+    this.lineAndMarksManager.clearAllRanges();
+    this._restartJournal();
     
     this._notify(
       'buffer_content_loaded',
@@ -437,6 +707,8 @@ class PagedBuffer implements IBuffer {
     
     // Initialize Virtual Page Manager from content
     this.virtualPageManager.initializeFromContent(content);
+    this.lineAndMarksManager.clearAllRanges();
+    this._restartJournal();
     
     this._notify(
       'buffer_content_loaded',
@@ -447,38 +719,171 @@ class PagedBuffer implements IBuffer {
   }
 
   /**
-   * Calculate file checksum for change detection
+   * Choose how the source file is fingerprinted on load and save.
+   * Cost on load: 'full' (the default) reads the whole file before load
+   * returns, 'lazy' reads it in the background, 'sampled' reads
+   * sampleCount + 2 blocks of sampleSize and 'none' reads nothing. Saves
+   * hash the bytes as they write them, and change checks re-read the file
+   * only when size and mtime match but the mtime is too recent to trust.
+   */
+  setFingerprintStrategy(options: Partial<FingerprintOptions>): void {
+    this.fingerprintOptions = { ...this.fingerprintOptions, ...options };
+  }
+
+  /**
+   * Get the fingerprint configuration
+   */
+  getFingerprintStrategy(): FingerprintOptions {
+    return { ...this.fingerprintOptions };
+  }
+
+  /**
+   * Wait for background (lazy) fingerprinting to finish
    */
-  private async _calculateFileChecksum(filename: string): Promise<string> {
-    if (this.fileSize === 0) {
-      return 'd41d8cd98f00b204e9800998ecf8427e'; // MD5 of empty string
+  async waitForFingerprint(): Promise<void> {
+    while (this._fingerprintTask) {
+      const task = this._fingerprintTask;
+      await task;
+      if (this._fingerprintTask === task) {
+        this._fingerprintTask = null;
+      }
     }
+  }
+
+  /**
+   * Fingerprint the source file with the configured strategy. Lazy hashing,
+   * and full hashing when inBackground is set, run in the background; the
+   * other strategies finish before returning.
+   */
+  private async _refreshFingerprint(filename: string, recordPages: boolean, inBackground: boolean = false): Promise<void> {
+    const generation = this._clearFingerprint();
+    const options = { ...this.fingerprintOptions };
+    if (this.isFollowing()) {
+      await this._recordFollowTail();
+    }
+    const strategy = inBackground && options.strategy === 'full' ? 'lazy' : options.strategy;
+
+    switch (strategy) {
+      case 'full': {
+        const result = (await hashFullFile(filename, this.fileSize, options.algorithm, this.pageSize))!;
+        this._setFingerprint(options, result.checksum, recordPages ? result.pageChecksums : []);
+        break;
+      }
+      case 'sampled':
+        this._setFingerprint(options, await hashSampledFile(filename, this.fileSize, options), []);
+        break;
+      case 'lazy':
+        this._fingerprintTask = this._runLazyFingerprint(filename, generation, options, recordPages);
+        break;
+      case 'none':
+        break;
+    }
+  }
+
+  /**
+   * Forget the fingerprint after the file's stat was taken again, abandoning
+   * any background hash
+   * @returns The new fingerprint generation
+   */
+  private _clearFingerprint(): number {
+    this._statTakenAt = Date.now();
+    this._followTail = null;
+    this.fileChecksum = null;
+    this._fingerprintUsed = null;
+    this._fingerprintTask = null;
+    return ++this._fingerprintGeneration;
+  }
+
+  /**
+   * Hash the whole file after load has returned, giving up if the buffer
+   * moves on to another file or the file changes underneath the hash
+   */
+  private async _runLazyFingerprint(
+    filename: string,
+    generation: number,
+    options: FingerprintOptions,
+    recordPages: boolean
+  ): Promise<void> {
+    const isCurrent = (): boolean => generation === this._fingerprintGeneration;
+    const size = this.fileSize;
+    const mtime = this.fileMtime?.getTime();
 
-    const hash = crypto.createHash('md5');
-    const fd = await fs.open(filename, 'r');
-    const buffer = Buffer.alloc(8192);
-    
     try {
-      let position = 0;
-      while (position < this.fileSize) {
-        const { bytesRead } = await fd.read(buffer, 0, buffer.length, position);
-        if (bytesRead === 0) break;
-        hash.update(buffer.subarray(0, bytesRead));
-        position += bytesRead;
+      await new Promise(resolve => setImmediate(resolve));
+      const result = await hashFullFile(filename, size, options.algorithm, this.pageSize, isCurrent);
+      if (!result || !isCurrent()) return;
+
+      const stats = await fs.stat(filename);
+      if (!isCurrent()) return;
+      if (stats.size !== size || stats.mtime.getTime() !== mtime) {
+        logger.debug(`Discarding lazy fingerprint of ${filename}: file changed while hashing`);
+        return;
       }
-    } finally {
-      await fd.close();
+
+      this._setFingerprint(options, result.checksum, recordPages ? result.pageChecksums : []);
+      this._notify(
+        NotificationType.FILE_FINGERPRINT_READY,
+        'info',
+        `Background fingerprint of ${filename} is ready`,
+        { filename, strategy: options.strategy, algorithm: options.algorithm, checksum: result.checksum }
+      );
+
+      // Restoring on load had to wait for the fingerprint; skip it once edited
+      if (recordPages && !this.hasUnsavedChanges && !this.undoSystem?.canUndo()) {
+        await this._restoreUndoHistory(filename);
+      }
+    } catch (error) {
+      logger.warn(`Background fingerprint of ${filename} failed: ${(error as Error).message}`);
     }
-    
-    return hash.digest('hex');
   }
 
   /**
-   * Check for file changes
+   * Store a computed fingerprint
+   */
+  private _setFingerprint(options: FingerprintOptions, checksum: string, pageChecksums: string[]): void {
+    this.fileChecksum = checksum;
+    this._fingerprintUsed = options;
+    if (pageChecksums.length > 0) {
+      this.virtualPageManager.recordOriginalPageChecksums(pageChecksums);
+    }
+  }
+
+  /**
+   * Check for file changes. Size and mtime are compared first; when they
+   * match but the mtime is recent enough that a rewrite could have kept it,
+   * the file fingerprint (if any) decides.
+   */
+  checkFileChanges(): Promise<FileChangeInfo> {
+    return this._operations.run('checkFileChanges', () => this._checkFileChanges());
+  }
+
+  private async _checkFileChanges(): Promise<FileChangeInfo> {
+    const changeInfo = await this._checkFileMetadata();
+    const used = this._fingerprintUsed;
+    if (changeInfo.changed || !this.filename || !used || this.fileChecksum === null ||
+        !this.fileMtime || !isMtimeAmbiguous(this.fileMtime, this._statTakenAt)) {
+      return changeInfo;
+    }
+
+    const checksum = await this._hashFile(this.filename, used);
+    return { ...changeInfo, changed: checksum !== this.fileChecksum, checkedBy: used.strategy };
+  }
+
+  /**
+   * Hash the first `fileSize` bytes of a file the way its fingerprint was taken
+   */
+  private async _hashFile(filename: string, used: FingerprintOptions): Promise<string> {
+    return used.strategy === 'sampled' ?
+      await hashSampledFile(filename, this.fileSize, used) :
+      (await hashFullFile(filename, this.fileSize, used.algorithm, this.pageSize))!.checksum;
+  }
+
+  /**
+   * Compare the file's size and mtime with what was loaded
    */
-  async checkFileChanges(): Promise<FileChangeInfo> {
+  private async _checkFileMetadata(): Promise<FileChangeInfo> {
     if (!this.filename) {
-      return { changed: false };
+      return { changed: false, checkedBy: 'metadata' };
     }
 
     try {
@@ -493,7 +898,8 @@ class PagedBuffer implements IBuffer {
         mtimeChanged,
         newSize: stats.size,
         newMtime: stats.mtime,
-        deleted: false
+        deleted: false,
+        checkedBy: 'metadata'
       };
     } catch (error) {
       if ((error as any).code === 'ENOENT') {
@@ -501,160 +907,794 @@ class PagedBuffer implements IBuffer {
           changed: true,
           deleted: true,
           sizeChanged: true,
-          mtimeChanged: true
+          mtimeChanged: true,
+          checkedBy: 'metadata'
         };
       }
       throw error;
     }
   }
 
-  // =================== CORE BYTE OPERATIONS WITH MARKS SUPPORT ===================
-
   /**
-   * Get bytes from absolute position with optional marks extraction
+   * Verify the pages still read from the original file against the
+   * checksums recorded when it was loaded
+   * @returns Ranges whose file content is gone or has changed
    */
-  async getBytes(start: number, end: number, includeMarks: boolean = false): Promise<Buffer | ExtractedContent> {
-    if (start < 0 || end < 0) {
-      throw new Error('Invalid range: positions cannot be negative');
-    }
-    if (start > end) {
-      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+  verifyOriginalPages(): Promise<MissingDataRange[]> {
+    return this._operations.run('verifyOriginalPages', () => this._verifyOriginalPages());
+  }
+
+  private async _verifyOriginalPages(): Promise<MissingDataRange[]> {
+    if (!this.filename) {
+      return [];
     }
-    if (start >= this.totalSize) {
-      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+
+    const stale = await this.virtualPageManager.verifyOriginalPages();
+    return stale.map(range => new MissingDataRange(
+      range.virtualStart,
+      range.virtualEnd,
+      range.fileOffset,
+      range.fileOffset + range.size,
+      range.reason
+    ));
+  }
+
+  // =================== FILE WATCHING ===================
+
+  /**
+   * Watch the loaded file and apply the configured change strategy when it
+   * is modified, resized or deleted by another process
+   */
+  startWatching(options: WatchOptions = {}): void {
+    if (!this.filename) {
+      throw new Error('Cannot watch: buffer has no associated file');
     }
-    if (end > this.totalSize) {
-      end = this.totalSize;
+    this.stopWatching();
+    this._watchOptions = { ...options };
+    if (options.follow && !this._followTail && !this._followTailTask) {
+      // Queued ahead of any watch check, so appends are checked against it
+      const task = this._operations.enqueue(() => this._recordFollowTail())
+        .catch(error => {
+          logger.warn(`Hashing the followed file's tail failed: ${(error as Error).message}`);
+        })
+        .finally(() => {
+          this._followTailTask = null;
+        });
+      this._followTailTask = task;
     }
-    
-    try {
-      if (includeMarks) {
-        return await this.lineAndMarksManager.getBytesWithMarks(start, end, true);
-      } else {
-        return await this.virtualPageManager.readRange(start, end);
+
+    const interval = options.interval ?? this.fileCheckInterval;
+    if (!options.usePolling) {
+      try {
+        this._watcher = watchFile(this.filename, { persistent: false }, () => {
+          this._scheduleWatchCheck();
+        });
+        this._watcher.on('error', () => {
+          // Watched file went away or the platform gave up - fall back to polling
+          this._closeWatcher();
+          this._startPolling(interval);
+          this._scheduleWatchCheck();
+        });
+        return;
+      } catch (error) {
+        logger.debug(`fs.watch unavailable, falling back to polling: ${(error as Error).message}`);
       }
-    } catch (error) {
-      // CRITICAL: If VPM fails to read data, this triggers detachment
-      // The VPM should have already called _markAsDetached through _handleCorruption
-      // So we just return empty buffer here
-      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
     }
+
+    this._startPolling(interval);
   }
 
   /**
-   * Enhanced insertBytes with marks support - FIXED parameter handling
+   * Stop watching the file for external changes
    */
-  async insertBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<void> {
-    if (position < 0) {
-      throw new Error('Invalid position: cannot be negative');
-    }
-    if (position > this.totalSize) {
-      throw new Error(`Position ${position} is beyond end of buffer (size: ${this.totalSize})`);
+  stopWatching(): void {
+    this._closeWatcher();
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
     }
+  }
 
-    logger.debug(`[DEBUG] insertBytes called: position=${position}, dataLen=${data.length}`);
-
-    // Capture values before execution for undo recording
-    const originalPosition = position;
-    const originalData = Buffer.from(data);
-    const timestamp = this.undoSystem ? this.undoSystem.getClock() : Date.now();
-    
-    // CRITICAL FIX: Capture marks snapshot BEFORE operation executes
-    const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+  /**
+   * Check whether the file is being watched
+   */
+  isWatching(): boolean {
+    return this._watcher !== null || this._pollTimer !== null;
+  }
 
-    logger.debug('[DEBUG] Pre-op marks:', preOpMarksSnapshot);
+  /**
+   * Check whether the file is being watched in follow mode
+   */
+  isFollowing(): boolean {
+    return this.isWatching() && this._watchOptions.follow === true;
+  }
 
-    // FIXED: Handle both MarkInfo objects and RelativeMarkTuple arrays
-    let relativeMarks: RelativeMarkTuple[];
-    if (marks.length > 0) {
-      if (Array.isArray(marks[0])) {
-        // Already tuples
-        relativeMarks = marks as RelativeMarkTuple[];
-      } else {
-        // MarkInfo objects - convert to tuples
-        relativeMarks = (marks as MarkInfo[]).map(mark => [mark.name, mark.relativeOffset]);
-      }
-    } else {
-      relativeMarks = [];
+  /**
+   * Wait for any in-flight watch check, or follow mode's hash of the file's
+   * last page, to finish
+   */
+  async waitForWatchCheck(): Promise<void> {
+    await this._followTailTask;
+    while (this._watchCheck) {
+      await this._watchCheck;
     }
+  }
 
-    // Always use enhanced method (handles both VPM and mark updates)
-    await this.lineAndMarksManager.insertBytesWithMarks(position, data, relativeMarks);
-    
-    // Update buffer state
-    this.totalSize += data.length;
-    this.markAsModified();
-    
-    logger.debug('[DEBUG] Post-op marks:', this.lineAndMarksManager.getAllMarks());
-    
-    // Record the operation AFTER executing it, with pre-operation snapshot
-    if (this.undoSystem) {
-      this.undoSystem.recordInsert(originalPosition, originalData, timestamp, preOpMarksSnapshot);
+  private _startPolling(interval: number): void {
+    this._pollTimer = setInterval(() => this._scheduleWatchCheck(), interval);
+    this._pollTimer.unref?.();
+  }
+
+  private _closeWatcher(): void {
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
     }
   }
 
   /**
-   * Enhanced deleteBytes with marks reporting - FIXED to handle tuples
+   * Run one watch check at a time, coalescing bursts of events into one follow-up
    */
-  async deleteBytes(start: number, end: number, reportMarks: boolean = false): Promise<Buffer | ExtractedContent> {
-    if (start < 0 || end < 0) {
-      throw new Error('Invalid range: positions cannot be negative');  
-    }
-    if (start > end) {
-      throw new Error('Invalid range: start position must be less than or equal to end position');
-    }
-    if (start >= this.totalSize) {
-      return reportMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+  private _scheduleWatchCheck(): void {
+    if (this._watchCheck) {
+      this._watchCheckQueued = true;
+      return;
     }
-    if (end > this.totalSize) {
-      end = this.totalSize;
+    this._watchCheck = this._operations.enqueue(() => this._runWatchCheck())
+      .catch(error => {
+        logger.warn(`File watch check failed: ${(error as Error).message}`);
+      })
+      .finally(() => {
+        this._watchCheck = null;
+        if (this._watchCheckQueued && this.isWatching()) {
+          this._watchCheckQueued = false;
+          this._scheduleWatchCheck();
+        }
+      });
+  }
+
+  private async _runWatchCheck(): Promise<void> {
+    // Our own saves change the file; their metadata is refreshed afterwards
+    if (this._saveInProgress > 0 || !this.filename) {
+      return;
     }
 
-    logger.debug(`[DEBUG] deleteBytes called: start=${start}, end=${end}, reportMarks=${reportMarks}`);
+    // Size and mtime only: re-hashing on every poll would defeat cheap fingerprints
+    const changeInfo = await this._checkFileMetadata();
+    this.lastFileCheck = Date.now();
+    if (!changeInfo.changed) {
+      this._lastObservedStat = null;
+      return;
+    }
 
-    // Capture values before execution for undo recording
-    const originalStart = start;
-    const timestamp = this.undoSystem ? this.undoSystem.getClock() : Date.now();
-    
-    // CRITICAL FIX: Capture marks snapshot BEFORE operation executes
-    const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+    // Only react once to each distinct on-disk state
+    const observed = {
+      size: changeInfo.newSize ?? -1,
+      mtimeMs: changeInfo.newMtime ? changeInfo.newMtime.getTime() : -1
+    };
+    if (this._lastObservedStat &&
+        this._lastObservedStat.size === observed.size &&
+        this._lastObservedStat.mtimeMs === observed.mtimeMs) {
+      return;
+    }
+    this._lastObservedStat = observed;
 
-    logger.debug('[DEBUG] Pre-delete marks:', preOpMarksSnapshot);
+    await this._handleExternalChange(changeInfo);
 
-    // Always use enhanced method (handles both VPM and mark updates)
-    const result = await this.lineAndMarksManager.deleteBytesWithMarks(start, end, reportMarks);
-    
-    // Update buffer state
-    this.totalSize -= result.data.length;
-    this.markAsModified();
-    
-    logger.debug('[DEBUG] Post-delete marks:', this.lineAndMarksManager.getAllMarks());
-    
-    // Record the operation AFTER executing it, with pre-operation snapshot
-    if (this.undoSystem) {
-      this.undoSystem.recordDelete(originalStart, result.data, timestamp, preOpMarksSnapshot);
-    }
-    
-    // Return appropriate format based on reportMarks parameter
-    if (reportMarks) {
-      return result; // ExtractedContent with marks info as tuples
-    } else {
-      return result.data; // Just the Buffer for backward compatibility
+    // A replaced file (rename-over) leaves fs.watch on the old inode
+    if (this._watcher && !changeInfo.deleted) {
+      this._closeWatcher();
+      this.startWatching(this._watchOptions);
     }
   }
 
   /**
-   * Enhanced overwriteBytes with marks support - FIXED to handle tuples
+   * Apply the configured change strategy to an external file change
    */
-  async overwriteBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<Buffer | ExtractedContent> {
-    if (position < 0) {
-      throw new Error('Invalid position: cannot be negative');
-    }
-    if (position >= this.totalSize) {
+  private async _handleExternalChange(changeInfo: FileChangeInfo): Promise<void> {
+    const filename = this.filename!;
+
+    if (changeInfo.deleted) {
+      this._notify(
+        NotificationType.FILE_DELETED,
+        'warning',
+        `File deleted on disk: ${filename}`,
+        { filename, hasUnsavedChanges: this.hasUnsavedChanges }
+      );
+      this.stopWatching();
+      this._detachFromChangedFile('file_deleted');
+      return;
+    }
+
+    if (this._watchOptions.follow && changeInfo.sizeChanged) {
+      await this._followFileChange(changeInfo);
+      return;
+    }
+
+    let strategy: FileChangeStrategy;
+    if (changeInfo.sizeChanged) {
+      strategy = this.changeStrategy.sizeChanged;
+      this._notify(
+        NotificationType.FILE_SIZE_CHANGED,
+        'warning',
+        `File size changed on disk: ${this.fileSize} -> ${changeInfo.newSize}`,
+        { filename, oldSize: this.fileSize, newSize: changeInfo.newSize, strategy }
+      );
+    } else {
+      strategy = this.hasUnsavedChanges ? this.changeStrategy.withEdits : this.changeStrategy.noEdits;
+      this._notify(
+        NotificationType.FILE_MODIFIED_ON_DISK,
+        'warning',
+        `File modified on disk: ${filename}`,
+        { filename, newMtime: changeInfo.newMtime, hasUnsavedChanges: this.hasUnsavedChanges, strategy }
+      );
+    }
+
+    switch (strategy) {
+      case FileChangeStrategy.REBASE:
+        await this._rebaseOntoChangedFile(changeInfo);
+        break;
+      case FileChangeStrategy.DETACH:
+        this._detachFromChangedFile('file_modified_externally');
+        break;
+      case FileChangeStrategy.WARN:
+      default:
+        // The notification above is all WARN does
+        break;
+    }
+  }
+
+  /**
+   * In follow mode, take in bytes appended to the file; any other size
+   * change means the content being followed is gone
+   */
+  private async _followFileChange(changeInfo: FileChangeInfo): Promise<void> {
+    const filename = this.filename!;
+    const oldSize = this.fileSize;
+    const newSize = changeInfo.newSize!;
+
+    if (newSize > oldSize && await this._isUnchangedTail(filename)) {
+      const vpm = this.virtualPageManager;
+      const appended = vpm.appendOriginalRange(newSize);
+      this.fileSize = newSize;
+      this.fileMtime = changeInfo.newMtime!;
+      this.totalSize = vpm.getTotalSize();
+      await this._refreshFingerprint(filename, false, true);
+      this._restartJournal();
+
+      this._notify(
+        NotificationType.FILE_APPENDED,
+        'info',
+        `File grew by ${appended.size} bytes: ${filename}`,
+        {
+          filename,
+          oldSize,
+          newSize,
+          fileStart: appended.fileOffset,
+          fileEnd: appended.fileOffset + appended.size,
+          virtualStart: appended.virtualStart,
+          virtualEnd: appended.virtualStart + appended.size
+        }
+      );
+      return;
+    }
+
+    this._notify(
+      NotificationType.FILE_SIZE_CHANGED,
+      'warning',
+      `Followed file was ${newSize < oldSize ? 'truncated' : 'rewritten'}: ${oldSize} -> ${newSize}`,
+      { filename, oldSize, newSize, strategy: FileChangeStrategy.DETACH }
+    );
+    this._detachFromChangedFile(newSize < oldSize ? 'file_truncated' : 'file_rewritten');
+  }
+
+  /**
+   * Check that the file still ends at `fileSize` with the last page hashed
+   * when following started or the file last changed. Earlier pages are not
+   * re-read; a stale one is caught when it is next loaded. Without a hash
+   * nothing can be verified, so the file counts as changed.
+   */
+  private async _isUnchangedTail(filename: string): Promise<boolean> {
+    const tail = this._followTail;
+    if (!tail || tail.end !== this.fileSize) {
+      return false;
+    }
+    return await hashFileTail(filename, tail.end, this.pageSize, tail.algorithm) === tail.checksum;
+  }
+
+  /**
+   * Hash the file's last page, which a followed file must still hold when it
+   * grows. A file that changed since its stat was taken gives no baseline.
+   */
+  private async _recordFollowTail(): Promise<void> {
+    const filename = this.filename;
+    const { algorithm } = this.fingerprintOptions;
+    const end = this.fileSize;
+    const mtime = this.fileMtime?.getTime();
+    this._followTail = null;
+    if (!filename) {
+      return;
+    }
+    try {
+      const checksum = await hashFileTail(filename, end, this.pageSize, algorithm);
+      const stats = await fs.stat(filename);
+      if (checksum !== null && stats.size === end && stats.mtime.getTime() === mtime) {
+        this._followTail = { end, algorithm, checksum };
+      }
+    } catch (error) {
+      logger.debug(`Could not hash the tail of ${filename}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Rebase onto the changed file, detaching when local edits cannot be kept
+   */
+  private async _rebaseOntoChangedFile(_changeInfo: FileChangeInfo): Promise<void> {
+    const result = await this._rebase();
+    if (!result.success && result.conflicts.length === 0) {
+      this._detachFromChangedFile(result.reason ?? 'rebase_failed');
+    }
+  }
+
+  // =================== UNSAVED CHANGES ===================
+
+  /**
+   * Get the regions that differ from the original file, in both buffer and
+   * file coordinates. Works from the page table alone, so it is cheap but
+   * page granular; use diffAgainstOriginal() for exact hunks.
+   */
+  getModifiedRanges(): ModifiedRange[] {
+    return this.virtualPageManager.getModifiedRanges();
+  }
+
+  /**
+   * Narrow the modified regions down to byte-exact insert, delete and
+   * replace hunks by comparing them with the file. Only modified regions are
+   * read. Regions rewritten beyond the diff's edit limit stay one hunk, as do
+   * regions over MAX_DIFF_REGION_SIZE bytes, which are not read at all.
+   */
+  diffAgainstOriginal(): Promise<DiffHunk[]> {
+    return this._operations.run('diffAgainstOriginal', () => this._diffAgainstOriginal());
+  }
+
+  private async _diffAgainstOriginal(): Promise<DiffHunk[]> {
+    const hunks: DiffHunk[] = [];
+
+    for (const range of this.getModifiedRanges()) {
+      const currentSize = range.bufferEnd - range.bufferStart;
+      const originalSize = range.fileEnd - range.fileStart;
+      if (currentSize + originalSize > MAX_DIFF_REGION_SIZE) {
+        hunks.push({ type: originalSize === 0 ? 'insert' : currentSize === 0 ? 'delete' : 'replace', ...range });
+        continue;
+      }
+
+      const current = await this.virtualPageManager.readRange(range.bufferStart, range.bufferEnd);
+      const original = await this.virtualPageManager.readSourceRange(range.fileStart, range.fileEnd);
+
+      for (const edit of diffBytes(original, current)) {
+        hunks.push({
+          type: edit.oldStart === edit.oldEnd ? 'insert' : edit.newStart === edit.newEnd ? 'delete' : 'replace',
+          bufferStart: range.bufferStart + edit.newStart,
+          bufferEnd: range.bufferStart + edit.newEnd,
+          fileStart: range.fileStart + edit.oldStart,
+          fileEnd: range.fileStart + edit.oldEnd
+        });
+      }
+    }
+
+    return hunks;
+  }
+
+  // =================== PATCHES ===================
+
+  /**
+   * Describe the unsaved changes as a patch against the original file: a
+   * unified diff for UTF-8 content, or compact binary offset/delete/insert
+   * records. Both record a fingerprint of the original for applyPatch().
+   */
+  exportPatch(format: 'unified'): Promise<string>;
+  exportPatch(format: 'binary'): Promise<Buffer>;
+  exportPatch(format: PatchFormat): Promise<string | Buffer> {
+    return this._operations.run('exportPatch', () => this._exportPatch(format));
+  }
+
+  private async _exportPatch(format: PatchFormat): Promise<string | Buffer> {
+    const vpm = this.virtualPageManager;
+    const original: PatchSource = {
+      read: async (start, end) => await vpm.readSourceRange(start, end),
+      size: vpm.getSourceSize()
+    };
+    const options = this.fingerprintOptions;
+    const strategy = options.strategy === 'sampled' ? 'sampled' : 'full';
+    const base: PatchFingerprint = {
+      size: original.size,
+      strategy,
+      algorithm: options.algorithm,
+      sampleSize: options.sampleSize,
+      sampleCount: options.sampleCount,
+      checksum: await hashContent(original.read, original.size, { ...options, strategy }, this.pageSize)
+    };
+
+    if (format === 'unified') {
+      const current: PatchSource = {
+        read: async (start, end) => await vpm.readRange(start, end),
+        size: vpm.getTotalSize()
+      };
+      const name = this.filename ? path.basename(this.filename) : 'buffer';
+      return await createUnifiedPatch(base, vpm.getModifiedRanges(), original, current, name, this.pageSize);
+    }
+    if (format !== 'binary') {
+      throw new Error(`Unknown patch format: ${String(format)}`);
+    }
+
+    const edits: PatchEdit[] = [];
+    for (const hunk of await this._diffAgainstOriginal()) {
+      edits.push({
+        offset: hunk.fileStart,
+        deleteLength: hunk.fileEnd - hunk.fileStart,
+        data: await vpm.readRange(hunk.bufferStart, hunk.bufferEnd)
+      });
+    }
+    return encodeBinaryPatch(base, edits);
+  }
+
+  /**
+   * Apply a patch from exportPatch() as one undo transaction. The buffer's
+   * content must match the patch's base fingerprint; nothing is changed if
+   * it does not, or if the patch does not fit the content.
+   * @returns The number of edits made
+   */
+  applyPatch(patch: Buffer | string): Promise<number> {
+    return this._operations.run('applyPatch', () => this._applyPatch(patch));
+  }
+
+  private async _applyPatch(patch: Buffer | string): Promise<number> {
+    const parsed = parsePatch(patch);
+    const vpm = this.virtualPageManager;
+    const content: PatchSource = {
+      read: async (start, end) => await vpm.readRange(start, end),
+      size: vpm.getTotalSize()
+    };
+
+    const { base } = parsed;
+    const checksum = await hashContent(content.read, content.size, { ...DEFAULT_FINGERPRINT_OPTIONS, ...base }, this.pageSize);
+    if (content.size !== base.size || checksum !== base.checksum) {
+      throw new Error('Patch does not apply: buffer content does not match the patch base fingerprint');
+    }
+
+    const edits = parsed.format === 'binary' ?
+      parsed.edits :
+      await resolveLineHunks(parsed.hunks, content, this.pageSize);
+    let end = 0;
+    for (const edit of edits) {
+      if (edit.offset < end || edit.offset + edit.deleteLength > content.size) {
+        throw new Error('Invalid patch: edits overlap, are out of order or run past the end');
+      }
+      end = edit.offset + edit.deleteLength;
+    }
+    if (edits.length === 0) {
+      return 0;
+    }
+
+    // Edits run from the end so earlier offsets stay valid
+    await this._runAsUndoableBatch('Apply Patch', async replace => {
+      for (let i = edits.length - 1; i >= 0; i--) {
+        const { offset, deleteLength, data } = edits[i];
+        await replace(offset, deleteLength, data);
+      }
+    });
+    return edits.length;
+  }
+
+  // =================== REBASE ===================
+
+  /**
+   * Rebase the buffer onto the current file on disk. Regions of the original
+   * file that changed are reloaded where the buffer still shows them unedited;
+   * regions that changed underneath local edits are conflicts, which keep the
+   * local content and detach the buffer. Without local edits this is a reload.
+   * When the file grew or shrank, the region between its unchanged start and
+   * end is reloaded as a whole, and later content moves with it.
+   */
+  rebase(): Promise<RebaseResult> {
+    return this._operations.run('rebase', () => this._rebase());
+  }
+
+  private async _rebase(): Promise<RebaseResult> {
+    if (!this.filename) {
+      throw new Error('Cannot rebase: buffer has no associated file');
+    }
+
+    const filename = this.filename;
+    const changeInfo = await this._checkFileChanges();
+
+    if (changeInfo.deleted) {
+      return this._rebaseFailed('file_deleted');
+    }
+
+    if (!this.hasUnsavedChanges) {
+      await this._reloadFromDisk();
+      const reloadedRanges = [{ fileOffset: 0, size: this.fileSize }];
+      this._notify(
+        NotificationType.PAGE_REBASE_SUCCESS,
+        'info',
+        'Reloaded unmodified buffer from disk',
+        { filename, reloadedRanges, preservedEdits: 0 }
+      );
+      return { success: true, reloadedRanges, conflicts: [] };
+    }
+
+    if (changeInfo.sizeChanged) {
+      return await this._rebaseResized(filename, changeInfo.newSize ?? 0);
+    }
+
+    const vpm = this.virtualPageManager;
+    const changedRegions = await vpm.findChangedOriginalRegions(filename);
+    const cleanRanges = vpm.getCleanOriginalRanges();
+
+    // Changed bytes no clean original page still maps were edited locally
+    const conflicts: RebaseConflict[] = [];
+    for (const region of changedRegions) {
+      for (const piece of this._subtractFileRanges(region, cleanRanges)) {
+        conflicts.push(this._toRebaseConflict(piece, cleanRanges));
+      }
+    }
+
+    const reloaded = vpm.reloadOriginalRanges(changedRegions);
+    vpm.forgetOriginalRegions(changedRegions);
+    this.lineAndMarksManager.invalidateLineCaches();
+
+    const stats = await fs.stat(filename);
+    this.fileMtime = stats.mtime;
+    await this._refreshFingerprint(filename, false);
+    this._restartJournal();
+
+    const reloadedRanges = reloaded.map(d => ({ fileOffset: d.sourceInfo.fileOffset!, size: d.virtualSize }));
+    const preservedEdits = vpm.addressIndex.pages.filter(p => p.isDirty).length;
+
+    if (conflicts.length > 0) {
+      return this._rebaseConflicted(filename, conflicts, reloadedRanges);
+    }
+
+    this._notify(
+      NotificationType.PAGE_REBASE_SUCCESS,
+      'info',
+      `Rebased local edits onto changed file (${reloadedRanges.length} page(s) reloaded)`,
+      { filename, reloadedRanges, preservedEdits }
+    );
+    return { success: true, reloadedRanges, conflicts: [] };
+  }
+
+  /**
+   * Rebase onto a file that grew or shrank. Its unchanged start and end are
+   * found by the recorded page checksums; the region between them is
+   * reloaded whole, and local edits reaching into it are conflicts.
+   */
+  private async _rebaseResized(filename: string, newSize: number): Promise<RebaseResult> {
+    const vpm = this.virtualPageManager;
+    const oldSize = this.fileSize;
+    const { prefix, suffix } = await vpm.findUnchangedSourceEnds(filename, newSize);
+    const changed = { fileOffset: prefix, size: oldSize - suffix - prefix };
+    const changedEnd = changed.fileOffset + changed.size;
+
+    // Edits touching the region cannot be placed in its new content
+    const conflicts: RebaseConflict[] = this.getModifiedRanges()
+      .filter(range => range.fileStart <= changedEnd && range.fileEnd >= changed.fileOffset)
+      .map(range => ({
+        fileStart: range.fileStart,
+        fileEnd: range.fileEnd,
+        virtualStart: range.bufferStart,
+        virtualEnd: range.bufferEnd
+      }));
+    if (conflicts.length > 0) {
+      return this._rebaseConflicted(filename, conflicts, []);
+    }
+
+    const marks = this.lineAndMarksManager.getAllMarks();
+    const ranges = this.lineAndMarksManager.getAllRanges();
+    const replaced = vpm.replaceSourceRange(changed, newSize);
+    // The replaced pages were clean, so the changed bytes sit at the same offset within them
+    const delta = newSize - oldSize;
+    const changedStart = replaced.virtualStart + changed.fileOffset - replaced.fileOffset;
+    const move = (address: number): number => address >= changedStart + changed.size ?
+      address + delta :
+      Math.min(address, changedStart + changed.size + delta);
+    this.lineAndMarksManager.restoreMarks(marks.map(([name, address]) => [name, move(address)]));
+    this.lineAndMarksManager.restoreRanges(ranges.map(range => ({ ...range, start: move(range.start), end: move(range.end) })));
+    // Undo positions past the region no longer line up with the buffer
+    this.undoSystem?.clear();
+
+    const stats = await fs.stat(filename);
+    this.fileSize = stats.size;
+    this.fileMtime = stats.mtime;
+    this.totalSize = vpm.getTotalSize();
+    await this._refreshFingerprint(filename, false);
+    this._restartJournal();
+
+    const reloadedRanges = [{ fileOffset: replaced.fileOffset, size: replaced.newSize }];
+    const preservedEdits = vpm.addressIndex.pages.filter(p => p.isDirty).length;
+    this._notify(
+      NotificationType.PAGE_REBASE_SUCCESS,
+      'info',
+      `Rebased local edits onto resized file (${oldSize} -> ${this.fileSize} bytes)`,
+      { filename, reloadedRanges, preservedEdits }
+    );
+    return { success: true, reloadedRanges, conflicts: [] };
+  }
+
+  /**
+   * Report regions that changed underneath local edits and detach
+   */
+  private _rebaseConflicted(filename: string, conflicts: RebaseConflict[], reloadedRanges: FileRange[]): RebaseResult {
+    this._notify(
+      NotificationType.PAGE_CONFLICT_DETECTED,
+      'warning',
+      `${conflicts.length} region(s) changed on disk underneath local edits`,
+      { filename, conflicts }
+    );
+    this._notify(
+      NotificationType.PAGE_REBASE_FAILED,
+      'warning',
+      'Rebase left conflicts; local edits were kept in conflicting regions',
+      { filename, reason: 'conflict', conflicts, reloadedRanges }
+    );
+    this._markAsDetached('Rebase conflict with external changes');
+    return { success: false, reason: 'conflict', reloadedRanges, conflicts };
+  }
+
+  /**
+   * Report a rebase that could not be attempted
+   */
+  private _rebaseFailed(reason: string): RebaseResult {
+    this._notify(
+      NotificationType.PAGE_REBASE_FAILED,
+      'warning',
+      `Cannot rebase onto changed file: ${reason}`,
+      { filename: this.filename, reason }
+    );
+    return { success: false, reason, reloadedRanges: [], conflicts: [] };
+  }
+
+  /**
+   * Reload an unmodified buffer from disk, keeping marks and ranges where they still fit
+   */
+  private async _reloadFromDisk(): Promise<void> {
+    const marks = this.lineAndMarksManager.getAllMarks();
+    const ranges = this.lineAndMarksManager.getAllRanges();
+    await this._loadFile(this.filename!);
+
+    // Old history no longer applies to the new content
+    this.undoSystem?.clear();
+
+    const newSize = this.getTotalSize();
+    this.lineAndMarksManager.restoreMarks(marks.map(([name, address]) => [name, Math.min(address, newSize)]));
+    this.lineAndMarksManager.restoreRanges(ranges.map(range => ({
+      ...range,
+      start: Math.min(range.start, newSize),
+      end: Math.min(range.end, newSize)
+    })));
+  }
+
+  /**
+   * Remove the parts of a file range covered by other ranges
+   */
+  private _subtractFileRanges(range: FileRange, covering: FileRange[]): FileRange[] {
+    let pieces: FileRange[] = [range];
+    for (const cover of covering) {
+      const coverEnd = cover.fileOffset + cover.size;
+      const next: FileRange[] = [];
+      for (const piece of pieces) {
+        const pieceEnd = piece.fileOffset + piece.size;
+        if (coverEnd <= piece.fileOffset || cover.fileOffset >= pieceEnd) {
+          next.push(piece);
+          continue;
+        }
+        if (cover.fileOffset > piece.fileOffset) {
+          next.push({ fileOffset: piece.fileOffset, size: cover.fileOffset - piece.fileOffset });
+        }
+        if (coverEnd < pieceEnd) {
+          next.push({ fileOffset: coverEnd, size: pieceEnd - coverEnd });
+        }
+      }
+      pieces = next;
+    }
+    return pieces;
+  }
+
+  /**
+   * Locate an edited file range in buffer coordinates, bounded by the clean
+   * original pages on either side of it
+   */
+  private _toRebaseConflict(piece: FileRange, cleanRanges: Array<FileRange & { virtualStart: number }>): RebaseConflict {
+    const pieceEnd = piece.fileOffset + piece.size;
+    let virtualStart = 0;
+    let virtualEnd = this.getTotalSize();
+
+    for (const clean of cleanRanges) {
+      if (clean.fileOffset + clean.size <= piece.fileOffset) {
+        virtualStart = clean.virtualStart + clean.size;
+      } else if (clean.fileOffset >= pieceEnd) {
+        virtualEnd = clean.virtualStart;
+        break;
+      }
+    }
+
+    return { fileStart: piece.fileOffset, fileEnd: pieceEnd, virtualStart, virtualEnd };
+  }
+
+  /**
+   * Detach the buffer: every original-file page not held in memory is now
+   * of unknown content
+   */
+  private _detachFromChangedFile(reason: string): void {
+    const missingRanges: MissingDataRange[] = [];
+    for (const descriptor of this.virtualPageManager.addressIndex.getAllPages()) {
+      if (descriptor.sourceType === 'original' && !descriptor.isLoaded && descriptor.virtualSize > 0) {
+        missingRanges.push(new MissingDataRange(
+          descriptor.virtualStart,
+          descriptor.virtualEnd,
+          descriptor.sourceInfo.fileOffset ?? null,
+          (descriptor.sourceInfo.fileOffset ?? 0) + (descriptor.sourceInfo.size ?? 0),
+          reason
+        ));
+      }
+    }
+    this._markAsDetached(`File changed on disk: ${reason}`, missingRanges);
+  }
+
+  // =================== CORE BYTE OPERATIONS WITH MARKS SUPPORT ===================
+
+  /**
+   * Get bytes from absolute position with optional marks extraction
+   */
+  getBytes(start: number, end: number, includeMarks: boolean = false): Promise<Buffer | ExtractedContent> {
+    return this._operations.run('getBytes', () => this._getBytes(start, end, includeMarks));
+  }
+
+  private async _getBytes(start: number, end: number, includeMarks: boolean = false): Promise<Buffer | ExtractedContent> {
+    if (start < 0 || end < 0) {
+      throw new Error('Invalid range: positions cannot be negative');
+    }
+    if (start > end) {
+      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+    }
+    if (start >= this.totalSize) {
+      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+    }
+    if (end > this.totalSize) {
+      end = this.totalSize;
+    }
+    
+    try {
+      if (includeMarks) {
+        return await this.lineAndMarksManager.getBytesWithMarks(start, end, true);
+      } else {
+        return await this.virtualPageManager.readRange(start, end);
+      }
+    } catch (error) {
+      // CRITICAL: If VPM fails to read data, this triggers detachment
+      // The VPM should have already called _markAsDetached through _handleCorruption
+      // So we just return empty buffer here
+      return includeMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * Enhanced insertBytes with marks support - FIXED parameter handling
+   */
+  insertBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<void> {
+    return this._operations.run('insertBytes', () => this._insertBytes(position, data, marks));
+  }
+
+  private async _insertBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<void> {
+    if (position < 0) {
+      throw new Error('Invalid position: cannot be negative');
+    }
+    if (position > this.totalSize) {
       throw new Error(`Position ${position} is beyond end of buffer (size: ${this.totalSize})`);
     }
 
-    logger.debug(`[DEBUG] overwriteBytes called: position=${position}, dataLen=${data.length}`);
+    logger.debug(`[DEBUG] insertBytes called: position=${position}, dataLen=${data.length}`);
 
     // Capture values before execution for undo recording
     const originalPosition = position;
@@ -663,27 +1703,117 @@ class PagedBuffer implements IBuffer {
     
     // CRITICAL FIX: Capture marks snapshot BEFORE operation executes
     const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+    const preOpRangesSnapshot = this.undoSystem ? this.undoSystem.captureCurrentRangesState() : null;
 
-    // Calculate overwrite range for undo recording
-    const overwriteEnd = Math.min(position + data.length, this.totalSize);
-    const overwrittenDataForUndo = await this.getBytes(position, overwriteEnd) as Buffer;
+    logger.debug('[DEBUG] Pre-op marks:', preOpMarksSnapshot);
 
-    // FIXED: Handle both MarkInfo objects and RelativeMarkTuple arrays
-    let relativeMarks: RelativeMarkTuple[];
-    if (marks.length > 0) {
-      if (Array.isArray(marks[0])) {
-        // Already tuples
-        relativeMarks = marks as RelativeMarkTuple[];
-      } else {
-        // MarkInfo objects - convert to tuples
-        relativeMarks = (marks as MarkInfo[]).map(mark => [mark.name, mark.relativeOffset]);
-      }
-    } else {
-      relativeMarks = [];
-    }
+    const relativeMarks = this._toRelativeMarks(marks);
 
     // Always use enhanced method (handles both VPM and mark updates)
-    const result = await this.lineAndMarksManager.overwriteBytesWithMarks(position, data, relativeMarks);
+    await this.lineAndMarksManager.insertBytesWithMarks(position, data, relativeMarks);
+    
+    // Update buffer state
+    this.totalSize += data.length;
+    this.markAsModified();
+    
+    logger.debug('[DEBUG] Post-op marks:', this.lineAndMarksManager.getAllMarks());
+    
+    // Record the operation AFTER executing it, with pre-operation snapshot
+    if (this.undoSystem) {
+      this.undoSystem.recordInsert(originalPosition, originalData, timestamp, preOpMarksSnapshot, preOpRangesSnapshot);
+    }
+  }
+
+  /**
+   * Enhanced deleteBytes with marks reporting - FIXED to handle tuples
+   */
+  deleteBytes(start: number, end: number, reportMarks: boolean = false): Promise<Buffer | ExtractedContent> {
+    return this._operations.run('deleteBytes', () => this._deleteBytes(start, end, reportMarks));
+  }
+
+  private async _deleteBytes(start: number, end: number, reportMarks: boolean = false): Promise<Buffer | ExtractedContent> {
+    if (start < 0 || end < 0) {
+      throw new Error('Invalid range: positions cannot be negative');  
+    }
+    if (start > end) {
+      throw new Error('Invalid range: start position must be less than or equal to end position');
+    }
+    if (start >= this.totalSize) {
+      return reportMarks ? new ExtractedContent(Buffer.alloc(0), []) : Buffer.alloc(0);
+    }
+    if (end > this.totalSize) {
+      end = this.totalSize;
+    }
+
+    logger.debug(`[DEBUG] deleteBytes called: start=${start}, end=${end}, reportMarks=${reportMarks}`);
+
+    // Capture values before execution for undo recording
+    const originalStart = start;
+    const timestamp = this.undoSystem ? this.undoSystem.getClock() : Date.now();
+    
+    // CRITICAL FIX: Capture marks snapshot BEFORE operation executes
+    const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+    const preOpRangesSnapshot = this.undoSystem ? this.undoSystem.captureCurrentRangesState() : null;
+
+    logger.debug('[DEBUG] Pre-delete marks:', preOpMarksSnapshot);
+
+    // Always use enhanced method (handles both VPM and mark updates)
+    const result = await this.lineAndMarksManager.deleteBytesWithMarks(start, end, reportMarks);
+    
+    // Update buffer state
+    this.totalSize -= result.data.length;
+    this.markAsModified();
+    
+    logger.debug('[DEBUG] Post-delete marks:', this.lineAndMarksManager.getAllMarks());
+    
+    // Record the operation AFTER executing it, with pre-operation snapshot
+    if (this.undoSystem) {
+      this.undoSystem.recordDelete(originalStart, result.data, timestamp, preOpMarksSnapshot, preOpRangesSnapshot);
+    }
+    this._reportCollapsedRanges();
+    
+    // Return appropriate format based on reportMarks parameter
+    if (reportMarks) {
+      return result; // ExtractedContent with marks info as tuples
+    } else {
+      return result.data; // Just the Buffer for backward compatibility
+    }
+  }
+
+  /**
+   * Enhanced overwriteBytes with marks support - FIXED to handle tuples
+   */
+  overwriteBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<Buffer | ExtractedContent> {
+    return this._operations.run('overwriteBytes', () => this._overwriteBytes(position, data, marks));
+  }
+
+  private async _overwriteBytes(position: number, data: Buffer, marks: MarkInfo[] | RelativeMarkTuple[] = []): Promise<Buffer | ExtractedContent> {
+    if (position < 0) {
+      throw new Error('Invalid position: cannot be negative');
+    }
+    if (position >= this.totalSize) {
+      throw new Error(`Position ${position} is beyond end of buffer (size: ${this.totalSize})`);
+    }
+
+    logger.debug(`[DEBUG] overwriteBytes called: position=${position}, dataLen=${data.length}`);
+
+    // Capture values before execution for undo recording
+    const originalPosition = position;
+    const originalData = Buffer.from(data);
+    const timestamp = this.undoSystem ? this.undoSystem.getClock() : Date.now();
+    
+    // CRITICAL FIX: Capture marks snapshot BEFORE operation executes
+    const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+    const preOpRangesSnapshot = this.undoSystem ? this.undoSystem.captureCurrentRangesState() : null;
+
+    // Calculate overwrite range for undo recording
+    const overwriteEnd = Math.min(position + data.length, this.totalSize);
+    const overwrittenDataForUndo = await this._getBytes(position, overwriteEnd) as Buffer;
+
+    const relativeMarks = this._toRelativeMarks(marks);
+
+    // Always use enhanced method (handles both VPM and mark updates)
+    const result = await this.lineAndMarksManager.overwriteBytesWithMarks(position, data, relativeMarks);
     
     // Update buffer state
     const originalSize = overwriteEnd - position;
@@ -693,8 +1823,11 @@ class PagedBuffer implements IBuffer {
     
     // Record the operation AFTER executing it, with pre-operation snapshot
     if (this.undoSystem) {
-      this.undoSystem.recordOverwrite(originalPosition, originalData, overwrittenDataForUndo, timestamp, preOpMarksSnapshot);
+      this.undoSystem.recordOverwrite(
+        originalPosition, originalData, overwrittenDataForUndo, timestamp, preOpMarksSnapshot, preOpRangesSnapshot
+      );
     }
+    this._reportCollapsedRanges();
     
     // BACKWARD COMPATIBILITY: Return Buffer if no marks provided, ExtractedContent if marks provided
     if (marks.length > 0) {
@@ -704,156 +1837,1029 @@ class PagedBuffer implements IBuffer {
     }
   }
 
+  /**
+   * Apply a batch of non-overlapping edits, all given against the current
+   * content (e.g. one per cursor), as a single undo step. An insert at the
+   * start of a replaced range goes before it; inserts at the same position
+   * keep the order given. Marks and ranges are moved once for the whole batch.
+   * @returns The range each edit's data occupies afterwards, in the order given
+   */
+  applyEdits(edits: BufferEdit[]): Promise<AppliedEdit[]> {
+    return this._operations.run('applyEdits', () => this._applyEdits(edits));
+  }
+
+  private async _applyEdits(edits: BufferEdit[]): Promise<AppliedEdit[]> {
+    const order = edits.map((_, index) => index).sort((a, b) =>
+      edits[a].start - edits[b].start || edits[a].end - edits[b].end || a - b);
+
+    for (let i = 0; i < order.length; i++) {
+      const { start, end } = edits[order[i]];
+      if (start < 0 || start > end || end > this.totalSize) {
+        throw new Error(`Invalid edit ${order[i]}: range [${start}, ${end}) is outside the buffer (size: ${this.totalSize})`);
+      }
+      if (i > 0 && edits[order[i - 1]].end > start) {
+        throw new Error(`Invalid edits: edit ${order[i - 1]} overlaps edit ${order[i]}`);
+      }
+    }
+    if (edits.length === 0) {
+      return [];
+    }
+
+    const timestamp = this.undoSystem ? this.undoSystem.getClock() : Date.now();
+    const preOpMarksSnapshot = this.undoSystem ? this.undoSystem.captureCurrentMarksState() : null;
+    const preOpRangesSnapshot = this.undoSystem ? this.undoSystem.captureCurrentRangesState() : null;
+
+    const sorted = order.map(index => ({
+      start: edits[index].start,
+      end: edits[index].end,
+      data: edits[index].data ?? Buffer.alloc(0),
+      marks: this._toRelativeMarks(edits[index].marks ?? [])
+    }));
+    const removed = await this.lineAndMarksManager.applyEditsWithMarks(sorted);
+
+    const applied: AppliedEdit[] = new Array(edits.length);
+    let delta = 0;
+    sorted.forEach((edit, i) => {
+      applied[order[i]] = { start: edit.start + delta, end: edit.start + delta + edit.data.length };
+      delta += edit.data.length - (edit.end - edit.start);
+    });
+
+    this.totalSize += delta;
+    this.markAsModified();
+
+    // Recorded in the order applied: last edit first
+    if (this.undoSystem) {
+      const recorded = sorted.map((edit, i) => ({ position: edit.start, inserted: edit.data, removed: removed[i] })).reverse();
+      this.undoSystem.recordEditGroup('Apply Edits', recorded, timestamp, preOpMarksSnapshot, preOpRangesSnapshot);
+    }
+    this._reportCollapsedRanges();
+
+    return applied;
+  }
+
+  /**
+   * Accept marks as MarkInfo objects or [name, relativeOffset] tuples
+   */
+  private _toRelativeMarks(marks: MarkInfo[] | RelativeMarkTuple[]): RelativeMarkTuple[] {
+    if (marks.length === 0 || Array.isArray(marks[0])) {
+      return marks as RelativeMarkTuple[];
+    }
+    return (marks as MarkInfo[]).map(mark => [mark.name, mark.relativeOffset]);
+  }
+
+  // =================== STREAMING API ===================
+
+  /**
+   * Iterate over [start, end) one chunk at a time (default: one page per chunk).
+   * Chunks come from the content as it was at the first read; edits made
+   * while iterating do not show up part way through.
+   */
+  chunks(start: number = 0, end: number = this.totalSize, chunkSize: number = this.pageSize): AsyncGenerator<Buffer> {
+    return this._readPinned(source => readChunks(source, start, end, chunkSize));
+  }
+
+  /**
+   * Create a Readable over [start, end), read from the content as it was at
+   * the first read. Unlike fs.createReadStream, `end` is exclusive, matching
+   * getBytes().
+   */
+  createReadStream(options: ReadStreamOptions = {}): Readable {
+    const highWaterMark = options.highWaterMark ?? this.pageSize;
+    const start = options.start ?? 0;
+    const end = options.end ?? this.totalSize;
+    return createChunkStream(this._readPinned(source => readChunks(source, start, end, highWaterMark)), highWaterMark);
+  }
+
+  /**
+   * Run a streaming reader over a snapshot taken when it first reads, so
+   * edits made between its reads cannot shift the bytes under it. The
+   * snapshot is released when the reader finishes or is closed.
+   */
+  private async * _readPinned<T>(read: (source: ByteSource) => AsyncGenerator<T>): AsyncGenerator<T> {
+    const snapshot = this.snapshot();
+    try {
+      yield * read({
+        getTotalSize: () => snapshot.getTotalSize(),
+        readRange: (start, end) => snapshot.getBytes(start, end)
+      });
+    } finally {
+      snapshot.release();
+    }
+  }
+
+  // =================== SNAPSHOTS ===================
+
+  /**
+   * Take a read-only view of the current content that later edits do not
+   * affect. Pages are shared with the buffer and only copied when written,
+   * so call release() on the snapshot once done with it. Changes made to
+   * the file by other programs are not covered.
+   */
+  snapshot(): BufferSnapshot {
+    return new BufferSnapshot(this.virtualPageManager);
+  }
+
+  // =================== SEARCH API ===================
+
+  /**
+   * Find occurrences of a literal byte sequence, streaming page by page over
+   * the content as it was at the first read
+   */
+  findBytes(needle: Buffer, options: SearchOptions = {}): AsyncGenerator<SearchMatch> {
+    return this._readPinned(source => new BufferSearch(source, this.pageSize).findBytes(needle, options));
+  }
+
+  /**
+   * Find regular expression matches in the UTF-8 content, streaming page by
+   * page over the content as it was at the first read
+   */
+  findPattern(pattern: RegExp, options: SearchOptions = {}): AsyncGenerator<SearchMatch> {
+    return this._readPinned(source => new BufferSearch(source, this.pageSize).findPattern(pattern, options));
+  }
+
+  /**
+   * Replace every match of a literal or pattern in one undo transaction.
+   * String replacements for RegExp patterns may use `$&` and `$1`-style references.
+   */
+  replaceAll(
+    pattern: Buffer | string | RegExp,
+    replacement: ReplacementValue,
+    options: ReplaceAllOptions = {}
+  ): Promise<number> {
+    return this._operations.run('replaceAll', () => this._replaceAll(pattern, replacement, options));
+  }
+
+  private async _replaceAll(
+    pattern: Buffer | string | RegExp,
+    replacement: ReplacementValue,
+    options: ReplaceAllOptions = {}
+  ): Promise<number> {
+    const { signal, onProgress } = options;
+    const limit = options.end ?? this.getTotalSize();
+    const searchOptions: SearchOptions = options.start !== undefined ? { start: options.start } : {};
+
+    // Collect matches against the unmodified content first
+    const matches: SearchMatch[] = [];
+    const iterator = pattern instanceof RegExp ?
+      this.findPattern(pattern, searchOptions) :
+      this.findBytes(Buffer.isBuffer(pattern) ? pattern : Buffer.from(pattern, 'utf8'), searchOptions);
+    for await (const match of iterator) {
+      throwIfAborted(signal, 'Replace all');
+      if (match.end > limit) break;
+      matches.push(match);
+    }
+
+    if (matches.length === 0) {
+      return 0;
+    }
+
+    return await this._runAsUndoableBatch(options.transactionName ?? 'Replace All', async replace => {
+      let delta = 0;
+      let replaced = 0;
+      for (const match of matches) {
+        throwIfAborted(signal, 'Replace all');
+
+        const data = this._resolveReplacement(pattern, replacement, match);
+        await replace(match.start + delta, match.length, data);
+        delta += data.length - match.length;
+        replaced++;
+
+        onProgress?.(replaced, matches.length);
+
+        // Yield periodically so abort signals and other callbacks can run
+        if (replaced % 100 === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+      return replaced;
+    });
+  }
+
+  /**
+   * Run a batch of replacements as one undo step. The batch owns an undo
+   * transaction when it can open one and rolls it back on failure; otherwise
+   * (undo disabled, or inside the caller's transaction) the replacements it
+   * made are undone by hand.
+   */
+  private async _runAsUndoableBatch<T>(name: string, batch: (replace: Replace) => Promise<T>): Promise<T> {
+    const primitives: ReplacementPrimitives = {
+      remove: async (start, end) => await this._deleteBytes(start, end) as Buffer,
+      insert: (position, data) => this._insertBytes(position, data)
+    };
+    if (this.undoSystem === null || this.undoSystem.inTransaction()) {
+      return await runReplacementBatch(primitives, batch);
+    }
+
+    this.beginUndoTransaction(name);
+    let result: T;
+    try {
+      result = await batch((position, deleteLength, data) => replaceRange(primitives, position, deleteLength, data));
+    } catch (error) {
+      await this._rollbackUndoTransaction();
+      throw error;
+    }
+    this.commitUndoTransaction();
+    return result;
+  }
+
+  /**
+   * Produce the bytes that replace a single match
+   */
+  private _resolveReplacement(
+    pattern: Buffer | string | RegExp,
+    replacement: ReplacementValue,
+    match: SearchMatch
+  ): Buffer {
+    let value: Buffer | string;
+    if (typeof replacement === 'function') {
+      value = replacement(match);
+    } else if (typeof replacement === 'string' && pattern instanceof RegExp) {
+      // Expand $$, $& and $n references from the match
+      value = replacement.replace(/\$(\$|&|\d{1,2})/g, (_ref: string, token: string) => {
+        if (token === '$') return '$';
+        if (token === '&') return match.text ?? '';
+        return match.groups?.[Number(token) - 1] ?? '';
+      });
+    } else {
+      value = replacement;
+    }
+    return Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+  }
+
   // =================== NAMED MARKS API ===================
 
   /**
-   * Set a named mark at a byte address
+   * Set a named mark at a byte address. Gravity decides whether bytes
+   * inserted exactly at the mark go after it ('left', the default) or
+   * before it ('right'); an existing mark keeps its gravity if none is given.
+   */
+  setMark(markName: string, byteAddress: number, gravity?: MarkGravity): void {
+    this.lineAndMarksManager.setMark(markName, byteAddress, gravity);
+  }
+
+  /**
+   * Get the gravity of a named mark
+   */
+  getMarkGravity(markName: string): MarkGravity | null {
+    return this.lineAndMarksManager.getMarkGravity(markName);
+  }
+
+  /**
+   * Get the byte address of a named mark
+   */
+  getMark(markName: string): number | null {
+    return this.lineAndMarksManager.getMark(markName);
+  }
+
+  /**
+   * Remove a named mark
+   */
+  removeMark(markName: string): boolean {
+    return this.lineAndMarksManager.removeMark(markName);
+  }
+
+  /**
+   * Get all marks between two byte addresses
+   */
+  getMarksInRange(startAddress: number, endAddress: number): Array<[string, number]> {
+    return this.lineAndMarksManager.getMarksInRange(startAddress, endAddress);
+  }
+
+  /**
+   * Get all marks in the buffer
+   */
+  getAllMarks(): Record<string, number> {
+    return this.lineAndMarksManager.getAllMarksForPersistence();
+  }
+
+  /**
+   * Set marks from a key-value object (for persistence)
+   */
+  setMarks(marksObject: Record<string, number>): void {
+    this.lineAndMarksManager.setMarksFromPersistence(marksObject);
+  }
+
+  /**
+   * Clear all marks
+   */
+  clearAllMarks(): void {
+    this.lineAndMarksManager.clearAllMarks();
+  }
+
+  // =================== NAMED RANGES API ===================
+
+  /**
+   * Set a named range [start, end) whose endpoints move independently as
+   * the content changes. By default bytes inserted exactly at either end
+   * land outside the range (start gravity 'right', end gravity 'left').
+   */
+  setRange(name: string, start: number, end: number, options: RangeOptions = {}): void {
+    this.lineAndMarksManager.setRange(name, start, end, options);
+  }
+
+  /**
+   * Get a named range, or null if it does not exist
+   */
+  getRange(name: string): MarkRange | null {
+    return this.lineAndMarksManager.getRange(name);
+  }
+
+  /**
+   * Remove a named range
+   */
+  removeRange(name: string): boolean {
+    return this.lineAndMarksManager.removeRange(name);
+  }
+
+  /**
+   * Get the ranges sharing bytes with [start, end), sorted by start. Empty
+   * ranges and empty queries match anything they touch.
+   */
+  getRangesOverlapping(start: number, end: number): MarkRange[] {
+    return this.lineAndMarksManager.getRangesOverlapping(start, end);
+  }
+
+  /**
+   * Get all ranges, sorted by start
+   */
+  getAllRanges(): MarkRange[] {
+    return this.lineAndMarksManager.getAllRanges();
+  }
+
+  /**
+   * Clear all ranges
+   */
+  clearAllRanges(): void {
+    this.lineAndMarksManager.clearAllRanges();
+  }
+
+  // =================== MARKS PERSISTENCE ===================
+
+  /**
+   * Write marks and ranges to a JSON sidecar (default: ".<name>.marks"
+   * beside the file), tagged with the fingerprint and size of the content.
+   * Marks placed on unsaved edits would not fit the file, so save it first.
+   */
+  saveMarks(marksPath?: string): Promise<void> {
+    return this._operations.run('saveMarks', () => this._saveMarks(marksPath));
+  }
+
+  private async _saveMarks(marksPath?: string): Promise<void> {
+    const target = marksPath ?? (this.filename ? marksSidecarPath(this.filename) : null);
+    if (!target) {
+      throw new Error('Cannot save marks: no path given and the buffer has no file');
+    }
+    if (this.hasChanges()) {
+      throw new Error('Cannot save marks: the buffer has unsaved changes');
+    }
+
+    let fingerprint: PersistedFingerprint | null = null;
+    if (this.filename) {
+      await this.waitForFingerprint();
+      fingerprint = this._persistedFingerprint();
+    }
+
+    const manager = this.lineAndMarksManager;
+    await writeMarksFile(target, {
+      fingerprint,
+      size: this.totalSize,
+      marks: manager.getAllMarks().map(([name, address]) => ({
+        name,
+        address,
+        gravity: manager.getMarkGravity(name) ?? 'left'
+      })),
+      ranges: manager.getAllRanges().map(({ name, start, end, startGravity, endGravity }) =>
+        ({ name, start, end, startGravity, endGravity }))
+    });
+  }
+
+  /**
+   * Set marks and ranges from a sidecar written by saveMarks(), keeping
+   * others. If the content's size or fingerprint differs from the saved
+   * one, marks are clamped to the content or dropped, as the options say.
+   * @returns What was restored, or null if there is no sidecar
+   */
+  loadMarks(marksPath?: string, options: LoadMarksOptions = {}): Promise<MarksLoadResult | null> {
+    return this._operations.run('loadMarks', () => this._loadMarks(marksPath, options));
+  }
+
+  private async _loadMarks(marksPath?: string, options: LoadMarksOptions = {}): Promise<MarksLoadResult | null> {
+    const source = marksPath ?? (this.filename ? marksSidecarPath(this.filename) : null);
+    if (!source) {
+      throw new Error('Cannot load marks: no path given and the buffer has no file');
+    }
+    const saved = await readMarksFile(source);
+    if (!saved) {
+      return null;
+    }
+
+    // Marks on unsaved edits, or without fingerprints to compare, go by size
+    let current: PersistedFingerprint | null = null;
+    if (this.filename && !this.hasChanges()) {
+      await this.waitForFingerprint();
+      current = this._persistedFingerprint();
+    }
+    const changed = saved.size !== this.totalSize ||
+      (saved.fingerprint !== null && current !== null && !fingerprintsMatch(saved.fingerprint, current));
+
+    const result: MarksLoadResult = { changed, restored: [], clamped: [], dropped: [] };
+    if (changed && options.ifChanged === 'drop') {
+      result.dropped = [...saved.marks, ...saved.ranges].map(entry => entry.name);
+    } else {
+      const manager = this.lineAndMarksManager;
+      const clamp = (address: number): number => Math.max(0, Math.min(address, this.totalSize));
+      for (const mark of saved.marks) {
+        const address = clamp(mark.address);
+        manager.setMark(mark.name, address, mark.gravity);
+        result.restored.push(mark.name);
+        if (address !== mark.address) result.clamped.push(mark.name);
+      }
+      for (const range of saved.ranges) {
+        const start = clamp(range.start);
+        const end = clamp(range.end);
+        manager.setRange(range.name, start, end, { startGravity: range.startGravity, endGravity: range.endGravity });
+        result.restored.push(range.name);
+        if (start !== range.start || end !== range.end) result.clamped.push(range.name);
+      }
+    }
+
+    if (changed) {
+      this._notify(
+        NotificationType.MARKS_FILE_CHANGED,
+        'warning',
+        `Marks in ${source} were saved against different content`,
+        { marksPath: source, clamped: result.clamped, dropped: result.dropped }
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Save marks automatically after every saveFile(), to the sidecar beside
+   * the saved file
+   */
+  setMarksAutoSave(enabled: boolean): void {
+    this.marksAutoSave = enabled;
+  }
+
+  /**
+   * Write the marks sidecar for the file just saved. Failures are reported,
+   * never thrown: the file itself was saved.
+   */
+  private async _autoSaveMarks(filename: string): Promise<void> {
+    if (!this.marksAutoSave) {
+      return;
+    }
+    try {
+      await this._saveMarks(marksSidecarPath(filename));
+    } catch (error) {
+      this._notify(
+        NotificationType.MARKS_SAVE_FAILED,
+        'warning',
+        `Failed to save marks: ${(error as Error).message}`,
+        { filename, error: (error as Error).message }
+      );
+    }
+  }
+
+  /**
+   * Tell listeners about ranges the last edit emptied
+   */
+  private _reportCollapsedRanges(): void {
+    const collapsed = this.lineAndMarksManager.takeCollapsedRanges();
+    if (collapsed.length > 0) {
+      this._notify(
+        NotificationType.RANGES_COLLAPSED,
+        'info',
+        `${collapsed.length} range(s) are now empty`,
+        { ranges: collapsed }
+      );
+    }
+  }
+
+  // =================== UNDO/REDO SYSTEM ===================
+
+  /**
+   * Enable undo/redo functionality
+   */
+  enableUndo(config: UndoConfig = {}): void {
+    if (!this.undoSystem) {
+      this.undoSystem = new BufferUndoSystem(this, config.maxUndoLevels);
+      if (config) {
+        this.undoSystem.configure(config);
+      }
+    }
+  }
+
+  /**
+   * Disable undo/redo functionality
+   */
+  disableUndo(): void {
+    if (this.undoSystem) {
+      this.undoSystem.clear();
+      this.undoSystem = null;
+    }
+  }
+
+  /**
+   * Persist undo history on saveFile() and restore it on loadFile() when the
+   * file's fingerprint still matches. Pass null to stop persisting.
+   */
+  setUndoPersistence(options: UndoPersistenceOptions | null): void {
+    this.undoPersistence = options ? { ...options } : null;
+  }
+
+  /**
+   * Get the persistence target for a file's undo history
+   */
+  private _undoHistoryStore(filename: string): UndoHistoryStore {
+    return this.undoPersistence?.target === 'storage' ?
+      new StorageUndoHistoryStore(this.storage, filename) :
+      new SidecarUndoHistoryStore(filename);
+  }
+
+  /**
+   * Describe the current file content for persisted history; lazy and full
+   * fingerprints are the same hash
+   */
+  private _persistedFingerprint(): PersistedFingerprint | null {
+    const used = this._fingerprintUsed;
+    if (!used || this.fileChecksum === null) {
+      return null;
+    }
+    return {
+      strategy: used.strategy === 'lazy' ? 'full' : used.strategy,
+      algorithm: used.algorithm,
+      checksum: this.fileChecksum,
+      size: this.fileSize
+    };
+  }
+
+  /**
+   * Write the undo history for the file just saved. Failures are reported,
+   * never thrown: the file itself was saved.
+   */
+  private async _saveUndoHistory(filename: string): Promise<void> {
+    if (!this.undoPersistence || !this.undoSystem) {
+      return;
+    }
+
+    await this.waitForFingerprint();
+    const fingerprint = this._persistedFingerprint();
+    const target = this.undoPersistence.target;
+
+    if (!fingerprint) {
+      this._notify(
+        NotificationType.UNDO_HISTORY_SAVE_FAILED,
+        'warning',
+        'Undo history not saved: the file has no fingerprint to restore it against',
+        { filename, target, reason: 'no_fingerprint' }
+      );
+      return;
+    }
+
+    try {
+      await this._undoHistoryStore(filename).save(this.undoSystem, fingerprint, this.undoPersistence.inlineLimit);
+      this._notify(
+        NotificationType.UNDO_HISTORY_SAVED,
+        'info',
+        `Saved undo history for ${filename}`,
+        { filename, target, undoGroups: this.undoSystem.getStats().undoGroups }
+      );
+    } catch (error) {
+      this._notify(
+        NotificationType.UNDO_HISTORY_SAVE_FAILED,
+        'warning',
+        `Failed to save undo history: ${(error as Error).message}`,
+        { filename, target, reason: 'error', error: (error as Error).message }
+      );
+    }
+  }
+
+  /**
+   * Restore persisted undo history if it was saved against the loaded content
+   */
+  private async _restoreUndoHistory(filename: string): Promise<void> {
+    if (!this.undoPersistence || !this.undoSystem) {
+      return;
+    }
+
+    const fingerprint = this._persistedFingerprint();
+    if (!fingerprint) {
+      return; // Lazy fingerprints restore once ready; 'none' never can
+    }
+
+    const target = this.undoPersistence.target;
+    try {
+      const persisted = await this._undoHistoryStore(filename).load();
+      if (!persisted) {
+        return;
+      }
+
+      if (!fingerprintsMatch(persisted.fingerprint, fingerprint)) {
+        this._notify(
+          NotificationType.UNDO_HISTORY_DISCARDED,
+          'info',
+          'Saved undo history ignored: the file changed since it was saved',
+          { filename, target, reason: 'fingerprint_mismatch' }
+        );
+        return;
+      }
+
+      await this.undoSystem.deserialize(persisted.history, persisted.payloadStore);
+      this._notify(
+        NotificationType.UNDO_HISTORY_RESTORED,
+        'info',
+        `Restored undo history for ${filename}`,
+        { filename, target, undoGroups: this.undoSystem.getStats().undoGroups }
+      );
+    } catch (error) {
+      this._notify(
+        NotificationType.UNDO_HISTORY_DISCARDED,
+        'warning',
+        `Saved undo history could not be read: ${(error as Error).message}`,
+        { filename, target, reason: 'error', error: (error as Error).message }
+      );
+    }
+  }
+
+  /**
+   * Begin a named undo transaction
+   */
+  beginUndoTransaction(name: string, options: UndoTransactionOptions = {}): void {
+    if (this.undoSystem) {
+      this.undoSystem.beginUndoTransaction(name, options);
+    }
+  }
+
+  /**
+   * Commit the current undo transaction
+   */
+  commitUndoTransaction(finalName: string | null = null): boolean {
+    if (this.undoSystem) {
+      return this.undoSystem.commitUndoTransaction(finalName);
+    }
+    return false;
+  }
+
+  /**
+   * Rollback the current undo transaction
+   */
+  rollbackUndoTransaction(): Promise<boolean> {
+    return this._operations.run('rollbackUndoTransaction', () => this._rollbackUndoTransaction());
+  }
+
+  private async _rollbackUndoTransaction(): Promise<boolean> {
+    if (this.undoSystem) {
+      return await this.undoSystem.rollbackUndoTransaction();
+    }
+    return false;
+  }
+
+  /**
+   * Check if currently in an undo transaction
+   */
+  inUndoTransaction(): boolean {
+    return this.undoSystem ? this.undoSystem.inTransaction() : false;
+  }
+
+  /**
+   * Get current undo transaction info
+   */
+  getCurrentUndoTransaction(): any {
+    return this.undoSystem ? this.undoSystem.getCurrentTransaction() : null;
+  }
+
+  /**
+   * Undo the last operation
+   */
+  undo(): Promise<boolean> {
+    return this._operations.run('undo', () => this._undo());
+  }
+
+  private async _undo(): Promise<boolean> {
+    if (!this.undoSystem) {
+      return false;
+    }
+    const undone = await this.undoSystem.undo();
+    this._reportCollapsedRanges();
+    return undone;
+  }
+
+  /**
+   * Redo the last undone operation
+   */
+  redo(): Promise<boolean> {
+    return this._operations.run('redo', () => this._redo());
+  }
+
+  private async _redo(): Promise<boolean> {
+    if (!this.undoSystem) {
+      return false;
+    }
+    const redone = await this.undoSystem.redo();
+    this._reportCollapsedRanges();
+    return redone;
+  }
+
+  /**
+   * Move to any node of the undo tree, undoing and redoing the path between.
+   * Returns false if already there.
+   */
+  jumpToUndoNode(nodeId: string): Promise<boolean> {
+    return this._operations.run('jumpToUndoNode', () => this._moveInUndoTree(undo => undo.jumpTo(nodeId)));
+  }
+
+  /**
+   * Step back through undo tree states in creation order (like vim's g-).
+   * Returns false at the oldest state.
+   */
+  undoEarlier(count: number = 1): Promise<boolean> {
+    return this._operations.run('undoEarlier', () => this._moveInUndoTree(undo => undo.earlier(count)));
+  }
+
+  /**
+   * Step forward through undo tree states in creation order (like vim's g+).
+   * Returns false at the newest state.
+   */
+  undoLater(count: number = 1): Promise<boolean> {
+    return this._operations.run('undoLater', () => this._moveInUndoTree(undo => undo.later(count)));
+  }
+
+  private async _moveInUndoTree(move: (undo: BufferUndoSystem) => Promise<boolean>): Promise<boolean> {
+    if (!this.undoSystem) {
+      return false;
+    }
+    const moved = await move(this.undoSystem);
+    this._reportCollapsedRanges();
+    return moved;
+  }
+
+  /**
+   * Get the branch tips of the undo tree (throws unless tree mode is on)
    */
-  setMark(markName: string, byteAddress: number): void {
-    this.lineAndMarksManager.setMark(markName, byteAddress);
+  getUndoBranches(): UndoBranchInfo[] {
+    return this.undoSystem ? this.undoSystem.getBranches() : [];
   }
 
   /**
-   * Get the byte address of a named mark
+   * Check if undo is available
    */
-  getMark(markName: string): number | null {
-    return this.lineAndMarksManager.getMark(markName);
+  canUndo(): boolean {
+    return this.undoSystem ? this.undoSystem.canUndo() : false;
   }
 
   /**
-   * Remove a named mark
+   * Check if redo is available
    */
-  removeMark(markName: string): boolean {
-    return this.lineAndMarksManager.removeMark(markName);
+  canRedo(): boolean {
+    return this.undoSystem ? this.undoSystem.canRedo() : false;
   }
 
+  // =================== CRASH RECOVERY JOURNAL ===================
+
   /**
-   * Get all marks between two byte addresses
+   * Journal every edit so unsaved changes survive a crash of the process.
+   * An edit's promise settles only once its journal record is synced to
+   * disk. The journal starts from a checkpoint of the current buffer and is
+   * restarted whenever the buffer is loaded or saved. Recover a crashed
+   * session's journal before enabling a new one in the same directory.
    */
-  getMarksInRange(startAddress: number, endAddress: number): Array<[string, number]> {
-    return this.lineAndMarksManager.getMarksInRange(startAddress, endAddress);
+  enableJournal(options: JournalOptions = {}): Promise<void> {
+    return this._operations.run('enableJournal', () => this._enableJournal(options));
+  }
+
+  private async _enableJournal(options: JournalOptions = {}): Promise<void> {
+    if (!this.filename) {
+      throw new Error('Cannot journal: buffer has no associated file');
+    }
+    const directory = options.directory ?? this.storage.getTempDir?.() ?? null;
+    if (!directory) {
+      throw new Error('Cannot journal: no directory given and storage has no directory of its own');
+    }
+
+    await this._disableJournal();
+    this._journal = new EditJournal(directory);
+    this._journalCheckpointInterval = options.checkpointInterval ?? 1000;
+    this.virtualPageManager.setChangeListener(change => this._journalChange(change));
+
+    this._restartJournal();
+    await this.flushJournal();
   }
 
   /**
-   * Get all marks in the buffer
+   * Stop journaling and remove the journal
    */
-  getAllMarks(): Record<string, number> {
-    return this.lineAndMarksManager.getAllMarksForPersistence();
+  disableJournal(): Promise<void> {
+    return this._operations.run('disableJournal', () => this._disableJournal());
+  }
+
+  private async _disableJournal(): Promise<void> {
+    const journal = this._journal;
+    if (!journal) {
+      return;
+    }
+
+    this.virtualPageManager.setChangeListener(null);
+    this._journal = null;
+    await this.flushJournal();
+    await journal.discard();
   }
 
   /**
-   * Set marks from a key-value object (for persistence)
+   * Check if edits are being journaled
    */
-  setMarks(marksObject: Record<string, number>): void {
-    this.lineAndMarksManager.setMarksFromPersistence(marksObject);
+  isJournaling(): boolean {
+    return this._journal !== null;
   }
 
   /**
-   * Clear all marks
+   * Wait until every journal write queued so far has reached the disk
    */
-  clearAllMarks(): void {
-    this.lineAndMarksManager.clearAllMarks();
+  async flushJournal(): Promise<void> {
+    await this._journalQueue;
   }
 
-  // =================== UNDO/REDO SYSTEM ===================
-
   /**
-   * Enable undo/redo functionality
+   * Rebuild the unsaved state recorded in a journal (e.g. after a crash)
+   * on top of its original file. Refuses if the file changed since the
+   * journal was written. Journaling, if enabled, restarts afterwards.
    */
-  enableUndo(config: UndoConfig = {}): void {
-    if (!this.undoSystem) {
-      this.undoSystem = new BufferUndoSystem(this, config.maxUndoLevels);
-      if (config) {
-        this.undoSystem.configure(config);
+  recover(journalDir: string): Promise<RecoveryResult> {
+    return this._operations.run('recover', () => this._recover(journalDir));
+  }
+
+  private async _recover(journalDir: string): Promise<RecoveryResult> {
+    const contents = await EditJournal.read(journalDir);
+    if (!contents) {
+      throw new Error(`No edit journal found in ${journalDir}`);
+    }
+
+    const { header, segments, operations } = contents;
+    if (!(await journalBaselineMatches(header))) {
+      throw new Error(`Cannot recover: ${header.filename} changed since the journal was written`);
+    }
+
+    // Replaying must not be journaled over the journal being replayed
+    const journal = this._journal;
+    this._journal = null;
+    try {
+      await this._loadFile(header.filename);
+
+      const vpm = this.virtualPageManager;
+      await vpm.restoreLayout(segments);
+      for (const operation of operations) {
+        if (operation.type === OperationType.INSERT) {
+          await vpm.insertAt(operation.position, operation.data!);
+        } else {
+          await vpm.deleteRange(operation.position, operation.position + operation.length);
+        }
       }
+    } finally {
+      this._journal = journal;
+    }
+
+    this.totalSize = this.virtualPageManager.getTotalSize();
+    if (operations.length > 0 || segments.some(segment => segment.source === 'data') ||
+        this.totalSize !== header.fileSize) {
+      this.markAsModified();
     }
+    this._restartJournal();
+
+    this._notify(
+      NotificationType.JOURNAL_RECOVERED,
+      'info',
+      `Recovered unsaved edits to ${header.filename}`,
+      { filename: header.filename, replayedOperations: operations.length, size: this.totalSize }
+    );
+
+    return { filename: header.filename, replayedOperations: operations.length, size: this.totalSize };
   }
 
   /**
-   * Disable undo/redo functionality
+   * Queue the journal record for a content change
    */
-  disableUndo(): void {
-    if (this.undoSystem) {
-      this.undoSystem.clear();
-      this.undoSystem = null;
+  private _journalChange(change: ContentChange): void {
+    const journal = this._journal;
+    if (!journal || !this.filename) {
+      return;
+    }
+
+    const sequence = ++this._journalChanges;
+    const operation = change.type === 'insert' ?
+      { type: OperationType.INSERT as const, sequence, position: change.position, data: Buffer.from(change.data), length: change.data.length } :
+      { type: OperationType.DELETE as const, sequence, position: change.position, length: change.length };
+    this._enqueueJournalWrite(() => journal.append(operation));
+
+    if (++this._journalOpsSinceCheckpoint >= this._journalCheckpointInterval) {
+      this._queueJournalCheckpoint();
     }
   }
 
   /**
-   * Begin a named undo transaction
+   * Start the journal over from a checkpoint: the buffer's baseline changed
    */
-  beginUndoTransaction(name: string, options: UndoTransactionOptions = {}): void {
-    if (this.undoSystem) {
-      this.undoSystem.beginUndoTransaction(name, options);
+  private _restartJournal(): void {
+    if (this._journal) {
+      this._queueJournalCheckpoint();
     }
   }
 
-  /**
-   * Commit the current undo transaction
-   */
-  commitUndoTransaction(finalName: string | null = null): boolean {
-    if (this.undoSystem) {
-      return this.undoSystem.commitUndoTransaction(finalName);
+  private _queueJournalCheckpoint(): void {
+    if (this._journalCheckpointQueued) {
+      return;
     }
-    return false;
+    this._journalCheckpointQueued = true;
+    this._enqueueJournalWrite(async () => {
+      this._journalCheckpointQueued = false;
+      await this._writeJournalCheckpoint();
+    });
   }
 
   /**
-   * Rollback the current undo transaction
+   * Write a checkpoint of every change made so far; later changes queued
+   * behind it are skipped on replay up to its sequence. If the buffer
+   * changed while the layout was captured, the capture is retried.
    */
-  async rollbackUndoTransaction(): Promise<boolean> {
-    if (this.undoSystem) {
-      return await this.undoSystem.rollbackUndoTransaction();
+  private async _writeJournalCheckpoint(): Promise<void> {
+    const journal = this._journal;
+    if (!journal) {
+      return;
     }
-    return false;
+    if (!this.filename) {
+      await journal.discard(); // Nothing on disk to recover against
+      return;
+    }
+
+    await this.waitForFingerprint();
+    const changes = this._journalChanges;
+    const segments = await this.virtualPageManager.captureLayout();
+    if (changes !== this._journalChanges || journal !== this._journal) {
+      this._restartJournal();
+      return;
+    }
+
+    await journal.checkpoint(this._journalHeader(this.filename), segments, changes);
+    this._journalOpsSinceCheckpoint = 0;
   }
 
-  /**
-   * Check if currently in an undo transaction
-   */
-  inUndoTransaction(): boolean {
-    return this.undoSystem ? this.undoSystem.inTransaction() : false;
+  private _journalHeader(filename: string): JournalHeader {
+    const used = this._fingerprintUsed;
+    return {
+      version: JOURNAL_VERSION,
+      filename: path.resolve(filename),
+      fileSize: this.fileSize,
+      mtimeMs: this.fileMtime?.getTime() ?? 0,
+      fingerprint: used && this.fileChecksum !== null ? { options: { ...used }, checksum: this.fileChecksum } : null,
+      createdAt: Date.now()
+    };
   }
 
   /**
-   * Get current undo transaction info
+   * Run journal writes one at a time; failures are reported, never thrown
    */
-  getCurrentUndoTransaction(): any {
-    return this.undoSystem ? this.undoSystem.getCurrentTransaction() : null;
+  private _enqueueJournalWrite(write: () => Promise<void>): void {
+    this._journalQueue = this._journalQueue.then(write).catch((error: Error) => {
+      this._notify(
+        NotificationType.JOURNAL_WRITE_FAILED,
+        'error',
+        `Failed to write edit journal: ${error.message}`,
+        { error: error.message }
+      );
+    });
   }
 
+  // =================== OPERATION QUEUE ===================
+
   /**
-   * Undo the last operation
+   * Choose whether edits, saves and async reads called while another one
+   * is running wait their turn ('queue', the default) or fail at once with
+   * a BufferBusyError ('reject')
    */
-  async undo(): Promise<boolean> {
-    if (!this.undoSystem) {
-      return false;
-    }
-    return await this.undoSystem.undo();
+  setBusyBehavior(behavior: BusyBehavior): void {
+    this._operations.busyBehavior = behavior;
   }
 
   /**
-   * Redo the last undone operation
+   * Get what operations do when the buffer is busy
    */
-  async redo(): Promise<boolean> {
-    if (!this.undoSystem) {
-      return false;
-    }
-    return await this.undoSystem.redo();
+  getBusyBehavior(): BusyBehavior {
+    return this._operations.busyBehavior;
   }
 
   /**
-   * Check if undo is available
+   * Check if an operation is running or waiting to run
    */
-  canUndo(): boolean {
-    return this.undoSystem ? this.undoSystem.canUndo() : false;
+  isBusy(): boolean {
+    return this._operations.isBusy();
   }
 
   /**
-   * Check if redo is available
+   * Wait until every operation called so far, and any queued behind them,
+   * has finished
    */
-  canRedo(): boolean {
-    return this.undoSystem ? this.undoSystem.canRedo() : false;
+  whenIdle(): Promise<void> {
+    return this._operations.whenIdle();
   }
 
   // =================== UTILITY METHODS ===================
@@ -1104,7 +3110,7 @@ class PagedBuffer implements IBuffer {
   /**
    * Write data with markers indicating where missing data belongs - FIXED for large files
    */
-  private async _writeDataWithMissingMarkers(fd: fs.FileHandle): Promise<void> {
+  private async _writeDataWithMissingMarkers(fd: FileWriter, options: SaveOptions = {}): Promise<void> {
     const totalSize = this.getTotalSize();
     if (totalSize === 0) return;
     
@@ -1133,6 +3139,7 @@ class PagedBuffer implements IBuffer {
           // Skip over the missing range
           currentPos = missingRange.virtualEnd;
           missingRangeIndex++;
+          options.onProgress?.(Math.min(currentPos, totalSize), totalSize);
           continue;
         }
       }
@@ -1145,7 +3152,7 @@ class PagedBuffer implements IBuffer {
       
       if (currentPos < segmentEnd) {
         // FIXED: Write available data in chunks to prevent memory/buffer issues
-        await this._writeSegmentInChunks(fd, currentPos, segmentEnd, maxChunkSize);
+        await this._writeSegmentInChunks(fd, currentPos, segmentEnd, maxChunkSize, options);
         currentPos = segmentEnd;
       } else {
         break;
@@ -1165,10 +3172,19 @@ class PagedBuffer implements IBuffer {
   /**
    * Write a segment of data in manageable chunks
    */
-  private async _writeSegmentInChunks(fd: fs.FileHandle, startPos: number, endPos: number, maxChunkSize: number): Promise<void> {
+  private async _writeSegmentInChunks(
+    fd: FileWriter,
+    startPos: number,
+    endPos: number,
+    maxChunkSize: number,
+    options: SaveOptions = {}
+  ): Promise<void> {
+    const totalSize = this.getTotalSize();
     let chunkStart = startPos;
     
     while (chunkStart < endPos) {
+      throwIfAborted(options.signal, 'Save');
+      
       // Calculate this chunk's end (don't exceed segment boundary or max chunk size)
       const chunkEnd = Math.min(chunkStart + maxChunkSize, endPos);
       const chunkSize = chunkEnd - chunkStart;
@@ -1195,6 +3211,7 @@ class PagedBuffer implements IBuffer {
       }
       
       chunkStart = chunkEnd;
+      options.onProgress?.(chunkEnd, totalSize);
       
       // CRITICAL: Yield control periodically to prevent event loop blocking
       if (chunkStart % (maxChunkSize * 10) === 0) {
@@ -1206,7 +3223,11 @@ class PagedBuffer implements IBuffer {
   /**
    * Enhanced save method with smart behavior and atomic operations
    */
-  async saveFile(filename: string | null = this.filename, options: SaveOptions = {}): Promise<void> {
+  saveFile(filename: string | null = this.filename, options: SaveOptions = {}): Promise<void> {
+    return this._operations.run('saveFile', () => this._saveFile(filename, options));
+  }
+
+  private async _saveFile(filename: string | null = this.filename, options: SaveOptions = {}): Promise<void> {
     if (!filename) {
       throw new Error('No filename specified');
     }
@@ -1237,17 +3258,34 @@ class PagedBuffer implements IBuffer {
       return;
     }
 
-    if (isSameFile) {
-      await this._performAtomicSave(filename, options);
-    } else {
-      await this._performSave(filename, options);
+    throwIfAborted(options.signal, 'Save');
+    this._saveInProgress++;
+    try {
+      if (isSameFile && options.inPlace && await this._canSaveInPlace(filename)) {
+        await this._performInPlaceSave(filename, options);
+      } else if (isSameFile) {
+        await this._performAtomicSave(filename, options);
+      } else {
+        await this._performSave(filename, options);
+      }
+    } finally {
+      this._saveInProgress--;
+      this._lastObservedStat = null;
     }
+    
+    this._restartJournal();
+    await this._saveUndoHistory(filename);
+    await this._autoSaveMarks(filename);
   }
 
   /**
    * Enhanced saveAs that handles detached buffers gracefully
    */
-  async saveAs(filename: string, forcePartialOrOptions: boolean | SaveOptions = {}, options: SaveOptions = {}): Promise<void> {
+  saveAs(filename: string, forcePartialOrOptions: boolean | SaveOptions = {}, options: SaveOptions = {}): Promise<void> {
+    return this._operations.run('saveAs', () => this._saveAs(filename, forcePartialOrOptions, options));
+  }
+
+  private async _saveAs(filename: string, forcePartialOrOptions: boolean | SaveOptions = {}, options: SaveOptions = {}): Promise<void> {
     if (!filename) {
       throw new Error('Filename required for saveAs operation');
     }
@@ -1262,14 +3300,45 @@ class PagedBuffer implements IBuffer {
     }
 
     // saveAs always allows saving detached buffers - that's the point
-    await this._performSave(filename, { ...saveOptions, allowDetached: true });
+    throwIfAborted(saveOptions.signal, 'Save');
+    this._saveInProgress++;
+    // Write beside the destination and rename it into place, so a failed or
+    // aborted save leaves the destination as it was
+    const writePath = this._siblingTempPath(filename);
+    try {
+      await this._performSave(filename, { ...saveOptions, allowDetached: true }, writePath);
+    } catch (error) {
+      try {
+        await fs.unlink(writePath);
+      } catch {
+        // Ignore deletion errors - the save may have failed before creating it
+      }
+      throw error;
+    } finally {
+      this._saveInProgress--;
+      this._lastObservedStat = null;
+    }
+    
+    this._restartJournal();
   }
 
   /**
-   * Enhanced save method with positional missing data markers
+   * Enhanced save method with positional missing data markers. When
+   * writePath is given, the file is written there and renamed to filename.
    */
-  private async _performSave(filename: string, _options: SaveOptions = {}): Promise<void> {
-    const fd = await fs.open(filename, 'w');
+  private async _performSave(filename: string, options: SaveOptions = {}, writePath: string = filename): Promise<void> {
+    // Snapshots may still be reading pages from the file about to be replaced
+    await this.virtualPageManager.preserveSnapshotPages(filename);
+    const file = await fs.open(writePath, 'w');
+    // Fingerprint the bytes on their way out rather than reading them back
+    const fingerprintOptions = { ...this.fingerprintOptions };
+    const hash = createWriteHash(fingerprintOptions);
+    const fd: FileWriter = {
+      write: (data: Buffer) => {
+        hash?.update(data);
+        return file.write(data);
+      }
+    };
     
     try {
       // For detached buffers, add missing data summary at the beginning
@@ -1290,10 +3359,20 @@ class PagedBuffer implements IBuffer {
       }
       
       // Write data with positional markers for missing ranges
-      await this._writeDataWithMissingMarkers(fd);
+      await this._writeDataWithMissingMarkers(fd, options);
       
     } finally {
-      await fd.close();
+      await file.close();
+    }
+    
+    if (writePath !== filename) {
+      await this._copyFileMode(filename, writePath);
+      await fs.rename(writePath, filename);
+    }
+    
+    // A complete image of the buffer is now on disk: serve clean pages from it
+    if (this.state !== BufferState.DETACHED && this.missingDataRanges.length === 0) {
+      await this.virtualPageManager.rebindToFile(filename);
     }
     
     // Update metadata after successful save
@@ -1302,6 +3381,15 @@ class PagedBuffer implements IBuffer {
     this.fileSize = stats.size;
     this.fileMtime = stats.mtime;
     this.totalSize = this.virtualPageManager.getTotalSize(); // Keep VPM as source of truth
+    if (hash) {
+      this._clearFingerprint();
+      this._setFingerprint(fingerprintOptions, hash.digest('hex'), []);
+      if (this.isFollowing()) {
+        await this._recordFollowTail();
+      }
+    } else {
+      await this._refreshFingerprint(filename, false);
+    }
     
     // Mark as saved (no unsaved changes)
     this._markAsSaved();
@@ -1317,10 +3405,12 @@ class PagedBuffer implements IBuffer {
    */
   private async _performAtomicSave(filename: string, options: SaveOptions = {}): Promise<void> {
     let tempCopyPath: string | null = null;
+    let originalStats: Stats | null = null;
     
     try {
       // Step 1: Create temporary copy of original file (if it exists and we need it)
       if (await this._fileExists(filename)) {
+        originalStats = await fs.stat(filename);
         tempCopyPath = await this._createTempCopy(filename);
         
         this._notify(
@@ -1343,9 +3433,11 @@ class PagedBuffer implements IBuffer {
       await this._updateMetadataAfterSave(filename);
 
     } catch (error) {
-      // If atomic save fails, we need to restore the VPM source
+      // If atomic save fails, put the original content (and mtime) back
+      // and point the VPM at it again
       if (tempCopyPath) {
-        this._updateVPMSourceFile(filename); // Restore original
+        await this._restoreFromTempCopy(tempCopyPath, filename, originalStats);
+        this._updateVPMSourceFile(filename);
       }
       throw error;
     } finally {
@@ -1356,6 +3448,77 @@ class PagedBuffer implements IBuffer {
     }
   }
   
+  /**
+   * Check that the file on disk is the one loaded and that every change
+   * keeps its size and file offset, so only the changed ranges need writing
+   */
+  private async _canSaveInPlace(filename: string): Promise<boolean> {
+    const vpm = this.virtualPageManager;
+    let reason: string | null = null;
+
+    if (this.state === BufferState.DETACHED || this.missingDataRanges.length > 0) {
+      reason = 'buffer has missing data';
+    } else if (vpm.getTotalSize() !== vpm.getSourceSize()) {
+      reason = 'size changed';
+    } else if (vpm.getModifiedRanges().some(r => r.bufferStart !== r.fileStart || r.bufferEnd !== r.fileEnd)) {
+      reason = 'content moved';
+    } else {
+      try {
+        const stats = await fs.stat(filename);
+        if (stats.size !== this.fileSize || stats.mtime.getTime() !== this.fileMtime?.getTime()) {
+          reason = 'file changed on disk';
+        }
+      } catch {
+        reason = 'file missing';
+      }
+    }
+
+    if (reason) {
+      this._notify(
+        'in_place_save_unavailable',
+        'info',
+        `Saving the whole file: in-place save not possible (${reason})`,
+        { filename, reason }
+      );
+    }
+    return reason === null;
+  }
+
+  /**
+   * Overwrite only the changed ranges of the file, guarded by an undo journal
+   */
+  private async _performInPlaceSave(filename: string, options: SaveOptions = {}): Promise<void> {
+    const vpm = this.virtualPageManager;
+    const ranges = vpm.getModifiedRanges().map(r => ({ offset: r.fileStart, length: r.fileEnd - r.fileStart }));
+
+    // Snapshots may still be reading the bytes about to be overwritten
+    await vpm.preserveSnapshotPages(filename);
+    const bytesWritten = await writeInPlace(filename, ranges, (start, end) => vpm.readRange(start, end), options);
+    await vpm.rebindToFile(filename);
+
+    // Only the changed ranges were written; don't read the rest back before returning
+    const stats = await fs.stat(filename);
+    this.fileSize = stats.size;
+    this.fileMtime = stats.mtime;
+    await this._refreshFingerprint(filename, false, true);
+    this._markAsSaved();
+    this.state = BufferState.CLEAN;
+
+    this._notify(
+      'save_completed',
+      'info',
+      `Saved ${bytesWritten} changed bytes in place to ${filename}`,
+      {
+        filename,
+        size: stats.size,
+        newState: this.state,
+        hasUnsavedChanges: this.hasUnsavedChanges,
+        inPlace: true,
+        bytesWritten
+      }
+    );
+  }
+
   /**
    * Create a temporary copy of the original file
    */
@@ -1369,6 +3532,44 @@ class PagedBuffer implements IBuffer {
     return tempPath;
   }
 
+  /**
+   * A path in the same directory as a file, for writing it and renaming
+   */
+  private _siblingTempPath(filePath: string): string {
+    const tempName = `.${path.basename(filePath)}.paged-buffer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.tmp`;
+    return path.join(path.dirname(filePath), tempName);
+  }
+
+  /**
+   * Give a file about to replace another the permissions of the one it replaces
+   */
+  private async _copyFileMode(fromPath: string, toPath: string): Promise<void> {
+    try {
+      await fs.chmod(toPath, (await fs.stat(fromPath)).mode);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Copy the temporary copy back over a file whose save failed part way
+   */
+  private async _restoreFromTempCopy(tempPath: string, originalPath: string, originalStats: Stats | null): Promise<void> {
+    try {
+      await fs.copyFile(tempPath, originalPath);
+      if (originalStats) {
+        await fs.utimes(originalPath, originalStats.atime, originalStats.mtime);
+      }
+    } catch (error) {
+      this._notify(
+        'atomic_save_restore_failed',
+        'error',
+        `Failed to restore ${originalPath} after an interrupted save: ${(error as Error).message}`,
+        { originalFile: originalPath, tempCopy: tempPath, error: (error as Error).message }
+      );
+    }
+  }
+
   /**
    * Update VPM to use a different source file path
    */
@@ -1499,9 +3700,10 @@ class PagedBuffer implements IBuffer {
   // =================== SYNCHRONOUS LINE OPERATIONS API ===================
 
   /**
-   * Get total number of lines in the buffer (SYNCHRONOUS)
+   * Get total number of lines in the buffer (SYNCHRONOUS). isExact is false
+   * while some page was never loaded; buildLineIndex() makes it exact.
    */
-  getLineCount(): number {
+  getLineCount(): LineCount {
     return this.lineAndMarksManager.getTotalLineCount();
   }
 
@@ -1543,20 +3745,150 @@ class PagedBuffer implements IBuffer {
   /**
    * Ensure page containing address is loaded (ASYNC)
    */
-  async seekAddress(address: number): Promise<boolean> {
+  seekAddress(address: number): Promise<boolean> {
+    return this._operations.run('seekAddress', () => this._seekAddress(address));
+  }
+
+  private async _seekAddress(address: number): Promise<boolean> {
     return await this.lineAndMarksManager.seekAddress(address);
   }
 
+  // =================== ASYNC LINE OPERATIONS API ===================
+
+  /**
+   * Get a line with exact bounds and its text, loading the pages needed (ASYNC)
+   * @returns null if the line does not exist
+   */
+  getLineAsync(lineNumber: number): Promise<LineText | null> {
+    return this._operations.run('getLineAsync', () => this._getLineAsync(lineNumber));
+  }
+
+  private async _getLineAsync(lineNumber: number): Promise<LineText | null> {
+    const [line] = await this._getLinesText(lineNumber, lineNumber);
+    return line ?? null;
+  }
+
+  /**
+   * Get lines startLine through endLine with exact bounds and their text,
+   * loading the pages needed (ASYNC). Lines past the end are left out.
+   */
+  getLinesText(startLine: number, endLine: number): Promise<LineText[]> {
+    return this._operations.run('getLinesText', () => this._getLinesText(startLine, endLine));
+  }
+
+  private async _getLinesText(startLine: number, endLine: number): Promise<LineText[]> {
+    const lines = await this.lineAndMarksManager.getLinesAsync(startLine, endLine);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const rangeStart = lines[0].byteStart;
+    const data = await this.virtualPageManager.readRange(rangeStart, lines[lines.length - 1].byteEnd);
+    return lines.map(line => {
+      const start = line.byteStart - rangeStart;
+      let end = line.byteEnd - rangeStart;
+      if (end > start && data[end - 1] === 0x0A) {
+        end--;
+        if (end > start && data[end - 1] === 0x0D) {
+          end--;
+        }
+      }
+      return { ...line, text: data.subarray(start, end).toString('utf8') };
+    });
+  }
+
+  /**
+   * Get the line containing a byte address, with exact bounds and its text,
+   * loading the pages needed (ASYNC). The end of the buffer belongs to the
+   * last line.
+   * @returns null if the address is outside the buffer
+   */
+  getLineRangeForAddress(address: number): Promise<LineText | null> {
+    return this._operations.run('getLineRangeForAddress', () => this._getLineRangeForAddress(address));
+  }
+
+  private async _getLineRangeForAddress(address: number): Promise<LineText | null> {
+    const lineNumber = await this.lineAndMarksManager.getLineNumberFromAddressAsync(address);
+    return lineNumber === 0 ? null : await this._getLineAsync(lineNumber);
+  }
+
+  // =================== LINE INDEX ===================
+
+  /**
+   * Check whether line counts and line numbers are exact. They are estimates
+   * while some page was never loaded, since its newlines have not been counted.
+   */
+  isLineIndexExact(): boolean {
+    return this.lineAndMarksManager.isLineCountExact();
+  }
+
+  /**
+   * Count the newlines of every page never loaded, reading each once without
+   * keeping it resident, so that line counts become exact (ASYNC). Pages are
+   * indexed one queued step at a time, so edits and reads are not held up.
+   * @returns The line count, exact unless pages were added unindexed meanwhile
+   */
+  async buildLineIndex(options: LineIndexOptions = {}): Promise<LineCount> {
+    const { signal, onProgress } = options;
+    const totalBytes = this.lineAndMarksManager.getUnindexedSize();
+    let indexedBytes = 0;
+    let fromIndex = 0;
+
+    for (;;) {
+      throwIfAborted(signal, 'Line indexing');
+      const startIndex = fromIndex;
+      const indexed = await this._operations.enqueue(() => this._indexNextLinePage(startIndex));
+      if (!indexed) break;
+
+      indexedBytes += indexed.size;
+      fromIndex = indexed.pageIndex + 1;
+      onProgress?.(indexedBytes, Math.max(totalBytes, indexedBytes));
+    }
+
+    const lineCount = this.getLineCount();
+    if (indexedBytes > 0 && lineCount.isExact) {
+      this._notify(
+        NotificationType.LINE_INDEX_COMPLETE,
+        'info',
+        `Line count is now exact: ${lineCount.count} lines`,
+        { lineCount: lineCount.count, indexedBytes }
+      );
+    }
+    return lineCount;
+  }
+
+  /**
+   * Index the next page whose newlines were never counted, looking from
+   * fromIndex first and then from the start in case pages moved
+   */
+  private async _indexNextLinePage(fromIndex: number): Promise<{ pageIndex: number; size: number } | null> {
+    let pageIndex = this.lineAndMarksManager.findUnindexedPage(fromIndex);
+    if (pageIndex < 0 && fromIndex > 0) {
+      pageIndex = this.lineAndMarksManager.findUnindexedPage();
+    }
+    if (pageIndex < 0) {
+      return null;
+    }
+
+    const descriptor = this.virtualPageManager.addressIndex.pages[pageIndex];
+    await this.virtualPageManager.indexPageLines(descriptor);
+    return { pageIndex, size: descriptor.virtualSize };
+  }
+
   // =================== CONVENIENCE LINE METHODS ===================
 
   /**
    * Insert content with line/character position (convenience method)
    */
-  async insertTextAtPosition(pos: LineCharPosition, text: string): Promise<{ newPosition: LineCharPosition }> {
+  insertTextAtPosition(pos: LineCharPosition, text: string): Promise<{ newPosition: LineCharPosition }> {
+    return this._operations.run('insertTextAtPosition', () => this._insertTextAtPosition(pos, text));
+  }
+
+  private async _insertTextAtPosition(pos: LineCharPosition, text: string): Promise<{ newPosition: LineCharPosition }> {
     const bytePos = this.lineCharToBytePosition(pos);
     const textBuffer = Buffer.from(text, 'utf8');
     
-    await this.insertBytes(bytePos, textBuffer);
+    await this._insertBytes(bytePos, textBuffer);
     
     const newBytePos = bytePos + textBuffer.length;
     const newPosition = this.byteToLineCharPosition(newBytePos);
@@ -1567,11 +3899,15 @@ class PagedBuffer implements IBuffer {
   /**
    * Delete content between line/character positions (convenience method)
    */
-  async deleteTextBetweenPositions(startPos: LineCharPosition, endPos: LineCharPosition): Promise<{ deletedText: string }> {
+  deleteTextBetweenPositions(startPos: LineCharPosition, endPos: LineCharPosition): Promise<{ deletedText: string }> {
+    return this._operations.run('deleteTextBetweenPositions', () => this._deleteTextBetweenPositions(startPos, endPos));
+  }
+
+  private async _deleteTextBetweenPositions(startPos: LineCharPosition, endPos: LineCharPosition): Promise<{ deletedText: string }> {
     const startByte = this.lineCharToBytePosition(startPos);
     const endByte = this.lineCharToBytePosition(endPos);
     
-    const deletedBytes = await this.deleteBytes(startByte, endByte) as Buffer;
+    const deletedBytes = await this._deleteBytes(startByte, endByte) as Buffer;
     const deletedText = deletedBytes.toString('utf8');
     
     return { deletedText };
@@ -1580,3 +3916,23 @@ class PagedBuffer implements IBuffer {
 
 // Export the MissingDataRange class as well for testing
 export { PagedBuffer, MissingDataRange, BufferState, FileChangeStrategy, NotificationType };
+export type {
+  BufferEdit,
+  AppliedEdit,
+  RangeOptions,
+  LoadMarksOptions,
+  MarksLoadResult,
+  LineIndexOptions,
+  LineText,
+  ReplaceAllOptions,
+  ReplacementValue,
+  WatchOptions,
+  FileChangeInfo,
+  RebaseResult,
+  RebaseConflict,
+  ModifiedRange,
+  DiffHunk,
+  JournalOptions,
+  RecoveryResult,
+  BusyBehavior
+};
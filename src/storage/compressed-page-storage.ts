@@ -0,0 +1,195 @@
+/**
+ * Compressing page storage wrapper
+ */
+
+import * as zlib from 'zlib';
+import { promisify } from 'util';
+import { PageStorage } from './page-storage';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+const inflateRaw = promisify(zlib.inflateRaw);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+/**
+ * Compression used for stored pages
+ */
+type CompressionAlgorithm = 'deflate' | 'brotli';
+
+/**
+ * Options for CompressedPageStorage
+ */
+interface CompressedPageStorageOptions {
+  /** Compression algorithm (default: deflate) */
+  algorithm?: CompressionAlgorithm;
+  /** Compression level: 0-9 for deflate (default 6), 0-11 for brotli (default 4) */
+  level?: number;
+}
+
+/**
+ * Storage statistics, covering the pages saved through this wrapper
+ */
+interface CompressedStorageStats {
+  pageCount: number;
+  /** Bytes handed to savePage */
+  originalBytes: number;
+  /** Bytes written to the wrapped storage, including format tags */
+  storedBytes: number;
+  /** storedBytes / originalBytes (1 when nothing is stored) */
+  compressionRatio: number;
+  /** Pages kept uncompressed because compression did not make them smaller */
+  uncompressedPages: number;
+  algorithm: CompressionAlgorithm;
+  level: number;
+  /** Statistics of the wrapped storage, when it reports any */
+  inner?: unknown;
+}
+
+/**
+ * First byte of every stored page: how the rest of it is encoded. Pages
+ * written with one algorithm stay readable after switching to another.
+ */
+enum PageFormat {
+  RAW = 0,
+  DEFLATE = 1,
+  BROTLI = 2
+}
+
+const LEVEL_RANGES: Record<CompressionAlgorithm, { max: number; default: number }> = {
+  deflate: { max: 9, default: 6 },
+  brotli: { max: 11, default: 4 }
+};
+
+/**
+ * Page storage that compresses pages before handing them to another
+ * PageStorage. Pages that do not shrink are stored as they are. The wrapped
+ * storage should only be accessed through this wrapper.
+ */
+class CompressedPageStorage extends PageStorage {
+  private inner: PageStorage;
+  private algorithm: CompressionAlgorithm;
+  private level: number;
+  private pageSizes: Map<string, { original: number; stored: number }> = new Map();
+
+  constructor(inner: PageStorage, options: CompressedPageStorageOptions = {}) {
+    super();
+    this.inner = inner;
+    this.algorithm = options.algorithm ?? 'deflate';
+
+    const range = LEVEL_RANGES[this.algorithm];
+    if (!range) {
+      throw new Error(`Unknown compression algorithm: ${this.algorithm}`);
+    }
+    this.level = options.level ?? range.default;
+    if (!Number.isInteger(this.level) || this.level < 0 || this.level > range.max) {
+      throw new Error(`Compression level for ${this.algorithm} must be an integer from 0 to ${range.max}`);
+    }
+  }
+
+  async savePage(pageKey: string, data: Buffer): Promise<void> {
+    const compressed = await this._compress(data);
+    const stored = compressed.length < data.length ?
+      Buffer.concat([Buffer.from([this._format()]), compressed]) :
+      Buffer.concat([Buffer.from([PageFormat.RAW]), data]);
+
+    await this.inner.savePage(pageKey, stored);
+    this.pageSizes.set(pageKey, { original: data.length, stored: stored.length });
+  }
+
+  async loadPage(pageKey: string): Promise<Buffer> {
+    const stored = await this.inner.loadPage(pageKey);
+    if (stored.length === 0) {
+      throw new Error(`Page ${pageKey} is missing its format tag`);
+    }
+
+    const body = stored.subarray(1);
+    switch (stored[0]) {
+      case PageFormat.RAW:
+        return Buffer.from(body);
+      case PageFormat.DEFLATE:
+        return await inflateRaw(body);
+      case PageFormat.BROTLI:
+        return await brotliDecompress(body);
+      default:
+        throw new Error(`Page ${pageKey} has unknown format tag ${stored[0]}`);
+    }
+  }
+
+  async deletePage(pageKey: string): Promise<void> {
+    await this.inner.deletePage(pageKey);
+    this.pageSizes.delete(pageKey);
+  }
+
+  async pageExists(pageKey: string): Promise<boolean> {
+    return await this.inner.pageExists(pageKey);
+  }
+
+  /**
+   * Get the directory of the storage this wrapper writes to, if it has one
+   */
+  override getTempDir(): string | null {
+    return this.inner.getTempDir();
+  }
+
+  /**
+   * Get the storage this wrapper writes to
+   */
+  getInnerStorage(): PageStorage {
+    return this.inner;
+  }
+
+  /**
+   * Get storage statistics, including the compression ratio achieved
+   */
+  async getStorageStats(): Promise<CompressedStorageStats> {
+    let originalBytes = 0;
+    let storedBytes = 0;
+    let uncompressedPages = 0;
+    for (const sizes of this.pageSizes.values()) {
+      originalBytes += sizes.original;
+      storedBytes += sizes.stored;
+      if (sizes.stored > sizes.original) {
+        uncompressedPages++;
+      }
+    }
+
+    const stats: CompressedStorageStats = {
+      pageCount: this.pageSizes.size,
+      originalBytes,
+      storedBytes,
+      compressionRatio: originalBytes > 0 ? storedBytes / originalBytes : 1,
+      uncompressedPages,
+      algorithm: this.algorithm,
+      level: this.level
+    };
+
+    const inner = this.inner as PageStorage & { getStorageStats?: () => Promise<unknown> };
+    if (typeof inner.getStorageStats === 'function') {
+      stats.inner = await inner.getStorageStats();
+    }
+    return stats;
+  }
+
+  private _format(): PageFormat {
+    return this.algorithm === 'brotli' ? PageFormat.BROTLI : PageFormat.DEFLATE;
+  }
+
+  private async _compress(data: Buffer): Promise<Buffer> {
+    if (this.algorithm === 'brotli') {
+      return await brotliCompress(data, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: this.level,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+      });
+    }
+    return await deflateRaw(data, { level: this.level });
+  }
+}
+
+export {
+  CompressedPageStorage,
+  type CompressionAlgorithm,
+  type CompressedPageStorageOptions,
+  type CompressedStorageStats
+};
@@ -0,0 +1,96 @@
+/**
+ * Encrypting page storage wrapper
+ */
+
+import * as crypto from 'crypto';
+import { PageStorage, createPageAuthenticationError } from './page-storage';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Options for EncryptedPageStorage
+ */
+interface EncryptedPageStorageOptions {
+  /** 32-byte AES-256 key (default: a random key kept only in memory for this session) */
+  key?: Buffer;
+}
+
+/**
+ * Page storage that encrypts pages with AES-256-GCM before handing them to
+ * another PageStorage. Each page gets a fresh nonce and is bound to its page
+ * key, so altered, truncated or swapped pages fail to load.
+ *
+ * Stored layout: nonce (12 bytes) | auth tag (16 bytes) | ciphertext
+ */
+class EncryptedPageStorage extends PageStorage {
+  private inner: PageStorage;
+  private key: Buffer;
+
+  constructor(inner: PageStorage, options: EncryptedPageStorageOptions = {}) {
+    super();
+    if (options.key && options.key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption key must be ${KEY_LENGTH} bytes, got ${options.key.length}`);
+    }
+    this.inner = inner;
+    // Copy so the caller can wipe their buffer without breaking us
+    this.key = options.key ? Buffer.from(options.key) : crypto.randomBytes(KEY_LENGTH);
+  }
+
+  async savePage(pageKey: string, data: Buffer): Promise<void> {
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, nonce, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(Buffer.from(pageKey, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    await this.inner.savePage(pageKey, Buffer.concat([nonce, cipher.getAuthTag(), ciphertext]));
+  }
+
+  async loadPage(pageKey: string): Promise<Buffer> {
+    const stored = await this.inner.loadPage(pageKey);
+    if (stored.length < NONCE_LENGTH + TAG_LENGTH) {
+      throw createPageAuthenticationError(pageKey);
+    }
+
+    const nonce = stored.subarray(0, NONCE_LENGTH);
+    const tag = stored.subarray(NONCE_LENGTH, NONCE_LENGTH + TAG_LENGTH);
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, nonce, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(Buffer.from(pageKey, 'utf8'));
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([decipher.update(stored.subarray(NONCE_LENGTH + TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw createPageAuthenticationError(pageKey);
+    }
+  }
+
+  async deletePage(pageKey: string): Promise<void> {
+    await this.inner.deletePage(pageKey);
+  }
+
+  async pageExists(pageKey: string): Promise<boolean> {
+    return await this.inner.pageExists(pageKey);
+  }
+
+  /**
+   * Get the directory of the storage this wrapper writes to, if it has one
+   */
+  override getTempDir(): string | null {
+    return this.inner.getTempDir();
+  }
+
+  /**
+   * Get the storage this wrapper writes to
+   */
+  getInnerStorage(): PageStorage {
+    return this.inner;
+  }
+}
+
+export {
+  EncryptedPageStorage,
+  type EncryptedPageStorageOptions
+};
@@ -62,7 +62,7 @@ class FilePageStorage extends PageStorage {
   /**
    * Get the directory where pages are stored
    */
-  getTempDir(): string {
+  override getTempDir(): string {
     return this.tempDir;
   }
 
@@ -0,0 +1,363 @@
+/**
+ * Pack-file page storage implementation
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import * as crypto from 'crypto';
+import { PageStorage } from './page-storage';
+import { logger } from '../utils/logger';
+
+/**
+ * Options for PackFilePageStorage
+ */
+interface PackFilePageStorageOptions {
+  /** Start a new pack file once the current one reaches this size (default: 256 MB) */
+  maxPackSize?: number;
+  /** Compact a pack once this fraction of it is free space (default: 0.5) */
+  compactionThreshold?: number;
+  /** Compact fragmented packs in the background after pages are freed (default: true) */
+  autoCompact?: boolean;
+}
+
+/**
+ * Storage statistics
+ */
+interface PackStorageStats {
+  pageCount: number;
+  /** Bytes of live page data */
+  totalBytes: number;
+  packCount: number;
+  /** Total size of all pack files */
+  packBytes: number;
+  /** Bytes in pack files not holding live pages */
+  freeBytes: number;
+  compactions: number;
+  directory: string;
+}
+
+/**
+ * Where a page lives: `capacity` is the slot size, which may exceed the
+ * page when a smaller page was written into a reused slot
+ */
+interface PageSlot {
+  pack: number;
+  offset: number;
+  length: number;
+  capacity: number;
+}
+
+interface FreeSlot {
+  offset: number;
+  capacity: number;
+}
+
+interface Pack {
+  id: number;
+  handle: fs.FileHandle;
+  size: number;
+  freeBytes: number;
+  freeSlots: FreeSlot[];
+}
+
+/**
+ * Page storage that appends pages into a few large pack files instead of
+ * writing one file per page. The index lives in memory, so pages are only
+ * readable by the instance that wrote them. Freed slots are reused, and packs
+ * that become mostly free space are compacted in the background.
+ */
+class PackFilePageStorage extends PageStorage {
+  private tempDir: string;
+  private maxPackSize: number;
+  private compactionThreshold: number;
+  private autoCompact: boolean;
+
+  // Pack files are named per instance so several storages can share a directory
+  private packPrefix: string = `pack-${process.pid.toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  private packs: Map<number, Pack> = new Map();
+  private index: Map<string, PageSlot> = new Map();
+  private activePack: Pack | null = null;
+  private nextPackId: number = 0;
+  private compactions: number = 0;
+
+  // Every file access runs in turn, so compaction never moves a page mid-read
+  private queue: Promise<void> = Promise.resolve();
+  private compactionScheduled: boolean = false;
+
+  constructor(tempDir?: string, options: PackFilePageStorageOptions = {}) {
+    super();
+    this.tempDir = tempDir ?? path.join(os.tmpdir(), 'buffer-pages');
+    this.maxPackSize = options.maxPackSize ?? 256 * 1024 * 1024;
+    this.compactionThreshold = options.compactionThreshold ?? 0.5;
+    this.autoCompact = options.autoCompact ?? true;
+  }
+
+  async savePage(pageKey: string, data: Buffer): Promise<void> {
+    await this._exclusive(async () => {
+      const existing = this.index.get(pageKey);
+      if (existing && existing.capacity >= data.length) {
+        // Rewrite in place; the slot keeps its capacity
+        const pack = this._pack(existing.pack);
+        await pack.handle.write(data, 0, data.length, existing.offset);
+        pack.freeBytes += existing.length - data.length;
+        existing.length = data.length;
+        return;
+      }
+
+      if (existing) {
+        this._freeSlot(existing);
+      }
+      const slot = await this._allocate(data.length);
+      await this._pack(slot.pack).handle.write(data, 0, data.length, slot.offset);
+      this.index.set(pageKey, slot);
+    });
+    this._scheduleCompaction();
+  }
+
+  async loadPage(pageKey: string): Promise<Buffer> {
+    return await this._exclusive(async () => {
+      const slot = this.index.get(pageKey);
+      if (!slot) {
+        throw new Error(`Page ${pageKey} not found`);
+      }
+      const data = Buffer.alloc(slot.length);
+      const { bytesRead } = await this._pack(slot.pack).handle.read(data, 0, slot.length, slot.offset);
+      if (bytesRead !== slot.length) {
+        throw new Error(`Page ${pageKey} is truncated in its pack file`);
+      }
+      return data;
+    });
+  }
+
+  async deletePage(pageKey: string): Promise<void> {
+    await this._exclusive(() => {
+      const slot = this.index.get(pageKey);
+      if (slot) {
+        this.index.delete(pageKey);
+        this._freeSlot(slot);
+      }
+      return Promise.resolve();
+    });
+    this._scheduleCompaction();
+  }
+
+  async pageExists(pageKey: string): Promise<boolean> {
+    return await Promise.resolve(this.index.has(pageKey));
+  }
+
+  /**
+   * Get the directory where pack files are stored
+   */
+  override getTempDir(): string {
+    return this.tempDir;
+  }
+
+  /**
+   * Get all stored page keys
+   */
+  getAllPageKeys(): string[] {
+    return Array.from(this.index.keys());
+  }
+
+  /**
+   * Get storage statistics
+   */
+  async getStorageStats(): Promise<PackStorageStats> {
+    return await this._exclusive(() => {
+      let totalBytes = 0;
+      for (const slot of this.index.values()) {
+        totalBytes += slot.length;
+      }
+      let packBytes = 0;
+      let freeBytes = 0;
+      for (const pack of this.packs.values()) {
+        packBytes += pack.size;
+        freeBytes += pack.freeBytes;
+      }
+
+      return Promise.resolve({
+        pageCount: this.index.size,
+        totalBytes,
+        packCount: this.packs.size,
+        packBytes,
+        freeBytes,
+        compactions: this.compactions,
+        directory: this.tempDir
+      });
+    });
+  }
+
+  /**
+   * Rewrite packs that are mostly free space, moving their live pages into
+   * the active pack and deleting the old files
+   * @returns Bytes of disk space reclaimed
+   */
+  async compact(): Promise<number> {
+    return await this._exclusive(() => this._compactFragmentedPacks());
+  }
+
+  /**
+   * Delete all pack files and forget every page
+   */
+  async cleanup(): Promise<void> {
+    await this._exclusive(async () => {
+      for (const pack of this.packs.values()) {
+        await this._removePack(pack);
+      }
+      this.index.clear();
+      this.activePack = null;
+    });
+  }
+
+  /**
+   * Remove the pack files and the directory if nothing else is in it
+   */
+  async destroy(): Promise<void> {
+    await this.cleanup();
+    try {
+      await fs.rmdir(this.tempDir);
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      if (code !== 'ENOENT' && code !== 'ENOTEMPTY') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Run a task after every task queued before it
+   */
+  private _exclusive<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(task);
+    this.queue = result.then(() => undefined, () => undefined);
+    return result;
+  }
+
+  /**
+   * Find room for a page: the first free slot large enough, else the end
+   * of the active pack
+   */
+  private async _allocate(length: number, reuseFreeSlots: boolean = true): Promise<PageSlot> {
+    for (const pack of reuseFreeSlots ? this.packs.values() : []) {
+      const index = pack.freeSlots.findIndex(free => free.capacity >= length);
+      if (index >= 0) {
+        const [free] = pack.freeSlots.splice(index, 1);
+        pack.freeBytes -= length;
+        return { pack: pack.id, offset: free.offset, length, capacity: free.capacity };
+      }
+    }
+
+    let pack = this.activePack;
+    if (!pack || (pack.size > 0 && pack.size + length > this.maxPackSize)) {
+      pack = await this._createPack();
+    }
+    const slot = { pack: pack.id, offset: pack.size, length, capacity: length };
+    pack.size += length;
+    return slot;
+  }
+
+  /**
+   * Return a slot to its pack's free list
+   */
+  private _freeSlot(slot: PageSlot): void {
+    const pack = this._pack(slot.pack);
+    pack.freeSlots.push({ offset: slot.offset, capacity: slot.capacity });
+    pack.freeBytes += slot.length;
+  }
+
+  private _pack(id: number): Pack {
+    const pack = this.packs.get(id);
+    if (!pack) {
+      throw new Error(`Pack ${id} is no longer open`);
+    }
+    return pack;
+  }
+
+  private async _createPack(): Promise<Pack> {
+    await fs.mkdir(this.tempDir, { recursive: true });
+    const id = this.nextPackId++;
+    const handle = await fs.open(this._packPath(id), 'w+');
+    const pack: Pack = { id, handle, size: 0, freeBytes: 0, freeSlots: [] };
+    this.packs.set(id, pack);
+    this.activePack = pack;
+    return pack;
+  }
+
+  private async _removePack(pack: Pack): Promise<void> {
+    this.packs.delete(pack.id);
+    if (this.activePack === pack) {
+      this.activePack = null;
+    }
+    try {
+      await pack.handle.close();
+      await fs.unlink(this._packPath(pack.id));
+    } catch (error) {
+      // Ignore deletion errors - the pack is no longer referenced
+    }
+  }
+
+  private _packPath(id: number): string {
+    return path.join(this.tempDir, `${this.packPrefix}-${id}.pack`);
+  }
+
+  private _isFragmented(pack: Pack): boolean {
+    return pack.size > 0 && pack.freeBytes >= pack.size * this.compactionThreshold;
+  }
+
+  /**
+   * Queue a background compaction if any pack has become fragmented
+   */
+  private _scheduleCompaction(): void {
+    if (!this.autoCompact || this.compactionScheduled) {
+      return;
+    }
+    if (!Array.from(this.packs.values()).some(pack => this._isFragmented(pack))) {
+      return;
+    }
+
+    this.compactionScheduled = true;
+    setImmediate(() => {
+      this.compactionScheduled = false;
+      this.compact().catch(error => {
+        logger.warn(`Pack compaction failed: ${(error as Error).message}`);
+      });
+    });
+  }
+
+  private async _compactFragmentedPacks(): Promise<number> {
+    let reclaimed = 0;
+
+    for (const pack of Array.from(this.packs.values())) {
+      if (!this.packs.has(pack.id) || !this._isFragmented(pack)) continue;
+
+      // Never move pages into the pack being emptied
+      if (this.activePack === pack) {
+        this.activePack = null;
+      }
+
+      // Append moved pages rather than filling holes in packs that may be
+      // compacted next
+      const slots = Array.from(this.index.entries()).filter(([, slot]) => slot.pack === pack.id);
+      for (const [pageKey, slot] of slots) {
+        const data = Buffer.alloc(slot.length);
+        await pack.handle.read(data, 0, slot.length, slot.offset);
+        const moved = await this._allocate(slot.length, false);
+        await this._pack(moved.pack).handle.write(data, 0, data.length, moved.offset);
+        this.index.set(pageKey, moved);
+      }
+
+      reclaimed += pack.size - slots.reduce((sum, [, slot]) => sum + slot.length, 0);
+      await this._removePack(pack);
+      this.compactions++;
+    }
+
+    return reclaimed;
+  }
+}
+
+export {
+  PackFilePageStorage,
+  type PackFilePageStorageOptions,
+  type PackStorageStats
+};
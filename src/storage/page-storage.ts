@@ -1,3 +1,19 @@
+/**
+ * Create the error raised when a stored page fails authentication
+ */
+function createPageAuthenticationError(pageKey: string): Error {
+  const error = new Error(`Page ${pageKey} failed authentication: stored data was altered or belongs to another key`);
+  error.name = 'PageAuthenticationError';
+  return error;
+}
+
+/**
+ * Check whether an error was raised by a page failing authentication
+ */
+function isPageAuthenticationError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'PageAuthenticationError';
+}
+
 /**
  * Base page storage interface - allows external storage implementation
  */
@@ -27,6 +43,17 @@ abstract class PageStorage {
    * @param pageKey - Unique page identifier
    */
   abstract pageExists(pageKey: string): Promise<boolean>;
+
+  /**
+   * Get the directory where pages are stored, if the storage has one
+   */
+  getTempDir(): string | null {
+    return null;
+  }
 }
 
-export { PageStorage };
+export {
+  PageStorage,
+  createPageAuthenticationError,
+  isPageAuthenticationError
+};
@@ -108,11 +108,14 @@ export interface IVirtualPageManager {
   
   // Page cache access
   pageCache: Map<string, IPageInfo>;
-  
-  // Optional methods (may not be available in all implementations)
-  _ensurePageLoaded?(descriptor: IPageDescriptor): Promise<IPageInfo>;
+  _ensurePageLoaded(descriptor: IPageDescriptor): Promise<IPageInfo>;
 }
 
+/**
+ * Content readable by virtual address: the page manager, or a fixed view of it
+ */
+export type ByteSource = Pick<IVirtualPageManager, 'getTotalSize' | 'readRange'>;
+
 // =================== LINE AND MARKS MANAGER INTERFACE ===================
 
 /**
@@ -125,9 +128,12 @@ export interface ILineAndMarksManager {
   handlePageMerge(fromPageKey: string, toPageKey: string, insertOffset: number): void;
   getMemoryStats(): LineAndMarksManagerMemoryStats;
   clearAllMarks(): void;
-  setMark(markName: string, virtualAddress: number): void;
+  setMark(markName: string, virtualAddress: number, gravity?: MarkGravity): void;
   getAllMarks(): MarkTuple[];
-  getTotalLineCount(): number;
+  restoreMarks(marks: MarkTuple[]): void;
+  getAllRanges(): MarkRange[];
+  restoreRanges(ranges: MarkRange[]): void;
+  getTotalLineCount(): LineCount;
   updateMarksAfterModification(virtualStart: number, deletedBytes: number, insertedBytes: number): void;
 }
 
@@ -188,6 +194,27 @@ export type MarkTuple = [string, number];
  */
 export type RelativeMarkTuple = [string, number];
 
+/**
+ * Which side of an insertion a mark or range endpoint sticks to when bytes
+ * are inserted exactly at its address
+ * - left: stays before the inserted bytes
+ * - right: moves after the inserted bytes
+ */
+export type MarkGravity = 'left' | 'right';
+
+/**
+ * Named range whose endpoints move independently as the content changes
+ */
+export interface MarkRange {
+  name: string;
+  start: number;
+  end: number;
+  startGravity: MarkGravity;
+  endGravity: MarkGravity;
+  /** Whether an edit emptied the range (cleared once it grows again) */
+  collapsed: boolean;
+}
+
 /**
  * Mark information for extracted content
  */
@@ -208,6 +235,15 @@ export interface LineCharPosition {
 
 // =================== RESULT TYPES ===================
 
+/**
+ * A line count, and whether it is exact or leaves out the newlines of pages
+ * never loaded
+ */
+export interface LineCount {
+  count: number;
+  isExact: boolean;
+}
+
 /**
  * Result of address translation
  */
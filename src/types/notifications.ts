@@ -6,6 +6,8 @@ export enum NotificationType {
   FILE_MODIFIED_ON_DISK = 'file_modified_on_disk',
   FILE_SIZE_CHANGED = 'file_size_changed',
   FILE_DELETED = 'file_deleted',
+  FILE_FINGERPRINT_READY = 'file_fingerprint_ready',
+  FILE_APPENDED = 'file_appended',
 
   // Save operations
   SAVE_SKIPPED = 'save_skipped',
@@ -14,6 +16,9 @@ export enum NotificationType {
   SAVE_METADATA_UPDATE_FAILED = 'save_metadata_update_failed',
   TEMP_CLEANUP = 'temp_cleanup',
   TEMP_CLEANUP_FAILED = 'temp_cleanup_failed',
+  ATOMIC_SAVE_RESTORE_FAILED = 'atomic_save_restore_failed',
+  IN_PLACE_SAVE_UNAVAILABLE = 'in_place_save_unavailable',
+  IN_PLACE_SAVE_INTERRUPTED = 'in_place_save_interrupted',
   
   // Data integrity
   PARTIAL_DATA_DETECTED = 'partial_data_detected',
@@ -28,6 +33,14 @@ export enum NotificationType {
   PAGE_REBASE_SUCCESS = 'page_rebase_success',
   PAGE_REBASE_FAILED = 'page_rebase_failed',
   
+  // Named marks and ranges
+  RANGES_COLLAPSED = 'ranges_collapsed',
+  MARKS_FILE_CHANGED = 'marks_file_changed',
+  MARKS_SAVE_FAILED = 'marks_save_failed',
+  
+  // Line indexing
+  LINE_INDEX_COMPLETE = 'line_index_complete',
+  
   // Buffer state changes
   BUFFER_DETACHED = 'buffer_detached',
   MEMORY_PRESSURE = 'memory_pressure',
@@ -46,7 +59,15 @@ export enum NotificationType {
   UNDO_APPLIED = 'undo_applied',
   UNDO_FAILED = 'undo_failed',
   REDO_APPLIED = 'redo_applied',
-  REDO_FAILED = 'redo_failed'
+  REDO_FAILED = 'redo_failed',
+  UNDO_HISTORY_SAVED = 'undo_history_saved',
+  UNDO_HISTORY_RESTORED = 'undo_history_restored',
+  UNDO_HISTORY_DISCARDED = 'undo_history_discarded',
+  UNDO_HISTORY_SAVE_FAILED = 'undo_history_save_failed',
+  
+  // Crash-recovery journal
+  JOURNAL_WRITE_FAILED = 'journal_write_failed',
+  JOURNAL_RECOVERED = 'journal_recovered'
 }
 
 /**
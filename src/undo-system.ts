@@ -9,6 +9,7 @@ import { BufferOperation } from './buffer-operation';
 import { logger } from './utils/logger';
 import {
   type MarkTuple,
+  type MarkRange,
   type ILineAndMarksManager
 } from './types/common';
 
@@ -17,6 +18,8 @@ interface UndoConfig {
   maxUndoLevels?: number;
   mergeTimeWindow?: number;
   mergePositionWindow?: number;
+  /** Keep undone branches in a tree instead of discarding them */
+  undoTree?: boolean;
 }
 
 interface TransactionOptions {
@@ -65,11 +68,119 @@ interface GroupDebugInfo {
   operations?: OperationDebugInfo[];
 }
 
+/**
+ * A node of the undo tree; the root is the oldest reachable state
+ */
+interface UndoTreeNodeDebugInfo {
+  id: string;
+  name: string | null;
+  sequence: number;
+  operationCount: number;
+  isCurrent: boolean;
+  children: UndoTreeNodeDebugInfo[];
+}
+
+interface UndoTreeDebugInfo {
+  rootId: string;
+  currentId: string;
+  nodeCount: number;
+  branchCount: number;
+  root: UndoTreeNodeDebugInfo;
+}
+
+/**
+ * A branch of the undo tree, identified by its tip (a node without children)
+ */
+interface UndoBranchInfo {
+  tipId: string;
+  tipName: string | null;
+  sequence: number;
+  timestamp: number;
+  depth: number;
+  /** Whether the current state lies on this branch */
+  containsCurrent: boolean;
+}
+
 interface UndoDebugInfo {
   undoStack: GroupDebugInfo[];
   redoStack: GroupDebugInfo[];
   activeTransaction: TransactionInfo | null;
   stats: UndoStats;
+  /** Present in undo tree mode */
+  tree: UndoTreeDebugInfo | null;
+}
+
+/**
+ * Operation data in serialized history: small payloads are inlined as
+ * base64, larger ones are handed to a payload store and referenced
+ */
+interface SerializedPayload {
+  length: number;
+  inline?: string;
+  ref?: string;
+}
+
+interface SerializedOperation {
+  type: OperationType;
+  position: number;
+  postPosition: number | null;
+  timestamp: number;
+  data: SerializedPayload | null;
+  originalData: SerializedPayload | null;
+}
+
+interface SerializedGroup {
+  id: string;
+  name: string | null;
+  timestamp: number;
+  isFromTransaction: boolean;
+  marksSnapshot: MarkTuple[] | null;
+  /** Absent in histories serialized before ranges existed */
+  rangesSnapshot?: MarkRange[] | null;
+  linesSnapshot: number | null;
+  operations: SerializedOperation[];
+}
+
+interface SerializedTreeNode extends SerializedGroup {
+  parentId: string;
+  sequence: number;
+  activeChildId: string | null;
+}
+
+/**
+ * Undo tree in serialized history; nodes are in creation order so parents
+ * always precede their children
+ */
+interface SerializedUndoTree {
+  rootId: string;
+  currentId: string;
+  rootActiveChildId: string | null;
+  sequenceCounter: number;
+  nodes: SerializedTreeNode[];
+}
+
+interface SerializedUndoHistory {
+  version: number;
+  groupIdCounter: number;
+  undoStack: SerializedGroup[];
+  redoStack: SerializedGroup[];
+  /** Set in undo tree mode, in which case both stacks are empty */
+  tree?: SerializedUndoTree;
+}
+
+/**
+ * Out-of-line storage for large operation payloads
+ */
+interface UndoPayloadStore {
+  write(data: Buffer): Promise<string>;
+  read(ref: string): Promise<Buffer>;
+}
+
+interface UndoSerializeOptions {
+  /** Where payloads above inlineLimit go; without one everything is inlined */
+  payloadStore?: UndoPayloadStore;
+  /** Largest payload kept inline in the JSON (default 1024 bytes) */
+  inlineLimit?: number | undefined;
 }
 
 interface BufferInterface {
@@ -95,8 +206,15 @@ class OperationGroup {
   
   // Enhanced: Store marks state before and after group execution
   public marksSnapshot: MarkTuple[] | null = null; // Will be set when group is recorded
+  public rangesSnapshot: MarkRange[] | null = null; // Set alongside marksSnapshot
   public linesSnapshot: number | null = null; // Line count snapshot for verification
 
+  // Undo tree links (tree mode only)
+  public parent: OperationGroup | null = null;
+  public children: OperationGroup[] = [];
+  public activeChild: OperationGroup | null = null; // Branch that redo follows
+  public sequence: number = 0; // Creation order, for chronological navigation
+
   constructor(id: string, name: string | null = null) {
     this.id = id;
     this.name = name;
@@ -117,6 +235,9 @@ class OperationGroup {
     if (this.marksSnapshot) {
       total += this.marksSnapshot.length * 64; // Rough estimate per mark
     }
+    if (this.rangesSnapshot) {
+      total += this.rangesSnapshot.length * 96; // Rough estimate per range
+    }
     
     return total;
   }
@@ -128,6 +249,13 @@ class OperationGroup {
     this.marksSnapshot = marks.map(mark => [...mark] as MarkTuple); // Deep copy
   }
 
+  /**
+   * Set ranges snapshot for this group
+   */
+  setRangesSnapshot(ranges: MarkRange[]): void {
+    this.rangesSnapshot = ranges.map(range => ({ ...range })); // Deep copy
+  }
+
   /**
    * Set lines snapshot for this group
    */
@@ -147,6 +275,7 @@ class OperationTransaction {
   
   // Enhanced: Track marks state at transaction start
   public initialMarksSnapshot: MarkTuple[] | null = null;
+  public initialRangesSnapshot: MarkRange[] | null = null;
   public initialLinesSnapshot: number | null = null;
 
   constructor(name: string, options: TransactionOptions = {}) {
@@ -158,8 +287,9 @@ class OperationTransaction {
   /**
    * Set initial state snapshots
    */
-  setInitialState(marks: MarkTuple[], lineCount: number): void {
+  setInitialState(marks: MarkTuple[], lineCount: number, ranges: MarkRange[] = []): void {
     this.initialMarksSnapshot = marks.map(mark => [...mark] as MarkTuple);
+    this.initialRangesSnapshot = ranges.map(range => ({ ...range }));
     this.initialLinesSnapshot = lineCount;
   }
 
@@ -201,8 +331,17 @@ class BufferUndoSystem {
   private isUndoing: boolean = false;
   private groupIdCounter: number = 0;
   
+  // Undo tree mode: groups also form a tree whose root stands for the oldest
+  // reachable state. undoStack is the path from the root to the current state
+  // and redoStack the branch redo follows from there.
+  private treeRoot: OperationGroup | null = null;
+  private sequenceCounter: number = 0;
+  
   // Clock function (can be mocked for testing)
   private clockFunction: () => number = () => Date.now();
+  
+  static readonly SERIALIZATION_VERSION = 1;
+  static readonly DEFAULT_INLINE_LIMIT = 1024;
 
   constructor(buffer: BufferInterface, maxUndoLevels: number = 50) {
     this.buffer = buffer;
@@ -222,6 +361,13 @@ class BufferUndoSystem {
     if (config.mergePositionWindow !== undefined) {
       this.mergePositionWindow = config.mergePositionWindow;
     }
+    if (config.undoTree !== undefined && config.undoTree !== this.isTreeMode()) {
+      if (config.undoTree) {
+        this._enableTreeMode();
+      } else {
+        this._disableTreeMode();
+      }
+    }
   }
 
   /**
@@ -262,6 +408,16 @@ class BufferUndoSystem {
     }
   }
 
+  /**
+   * Capture current ranges state for snapshot, like captureCurrentMarksState()
+   */
+  captureCurrentRangesState(): MarkRange[] {
+    if (!this.buffer.lineAndMarksManager) {
+      return [];
+    }
+    return this.buffer.lineAndMarksManager.getAllRanges();
+  }
+
   /**
    * Record an insert operation with enhanced tracking
    */
@@ -269,7 +425,8 @@ class BufferUndoSystem {
     position: number,
     data: Buffer,
     timestamp: number | null = null,
-    preOpMarksSnapshot: MarkTuple[] | null = null
+    preOpMarksSnapshot: MarkTuple[] | null = null,
+    preOpRangesSnapshot: MarkRange[] | null = null
   ): BufferOperation {
     const operation = new BufferOperation(
       OperationType.INSERT, 
@@ -280,7 +437,7 @@ class BufferUndoSystem {
     );
     
     operation.setPostExecutionPosition(position);
-    this._recordOperation(operation, preOpMarksSnapshot);
+    this._recordOperation(operation, preOpMarksSnapshot, preOpRangesSnapshot);
     return operation;
   }
 
@@ -291,7 +448,8 @@ class BufferUndoSystem {
     position: number,
     deletedData: Buffer,
     timestamp: number | null = null,
-    preOpMarksSnapshot: MarkTuple[] | null = null
+    preOpMarksSnapshot: MarkTuple[] | null = null,
+    preOpRangesSnapshot: MarkRange[] | null = null
   ): BufferOperation {
     const operation = new BufferOperation(
       OperationType.DELETE, 
@@ -302,7 +460,7 @@ class BufferUndoSystem {
     );
     
     operation.setPostExecutionPosition(position);
-    this._recordOperation(operation, preOpMarksSnapshot);
+    this._recordOperation(operation, preOpMarksSnapshot, preOpRangesSnapshot);
     return operation;
   }
 
@@ -314,7 +472,8 @@ class BufferUndoSystem {
     newData: Buffer,
     originalData: Buffer,
     timestamp: number | null = null,
-    preOpMarksSnapshot: MarkTuple[] | null = null
+    preOpMarksSnapshot: MarkTuple[] | null = null,
+    preOpRangesSnapshot: MarkRange[] | null = null
   ): BufferOperation {
     const operation = new BufferOperation(
       OperationType.OVERWRITE, 
@@ -325,14 +484,59 @@ class BufferUndoSystem {
     );
     
     operation.setPostExecutionPosition(position);
-    this._recordOperation(operation, preOpMarksSnapshot);
+    this._recordOperation(operation, preOpMarksSnapshot, preOpRangesSnapshot);
     return operation;
   }
 
+  /**
+   * Record edits applied together as one group that never merges with its
+   * neighbours (or add them to the active transaction). Each edit becomes
+   * an insert, delete or overwrite; they are listed in the order applied.
+   */
+  recordEditGroup(
+    name: string,
+    edits: Array<{ position: number; inserted: Buffer; removed: Buffer }>,
+    timestamp: number | null = null,
+    preOpMarksSnapshot: MarkTuple[] | null = null,
+    preOpRangesSnapshot: MarkRange[] | null = null
+  ): void {
+    if (this.isUndoing || edits.length === 0) {
+      return;
+    }
+
+    const clock = timestamp ?? this.getClock();
+    const operations = edits.map(({ position, inserted, removed }) => {
+      const operation = removed.length === 0 ?
+        new BufferOperation(OperationType.INSERT, position, Buffer.from(inserted), null, clock) :
+        inserted.length === 0 ?
+          new BufferOperation(OperationType.DELETE, position, Buffer.alloc(0), Buffer.from(removed), clock) :
+          new BufferOperation(OperationType.OVERWRITE, position, Buffer.from(inserted), Buffer.from(removed), clock);
+      operation.setPostExecutionPosition(position);
+      return operation;
+    });
+
+    this.redoStack = [];
+    if (this.activeTransaction) {
+      this.activeTransaction.operations.push(...operations);
+      return;
+    }
+
+    const group = new OperationGroup(this._generateGroupId(), name);
+    group.operations = operations;
+    group.isFromTransaction = true;
+    group.setMarksSnapshot(preOpMarksSnapshot ?? this.captureCurrentMarksState());
+    group.setRangesSnapshot(preOpRangesSnapshot ?? this.captureCurrentRangesState());
+    this._pushNewGroup(group);
+  }
+
   /**
    * Enhanced operation recording with marks and lines tracking - FIXED SNAPSHOT TIMING
    */
-  private _recordOperation(operation: BufferOperation, preOpMarksSnapshot: MarkTuple[] | null = null): void {
+  private _recordOperation(
+    operation: BufferOperation,
+    preOpMarksSnapshot: MarkTuple[] | null = null,
+    preOpRangesSnapshot: MarkRange[] | null = null
+  ): void {
     // Don't record operations during undo/redo
     if (this.isUndoing) {
       return;
@@ -351,8 +555,9 @@ class BufferUndoSystem {
     if (this.undoStack.length > 0) {
       const topGroup = this.undoStack[this.undoStack.length - 1];
       
-      // Don't merge across transaction boundaries
-      if (!topGroup.isFromTransaction && topGroup.operations.length > 0) {
+      // Don't merge across transaction boundaries, nor into a tree node that
+      // other branches were recorded on top of
+      if (!topGroup.isFromTransaction && topGroup.operations.length > 0 && topGroup.children.length === 0) {
         const lastOp = topGroup.operations[topGroup.operations.length - 1];
         
         // Check if operations can be merged
@@ -384,11 +589,12 @@ class BufferUndoSystem {
     // Use provided snapshot or capture current state if none provided
     const snapshotToUse = preOpMarksSnapshot || this.captureCurrentMarksState();
     newGroup.setMarksSnapshot(snapshotToUse);
+    newGroup.setRangesSnapshot(preOpRangesSnapshot ?? this.captureCurrentRangesState());
     
     // Capture line count snapshot
     if (this.buffer.lineAndMarksManager) {
       try {
-        const lineCount = this.buffer.lineAndMarksManager.getTotalLineCount();
+        const lineCount = this.buffer.lineAndMarksManager.getTotalLineCount().count;
         newGroup.setLinesSnapshot(lineCount);
       } catch (error) {
         logger.warn('Failed to capture line count snapshot:', (error as Error).message);
@@ -398,11 +604,38 @@ class BufferUndoSystem {
     // Now add the operation to the group
     newGroup.operations.push(operation);
     
-    this.undoStack.push(newGroup);
+    this._pushNewGroup(newGroup);
+  }
+
+  /**
+   * Push a newly recorded group, linking it into the undo tree in tree mode
+   */
+  private _pushNewGroup(group: OperationGroup): void {
+    if (this.treeRoot) {
+      const parent = this._currentNode();
+      group.parent = parent;
+      group.sequence = ++this.sequenceCounter;
+      parent.children.push(group);
+      parent.activeChild = group;
+    }
     
-    // Enforce maximum undo levels
+    this.undoStack.push(group);
+    this._enforceUndoLimit();
+  }
+
+  /**
+   * Drop the oldest undo groups beyond maxUndoLevels
+   */
+  private _enforceUndoLimit(): void {
     while (this.undoStack.length > this.maxUndoLevels) {
-      this.undoStack.shift();
+      const dropped = this.undoStack.shift()!;
+      if (this.treeRoot) {
+        // The dropped group's state becomes the oldest reachable one; branches
+        // that forked below it are no longer reachable
+        dropped.parent = null;
+        dropped.operations = [];
+        this.treeRoot = dropped;
+      }
     }
   }
 
@@ -455,8 +688,9 @@ class BufferUndoSystem {
     if (this.buffer.lineAndMarksManager) {
       try {
         const allMarks = this.buffer.lineAndMarksManager.getAllMarks();
-        const lineCount = this.buffer.lineAndMarksManager.getTotalLineCount();
-        this.activeTransaction.setInitialState(allMarks, lineCount);
+        const lineCount = this.buffer.lineAndMarksManager.getTotalLineCount().count;
+        const allRanges = this.buffer.lineAndMarksManager.getAllRanges();
+        this.activeTransaction.setInitialState(allMarks, lineCount, allRanges);
       } catch (error) {
         logger.warn('Failed to capture initial transaction state:', (error as Error).message);
       }
@@ -484,16 +718,14 @@ class BufferUndoSystem {
       if (this.activeTransaction.initialMarksSnapshot) {
         group.setMarksSnapshot(this.activeTransaction.initialMarksSnapshot);
       }
+      if (this.activeTransaction.initialRangesSnapshot) {
+        group.setRangesSnapshot(this.activeTransaction.initialRangesSnapshot);
+      }
       if (this.activeTransaction.initialLinesSnapshot !== null) {
         group.setLinesSnapshot(this.activeTransaction.initialLinesSnapshot);
       }
       
-      this.undoStack.push(group);
-      
-      // Enforce maximum undo levels
-      while (this.undoStack.length > this.maxUndoLevels) {
-        this.undoStack.shift();
-      }
+      this._pushNewGroup(group);
     }
     
     this.activeTransaction = null;
@@ -520,12 +752,20 @@ class BufferUndoSystem {
       if (this.activeTransaction.initialMarksSnapshot && this.buffer.lineAndMarksManager) {
         await this._restoreMarksState(this.activeTransaction.initialMarksSnapshot);
       }
+      if (this.activeTransaction.initialRangesSnapshot && this.buffer.lineAndMarksManager) {
+        this.buffer.lineAndMarksManager.restoreRanges(this.activeTransaction.initialRangesSnapshot);
+      }
       
     } finally {
       this.isUndoing = false;
     }
     
     this.activeTransaction = null;
+    
+    // The branches recorded operations cleared from redo are still in the tree
+    if (this.treeRoot) {
+      this._rebuildRedoStack();
+    }
     return true;
   }
 
@@ -572,6 +812,9 @@ class BufferUndoSystem {
       if (group.marksSnapshot && this.buffer.lineAndMarksManager) {
         await this._restoreMarksState(group.marksSnapshot);
       }
+      if (group.rangesSnapshot && this.buffer.lineAndMarksManager) {
+        this.buffer.lineAndMarksManager.restoreRanges(group.rangesSnapshot);
+      }
       
       this.redoStack.push(group);
       return true;
@@ -605,6 +848,7 @@ class BufferUndoSystem {
           logger.warn('Failed to capture current marks state for redo:', (error as Error).message);
         }
       }
+      const currentRangesSnapshot = this.captureCurrentRangesState();
       
       // Redo operations in forward order using VPM
       for (const operation of group.operations) {
@@ -615,7 +859,11 @@ class BufferUndoSystem {
       if (currentMarksSnapshot) {
         group.setMarksSnapshot(currentMarksSnapshot);
       }
+      group.setRangesSnapshot(currentRangesSnapshot);
       
+      if (group.parent) {
+        group.parent.activeChild = group;
+      }
       this.undoStack.push(group);
       return true;
     } catch (error) {
@@ -642,21 +890,17 @@ class BufferUndoSystem {
       const currentMarks = this.buffer.lineAndMarksManager.getAllMarks();
       logger.debug('[DEBUG] Current marks before clear:', currentMarks);
       
-      this.buffer.lineAndMarksManager.clearAllMarks();
-      
-      // Restore marks using virtual addresses from snapshot
-      for (const mark of marksSnapshot) {
-        logger.debug(`[DEBUG] Restoring mark ${mark[0]} at address ${mark[1]}`);
-        
+      // Restore marks using virtual addresses from snapshot, keeping their gravity
+      const totalSize = this.buffer.getTotalSize();
+      const inBounds = marksSnapshot.filter(mark => {
         // Validate that the address is still within bounds
-        const totalSize = this.buffer.getTotalSize();
         if (mark[1] >= 0 && mark[1] <= totalSize) {
-          this.buffer.lineAndMarksManager.setMark(mark[0], mark[1]);
-          logger.debug(`[DEBUG] Successfully restored mark ${mark[0]}`);
-        } else {
-          logger.debug(`[DEBUG] Skipping mark ${mark[0]} - address ${mark[1]} out of bounds (buffer size: ${totalSize})`);
+          return true;
         }
-      }
+        logger.debug(`[DEBUG] Skipping mark ${mark[0]} - address ${mark[1]} out of bounds (buffer size: ${totalSize})`);
+        return false;
+      });
+      this.buffer.lineAndMarksManager.restoreMarks(inBounds);
       
       const restoredMarks = this.buffer.lineAndMarksManager.getAllMarks();
       logger.debug('[DEBUG] Marks after restoration:', restoredMarks);
@@ -791,6 +1035,239 @@ class BufferUndoSystem {
     this.buffer.markAsModified();
   }
 
+  // =================== UNDO TREE ===================
+
+  /**
+   * Check if undone branches are kept in an undo tree
+   */
+  isTreeMode(): boolean {
+    return this.treeRoot !== null;
+  }
+
+  /**
+   * Get the id of the tree node for the current state
+   */
+  getCurrentNodeId(): string {
+    this._requireTree();
+    return this._currentNode().id;
+  }
+
+  /**
+   * List the branches of the undo tree in chronological order of their tips
+   */
+  getBranches(): UndoBranchInfo[] {
+    const root = this._requireTree();
+    const current = this._currentNode();
+    const branches: UndoBranchInfo[] = [];
+    
+    for (const node of this._treeNodes(root)) {
+      if (node === root || node.children.length > 0) {
+        continue;
+      }
+      const path = this._pathFromRoot(node);
+      branches.push({
+        tipId: node.id,
+        tipName: node.name,
+        sequence: node.sequence,
+        timestamp: node.timestamp,
+        depth: path.length - 1,
+        containsCurrent: path.includes(current)
+      });
+    }
+    
+    return branches;
+  }
+
+  /**
+   * Move to any node of the undo tree, undoing up to the common ancestor and
+   * redoing down to the target. Returns false if already there.
+   */
+  async jumpTo(nodeId: string): Promise<boolean> {
+    const root = this._requireTree();
+    if (this.activeTransaction) {
+      throw new Error('Cannot move through the undo tree during a transaction');
+    }
+    
+    const target = this._treeNodes(root).find(node => node.id === nodeId);
+    if (!target) {
+      throw new Error(`Unknown undo tree node: ${nodeId}`);
+    }
+    if (target === this._currentNode()) {
+      return false;
+    }
+    
+    // Undo until the current state is an ancestor of the target
+    const targetPath = this._pathFromRoot(target);
+    while (!targetPath.includes(this._currentNode())) {
+      await this.undo();
+    }
+    
+    // Redo along the target's path
+    const downPath = targetPath.slice(targetPath.indexOf(this._currentNode()) + 1);
+    this.redoStack = [...downPath].reverse();
+    for (let i = 0; i < downPath.length; i++) {
+      await this.redo();
+    }
+    
+    this._rebuildRedoStack();
+    return true;
+  }
+
+  /**
+   * Step back through states in the order they were created, across
+   * branches (like vim's g-). Returns false at the oldest state.
+   */
+  async earlier(count: number = 1): Promise<boolean> {
+    return await this._jumpChronological(-count);
+  }
+
+  /**
+   * Step forward through states in the order they were created, across
+   * branches (like vim's g+). Returns false at the newest state.
+   */
+  async later(count: number = 1): Promise<boolean> {
+    return await this._jumpChronological(count);
+  }
+
+  private async _jumpChronological(steps: number): Promise<boolean> {
+    const nodes = this._treeNodes(this._requireTree());
+    const index = nodes.indexOf(this._currentNode());
+    const targetIndex = Math.max(0, Math.min(nodes.length - 1, index + steps));
+    if (targetIndex === index) {
+      return false;
+    }
+    return await this.jumpTo(nodes[targetIndex].id);
+  }
+
+  private _requireTree(): OperationGroup {
+    if (!this.treeRoot) {
+      throw new Error('Undo tree mode is not enabled');
+    }
+    return this.treeRoot;
+  }
+
+  /**
+   * Tree node for the current state
+   */
+  private _currentNode(): OperationGroup {
+    return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : this.treeRoot!;
+  }
+
+  /**
+   * All nodes below (and including) a root, in creation order
+   */
+  private _treeNodes(root: OperationGroup): OperationGroup[] {
+    const nodes: OperationGroup[] = [];
+    const pending = [root];
+    while (pending.length > 0) {
+      const node = pending.pop()!;
+      nodes.push(node);
+      pending.push(...node.children);
+    }
+    return nodes.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Nodes from the root down to (and including) a node
+   */
+  private _pathFromRoot(node: OperationGroup): OperationGroup[] {
+    const path: OperationGroup[] = [];
+    for (let current: OperationGroup | null = node; current; current = current.parent) {
+      path.unshift(current);
+    }
+    return path;
+  }
+
+  /**
+   * Point redo at the branch last taken from the current state
+   */
+  private _rebuildRedoStack(): void {
+    const chain: OperationGroup[] = [];
+    for (let node = this._currentNode().activeChild; node; node = node.activeChild) {
+      chain.push(node);
+    }
+    this.redoStack = chain.reverse();
+  }
+
+  private _enableTreeMode(): void {
+    this.treeRoot = new OperationGroup('root');
+    this.sequenceCounter = 0;
+    this._linkStacksIntoTree();
+  }
+
+  /**
+   * Leave tree mode, keeping the current path and redo branch as the stacks
+   */
+  private _disableTreeMode(): void {
+    this._unlinkTree(this.treeRoot!);
+    this.treeRoot = null;
+    this.sequenceCounter = 0;
+  }
+
+  /**
+   * Turn the linear stacks into a single branch below the tree root
+   */
+  private _linkStacksIntoTree(): void {
+    let parent = this.treeRoot!;
+    parent.children = [];
+    parent.activeChild = null;
+    for (const group of [...this.undoStack, ...[...this.redoStack].reverse()]) {
+      group.parent = parent;
+      group.children = [];
+      group.activeChild = null;
+      group.sequence = ++this.sequenceCounter;
+      parent.children.push(group);
+      parent.activeChild = group;
+      parent = group;
+    }
+  }
+
+  private _unlinkTree(root: OperationGroup): void {
+    for (const node of this._treeNodes(root)) {
+      node.parent = null;
+      node.children = [];
+      node.activeChild = null;
+    }
+  }
+
+  /**
+   * Describe the undo tree for getDebugInfo()
+   */
+  private _describeTree(): UndoTreeDebugInfo | null {
+    if (!this.treeRoot) {
+      return null;
+    }
+    
+    const root = this.treeRoot;
+    const current = this._currentNode();
+    let nodeCount = 0;
+    let branchCount = 0;
+    
+    const describe = (node: OperationGroup): UndoTreeNodeDebugInfo => {
+      nodeCount++;
+      if (node !== root && node.children.length === 0) {
+        branchCount++;
+      }
+      return {
+        id: node.id,
+        name: node.name,
+        sequence: node.sequence,
+        operationCount: node === root ? 0 : node.operations.length,
+        isCurrent: node === current,
+        children: node.children.map(describe)
+      };
+    };
+    
+    const description = describe(root);
+    return {
+      rootId: root.id,
+      currentId: current.id,
+      nodeCount,
+      branchCount,
+      root: description
+    };
+  }
+
   // =================== STATE QUERIES ===================
 
   /**
@@ -857,6 +1334,199 @@ class BufferUndoSystem {
     };
   }
 
+  // =================== SERIALIZATION ===================
+
+  /**
+   * Serialize the committed undo/redo history to a JSON-safe object.
+   * An active transaction is not part of the history and is left out.
+   */
+  async serialize(options: UndoSerializeOptions = {}): Promise<SerializedUndoHistory> {
+    const inlineLimit = options.inlineLimit ?? BufferUndoSystem.DEFAULT_INLINE_LIMIT;
+
+    const writePayload = async (data: Buffer | undefined): Promise<SerializedPayload | null> => {
+      if (!data) return null;
+      if (options.payloadStore && data.length > inlineLimit) {
+        return { length: data.length, ref: await options.payloadStore.write(data) };
+      }
+      return { length: data.length, inline: data.toString('base64') };
+    };
+
+    const serializeGroup = async (group: OperationGroup): Promise<SerializedGroup> => {
+      const operations: SerializedOperation[] = [];
+      for (const op of group.operations) {
+        operations.push({
+          type: op.type,
+          position: op.preExecutionPosition,
+          postPosition: op.postExecutionPosition,
+          timestamp: op.timestamp,
+          data: await writePayload(op.data),
+          originalData: await writePayload(op.originalData)
+        });
+      }
+      return {
+        id: group.id,
+        name: group.name,
+        timestamp: group.timestamp,
+        isFromTransaction: group.isFromTransaction,
+        marksSnapshot: group.marksSnapshot ? group.marksSnapshot.map(mark => [...mark] as MarkTuple) : null,
+        rangesSnapshot: group.rangesSnapshot ? group.rangesSnapshot.map(range => ({ ...range })) : null,
+        linesSnapshot: group.linesSnapshot,
+        operations
+      };
+    };
+
+    if (this.treeRoot) {
+      const nodes: SerializedTreeNode[] = [];
+      for (const node of this._treeNodes(this.treeRoot)) {
+        if (node === this.treeRoot) continue;
+        nodes.push({
+          ...(await serializeGroup(node)),
+          parentId: node.parent!.id,
+          sequence: node.sequence,
+          activeChildId: node.activeChild?.id ?? null
+        });
+      }
+      return {
+        version: BufferUndoSystem.SERIALIZATION_VERSION,
+        groupIdCounter: this.groupIdCounter,
+        undoStack: [],
+        redoStack: [],
+        tree: {
+          rootId: this.treeRoot.id,
+          currentId: this._currentNode().id,
+          rootActiveChildId: this.treeRoot.activeChild?.id ?? null,
+          sequenceCounter: this.sequenceCounter,
+          nodes
+        }
+      };
+    }
+
+    const undoStack: SerializedGroup[] = [];
+    for (const group of this.undoStack) {
+      undoStack.push(await serializeGroup(group));
+    }
+    const redoStack: SerializedGroup[] = [];
+    for (const group of this.redoStack) {
+      redoStack.push(await serializeGroup(group));
+    }
+
+    return {
+      version: BufferUndoSystem.SERIALIZATION_VERSION,
+      groupIdCounter: this.groupIdCounter,
+      undoStack,
+      redoStack
+    };
+  }
+
+  /**
+   * Replace the current history with a serialized one. The buffer must hold
+   * the content the history was serialized against.
+   */
+  async deserialize(history: SerializedUndoHistory, payloadStore: UndoPayloadStore | null = null): Promise<void> {
+    if (history.version !== BufferUndoSystem.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported undo history version: ${history.version}`);
+    }
+
+    const readPayload = async (payload: SerializedPayload | null): Promise<Buffer | undefined> => {
+      if (!payload) return undefined;
+      if (payload.inline !== undefined) {
+        return Buffer.from(payload.inline, 'base64');
+      }
+      if (!payloadStore) {
+        throw new Error('Undo history references external payloads but no payload store was given');
+      }
+      const data = await payloadStore.read(payload.ref!);
+      if (data.length !== payload.length) {
+        throw new Error(`Undo payload ${payload.ref} has ${data.length} bytes, expected ${payload.length}`);
+      }
+      return data;
+    };
+
+    const deserializeGroup = async (serialized: SerializedGroup): Promise<OperationGroup> => {
+      const group = new OperationGroup(serialized.id, serialized.name);
+      group.timestamp = serialized.timestamp;
+      group.isFromTransaction = serialized.isFromTransaction;
+      if (serialized.marksSnapshot) {
+        group.setMarksSnapshot(serialized.marksSnapshot);
+      }
+      if (serialized.rangesSnapshot) {
+        group.setRangesSnapshot(serialized.rangesSnapshot);
+      }
+      group.linesSnapshot = serialized.linesSnapshot;
+
+      for (const op of serialized.operations) {
+        const operation = new BufferOperation(
+          op.type,
+          op.position,
+          await readPayload(op.data),
+          (await readPayload(op.originalData)) ?? null,
+          op.timestamp
+        );
+        operation.postExecutionPosition = op.postPosition;
+        group.operations.push(operation);
+      }
+      return group;
+    };
+
+    // Build everything before touching state so a bad payload changes nothing
+    const undoStack: OperationGroup[] = [];
+    const redoStack: OperationGroup[] = [];
+    let treeRoot: OperationGroup | null = null;
+    
+    if (history.tree) {
+      treeRoot = new OperationGroup(history.tree.rootId);
+      const nodes = new Map<string, OperationGroup>([[treeRoot.id, treeRoot]]);
+      for (const serialized of history.tree.nodes) {
+        const parent = nodes.get(serialized.parentId);
+        if (!parent) {
+          throw new Error(`Undo tree node ${serialized.id} has unknown parent ${serialized.parentId}`);
+        }
+        const node = await deserializeGroup(serialized);
+        node.parent = parent;
+        node.sequence = serialized.sequence;
+        parent.children.push(node);
+        nodes.set(node.id, node);
+      }
+      
+      treeRoot.activeChild = nodes.get(history.tree.rootActiveChildId ?? '') ?? null;
+      for (const serialized of history.tree.nodes) {
+        nodes.get(serialized.id)!.activeChild = nodes.get(serialized.activeChildId ?? '') ?? null;
+      }
+      
+      const current = nodes.get(history.tree.currentId);
+      if (!current) {
+        throw new Error(`Undo tree current node ${history.tree.currentId} is missing`);
+      }
+      undoStack.push(...this._pathFromRoot(current).slice(1));
+      for (let node = current.activeChild; node; node = node.activeChild) {
+        redoStack.unshift(node);
+      }
+    } else {
+      for (const group of history.undoStack) {
+        undoStack.push(await deserializeGroup(group));
+      }
+      for (const group of history.redoStack) {
+        redoStack.push(await deserializeGroup(group));
+      }
+    }
+
+    this.undoStack = undoStack;
+    this.redoStack = redoStack;
+    this.activeTransaction = null;
+    this.groupIdCounter = history.groupIdCounter;
+    
+    if (this.treeRoot && treeRoot) {
+      this.treeRoot = treeRoot;
+      this.sequenceCounter = history.tree!.sequenceCounter;
+    } else if (this.treeRoot) {
+      this._enableTreeMode();
+    } else if (treeRoot) {
+      // Linear mode keeps only the current path and its redo branch
+      this._unlinkTree(treeRoot);
+    }
+    this._enforceUndoLimit();
+  }
+
   /**
    * Clear all undo/redo history
    */
@@ -865,6 +1535,9 @@ class BufferUndoSystem {
     this.redoStack = [];
     this.activeTransaction = null;
     this.groupIdCounter = 0;
+    if (this.treeRoot) {
+      this._enableTreeMode();
+    }
   }
 
   /**
@@ -897,7 +1570,8 @@ class BufferUndoSystem {
         marksCount: group.marksSnapshot ? group.marksSnapshot.length : 0
       })),
       activeTransaction: this.activeTransaction ? this.activeTransaction.getInfo() : null,
-      stats: this.getStats()
+      stats: this.getStats(),
+      tree: this._describeTree()
     };
   }
 }
@@ -911,5 +1585,16 @@ export {
   type TransactionInfo,
   type UndoStats,
   type UndoDebugInfo,
-  type BufferInterface
+  type UndoTreeDebugInfo,
+  type UndoTreeNodeDebugInfo,
+  type UndoBranchInfo,
+  type BufferInterface,
+  type SerializedPayload,
+  type SerializedOperation,
+  type SerializedGroup,
+  type SerializedUndoHistory,
+  type SerializedTreeNode,
+  type SerializedUndoTree,
+  type UndoPayloadStore,
+  type UndoSerializeOptions
 };
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview AbortSignal helpers for long-running buffer operations
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+/**
+ * Create an error in the shape Node uses for aborted operations
+ */
+function createAbortError(operation: string): Error {
+  const error = new Error(`${operation} aborted`);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throw an AbortError if the signal has fired
+ */
+function throwIfAborted(signal: AbortSignal | undefined, operation: string): void {
+  if (signal?.aborted) {
+    throw createAbortError(operation);
+  }
+}
+
+/**
+ * Check whether an error was raised by an abort
+ */
+function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+export {
+  createAbortError,
+  throwIfAborted,
+  isAbortError
+};
@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Patch files describing a buffer's unsaved changes
+ * @description Encodes and decodes the two patch formats: a unified text
+ * diff for UTF-8 content, and a compact binary list of offset/delete/insert
+ * records. Both carry a fingerprint of the content they apply to. Content
+ * is read through callbacks, a region at a time.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { diffSequences } from './byte-diff';
+import { type ModifiedRange } from '../virtual-page-manager';
+import { type FingerprintStrategy } from './file-fingerprint';
+
+const BINARY_MAGIC = Buffer.from('PBPATCH\x01', 'latin1');
+const FINGERPRINT_PREFIX = '# base-fingerprint: ';
+const CONTEXT_LINES = 3;
+const NEWLINE = 0x0A;
+
+type PatchFormat = 'unified' | 'binary';
+
+/**
+ * Reads [start, end) of some content
+ */
+type ReadRange = (start: number, end: number) => Promise<Buffer>;
+
+/**
+ * Fingerprint of the content a patch applies to
+ */
+interface PatchFingerprint {
+  size: number;
+  strategy: Extract<FingerprintStrategy, 'full' | 'sampled'>;
+  algorithm: string;
+  sampleSize: number;
+  sampleCount: number;
+  checksum: string;
+}
+
+/**
+ * Replace `deleteLength` bytes at `offset` of the base content with `data`
+ */
+interface PatchEdit {
+  offset: number;
+  deleteLength: number;
+  data: Buffer;
+}
+
+/**
+ * A unified diff hunk: the lines it expects at `oldStart` (0-based) and the
+ * lines that replace them, each with its newline
+ */
+interface LineHunk {
+  oldStart: number;
+  oldLines: Buffer[];
+  newLines: Buffer[];
+}
+
+type ParsedPatch =
+  | { format: 'binary'; base: PatchFingerprint; edits: PatchEdit[] }
+  | { format: 'unified'; base: PatchFingerprint; hunks: LineHunk[] };
+
+/**
+ * Content of one side of a diff, read through a callback
+ */
+interface PatchSource {
+  read: ReadRange;
+  size: number;
+}
+
+// =================== BINARY FORMAT ===================
+
+/**
+ * Magic, a JSON header with the base fingerprint, then one record per edit:
+ * offset, delete length and insert length as 64-bit big-endian integers,
+ * followed by the inserted bytes
+ */
+function encodeBinaryPatch(base: PatchFingerprint, edits: PatchEdit[]): Buffer {
+  const header = Buffer.from(JSON.stringify({ base, edits: edits.length }), 'utf8');
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+
+  const parts = [BINARY_MAGIC, headerLength, header];
+  for (const edit of edits) {
+    const record = Buffer.alloc(24);
+    record.writeBigUInt64BE(BigInt(edit.offset), 0);
+    record.writeBigUInt64BE(BigInt(edit.deleteLength), 8);
+    record.writeBigUInt64BE(BigInt(edit.data.length), 16);
+    parts.push(record, edit.data);
+  }
+  return Buffer.concat(parts);
+}
+
+function decodeBinaryPatch(patch: Buffer): ParsedPatch {
+  const corrupt = (): Error => new Error('Invalid patch: binary patch is truncated or corrupt');
+  if (patch.length < BINARY_MAGIC.length + 4) throw corrupt();
+
+  let position = BINARY_MAGIC.length;
+  const headerLength = patch.readUInt32BE(position);
+  position += 4;
+  if (position + headerLength > patch.length) throw corrupt();
+  const header = JSON.parse(patch.toString('utf8', position, position + headerLength)) as { base: PatchFingerprint; edits: number };
+  position += headerLength;
+
+  const edits: PatchEdit[] = [];
+  for (let i = 0; i < header.edits; i++) {
+    if (position + 24 > patch.length) throw corrupt();
+    const offset = Number(patch.readBigUInt64BE(position));
+    const deleteLength = Number(patch.readBigUInt64BE(position + 8));
+    const insertLength = Number(patch.readBigUInt64BE(position + 16));
+    position += 24;
+    if (position + insertLength > patch.length) throw corrupt();
+    edits.push({ offset, deleteLength, data: patch.subarray(position, position + insertLength) });
+    position += insertLength;
+  }
+
+  return { format: 'binary', base: header.base, edits };
+}
+
+// =================== UNIFIED FORMAT ===================
+
+/**
+ * Write a unified diff of the modified ranges, with three lines of context.
+ * Only the ranges and the lines around them are read, plus the original up
+ * to the last change to number its lines.
+ */
+async function createUnifiedPatch(
+  base: PatchFingerprint,
+  ranges: ModifiedRange[],
+  original: PatchSource,
+  current: PatchSource,
+  name: string,
+  chunkSize: number
+): Promise<string> {
+  const output = [
+    `${FINGERPRINT_PREFIX}${JSON.stringify(base)}`,
+    `--- a/${name}`,
+    `+++ b/${name}`
+  ];
+
+  // Widen each range to whole lines plus context, merging ranges that meet.
+  // Outside the ranges both sides hold the same bytes, so the new side
+  // widens by the same amounts.
+  const spans: ModifiedRange[] = [];
+  for (const range of ranges) {
+    const fileStart = await findLineStart(original, range.fileStart, CONTEXT_LINES + 1, chunkSize);
+    const fileEnd = await findLineEnd(original, range.fileEnd, CONTEXT_LINES + 1, chunkSize);
+    const last = spans[spans.length - 1];
+    if (last && fileStart <= last.fileEnd) {
+      last.fileEnd = fileEnd;
+      last.bufferEnd = range.bufferEnd + (fileEnd - range.fileEnd);
+    } else {
+      spans.push({
+        fileStart,
+        fileEnd,
+        bufferStart: range.bufferStart - (range.fileStart - fileStart),
+        bufferEnd: range.bufferEnd + (fileEnd - range.fileEnd)
+      });
+    }
+  }
+
+  let countedTo = 0;
+  let oldLine = 0;
+  let lineDelta = 0;
+  for (const span of spans) {
+    oldLine += await countNewlines(original, countedTo, span.fileStart, chunkSize);
+    countedTo = span.fileStart;
+
+    const oldData = await original.read(span.fileStart, span.fileEnd);
+    const newData = await current.read(span.bufferStart, span.bufferEnd);
+    if (!isUtf8(oldData) || !isUtf8(newData)) {
+      throw new Error('Unified patches need UTF-8 content; export a binary patch instead');
+    }
+    const oldLines = splitLines(oldData);
+    const newLines = splitLines(newData);
+    output.push(...formatHunks(oldLines, newLines, oldLine, oldLine + lineDelta));
+    lineDelta += newLines.length - oldLines.length;
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Diff two runs of lines and format the changes as unified hunks
+ */
+function formatHunks(oldLines: Buffer[], newLines: Buffer[], oldFirst: number, newFirst: number): string[] {
+  const ids = new Map<string, number>();
+  const intern = (lines: Buffer[]): Int32Array => Int32Array.from(lines, line => {
+    const key = line.toString('latin1');
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(key, id);
+    }
+    return id;
+  });
+  const edits = diffSequences(intern(oldLines), intern(newLines));
+
+  // Edits closer than twice the context share a hunk
+  const groups: Array<typeof edits> = [];
+  for (const edit of edits) {
+    const group = groups[groups.length - 1];
+    if (group && edit.oldStart - group[group.length - 1].oldEnd <= 2 * CONTEXT_LINES) {
+      group.push(edit);
+    } else {
+      groups.push([edit]);
+    }
+  }
+
+  const output: string[] = [];
+  for (const group of groups) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const oldStart = Math.max(0, first.oldStart - CONTEXT_LINES);
+    const oldEnd = Math.min(oldLines.length, last.oldEnd + CONTEXT_LINES);
+    const newStart = first.newStart - (first.oldStart - oldStart);
+    const newEnd = last.newEnd + (oldEnd - last.oldEnd);
+
+    output.push(`@@ -${formatRange(oldFirst + oldStart, oldEnd - oldStart)} +${formatRange(newFirst + newStart, newEnd - newStart)} @@`);
+    let position = oldStart;
+    for (const edit of group) {
+      pushLines(output, ' ', oldLines.slice(position, edit.oldStart));
+      pushLines(output, '-', oldLines.slice(edit.oldStart, edit.oldEnd));
+      pushLines(output, '+', newLines.slice(edit.newStart, edit.newEnd));
+      position = edit.oldEnd;
+    }
+    pushLines(output, ' ', oldLines.slice(position, oldEnd));
+  }
+  return output;
+}
+
+function formatRange(start: number, count: number): string {
+  // An empty range names the line before it
+  return count === 0 ? `${start},0` : `${start + 1},${count}`;
+}
+
+function pushLines(output: string[], prefix: string, lines: Buffer[]): void {
+  for (const line of lines) {
+    if (line[line.length - 1] === NEWLINE) {
+      output.push(prefix + line.toString('utf8', 0, line.length - 1));
+    } else {
+      output.push(prefix + line.toString('utf8'), '\\ No newline at end of file');
+    }
+  }
+}
+
+function parseUnifiedPatch(text: string): ParsedPatch {
+  const lines = text.split('\n');
+  const fingerprintLine = lines.find(line => line.startsWith(FINGERPRINT_PREFIX));
+  if (!fingerprintLine) {
+    throw new Error('Invalid patch: no base fingerprint');
+  }
+  const base = JSON.parse(fingerprintLine.slice(FINGERPRINT_PREFIX.length)) as PatchFingerprint;
+
+  const hunks: LineHunk[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(lines[i]);
+    if (!header) continue;
+
+    let oldCount = Number(header[2] ?? 1);
+    let newCount = Number(header[4] ?? 1);
+    const hunk: LineHunk = {
+      oldStart: oldCount === 0 ? Number(header[1]) : Number(header[1]) - 1,
+      oldLines: [],
+      newLines: []
+    };
+
+    while (oldCount > 0 || newCount > 0) {
+      const line = lines[++i];
+      if (line === undefined) {
+        throw new Error('Invalid patch: hunk is shorter than its header says');
+      }
+      const content = Buffer.from(line.slice(1) + '\n', 'utf8');
+      const noNewline = lines[i + 1]?.startsWith('\\') ?? false;
+      const body = noNewline ? content.subarray(0, content.length - 1) : content;
+
+      if (line.startsWith(' ') || line === '') {
+        hunk.oldLines.push(body);
+        hunk.newLines.push(body);
+        oldCount--;
+        newCount--;
+      } else if (line.startsWith('-')) {
+        hunk.oldLines.push(body);
+        oldCount--;
+      } else if (line.startsWith('+')) {
+        hunk.newLines.push(body);
+        newCount--;
+      } else {
+        throw new Error(`Invalid patch: unexpected line in hunk: ${line}`);
+      }
+      if (noNewline) i++;
+    }
+    hunks.push(hunk);
+  }
+
+  return { format: 'unified', base, hunks };
+}
+
+/**
+ * Turn unified hunks into byte edits against some content, checking that
+ * the content holds every line a hunk expects to remove or keep
+ */
+async function resolveLineHunks(hunks: LineHunk[], content: PatchSource, chunkSize: number): Promise<PatchEdit[]> {
+  const edits: PatchEdit[] = [];
+  let line = 0;
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    if (hunk.oldStart < line) {
+      throw new Error('Invalid patch: hunks overlap or are out of order');
+    }
+    offset = await skipLines(content, offset, hunk.oldStart - line, chunkSize);
+    line = hunk.oldStart;
+
+    const expected = Buffer.concat(hunk.oldLines);
+    const actual = await content.read(offset, offset + expected.length);
+    if (!actual.equals(expected)) {
+      throw new Error(`Patch does not apply: content differs at line ${hunk.oldStart + 1}`);
+    }
+
+    const replacement = Buffer.concat(hunk.newLines);
+    let prefix = 0;
+    while (prefix < expected.length && prefix < replacement.length && expected[prefix] === replacement[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < expected.length - prefix && suffix < replacement.length - prefix &&
+      expected[expected.length - 1 - suffix] === replacement[replacement.length - 1 - suffix]
+    ) suffix++;
+
+    if (prefix + suffix < Math.max(expected.length, replacement.length)) {
+      edits.push({
+        offset: offset + prefix,
+        deleteLength: expected.length - prefix - suffix,
+        data: replacement.subarray(prefix, replacement.length - suffix)
+      });
+    }
+    offset += expected.length;
+    line += hunk.oldLines.length;
+  }
+
+  return edits;
+}
+
+// =================== SHARED ===================
+
+/**
+ * Parse a patch in either format
+ */
+function parsePatch(patch: Buffer | string): ParsedPatch {
+  if (Buffer.isBuffer(patch) && patch.subarray(0, BINARY_MAGIC.length).equals(BINARY_MAGIC)) {
+    return decodeBinaryPatch(patch);
+  }
+  return parseUnifiedPatch(Buffer.isBuffer(patch) ? patch.toString('utf8') : patch);
+}
+
+/**
+ * Check that bytes survive decoding as UTF-8 unchanged
+ */
+function isUtf8(data: Buffer): boolean {
+  return Buffer.from(data.toString('utf8'), 'utf8').equals(data);
+}
+
+/**
+ * Split content into lines, each keeping its newline
+ */
+function splitLines(data: Buffer): Buffer[] {
+  const lines: Buffer[] = [];
+  let start = 0;
+  for (let i = data.indexOf(NEWLINE); i >= 0; i = data.indexOf(NEWLINE, start)) {
+    lines.push(data.subarray(start, i + 1));
+    start = i + 1;
+  }
+  if (start < data.length) {
+    lines.push(data.subarray(start));
+  }
+  return lines;
+}
+
+/**
+ * Start of the line holding `position`, moved back `lines - 1` further lines
+ */
+async function findLineStart(source: PatchSource, position: number, lines: number, chunkSize: number): Promise<number> {
+  let end = position;
+  while (end > 0) {
+    const start = Math.max(0, end - chunkSize);
+    const chunk = await source.read(start, end);
+    for (let i = chunk.lastIndexOf(NEWLINE); i >= 0; i = i > 0 ? chunk.lastIndexOf(NEWLINE, i - 1) : -1) {
+      if (--lines === 0) return start + i + 1;
+    }
+    end = start;
+  }
+  return 0;
+}
+
+/**
+ * Position just past the `lines`-th newline at or after `position`
+ */
+async function findLineEnd(source: PatchSource, position: number, lines: number, chunkSize: number): Promise<number> {
+  let start = position;
+  while (start < source.size) {
+    const chunk = await source.read(start, Math.min(source.size, start + chunkSize));
+    for (let i = chunk.indexOf(NEWLINE); i >= 0; i = chunk.indexOf(NEWLINE, i + 1)) {
+      if (--lines === 0) return start + i + 1;
+    }
+    start += chunk.length;
+  }
+  return source.size;
+}
+
+async function countNewlines(source: PatchSource, start: number, end: number, chunkSize: number): Promise<number> {
+  let count = 0;
+  for (let position = start; position < end; position += chunkSize) {
+    const chunk = await source.read(position, Math.min(end, position + chunkSize));
+    for (let i = chunk.indexOf(NEWLINE); i >= 0; i = chunk.indexOf(NEWLINE, i + 1)) count++;
+  }
+  return count;
+}
+
+/**
+ * Position just past `lines` newlines from `position`
+ */
+async function skipLines(source: PatchSource, position: number, lines: number, chunkSize: number): Promise<number> {
+  if (lines === 0) return position;
+  const end = await findLineEnd(source, position, lines, chunkSize);
+  if (end === source.size && await countNewlines(source, position, end, chunkSize) < lines) {
+    throw new Error(`Patch does not apply: content has fewer than ${lines} more lines`);
+  }
+  return end;
+}
+
+export {
+  encodeBinaryPatch,
+  createUnifiedPatch,
+  parsePatch,
+  resolveLineHunks,
+  type PatchFormat,
+  type PatchFingerprint,
+  type PatchEdit,
+  type PatchSource,
+  type ParsedPatch
+};
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Streaming search over virtual pages
+ * @description Finds literal byte sequences and regular expressions in a buffer
+ * by walking the virtual page table chunk by chunk, so a search never needs
+ * more than a couple of pages resident at once
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { type ByteSource } from '../types/common';
+
+/**
+ * Direction of a search relative to its start address
+ */
+type SearchDirection = 'forward' | 'backward';
+
+/**
+ * Options accepted by the search methods
+ */
+interface SearchOptions {
+  /** Address the search starts from (default: 0 forward, end of buffer backward) */
+  start?: number;
+  /** Search toward the end (default) or toward the beginning of the buffer */
+  direction?: SearchDirection;
+  /** Bytes read per step (default: the buffer page size) */
+  chunkSize?: number;
+  /** Longest regex match that is guaranteed to be found across a chunk boundary */
+  maxMatchLength?: number;
+}
+
+/**
+ * A single search hit in virtual buffer coordinates
+ */
+interface SearchMatch {
+  /** Address of the first matched byte */
+  start: number;
+  /** Address just past the last matched byte */
+  end: number;
+  /** Matched length in bytes */
+  length: number;
+  /** Decoded match text (pattern searches only) */
+  text?: string;
+  /** Capture groups of the match (pattern searches only) */
+  groups?: Array<string | undefined>;
+}
+
+/**
+ * One chunk of the search walk: matches are only accepted when they start
+ * inside [chunkStart, chunkEnd); the window extends past chunkEnd so matches
+ * straddling the boundary are still seen whole
+ */
+interface SearchWindow {
+  chunkStart: number;
+  chunkEnd: number;
+  windowEnd: number;
+}
+
+/**
+ * Streaming byte and pattern search over a VirtualPageManager
+ */
+class BufferSearch {
+  private vpm: ByteSource;
+  private defaultChunkSize: number;
+
+  static readonly DEFAULT_MAX_MATCH_LENGTH = 4096;
+
+  constructor(virtualPageManager: ByteSource, defaultChunkSize: number = 64 * 1024) {
+    this.vpm = virtualPageManager;
+    this.defaultChunkSize = defaultChunkSize;
+  }
+
+  /**
+   * Find occurrences of a literal byte sequence.
+   * Forward searches yield matches starting at or after `start`; backward
+   * searches yield matches starting before `start`, nearest first.
+   */
+  async * findBytes(needle: Buffer, options: SearchOptions = {}): AsyncGenerator<SearchMatch> {
+    if (needle.length === 0) {
+      throw new Error('Search needle cannot be empty');
+    }
+
+    const backward = options.direction === 'backward';
+    let boundary = backward ? Infinity : -Infinity; // Non-overlap fence
+
+    for (const window of this._windows(options, needle.length - 1)) {
+      const data = await this.vpm.readRange(window.chunkStart, window.windowEnd);
+      const found: SearchMatch[] = [];
+
+      let index = data.indexOf(needle);
+      while (index !== -1 && window.chunkStart + index < window.chunkEnd) {
+        const start = window.chunkStart + index;
+        found.push({ start, end: start + needle.length, length: needle.length });
+        index = data.indexOf(needle, index + 1);
+      }
+
+      for (const match of backward ? found.reverse() : found) {
+        if (backward ? match.end <= boundary : match.start >= boundary) {
+          boundary = backward ? match.start : match.end;
+          yield match;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find matches of a regular expression over the UTF-8 decoded content.
+   * Matches longer than `maxMatchLength` may be missed when they cross a
+   * chunk boundary, and `^`/`$` anchors see chunk edges as line edges.
+   */
+  async * findPattern(pattern: RegExp, options: SearchOptions = {}): AsyncGenerator<SearchMatch> {
+    const regex = new RegExp(
+      pattern.source,
+      pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'
+    );
+    const backward = options.direction === 'backward';
+    const overlap = options.maxMatchLength ?? BufferSearch.DEFAULT_MAX_MATCH_LENGTH;
+    let boundary = backward ? Infinity : -Infinity;
+
+    for (const window of this._windows(options, overlap)) {
+      const raw = await this.vpm.readRange(window.chunkStart, window.windowEnd);
+
+      // Never decode half a UTF-8 character at either edge of the window; a
+      // character split at the leading edge belongs to the previous chunk
+      let lead = 0;
+      while (lead < 3 && lead < raw.length && (raw[lead] & 0xC0) === 0x80) {
+        lead++;
+      }
+      const tail = window.windowEnd < this.vpm.getTotalSize() ?
+        this._alignToCharBoundary(raw, raw.length) : raw.length;
+      const text = raw.subarray(lead, Math.max(lead, tail)).toString('utf8');
+      const found: SearchMatch[] = [];
+
+      let charPos = 0;
+      let bytePos = lead;
+      regex.lastIndex = 0;
+      let match: RegExpExecArray | null;
+
+      while ((match = regex.exec(text)) !== null) {
+        // Translate string indexes to byte offsets incrementally
+        bytePos += Buffer.byteLength(text.slice(charPos, match.index), 'utf8');
+        charPos = match.index;
+
+        const start = window.chunkStart + bytePos;
+        if (start >= window.chunkEnd) break;
+
+        const length = Buffer.byteLength(match[0], 'utf8');
+        found.push({
+          start,
+          end: start + length,
+          length,
+          text: match[0],
+          groups: match.slice(1)
+        });
+
+        if (match[0].length === 0) {
+          regex.lastIndex++; // Step past empty matches
+        }
+      }
+
+      for (const hit of backward ? found.reverse() : found) {
+        if (backward ? hit.end <= boundary : hit.start >= boundary) {
+          boundary = backward ? hit.start : hit.end;
+          yield hit;
+        }
+      }
+    }
+  }
+
+  /**
+   * Produce the sequence of chunk windows for a search
+   */
+  private * _windows(options: SearchOptions, overlap: number): Generator<SearchWindow> {
+    const totalSize = this.vpm.getTotalSize();
+    const chunkSize = Math.max(1, options.chunkSize ?? this.defaultChunkSize);
+
+    if (options.direction === 'backward') {
+      let chunkEnd = Math.min(options.start ?? totalSize, totalSize);
+      while (chunkEnd > 0) {
+        const chunkStart = Math.max(0, chunkEnd - chunkSize);
+        yield { chunkStart, chunkEnd, windowEnd: Math.min(totalSize, chunkEnd + overlap) };
+        chunkEnd = chunkStart;
+      }
+    } else {
+      let chunkStart = Math.max(0, options.start ?? 0);
+      while (chunkStart < totalSize) {
+        const chunkEnd = Math.min(totalSize, chunkStart + chunkSize);
+        yield { chunkStart, chunkEnd, windowEnd: Math.min(totalSize, chunkEnd + overlap) };
+        chunkStart = chunkEnd;
+      }
+    }
+  }
+
+  /**
+   * Move an offset back so it does not split a multi-byte UTF-8 sequence
+   */
+  private _alignToCharBoundary(data: Buffer, offset: number): number {
+    let aligned = offset;
+    // Step back over continuation bytes (10xxxxxx) to the lead byte
+    while (aligned > 0 && aligned > offset - 4 && (data[aligned - 1] & 0xC0) === 0x80) {
+      aligned--;
+    }
+    if (aligned > 0 && aligned > offset - 4 && data[aligned - 1] >= 0xC0) {
+      // Lead byte found - keep the sequence only if it is complete
+      const lead = data[aligned - 1];
+      const needed = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : 2;
+      return offset - (aligned - 1) >= needed ? offset : aligned - 1;
+    }
+    return offset;
+  }
+}
+
+export {
+  BufferSearch,
+  type SearchDirection,
+  type SearchOptions,
+  type SearchMatch
+};
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Read-only point-in-time views of a buffer
+ * @description A snapshot shares pages with the live buffer instead of
+ * copying them. The page manager hands a page's old bytes to the snapshot
+ * only when the live page is written while the snapshot still uses it.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { LineOperationResult } from './line-marks-manager';
+import { type VirtualPageManager, type SnapshotPage } from '../virtual-page-manager';
+
+/**
+ * A read-only view of a buffer's content at the moment it was taken. Line
+ * queries read pages as needed, so unlike the buffer's they are async.
+ * Call release() when done so the buffer stops preserving pages for it.
+ */
+class BufferSnapshot {
+  private vpm: VirtualPageManager;
+  private pages: SnapshotPage[];
+  private totalSize: number;
+  private released: boolean = false;
+
+  constructor(vpm: VirtualPageManager) {
+    this.vpm = vpm;
+    this.pages = vpm.createSnapshotPages();
+    this.totalSize = this.pages.reduce((sum, page) => sum + page.size, 0);
+  }
+
+  /**
+   * Get the size of the snapshot in bytes
+   */
+  getTotalSize(): number {
+    return this.totalSize;
+  }
+
+  /**
+   * Read [start, end) as the buffer held it when the snapshot was taken
+   */
+  async getBytes(start: number, end: number): Promise<Buffer> {
+    this._checkNotReleased();
+    if (start < 0 || end < 0) {
+      throw new Error('Invalid range: positions cannot be negative');
+    }
+
+    end = Math.min(end, this.totalSize);
+    const chunks: Buffer[] = [];
+    for (let i = this._findPageIndex(start); i < this.pages.length && start < end; i++) {
+      const page = this.pages[i];
+      const data = await this.vpm.readSnapshotPage(page);
+      chunks.push(data.subarray(start - page.virtualStart, Math.min(end, page.virtualStart + page.size) - page.virtualStart));
+      start = page.virtualStart + page.size;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get the number of lines in the snapshot
+   */
+  async getLineCount(): Promise<number> {
+    this._checkNotReleased();
+    let lineCount = 1;
+    for (const page of this.pages) {
+      lineCount += await this._newlineCount(page);
+    }
+    return lineCount;
+  }
+
+  /**
+   * Get the byte range of a line (1-based), including its newline
+   */
+  async getLineInfo(lineNumber: number): Promise<LineOperationResult | null> {
+    this._checkNotReleased();
+    if (lineNumber < 1) {
+      return null;
+    }
+
+    let currentLine = 1;
+    let lineStart = 0;
+    for (const page of this.pages) {
+      const newlines = await this._newlineCount(page);
+      if (currentLine + newlines < lineNumber) {
+        currentLine += newlines;
+        continue;
+      }
+
+      // The line starts or ends in this page
+      const data = await this.vpm.readSnapshotPage(page);
+      for (let offset = data.indexOf(0x0A); offset >= 0 && offset < page.size; offset = data.indexOf(0x0A, offset + 1)) {
+        if (currentLine === lineNumber) {
+          return new LineOperationResult(lineNumber, lineStart, page.virtualStart + offset + 1);
+        }
+        currentLine++;
+        lineStart = page.virtualStart + offset + 1;
+      }
+    }
+
+    return currentLine === lineNumber ? new LineOperationResult(lineNumber, lineStart, this.totalSize) : null;
+  }
+
+  /**
+   * Convert a byte address to a line number (1-based; 0 if out of range)
+   */
+  async getLineNumberFromAddress(address: number): Promise<number> {
+    this._checkNotReleased();
+    if (address < 0 || address > this.totalSize) {
+      return 0;
+    }
+
+    let lineNumber = 1;
+    for (const page of this.pages) {
+      if (address < page.virtualStart + page.size) {
+        const data = await this.vpm.readSnapshotPage(page);
+        for (let offset = 0; offset < address - page.virtualStart; offset++) {
+          if (data[offset] === 0x0A) lineNumber++;
+        }
+        break;
+      }
+      lineNumber += await this._newlineCount(page);
+    }
+    return lineNumber;
+  }
+
+  /**
+   * Let the buffer stop preserving pages for this snapshot. The snapshot
+   * cannot be read afterwards; releasing twice is harmless.
+   */
+  release(): void {
+    if (this.released) return;
+    this.released = true;
+    this.vpm.releaseSnapshotPages(this.pages);
+    this.pages = [];
+  }
+
+  /**
+   * Check whether release() has been called
+   */
+  isReleased(): boolean {
+    return this.released;
+  }
+
+  private _checkNotReleased(): void {
+    if (this.released) {
+      throw new Error('Snapshot has been released');
+    }
+  }
+
+  private async _newlineCount(page: SnapshotPage): Promise<number> {
+    this._checkNotReleased();
+    if (page.newlineCount === null) {
+      const data = await this.vpm.readSnapshotPage(page);
+      let count = 0;
+      for (let i = data.indexOf(0x0A); i >= 0 && i < page.size; i = data.indexOf(0x0A, i + 1)) {
+        count++;
+      }
+      page.newlineCount = count;
+    }
+    return page.newlineCount;
+  }
+
+  /**
+   * Binary search for the page containing an address
+   */
+  private _findPageIndex(address: number): number {
+    let low = 0;
+    let high = this.pages.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const page = this.pages[mid];
+      if (address < page.virtualStart) {
+        high = mid - 1;
+      } else if (address >= page.virtualStart + page.size) {
+        low = mid + 1;
+      } else {
+        return mid;
+      }
+    }
+    return low;
+  }
+}
+
+export { BufferSnapshot };
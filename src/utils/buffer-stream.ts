@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Streaming reads over virtual pages
+ * @description Reads a buffer range chunk by chunk through the page manager,
+ * as an async iterator or a Node Readable. Each chunk is a copy, so pages are
+ * free to be evicted as soon as it has been read.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { Readable } from 'stream';
+import { type ByteSource } from '../types/common';
+
+/**
+ * Options accepted by createReadStream
+ */
+interface ReadStreamOptions {
+  /** First address to read (default: 0) */
+  start?: number;
+  /** Address just past the last byte to read (default: end of buffer) */
+  end?: number;
+  /** Bytes per chunk and stream buffer limit (default: the buffer page size) */
+  highWaterMark?: number;
+}
+
+/**
+ * Yield [start, end) in chunks of at most chunkSize bytes. The buffer size is
+ * re-checked before every read, so a range shortened by a concurrent delete
+ * ends early rather than failing.
+ */
+async function * readChunks(
+  vpm: ByteSource,
+  start: number,
+  end: number,
+  chunkSize: number
+): AsyncGenerator<Buffer> {
+  if (start < 0 || end < 0) {
+    throw new Error('Invalid range: positions cannot be negative');
+  }
+  if (!(chunkSize > 0)) {
+    throw new Error('Chunk size must be positive');
+  }
+
+  let position = start;
+  while (position < Math.min(end, vpm.getTotalSize())) {
+    const chunk = await vpm.readRange(position, Math.min(end, position + chunkSize));
+    if (chunk.length === 0) break;
+    position += chunk.length;
+    yield chunk;
+  }
+}
+
+/**
+ * Wrap a chunk iterator in a byte-mode Readable. Readable.from only pulls the
+ * next chunk when the consumer asks for it, which gives backpressure for free.
+ */
+function createChunkStream(chunks: AsyncGenerator<Buffer>, highWaterMark: number): Readable {
+  return Readable.from(chunks, { objectMode: false, highWaterMark });
+}
+
+export {
+  readChunks,
+  createChunkStream,
+  type ReadStreamOptions
+};
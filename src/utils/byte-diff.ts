@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Byte-level diff of two buffers
+ * @description Myers' O(ND) algorithm over bytes (or over interned lines),
+ * with a cap on the number of edits so that heavily rewritten regions fall
+ * back to a single hunk instead of taking quadratic time.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+// Myers takes about (old + new) × edits steps; past either limit the
+// differing span is reported whole
+const MAX_EDITS = 1024;
+const MAX_DIFF_WORK = 50_000_000;
+
+// Old plus new bytes past which a caller should not read a region to diff
+// it: at this size the work limit already leaves few edits to find
+const MAX_DIFF_REGION_SIZE = 1024 * 1024;
+
+/**
+ * Bytes, or any other items interned as integers
+ */
+type Sequence = Uint8Array | Int32Array;
+
+/**
+ * A differing span: items [oldStart, oldEnd) of the old sequence were
+ * replaced by items [newStart, newEnd) of the new one
+ */
+interface ByteEdit {
+  oldStart: number;
+  oldEnd: number;
+  newStart: number;
+  newEnd: number;
+}
+
+/**
+ * Find the spans that differ between two buffers, in order. Adjacent edits
+ * are combined, so every span is separated from the next by unchanged bytes.
+ * When more than maxEdits single-byte inserts and deletes would be needed,
+ * everything between the common prefix and suffix is one span.
+ */
+function diffBytes(oldData: Buffer, newData: Buffer, maxEdits: number = MAX_EDITS): ByteEdit[] {
+  return diffSequences(oldData, newData, maxEdits);
+}
+
+/**
+ * diffBytes over any integer sequence, e.g. lines interned as numbers
+ */
+function diffSequences(oldData: Sequence, newData: Sequence, maxEdits: number = MAX_EDITS): ByteEdit[] {
+  // Common prefix and suffix cost nothing to skip
+  let prefix = 0;
+  const shorter = Math.min(oldData.length, newData.length);
+  while (prefix < shorter && oldData[prefix] === newData[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < shorter - prefix &&
+    oldData[oldData.length - 1 - suffix] === newData[newData.length - 1 - suffix]
+  ) suffix++;
+
+  const a = oldData.subarray(prefix, oldData.length - suffix);
+  const b = newData.subarray(prefix, newData.length - suffix);
+  if (a.length === 0 && b.length === 0) {
+    return [];
+  }
+  const whole = [{ oldStart: prefix, oldEnd: prefix + a.length, newStart: prefix, newEnd: prefix + b.length }];
+  if (a.length === 0 || b.length === 0) {
+    return whole;
+  }
+
+  const limit = Math.min(maxEdits, Math.floor(MAX_DIFF_WORK / (a.length + b.length)), a.length + b.length);
+  const edits = myers(a, b, limit);
+  if (!edits) {
+    return whole;
+  }
+
+  // Shift past the prefix and merge touching edits
+  const spans: ByteEdit[] = [];
+  for (const edit of edits) {
+    const last = spans[spans.length - 1];
+    if (last && last.oldEnd === edit.oldStart + prefix && last.newEnd === edit.newStart + prefix) {
+      last.oldEnd = edit.oldEnd + prefix;
+      last.newEnd = edit.newEnd + prefix;
+    } else {
+      spans.push({
+        oldStart: edit.oldStart + prefix,
+        oldEnd: edit.oldEnd + prefix,
+        newStart: edit.newStart + prefix,
+        newEnd: edit.newEnd + prefix
+      });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Shortest edit script as single-byte edits in order, or null past maxEdits
+ */
+function myers(a: Sequence, b: Sequence, maxEdits: number): ByteEdit[] | null {
+  const offset = maxEdits + 1;
+  const v = new Int32Array(2 * maxEdits + 3);
+  // trace[d] holds the furthest x on each diagonal before round d
+  const trace: Int32Array[] = [];
+
+  for (let d = 0; d <= maxEdits; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, offset, a.length, b.length, d);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Walk the trace back from the end to recover each edit
+ */
+function backtrack(trace: Int32Array[], offset: number, x: number, y: number, edits: number): ByteEdit[] {
+  const result: ByteEdit[] = [];
+
+  for (let d = edits; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+    const prevX = v[offset + (down ? k + 1 : k - 1)];
+    const prevY = prevX - (down ? k + 1 : k - 1);
+
+    // A move down inserts b[prevY]; a move right deletes a[prevX]
+    result.push(down
+      ? { oldStart: prevX, oldEnd: prevX, newStart: prevY, newEnd: prevY + 1 }
+      : { oldStart: prevX, oldEnd: prevX + 1, newStart: prevY, newEnd: prevY });
+    x = prevX;
+    y = prevY;
+  }
+
+  return result.reverse();
+}
+
+export {
+  diffBytes,
+  diffSequences,
+  MAX_DIFF_REGION_SIZE,
+  type ByteEdit
+};
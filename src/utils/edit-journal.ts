@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Crash-recovery journal of unsaved edits
+ * @description An append-only log of the insert/delete operations applied to
+ * a buffer since its last checkpoint. A checkpoint records the buffer as a
+ * table of segments: ranges still served by the original file, and edited
+ * data copied into a file beside the journal. Operations are numbered, and a
+ * checkpoint records the number of the last one it includes: replaying the
+ * later operations against the unchanged original file rebuilds the buffer.
+ * Every write is synced to disk before it resolves.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { OperationType } from '../types/common';
+import { type LayoutSegment } from '../virtual-page-manager';
+import { hashFullFile, hashSampledFile, type FingerprintOptions } from './file-fingerprint';
+
+/**
+ * What the journal was recorded against
+ */
+interface JournalHeader {
+  version: number;
+  filename: string;
+  fileSize: number;
+  mtimeMs: number;
+  /** Fingerprint of the original file; without one only size and mtime are checked */
+  fingerprint: { options: FingerprintOptions; checksum: string } | null;
+  createdAt: number;
+}
+
+/**
+ * A checkpoint segment, as captured from the page manager
+ */
+type JournalSegment = LayoutSegment;
+
+/**
+ * A journaled operation; deletes only record their length
+ */
+interface JournalOperation {
+  type: OperationType.INSERT | OperationType.DELETE;
+  /** Counts the buffer's changes; a checkpoint includes those up to its own */
+  sequence: number;
+  position: number;
+  data?: Buffer;
+  length: number;
+}
+
+/**
+ * Everything needed to rebuild a buffer
+ */
+interface JournalContents {
+  header: JournalHeader;
+  segments: JournalSegment[];
+  operations: JournalOperation[];
+}
+
+type SerializedSegment =
+  | { source: 'original'; fileOffset: number; size: number }
+  | { source: 'data'; offset: number; size: number };
+
+interface SerializedOperation {
+  type: OperationType.INSERT | OperationType.DELETE;
+  sequence: number;
+  position: number;
+  data?: string;
+  length: number;
+}
+
+type JournalRecord =
+  | ({ kind: 'header' } & JournalHeader)
+  | { kind: 'checkpoint'; dataFile: string; sequence: number; segments: SerializedSegment[] }
+  | ({ kind: 'op' } & SerializedOperation);
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILE = 'buffer.journal';
+const DATA_FILE_PREFIX = `${JOURNAL_FILE}.`;
+const DATA_FILE_SUFFIX = '.data';
+
+/**
+ * Write a file and sync it, so a later rename cannot expose it half-written
+ */
+async function writeDurably(filePath: string, data: string | Buffer): Promise<void> {
+  const file = await fs.open(filePath, 'w');
+  try {
+    await file.writeFile(data);
+    await file.sync();
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Journal file and checkpoint data kept in one directory
+ */
+class EditJournal {
+  public readonly directory: string;
+  public readonly journalPath: string;
+  private generation: number = 0;
+
+  constructor(directory: string) {
+    this.directory = directory;
+    this.journalPath = path.join(directory, JOURNAL_FILE);
+  }
+
+  /**
+   * Check whether a directory holds a journal
+   */
+  static async exists(directory: string): Promise<boolean> {
+    try {
+      await fs.access(path.join(directory, JOURNAL_FILE));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Start a new journal from a checkpoint, replacing any previous one.
+   * sequence is that of the last operation the segments include.
+   */
+  async checkpoint(header: JournalHeader, segments: JournalSegment[], sequence: number): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const dataFile = `${DATA_FILE_PREFIX}${Date.now().toString(36)}_${++this.generation}${DATA_FILE_SUFFIX}`;
+    const chunks: Buffer[] = [];
+    let offset = 0;
+    const serialized: SerializedSegment[] = segments.map(segment => {
+      if (segment.source === 'original') {
+        return segment;
+      }
+      chunks.push(segment.data);
+      offset += segment.data.length;
+      return { source: 'data', offset: offset - segment.data.length, size: segment.data.length };
+    });
+
+    await writeDurably(path.join(this.directory, dataFile), Buffer.concat(chunks));
+
+    // Write then rename so a crash leaves either the old journal or the new one
+    const lines = [
+      JSON.stringify({ kind: 'header', ...header }),
+      JSON.stringify({ kind: 'checkpoint', dataFile, sequence, segments: serialized })
+    ];
+    const tempPath = `${this.journalPath}.tmp`;
+    await writeDurably(tempPath, lines.join('\n') + '\n');
+    await fs.rename(tempPath, this.journalPath);
+
+    await this._removeDataFiles(dataFile);
+  }
+
+  /**
+   * Append one operation, resolving once it is on disk
+   */
+  async append(operation: JournalOperation): Promise<void> {
+    const serialized: SerializedOperation = {
+      type: operation.type,
+      sequence: operation.sequence,
+      position: operation.position,
+      length: operation.length
+    };
+    if (operation.data) {
+      serialized.data = operation.data.toString('base64');
+    }
+    const file = await fs.open(this.journalPath, 'a');
+    try {
+      await file.write(JSON.stringify({ kind: 'op', ...serialized }) + '\n');
+      await file.datasync();
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Remove the journal and its checkpoint data
+   */
+  async discard(): Promise<void> {
+    try {
+      await fs.unlink(this.journalPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+    }
+    await this._removeDataFiles(null);
+  }
+
+  /**
+   * Read the journal in a directory; null if there is none. A torn last
+   * line (the process died mid-append) is ignored.
+   */
+  static async read(directory: string): Promise<JournalContents | null> {
+    let text: string;
+    try {
+      text = await fs.readFile(path.join(directory, JOURNAL_FILE), 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const lines = text.split('\n').filter(line => line.length > 0);
+    const records: JournalRecord[] = [];
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        records.push(JSON.parse(lines[i]));
+      } catch (error) {
+        if (i === lines.length - 1) break;
+        throw new Error(`Malformed edit journal at line ${i + 1}`);
+      }
+    }
+
+    const [headerRecord, checkpointRecord, ...rest] = records;
+    if (headerRecord?.kind !== 'header' || checkpointRecord?.kind !== 'checkpoint') {
+      throw new Error('Malformed edit journal: missing header or checkpoint');
+    }
+    if (headerRecord.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported edit journal version: ${headerRecord.version}`);
+    }
+
+    const { kind: _kind, ...header } = headerRecord;
+    const data = await fs.readFile(path.join(directory, checkpointRecord.dataFile));
+    const segments: JournalSegment[] = checkpointRecord.segments.map(segment => {
+      if (segment.source === 'original') {
+        return segment;
+      }
+      if (segment.offset + segment.size > data.length) {
+        throw new Error('Edit journal checkpoint data is truncated');
+      }
+      return { source: 'data', data: data.subarray(segment.offset, segment.offset + segment.size) };
+    });
+
+    // Operations queued before the checkpoint was captured can be appended
+    // after it; the checkpoint already includes them
+    const operationRecords = rest.filter((record): record is JournalRecord & { kind: 'op' } =>
+      record.kind === 'op' && record.sequence > checkpointRecord.sequence);
+    const operations: JournalOperation[] = operationRecords.map(record => ({
+      type: record.type,
+      sequence: record.sequence,
+      position: record.position,
+      length: record.length,
+      ...(record.data !== undefined ? { data: Buffer.from(record.data, 'base64') } : {})
+    }));
+
+    return { header, segments, operations };
+  }
+
+  private async _removeDataFiles(keep: string | null): Promise<void> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return; // Nothing to remove
+    }
+
+    for (const file of files) {
+      if (file !== keep && file.startsWith(DATA_FILE_PREFIX) && file.endsWith(DATA_FILE_SUFFIX)) {
+        try {
+          await fs.unlink(path.join(this.directory, file));
+        } catch (error) {
+          // Ignore deletion errors - the data is no longer referenced
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check that a file still holds the content a journal was recorded against
+ */
+async function journalBaselineMatches(header: JournalHeader): Promise<boolean> {
+  let stats;
+  try {
+    stats = await fs.stat(header.filename);
+  } catch (error) {
+    return false;
+  }
+  if (stats.size !== header.fileSize) {
+    return false;
+  }
+
+  const fingerprint = header.fingerprint;
+  if (!fingerprint) {
+    return stats.mtime.getTime() === header.mtimeMs;
+  }
+
+  const { options } = fingerprint;
+  if (options.strategy === 'sampled') {
+    return await hashSampledFile(header.filename, stats.size, options) === fingerprint.checksum;
+  }
+  const hash = await hashFullFile(header.filename, stats.size, options.algorithm, 64 * 1024);
+  return hash?.checksum === fingerprint.checksum;
+}
+
+export {
+  EditJournal,
+  journalBaselineMatches,
+  JOURNAL_VERSION,
+  type JournalHeader,
+  type JournalSegment,
+  type JournalOperation,
+  type JournalContents
+};
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview File fingerprinting for change detection
+ * @description Computes the fingerprint a buffer keeps of its source file.
+ * A full hash reads every byte; a sampled hash reads only a few blocks so
+ * huge files load instantly at the cost of missing some in-place edits.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import * as crypto from 'crypto';
+import { PageInfo } from './page-info';
+
+/**
+ * How a buffer fingerprints its source file
+ * - none: no hashing; changes are detected from size and mtime only
+ * - full: hash every byte before load returns (also records per-page checksums)
+ * - sampled: hash the size plus head, tail and evenly strided blocks
+ * - lazy: like full, but computed in the background after load returns
+ */
+type FingerprintStrategy = 'none' | 'full' | 'sampled' | 'lazy';
+
+/**
+ * Fingerprint configuration
+ */
+interface FingerprintOptions {
+  strategy: FingerprintStrategy;
+  /** Any algorithm supported by crypto.createHash (default: md5) */
+  algorithm: string;
+  /** Bytes read per sampled block */
+  sampleSize: number;
+  /** Number of strided blocks sampled between head and tail */
+  sampleCount: number;
+}
+
+/**
+ * Result of hashing a whole file
+ */
+interface FullFileHash {
+  checksum: string;
+  /** MD5 of each pageSize-aligned block, matching the initial page layout */
+  pageChecksums: string[];
+}
+
+const DEFAULT_FINGERPRINT_OPTIONS: FingerprintOptions = {
+  strategy: 'full',
+  algorithm: 'md5',
+  sampleSize: 64 * 1024,
+  sampleCount: 16
+};
+
+/**
+ * Hash every byte of a file, one page at a time
+ */
+async function hashFullFile(
+  filename: string,
+  size: number,
+  algorithm: string,
+  pageSize: number,
+  shouldContinue: () => boolean = (): boolean => true
+): Promise<FullFileHash | null> {
+  const hash = crypto.createHash(algorithm);
+  const pageChecksums: string[] = [];
+  if (size === 0) {
+    return { checksum: hash.digest('hex'), pageChecksums };
+  }
+
+  const fd = await fs.open(filename, 'r');
+  const buffer = Buffer.alloc(Math.min(pageSize, size));
+
+  try {
+    let position = 0;
+    while (position < size) {
+      if (!shouldContinue()) {
+        return null;
+      }
+      const length = Math.min(pageSize, size - position);
+      const { bytesRead } = await fd.read(buffer, 0, length, position);
+      if (bytesRead === 0) break;
+      const page = buffer.subarray(0, bytesRead);
+      hash.update(page);
+      pageChecksums.push(PageInfo.calculateChecksum(page));
+      position += bytesRead;
+    }
+  } finally {
+    await fd.close();
+  }
+
+  return { checksum: hash.digest('hex'), pageChecksums };
+}
+
+/**
+ * Hash the file size and a fixed number of blocks spread across the file.
+ * Small files are hashed completely.
+ */
+async function hashSampledFile(filename: string, size: number, options: FingerprintOptions): Promise<string> {
+  const hash = crypto.createHash(options.algorithm);
+  hash.update(`${size}:`);
+  if (size === 0) {
+    return hash.digest('hex');
+  }
+
+  const sampleSize = Math.max(1, options.sampleSize);
+  const fd = await fs.open(filename, 'r');
+  const buffer = Buffer.alloc(sampleSize);
+
+  try {
+    for (const offset of sampleOffsets(size, options)) {
+      const { bytesRead } = await fd.read(buffer, 0, Math.min(sampleSize, size - offset), offset);
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    await fd.close();
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the last tailSize bytes before end, which a file that has only been
+ * appended to still holds
+ * @returns The hash, or null when the file no longer reaches end
+ */
+async function hashFileTail(filename: string, end: number, tailSize: number, algorithm: string): Promise<string | null> {
+  const start = Math.max(0, end - tailSize);
+  const buffer = Buffer.alloc(end - start);
+  const fd = await fs.open(filename, 'r');
+
+  try {
+    const { bytesRead } = await fd.read(buffer, 0, buffer.length, start);
+    if (bytesRead !== buffer.length) {
+      return null;
+    }
+  } finally {
+    await fd.close();
+  }
+
+  return crypto.createHash(algorithm).update(buffer).digest('hex');
+}
+
+/**
+ * Hash content read through a callback exactly as the functions above hash
+ * a file holding it: every byte, or for 'sampled' the size plus sampled blocks
+ */
+async function hashContent(
+  read: (start: number, end: number) => Promise<Buffer>,
+  size: number,
+  options: FingerprintOptions,
+  chunkSize: number
+): Promise<string> {
+  const hash = crypto.createHash(options.algorithm);
+
+  if (options.strategy === 'sampled') {
+    hash.update(`${size}:`);
+    const sampleSize = Math.max(1, options.sampleSize);
+    for (const offset of size > 0 ? sampleOffsets(size, options) : []) {
+      hash.update(await read(offset, Math.min(size, offset + sampleSize)));
+    }
+  } else {
+    for (let position = 0; position < size; position += chunkSize) {
+      hash.update(await read(position, Math.min(size, position + chunkSize)));
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Start the whole-file hash of a strategy that keeps one, to be fed a
+ * file's bytes as they are written; null for strategies that do not
+ */
+function createWriteHash(options: FingerprintOptions): crypto.Hash | null {
+  return options.strategy === 'full' || options.strategy === 'lazy' ? crypto.createHash(options.algorithm) : null;
+}
+
+/**
+ * Coarsest mtime resolution in common use (FAT); a write this soon after
+ * the last one can leave the mtime unchanged
+ */
+const MTIME_GRANULARITY_MS = 2000;
+
+/**
+ * Whether a file whose stat was taken at statTakenAt could have been
+ * rewritten since without its mtime changing. Only then does an unchanged
+ * size and mtime need a fingerprint to confirm it.
+ */
+function isMtimeAmbiguous(mtime: Date, statTakenAt: number): boolean {
+  return statTakenAt - mtime.getTime() < MTIME_GRANULARITY_MS;
+}
+
+/**
+ * Offsets of the blocks a sampled hash reads
+ */
+function sampleOffsets(size: number, options: FingerprintOptions): number[] {
+  const sampleSize = Math.max(1, options.sampleSize);
+  const blockCount = Math.max(0, options.sampleCount) + 2;
+
+  const offsets: number[] = [];
+  if (size <= sampleSize * blockCount) {
+    for (let offset = 0; offset < size; offset += sampleSize) {
+      offsets.push(offset);
+    }
+  } else {
+    const lastOffset = size - sampleSize;
+    for (let i = 0; i < blockCount; i++) {
+      offsets.push(Math.floor(lastOffset * i / (blockCount - 1)));
+    }
+  }
+  return offsets;
+}
+
+export {
+  hashFullFile,
+  hashContent,
+  hashSampledFile,
+  hashFileTail,
+  createWriteHash,
+  isMtimeAmbiguous,
+  DEFAULT_FINGERPRINT_OPTIONS,
+  type FingerprintStrategy,
+  type FingerprintOptions,
+  type FullFileHash
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview In-place save of same-size edits
+ * @description Writes only the changed ranges of a file instead of rewriting
+ * all of it. Before anything is written, the bytes about to be overwritten
+ * are copied into an undo journal beside the file; the journal is removed
+ * once the new bytes are on disk. A journal left behind by an interrupted
+ * save can be rolled back to restore the file as it was.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { throwIfAborted } from './abort';
+
+/**
+ * A region of the file rewritten with bytes of the same length
+ */
+interface InPlaceRange {
+  offset: number;
+  length: number;
+}
+
+interface InPlaceWriteOptions {
+  /** Called after each chunk with the bytes written so far */
+  onProgress?: (bytesWritten: number, totalBytes: number) => void;
+  /** Aborting rolls the file back to its old bytes */
+  signal?: AbortSignal;
+}
+
+interface InPlaceJournalHeader {
+  version: number;
+  fileSize: number;
+  ranges: InPlaceRange[];
+}
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_SUFFIX = '.inplace-undo';
+// The journal ends with the hex md5 of the saved bytes; without it the
+// journal was cut short and the file was never touched
+const TRAILER_LENGTH = 32;
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Path of the undo journal kept beside a file during an in-place save
+ */
+function inPlaceJournalPath(filename: string): string {
+  return path.join(path.dirname(filename), `.${path.basename(filename)}${JOURNAL_SUFFIX}`);
+}
+
+/**
+ * Check whether an interrupted in-place save left its journal behind
+ */
+async function hasInPlaceJournal(filename: string): Promise<boolean> {
+  try {
+    await fs.access(inPlaceJournalPath(filename));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Overwrite ranges of a file with new bytes of the same length, journaling
+ * the old bytes first. If writing fails or is aborted the old bytes are
+ * put back before the error is rethrown. Returns the number of bytes written.
+ */
+async function writeInPlace(
+  filename: string,
+  ranges: InPlaceRange[],
+  readNew: (start: number, end: number) => Promise<Buffer>,
+  options: InPlaceWriteOptions = {}
+): Promise<number> {
+  const journalPath = inPlaceJournalPath(filename);
+  const total = ranges.reduce((sum, range) => sum + range.length, 0);
+  const fd = await fs.open(filename, 'r+');
+  let journaled = false;
+  let written = 0;
+
+  try {
+    const { size } = await fd.stat();
+    await _writeJournal(fd, journalPath, { version: JOURNAL_VERSION, fileSize: size, ranges });
+    journaled = true;
+
+    for (const range of ranges) {
+      for (let offset = range.offset; offset < range.offset + range.length; offset += CHUNK_SIZE) {
+        throwIfAborted(options.signal, 'Save');
+        const end = Math.min(offset + CHUNK_SIZE, range.offset + range.length);
+        const data = await readNew(offset, end);
+        if (data.length !== end - offset) {
+          throw new Error(`In-place save expected ${end - offset} bytes at offset ${offset}, got ${data.length}`);
+        }
+        await fd.write(data, 0, data.length, offset);
+        written += data.length;
+        options.onProgress?.(written, total);
+      }
+    }
+    await fd.sync();
+  } catch (error) {
+    await fd.close();
+    if (journaled) {
+      await rollbackInPlaceSave(filename);
+    } else {
+      await fs.unlink(journalPath).catch(() => {});
+    }
+    throw error;
+  }
+
+  await fd.close();
+  await fs.unlink(journalPath);
+  return written;
+}
+
+/**
+ * Undo an interrupted in-place save of a file from its journal. Returns
+ * false when there is no journal. A journal that was never completed is
+ * just removed, since nothing was written to the file before it was.
+ */
+async function rollbackInPlaceSave(filename: string): Promise<boolean> {
+  const journalPath = inPlaceJournalPath(filename);
+  let journal: Buffer;
+  try {
+    journal = await fs.readFile(journalPath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  const newline = journal.indexOf(0x0A);
+  if (newline !== -1 && journal.length >= newline + 1 + TRAILER_LENGTH) {
+    const header = JSON.parse(journal.subarray(0, newline).toString('utf8')) as InPlaceJournalHeader;
+    const saved = journal.subarray(newline + 1, journal.length - TRAILER_LENGTH);
+    const trailer = journal.subarray(journal.length - TRAILER_LENGTH).toString('ascii');
+    const expected = header.ranges.reduce((sum, range) => sum + range.length, 0);
+
+    if (header.version === JOURNAL_VERSION && saved.length === expected &&
+        crypto.createHash('md5').update(saved).digest('hex') === trailer) {
+      const fd = await fs.open(filename, 'r+');
+      try {
+        let cursor = 0;
+        for (const range of header.ranges) {
+          await fd.write(saved, cursor, range.length, range.offset);
+          cursor += range.length;
+        }
+        await fd.truncate(header.fileSize);
+        await fd.sync();
+      } finally {
+        await fd.close();
+      }
+    }
+  }
+
+  await fs.unlink(journalPath);
+  return true;
+}
+
+/**
+ * Copy the bytes about to be overwritten into the journal and flush it
+ */
+async function _writeJournal(fd: fs.FileHandle, journalPath: string, header: InPlaceJournalHeader): Promise<void> {
+  const journal = await fs.open(journalPath, 'w');
+  try {
+    const hash = crypto.createHash('md5');
+    await journal.write(JSON.stringify(header) + '\n');
+
+    for (const range of header.ranges) {
+      for (let offset = range.offset; offset < range.offset + range.length; offset += CHUNK_SIZE) {
+        const data = Buffer.alloc(Math.min(CHUNK_SIZE, range.offset + range.length - offset));
+        const { bytesRead } = await fd.read(data, 0, data.length, offset);
+        if (bytesRead !== data.length) {
+          throw new Error(`File is shorter than expected: wanted ${data.length} bytes at offset ${offset}, got ${bytesRead}`);
+        }
+        hash.update(data);
+        await journal.write(data);
+      }
+    }
+
+    await journal.write(hash.digest('hex'));
+    await journal.sync();
+  } finally {
+    await journal.close();
+  }
+}
+
+export {
+  writeInPlace,
+  rollbackInPlaceSave,
+  hasInPlaceJournal,
+  inPlaceJournalPath,
+  type InPlaceRange,
+  type InPlaceWriteOptions
+};
@@ -12,9 +12,13 @@ import {
   type ILineAndMarksManager,
   type MarkTuple,
   type RelativeMarkTuple,
+  type MarkGravity,
+  type MarkRange,
   type LineCharPosition,
+  type LineCount,
   type LineAndMarksManagerMemoryStats
 } from '../types/common';
+import { runReplacementBatch, type ReplacementPrimitives } from './replacement-batch';
 
 /**
  * Represents the result of line-related operations
@@ -56,6 +60,33 @@ class ExtractedContent {
   }
 }
 
+/**
+ * A replaced range and the length of the data that replaced it
+ */
+interface EditSpan {
+  start: number;
+  end: number;
+  insertedLength: number;
+}
+
+/**
+ * Map an address through edits sorted by start, all given against the same
+ * content. An address inside a replaced range, or at the start of one with
+ * right gravity, lands at the start (left) or end (right) of the new data.
+ */
+function mapAddressThroughEdits(address: number, gravity: MarkGravity, edits: EditSpan[]): number {
+  let delta = 0;
+  for (const edit of edits) {
+    if (address < edit.start || (address === edit.start && gravity === 'left')) break;
+    if (address >= edit.end) {
+      delta += edit.insertedLength - (edit.end - edit.start);
+      continue;
+    }
+    return edit.start + delta + (gravity === 'right' ? edit.insertedLength : 0);
+  }
+  return address + delta;
+}
+
 /**
  * Page coordinate-based marks and line manager
  */
@@ -63,6 +94,9 @@ class LineAndMarksManager implements ILineAndMarksManager {
   private vpm: IVirtualPageManager;
   private globalMarks: Map<string, [string, number]> = new Map(); // markName -> [pageKey, offset]
   private pageToMarks: Map<string, Set<string>> = new Map(); // pageKey -> Set<markName> (for performance)
+  private markGravity: Map<string, MarkGravity> = new Map(); // markName -> gravity, for right-gravity marks only
+  private ranges: Map<string, MarkRange> = new Map(); // rangeName -> range (virtual addresses)
+  private collapsedRanges: string[] = []; // Ranges emptied since takeCollapsedRanges() was last called
 
   constructor(virtualPageManager: IVirtualPageManager) {
     this.vpm = virtualPageManager;
@@ -282,14 +316,21 @@ class LineAndMarksManager implements ILineAndMarksManager {
   // =================== PUBLIC MARKS API ===================
 
   /**
-   * Set a named mark at a virtual address
+   * Set a named mark at a virtual address. Without a gravity, an existing
+   * mark keeps its own and a new one is left-sticky.
    */
-  setMark(markName: string, virtualAddress: number): void {
+  setMark(markName: string, virtualAddress: number, gravity?: MarkGravity): void {
     const totalSize = this.vpm.getTotalSize();
     if (virtualAddress < 0 || virtualAddress > totalSize) {
       throw new Error(`Mark address ${virtualAddress} is out of range`);
     }
 
+    if (gravity === 'right') {
+      this.markGravity.set(markName, gravity);
+    } else if (gravity === 'left') {
+      this.markGravity.delete(markName);
+    }
+
     // Handle the special case of marking at the very end of the buffer
     if (virtualAddress === totalSize) {
       // Find the last page or create one if empty
@@ -320,6 +361,14 @@ class LineAndMarksManager implements ILineAndMarksManager {
     }
   }
 
+  /**
+   * Get the gravity of a named mark
+   */
+  getMarkGravity(markName: string): MarkGravity | null {
+    if (!this.globalMarks.has(markName)) return null;
+    return this.markGravity.get(markName) ?? 'left';
+  }
+
   /**
    * Remove a named mark
    */
@@ -332,6 +381,7 @@ class LineAndMarksManager implements ILineAndMarksManager {
     
     // Remove from global registry
     this.globalMarks.delete(markName);
+    this.markGravity.delete(markName);
     
     return true;
   }
@@ -482,6 +532,142 @@ class LineAndMarksManager implements ILineAndMarksManager {
   clearAllMarks(): void {
     this.globalMarks.clear();
     this.pageToMarks.clear();
+    this.markGravity.clear();
+  }
+
+  /**
+   * Replace every mark with those of a snapshot (for undo), keeping the
+   * gravity of the marks it still names
+   */
+  restoreMarks(marks: MarkTuple[]): void {
+    const names = new Set(marks.map(mark => mark[0]));
+    for (const markName of this.markGravity.keys()) {
+      if (!names.has(markName)) {
+        this.markGravity.delete(markName);
+      }
+    }
+    this.globalMarks.clear();
+    this.pageToMarks.clear();
+    this._setMarksAt(marks);
+  }
+
+  // =================== RANGES API ===================
+  // Ranges are kept as virtual addresses and moved by every edit that goes
+  // through this manager; inserts at an endpoint follow its gravity.
+
+  /**
+   * Set a named range. By default neither endpoint takes in bytes inserted
+   * exactly at it, so the range does not grow at its edges.
+   */
+  setRange(
+    rangeName: string,
+    start: number,
+    end: number,
+    options: { startGravity?: MarkGravity; endGravity?: MarkGravity } = {}
+  ): void {
+    if (start < 0 || end < start || end > this.vpm.getTotalSize()) {
+      throw new Error(`Range [${start}, ${end}) is out of range`);
+    }
+    this.ranges.set(rangeName, {
+      name: rangeName,
+      start,
+      end,
+      startGravity: options.startGravity ?? 'right',
+      endGravity: options.endGravity ?? 'left',
+      collapsed: false
+    });
+  }
+
+  /**
+   * Get a named range
+   */
+  getRange(rangeName: string): MarkRange | null {
+    const range = this.ranges.get(rangeName);
+    return range ? { ...range } : null;
+  }
+
+  /**
+   * Remove a named range
+   */
+  removeRange(rangeName: string): boolean {
+    return this.ranges.delete(rangeName);
+  }
+
+  /**
+   * Get the ranges sharing bytes with [start, end), sorted by start then end.
+   * An empty range or query matches anything it touches, edges included.
+   */
+  getRangesOverlapping(start: number, end: number): MarkRange[] {
+    const result: MarkRange[] = [];
+    for (const range of this.ranges.values()) {
+      const overlaps = range.start === range.end || start === end ?
+        range.start <= end && range.end >= start :
+        range.start < end && range.end > start;
+      if (overlaps) {
+        result.push({ ...range });
+      }
+    }
+    return result.sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  /**
+   * Get all ranges, sorted by start then end
+   */
+  getAllRanges(): MarkRange[] {
+    return [...this.ranges.values()]
+      .map(range => ({ ...range }))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  /**
+   * Replace every range with those of a snapshot (for undo)
+   */
+  restoreRanges(ranges: MarkRange[]): void {
+    this.ranges.clear();
+    for (const range of ranges) {
+      this.ranges.set(range.name, { ...range });
+    }
+    this.collapsedRanges = [];
+  }
+
+  /**
+   * Clear all ranges
+   */
+  clearAllRanges(): void {
+    this.ranges.clear();
+    this.collapsedRanges = [];
+  }
+
+  /**
+   * Get the names of the ranges edits have emptied since the last call
+   */
+  takeCollapsedRanges(): string[] {
+    const names = this.collapsedRanges;
+    this.collapsedRanges = [];
+    return names;
+  }
+
+  /**
+   * Move every range through edits sorted by start and given against the
+   * same content, noting the ranges they empty
+   */
+  private _updateRangesAfterEdits(edits: EditSpan[]): void {
+    for (const range of this.ranges.values()) {
+      const wasEmpty = range.start === range.end;
+      const start = mapAddressThroughEdits(range.start, range.startGravity, edits);
+      const end = mapAddressThroughEdits(range.end, range.endGravity, edits);
+
+      // An empty range with a right-sticky start would otherwise invert
+      range.start = Math.min(start, end);
+      range.end = end;
+
+      if (range.start !== range.end) {
+        range.collapsed = false;
+      } else if (!wasEmpty) {
+        range.collapsed = true;
+        this.collapsedRanges.push(range.name);
+      }
+    }
   }
 
   // =================== ENHANCED OPERATIONS WITH MARKS ===================
@@ -517,7 +703,8 @@ class LineAndMarksManager implements ILineAndMarksManager {
     for (const [markName, coord] of this.globalMarks) {
       try {
         const markVirtualPos = this._pageCoordToVirtual(coord[0], coord[1]);
-        if (markVirtualPos > position) { // FIXED: Only marks AFTER insertion point get shifted
+        // Only marks AFTER insertion point get shifted, unless right-sticky
+        if (markVirtualPos > position || (markVirtualPos === position && this.markGravity.has(markName))) {
           marksToShift.push({ name: markName, originalPos: markVirtualPos });
         }
       } catch (error) {
@@ -546,6 +733,8 @@ class LineAndMarksManager implements ILineAndMarksManager {
     
     logger.debug('[DEBUG] Marks after shifting:', this.getAllMarks());
     
+    this._updateRangesAfterEdits([{ start: position, end: position, insertedLength: data.length }]);
+    
     // STEP 4: Insert new marks
     if (marks.length > 0) {
       this.insertMarksFromRelative(position, marks);
@@ -631,6 +820,11 @@ class LineAndMarksManager implements ILineAndMarksManager {
     
     logger.debug('[DEBUG] Marks after VPM operations:', this.getAllMarks());
     
+    // Growing content inserts its extra bytes at the old end
+    if (netSizeChange > 0) {
+      this._updateRangesAfterEdits([{ start: endPosition, end: endPosition, insertedLength: netSizeChange }]);
+    }
+    
     // Update marks that were after the overwrite region
     for (const markInfo of marksToShift) {
       const newPos = markInfo.originalPos + netSizeChange;
@@ -652,6 +846,69 @@ class LineAndMarksManager implements ILineAndMarksManager {
     return new ExtractedContent(overwrittenData, marksInOverwrittenContent);
   }
 
+  /**
+   * Apply several edits given against the same content, sorted by start and
+   * not overlapping, then move every mark and range once. Edits are applied
+   * from the last to the first so earlier coordinates stay valid. Marks
+   * inside a replaced range move to the start of its new data (the end, if
+   * right-sticky); marks after it shift by its size change. If an edit
+   * fails, the ones already applied are reverted.
+   * @returns The data each edit removed, in the order given
+   */
+  async applyEditsWithMarks(
+    edits: Array<{ start: number; end: number; data: Buffer; marks: RelativeMarkTuple[] }>
+  ): Promise<Buffer[]> {
+    const marksBefore = this.getAllMarks();
+    const removed: Buffer[] = new Array(edits.length);
+
+    const primitives: ReplacementPrimitives = {
+      remove: (start, end) => this.vpm.deleteRange(start, end),
+      insert: (position, data) => this.vpm.insertAt(position, data)
+    };
+    try {
+      await runReplacementBatch(primitives, async replace => {
+        for (let index = edits.length - 1; index >= 0; index--) {
+          const { start, end, data } = edits[index];
+          removed[index] = await replace(start, end - start, data);
+        }
+      });
+    } catch (error) {
+      this._setMarksAt(marksBefore);
+      throw error;
+    }
+
+    const spans = edits.map(({ start, end, data }) => ({ start, end, insertedLength: data.length }));
+    this._setMarksAt(marksBefore.map(([name, address]) => [
+      name,
+      mapAddressThroughEdits(address, this.markGravity.get(name) ?? 'left', spans)
+    ] as MarkTuple));
+    this._updateRangesAfterEdits(spans);
+
+    let delta = 0;
+    for (const edit of edits) {
+      if (edit.marks.length > 0) {
+        this.insertMarksFromRelative(edit.start + delta, edit.marks);
+      }
+      delta += edit.data.length - (edit.end - edit.start);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Put marks at the given addresses
+   */
+  private _setMarksAt(marks: MarkTuple[]): void {
+    for (const [name, address] of marks) {
+      try {
+        this.setMark(name, address);
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.warn(`Failed to move mark ${name} to position ${address}: ${errorMessage}`);
+      }
+    }
+  }
+
   /**
    * CORRECTED: Update marks after a modification using virtual addresses
    * This method handles logical mark movement for content changes
@@ -685,6 +942,15 @@ class LineAndMarksManager implements ILineAndMarksManager {
         logger.debug(`[DEBUG] Mark ${name}: before modification, no change`);
         continue;
         
+      } else if (virtualPos === virtualStart && insertedBytes > 0 && this.markGravity.has(name)) {
+        // Right-sticky mark at modification start - moves after the inserted bytes
+        try {
+          this._updateMarkCoordinate(name, coord, this._virtualToPageCoord(virtualStart + insertedBytes));
+        } catch (error) {
+          const errorMessage = error instanceof Error ? error.message : String(error);
+          logger.warn(`Failed to move mark ${name} past insertion: ${errorMessage}`);
+        }
+        
       } else if (virtualPos === virtualStart) {
         // CORRECTED: Mark exactly at modification start
         if (deletedBytes === 0) {
@@ -698,10 +964,11 @@ class LineAndMarksManager implements ILineAndMarksManager {
         }
         
       } else if (deletedBytes > 0 && virtualPos > virtualStart && virtualPos < virtualEnd) {
-        // CORRECTED: Mark within deleted region - move to deletion start (don't remove!)
+        // CORRECTED: Mark within deleted region - move to deletion start (don't remove!),
+        // or past any inserted bytes if right-sticky
         logger.debug(`[DEBUG] Mark ${name}: within deletion range [${virtualStart}, ${virtualEnd}), moving to deletion start`);
         try {
-          const newCoord = this._virtualToPageCoord(virtualStart);
+          const newCoord = this._virtualToPageCoord(virtualStart + (this.markGravity.has(name) ? insertedBytes : 0));
           this._updateMarkCoordinate(name, coord, newCoord);
         } catch (error) {
           const errorMessage = error instanceof Error ? error.message : String(error);
@@ -726,14 +993,14 @@ class LineAndMarksManager implements ILineAndMarksManager {
       }
     }
     
-    // Invalidate line caches after mark updates
-    this.invalidateLineCaches();
+    this._updateRangesAfterEdits([{ start: virtualStart, end: virtualEnd, insertedLength: insertedBytes }]);
   }
 
   // =================== LINE TRACKING (UNCHANGED) ===================
   
   /**
-   * Invalidate line caches (called when buffer content changes)
+   * Invalidate every page's line cache (called when the content is replaced
+   * wholesale; edits invalidate only the pages they touch)
    */
   invalidateLineCaches(): void {
     this.invalidatePageLineCaches();
@@ -773,15 +1040,17 @@ class LineAndMarksManager implements ILineAndMarksManager {
   }
 
   /**
-   * Get the total number of lines in the buffer (SYNCHRONOUS)
+   * Get the total number of lines in the buffer (SYNCHRONOUS). The count is
+   * an estimate while some page's newlines have never been counted.
    */
-  getTotalLineCount(): number {
+  getTotalLineCount(): LineCount {
     const totalSize = this.vpm.getTotalSize();
     if (totalSize === 0) {
-      return 1; // Empty content has 1 line
+      return { count: 1, isExact: true }; // Empty content has 1 line
     }
 
     let lineCount = 1; // Start with first line
+    let isExact = true;
     
     for (const descriptor of this.vpm.addressIndex.getAllPages()) {
       if (descriptor.virtualSize === 0) {
@@ -802,10 +1071,46 @@ class LineAndMarksManager implements ILineAndMarksManager {
         // This is a limitation of keeping it synchronous
         // For now, assume worst case of 0 newlines in unloaded pages
         // (Total will be underestimated but won't crash)
+        isExact = false;
       }
     }
     
-    return lineCount;
+    return { count: lineCount, isExact };
+  }
+
+  /**
+   * Find the first page at or after fromIndex whose newline count is
+   * unknown: never indexed and not loaded
+   * @returns Its index in page order, or -1
+   */
+  findUnindexedPage(fromIndex: number = 0): number {
+    const pages = this.vpm.addressIndex.pages;
+    for (let i = Math.max(0, fromIndex); i < pages.length; i++) {
+      const descriptor = pages[i];
+      if (descriptor.virtualSize > 0 && !descriptor.lineInfoCached && !this.vpm.pageCache.has(descriptor.pageKey)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Total size of the pages whose newline count is unknown
+   */
+  getUnindexedSize(): number {
+    let size = 0;
+    for (let i = this.findUnindexedPage(); i >= 0; i = this.findUnindexedPage(i + 1)) {
+      size += this.vpm.addressIndex.pages[i].virtualSize;
+    }
+    return size;
+  }
+
+  /**
+   * Check whether every page's newline count is known, so that line counts
+   * and line numbers are exact rather than estimates
+   */
+  isLineCountExact(): boolean {
+    return this.findUnindexedPage() < 0;
   }
 
   /**
@@ -823,6 +1128,8 @@ class LineAndMarksManager implements ILineAndMarksManager {
     }
 
     let currentLine = 1;
+    // Line numbers are estimates past any page whose newline count is unknown
+    let countsKnown = true;
 
     for (const descriptor of this.vpm.addressIndex.getAllPages()) {
       if (descriptor.virtualSize === 0) {
@@ -857,7 +1164,7 @@ class LineAndMarksManager implements ILineAndMarksManager {
           const lineEnd = descriptor.virtualStart + exactPositions[lineIndex] + 1;
           
           const marks = this.getMarksInRange(lineStart, lineEnd - 1);
-          return new LineOperationResult(lineNumber, lineStart, lineEnd, marks, true);
+          return new LineOperationResult(lineNumber, lineStart, lineEnd, marks, countsKnown);
         } else if (exactPositions) {
           // Target line is the last line in this page (no trailing newline)
           const lastNewlinePos = exactPositions.length > 0 ? 
@@ -867,7 +1174,7 @@ class LineAndMarksManager implements ILineAndMarksManager {
           const lineEnd = pageEndAddress;
           
           const marks = this.getMarksInRange(lineStart, lineEnd - 1);
-          return new LineOperationResult(lineNumber, lineStart, lineEnd, marks, true);
+          return new LineOperationResult(lineNumber, lineStart, lineEnd, marks, countsKnown);
         } else {
           // Page not loaded - return page boundaries as approximation
           const marks = this.getMarksInRange(descriptor.virtualStart, pageEndAddress - 1);
@@ -876,6 +1183,7 @@ class LineAndMarksManager implements ILineAndMarksManager {
       }
 
       currentLine += pageLinesCount;
+      countsKnown = countsKnown && (exactPositions !== null || descriptor.lineInfoCached);
     }
 
     // Line not found or beyond end
@@ -1007,6 +1315,128 @@ class LineAndMarksManager implements ILineAndMarksManager {
     return { line: lineNumber, character: byteOffsetInLine + 1 };
   }
 
+  // =================== ASYNC LINE OPERATIONS ===================
+
+  /**
+   * Get exact information about a range of lines, loading the pages needed
+   * (ASYNC). Lines past the end of the buffer are left out.
+   */
+  async getLinesAsync(startLine: number, endLine: number): Promise<LineOperationResult[]> {
+    const firstLine = Math.max(1, startLine);
+    if (endLine < firstLine) {
+      return [];
+    }
+
+    const rangeStart = firstLine === 1 ? 0 : await this._addressAfterNewline(firstLine - 1);
+    if (rangeStart === null) {
+      return [];
+    }
+    const totalSize = this.vpm.getTotalSize();
+    const rangeEnd = await this._addressAfterNewline(endLine) ?? totalSize;
+    const data = await this.vpm.readRange(rangeStart, rangeEnd);
+
+    const result: LineOperationResult[] = [];
+    let lineStart = rangeStart;
+    for (let lineNumber = firstLine; lineNumber <= endLine; lineNumber++) {
+      const newline = data.indexOf(0x0A, lineStart - rangeStart);
+      if (newline >= 0) {
+        const lineEnd = rangeStart + newline + 1;
+        result.push(new LineOperationResult(lineNumber, lineStart, lineEnd, this.getMarksInRange(lineStart, lineEnd - 1)));
+        lineStart = lineEnd;
+      } else {
+        // Last line of the buffer: marks at the very end belong to it
+        result.push(new LineOperationResult(lineNumber, lineStart, totalSize, this.getMarksInRange(lineStart, totalSize)));
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get exact information about one line, loading the pages needed (ASYNC)
+   */
+  async getLineInfoAsync(lineNumber: number): Promise<LineOperationResult | null> {
+    const [line] = await this.getLinesAsync(lineNumber, lineNumber);
+    return line ?? null;
+  }
+
+  /**
+   * Convert a byte address to its exact line number, loading the pages
+   * needed (ASYNC)
+   * @returns The 1-based line number, or 0 if the address is out of range
+   */
+  async getLineNumberFromAddressAsync(virtualAddress: number): Promise<number> {
+    if (virtualAddress < 0 || virtualAddress > this.vpm.getTotalSize()) {
+      return 0;
+    }
+
+    let lineNumber = 1;
+    for (const descriptor of this.vpm.addressIndex.getAllPages()) {
+      if (descriptor.virtualSize === 0) {
+        continue;
+      }
+      if (virtualAddress >= descriptor.virtualEnd && this._isNewlineCountKnown(descriptor)) {
+        lineNumber += this._knownNewlineCount(descriptor);
+        continue;
+      }
+
+      const pageInfo = await this.vpm._ensurePageLoaded(descriptor);
+      pageInfo.ensureLineCacheValid();
+      const relativeAddress = virtualAddress - descriptor.virtualStart;
+      const newlinesBefore = pageInfo.newlinePositions.filter(position => position < relativeAddress).length;
+      lineNumber += newlinesBefore;
+      if (virtualAddress < descriptor.virtualEnd) {
+        break;
+      }
+    }
+    return lineNumber;
+  }
+
+  /**
+   * Address just past the count-th newline of the buffer, or null if it has
+   * fewer newlines. Pages whose count is known are skipped without loading.
+   */
+  private async _addressAfterNewline(count: number): Promise<number | null> {
+    let seen = 0;
+    for (const descriptor of this.vpm.addressIndex.getAllPages()) {
+      if (descriptor.virtualSize === 0) {
+        continue;
+      }
+      if (this._isNewlineCountKnown(descriptor) && seen + this._knownNewlineCount(descriptor) < count) {
+        seen += this._knownNewlineCount(descriptor);
+        continue;
+      }
+
+      const pageInfo = await this.vpm._ensurePageLoaded(descriptor);
+      pageInfo.ensureLineCacheValid();
+      const positions = pageInfo.newlinePositions;
+      if (seen + positions.length >= count) {
+        return descriptor.virtualStart + positions[count - seen - 1] + 1;
+      }
+      seen += positions.length;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a page's newline count is known without reading it
+   */
+  private _isNewlineCountKnown(descriptor: IPageDescriptor): boolean {
+    return descriptor.lineInfoCached || this.vpm.pageCache.has(descriptor.pageKey);
+  }
+
+  /**
+   * Newline count of a page that is indexed or loaded
+   */
+  private _knownNewlineCount(descriptor: IPageDescriptor): number {
+    const pageInfo = this.vpm.pageCache.get(descriptor.pageKey);
+    if (pageInfo) {
+      pageInfo.ensureLineCacheValid();
+      descriptor.cacheLineInfo(pageInfo);
+    }
+    return descriptor.newlineCount;
+  }
+
   /**
    * Get memory usage statistics
    */
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Marks sidecar files
+ * @description Stores a buffer's marks and ranges as versioned JSON in a
+ * sidecar file, tagged with the fingerprint and size of the content they
+ * were placed against so a later load can tell whether they still fit.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { type PersistedFingerprint } from './undo-persistence';
+import { type MarkGravity } from '../types/common';
+
+/**
+ * A point mark as stored in a sidecar
+ */
+interface PersistedMark {
+  name: string;
+  address: number;
+  gravity: MarkGravity;
+}
+
+/**
+ * A range as stored in a sidecar
+ */
+interface PersistedRange {
+  name: string;
+  start: number;
+  end: number;
+  startGravity: MarkGravity;
+  endGravity: MarkGravity;
+}
+
+/**
+ * Sidecar contents
+ */
+interface MarksFile {
+  version: number;
+  /** Null when the content had no fingerprint (e.g. not loaded from a file) */
+  fingerprint: PersistedFingerprint | null;
+  size: number;
+  marks: PersistedMark[];
+  ranges: PersistedRange[];
+}
+
+const MARKS_FILE_VERSION = 1;
+
+/**
+ * Sidecar location for a file: a hidden ".marks" file beside it
+ */
+function marksSidecarPath(filename: string): string {
+  return path.join(path.dirname(filename), `.${path.basename(filename)}.marks`);
+}
+
+/**
+ * Write a marks file, replacing any previous one in a single rename
+ */
+async function writeMarksFile(filePath: string, contents: Omit<MarksFile, 'version'>): Promise<void> {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify({ version: MARKS_FILE_VERSION, ...contents }) + '\n', 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read a marks file, or null if there is none
+ */
+async function readMarksFile(filePath: string): Promise<MarksFile | null> {
+  let text: string;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  let contents: MarksFile;
+  try {
+    contents = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Malformed marks file: ${filePath}`);
+  }
+  if (contents.version !== MARKS_FILE_VERSION) {
+    throw new Error(`Unsupported marks file version: ${contents.version}`);
+  }
+  if (typeof contents.size !== 'number' || !Array.isArray(contents.marks) || !Array.isArray(contents.ranges)) {
+    throw new Error(`Malformed marks file: ${filePath}`);
+  }
+  return contents;
+}
+
+export {
+  marksSidecarPath,
+  writeMarksFile,
+  readMarksFile,
+  MARKS_FILE_VERSION,
+  type MarksFile,
+  type PersistedMark,
+  type PersistedRange
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Serializes a buffer's async operations
+ * @description Edits, saves and reads of a buffer await page loads and file
+ * I/O, so two of them started together would interleave and see each other's
+ * half-finished state. The queue runs them one at a time in call order.
+ * Work done as part of a running operation must not go through the queue
+ * again (it would wait for itself), so the buffer's public methods queue
+ * and their private implementations call each other directly.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+/**
+ * What an operation does when another one is running or waiting
+ * - queue: wait its turn
+ * - reject: fail at once with a BufferBusyError
+ */
+type BusyBehavior = 'queue' | 'reject';
+
+/**
+ * Create the error raised when an operation is rejected because the buffer is busy
+ */
+function createBufferBusyError(operation: string): Error {
+  const error = new Error(`Buffer is busy: ${operation} rejected while another operation is running`);
+  error.name = 'BufferBusyError';
+  return error;
+}
+
+/**
+ * Check whether an error was raised by an operation rejected as busy
+ */
+function isBufferBusyError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'BufferBusyError';
+}
+
+/**
+ * FIFO mutex for one buffer's operations
+ */
+class OperationQueue {
+  public busyBehavior: BusyBehavior = 'queue';
+  private tail: Promise<void> = Promise.resolve();
+  private pending: number = 0;
+  private idleWaiters: Array<() => void> = [];
+  private afterEach: (() => Promise<void>) | null;
+
+  /**
+   * @param afterEach Work each operation waits for before it settles,
+   * whether it succeeded or not (must not throw)
+   */
+  constructor(afterEach: (() => Promise<void>) | null = null) {
+    this.afterEach = afterEach;
+  }
+
+  /**
+   * Run an operation once every operation before it has settled, or
+   * reject it at once if busy and the busy behavior says so
+   */
+  run<T>(operation: string, task: () => Promise<T>): Promise<T> {
+    if (this.busyBehavior === 'reject' && this.pending > 0) {
+      return Promise.reject(createBufferBusyError(operation));
+    }
+    return this.enqueue(task);
+  }
+
+  /**
+   * Run an operation once every operation before it has settled, whatever
+   * the busy behavior (for the buffer's own background work)
+   */
+  enqueue<T>(task: () => Promise<T>): Promise<T> {
+    this.pending++;
+    const afterEach = this.afterEach;
+    const result = this.tail.then(afterEach ? async (): Promise<T> => {
+      try {
+        return await task();
+      } finally {
+        await afterEach();
+      }
+    } : task);
+
+    // Settle the bookkeeping before the caller's own continuation runs, so
+    // the buffer is idle again as soon as an awaited operation returns
+    const settle = (): void => {
+      if (--this.pending === 0) {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+      }
+    };
+    this.tail = result.then(settle, settle);
+    return result;
+  }
+
+  /**
+   * Check whether an operation is running or waiting
+   */
+  isBusy(): boolean {
+    return this.pending > 0;
+  }
+
+  /**
+   * Resolve once no operation is running or waiting
+   */
+  whenIdle(): Promise<void> {
+    if (this.pending === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+}
+
+export {
+  OperationQueue,
+  createBufferBusyError,
+  isBufferBusyError,
+  type BusyBehavior
+};
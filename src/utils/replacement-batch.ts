@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Batches of replacements that undo themselves on failure
+ * @description Bulk edits such as replace-all make many replacements that
+ * must all apply or none. A batch logs each replacement
+ * as it is made and, if the batch fails, reverts them in reverse order with
+ * the same remove/insert primitives that made them.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+/**
+ * The edit primitives a batch is made of
+ */
+interface ReplacementPrimitives {
+  remove(start: number, end: number): Promise<Buffer>;
+  insert(position: number, data: Buffer): Promise<unknown>;
+}
+
+/**
+ * Replace deleteLength bytes at position with data
+ * @returns The bytes removed
+ */
+type Replace = (position: number, deleteLength: number, data: Buffer) => Promise<Buffer>;
+
+/**
+ * One replacement as far as it got: the insert may not have happened
+ */
+interface AppliedReplacement {
+  position: number;
+  removed: Buffer;
+  insertedLength: number;
+}
+
+/**
+ * Make one replacement, noting each step in applied (when given) as it completes
+ */
+async function replaceRange(
+  primitives: ReplacementPrimitives,
+  position: number,
+  deleteLength: number,
+  data: Buffer,
+  applied?: AppliedReplacement[]
+): Promise<Buffer> {
+  const removed = deleteLength > 0 ? await primitives.remove(position, position + deleteLength) : Buffer.alloc(0);
+  const entry: AppliedReplacement = { position, removed, insertedLength: 0 };
+  applied?.push(entry);
+  if (data.length > 0) {
+    await primitives.insert(position, data);
+    entry.insertedLength = data.length;
+  }
+  return removed;
+}
+
+/**
+ * Run a batch of replacements; if it throws, revert every replacement it
+ * made, newest first, then rethrow
+ */
+async function runReplacementBatch<T>(
+  primitives: ReplacementPrimitives,
+  batch: (replace: Replace) => Promise<T>
+): Promise<T> {
+  const applied: AppliedReplacement[] = [];
+  try {
+    return await batch((position, deleteLength, data) =>
+      replaceRange(primitives, position, deleteLength, data, applied));
+  } catch (error) {
+    for (let i = applied.length - 1; i >= 0; i--) {
+      const { position, removed, insertedLength } = applied[i];
+      if (insertedLength > 0) {
+        await primitives.remove(position, position + insertedLength);
+      }
+      if (removed.length > 0) {
+        await primitives.insert(position, removed);
+      }
+    }
+    throw error;
+  }
+}
+
+export {
+  replaceRange,
+  runReplacementBatch,
+  type ReplacementPrimitives,
+  type Replace
+};
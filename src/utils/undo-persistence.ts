@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Undo history persistence
+ * @description Stores a serialized undo history either in a sidecar file next
+ * to the edited file or in the buffer's page storage. Operation payloads above
+ * the inline limit are kept out of the JSON: appended as raw bytes after the
+ * sidecar's JSON header, or saved as separate storage pages.
+ * @author Jeffrey R. Day
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import {
+  type BufferUndoSystem,
+  type SerializedUndoHistory,
+  type UndoPayloadStore
+} from '../undo-system';
+
+/**
+ * Where undo history is persisted
+ */
+type UndoPersistenceTarget = 'sidecar' | 'storage';
+
+interface UndoPersistenceOptions {
+  target: UndoPersistenceTarget;
+  /** Largest operation payload inlined in the JSON (default 1024 bytes) */
+  inlineLimit?: number | undefined;
+}
+
+/**
+ * Identifies the file content a history was recorded against
+ */
+interface PersistedFingerprint {
+  strategy: string;
+  algorithm: string;
+  checksum: string;
+  size: number;
+}
+
+/**
+ * A persisted history, ready to be handed to BufferUndoSystem.deserialize()
+ */
+interface LoadedUndoHistory {
+  fingerprint: PersistedFingerprint;
+  history: SerializedUndoHistory;
+  payloadStore: UndoPayloadStore;
+}
+
+/**
+ * Page storage as used for history persistence
+ */
+interface UndoStorage {
+  savePage(pageKey: string, data: Buffer): Promise<void>;
+  loadPage(pageKey: string): Promise<Buffer>;
+  deletePage(pageKey: string): Promise<void>;
+}
+
+/**
+ * Common interface of the persistence targets
+ */
+interface UndoHistoryStore {
+  save(undoSystem: BufferUndoSystem, fingerprint: PersistedFingerprint, inlineLimit?: number): Promise<void>;
+  load(): Promise<LoadedUndoHistory | null>;
+}
+
+/**
+ * Sidecar file: one line of JSON followed by the out-of-line payload bytes,
+ * referenced as "offset:length" relative to the end of the JSON line
+ */
+class SidecarUndoHistoryStore implements UndoHistoryStore {
+  public readonly sidecarPath: string;
+
+  constructor(filename: string) {
+    this.sidecarPath = SidecarUndoHistoryStore.pathFor(filename);
+  }
+
+  /**
+   * Sidecar location for a file: a hidden ".undo" file beside it
+   */
+  static pathFor(filename: string): string {
+    return path.join(path.dirname(filename), `.${path.basename(filename)}.undo`);
+  }
+
+  async save(undoSystem: BufferUndoSystem, fingerprint: PersistedFingerprint, inlineLimit?: number): Promise<void> {
+    const payloads: Buffer[] = [];
+    let offset = 0;
+    const payloadStore: UndoPayloadStore = {
+      write: (data: Buffer): Promise<string> => {
+        const ref = `${offset}:${data.length}`;
+        payloads.push(data);
+        offset += data.length;
+        return Promise.resolve(ref);
+      },
+      read: (): Promise<Buffer> => Promise.reject(new Error('Sidecar payloads are written, not read, while saving'))
+    };
+
+    const history = await undoSystem.serialize({ payloadStore, inlineLimit });
+    const header = Buffer.from(JSON.stringify({ fingerprint, history }) + '\n', 'utf8');
+
+    // Write then rename so a crash never leaves a torn sidecar behind
+    const tempPath = `${this.sidecarPath}.tmp`;
+    await fs.writeFile(tempPath, Buffer.concat([header, ...payloads]));
+    await fs.rename(tempPath, this.sidecarPath);
+  }
+
+  async load(): Promise<LoadedUndoHistory | null> {
+    let contents: Buffer;
+    try {
+      contents = await fs.readFile(this.sidecarPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const headerEnd = contents.indexOf(0x0A);
+    if (headerEnd === -1) {
+      throw new Error(`Malformed undo sidecar: ${this.sidecarPath}`);
+    }
+    const { fingerprint, history } = JSON.parse(contents.subarray(0, headerEnd).toString('utf8'));
+    const payloads = contents.subarray(headerEnd + 1);
+
+    const payloadStore: UndoPayloadStore = {
+      write: (): Promise<string> => Promise.reject(new Error('Loaded sidecar payloads are read-only')),
+      read: (ref: string): Promise<Buffer> => {
+        const [start, length] = ref.split(':').map(Number);
+        return Promise.resolve(Buffer.from(payloads.subarray(start, start + length)));
+      }
+    };
+
+    return { fingerprint, history, payloadStore };
+  }
+}
+
+/**
+ * Page storage: the JSON index and each out-of-line payload are separate
+ * pages under a key prefix derived from the file's absolute path
+ */
+class StorageUndoHistoryStore implements UndoHistoryStore {
+  private storage: UndoStorage;
+  private keyPrefix: string;
+
+  constructor(storage: UndoStorage, filename: string) {
+    this.storage = storage;
+    const pathHash = crypto.createHash('md5').update(path.resolve(filename)).digest('hex');
+    this.keyPrefix = `undo_${pathHash}`;
+  }
+
+  async save(undoSystem: BufferUndoSystem, fingerprint: PersistedFingerprint, inlineLimit?: number): Promise<void> {
+    const previousKeys = await this._loadPayloadKeys();
+    const payloadKeys: string[] = [];
+    const generation = Date.now().toString(36);
+
+    const payloadStore: UndoPayloadStore = {
+      write: async (data: Buffer): Promise<string> => {
+        const key = `${this.keyPrefix}_${generation}_${payloadKeys.length}`;
+        await this.storage.savePage(key, data);
+        payloadKeys.push(key);
+        return key;
+      },
+      read: async (ref: string): Promise<Buffer> => await this.storage.loadPage(ref)
+    };
+
+    const history = await undoSystem.serialize({ payloadStore, inlineLimit });
+    const index = JSON.stringify({ fingerprint, history, payloadKeys });
+    await this.storage.savePage(this._indexKey(), Buffer.from(index, 'utf8'));
+
+    // Payloads of the previous history are unreferenced now
+    for (const key of previousKeys) {
+      if (!payloadKeys.includes(key)) {
+        try {
+          await this.storage.deletePage(key);
+        } catch (error) {
+          // Ignore deletion errors - the page is no longer referenced
+        }
+      }
+    }
+  }
+
+  async load(): Promise<LoadedUndoHistory | null> {
+    const index = await this._loadIndex();
+    if (!index) {
+      return null;
+    }
+
+    const payloadStore: UndoPayloadStore = {
+      write: (): Promise<string> => Promise.reject(new Error('Loaded storage payloads are read-only')),
+      read: async (ref: string): Promise<Buffer> => await this.storage.loadPage(ref)
+    };
+
+    return { fingerprint: index.fingerprint, history: index.history, payloadStore };
+  }
+
+  private _indexKey(): string {
+    return `${this.keyPrefix}_history`;
+  }
+
+  private async _loadIndex(): Promise<{ fingerprint: PersistedFingerprint; history: SerializedUndoHistory; payloadKeys: string[] } | null> {
+    let data: Buffer;
+    try {
+      data = await this.storage.loadPage(this._indexKey());
+    } catch (error) {
+      return null; // Nothing persisted for this file
+    }
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  private async _loadPayloadKeys(): Promise<string[]> {
+    try {
+      return (await this._loadIndex())?.payloadKeys ?? [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+/**
+ * Check whether a persisted fingerprint identifies the same file content
+ */
+function fingerprintsMatch(a: PersistedFingerprint, b: PersistedFingerprint): boolean {
+  return a.strategy === b.strategy &&
+    a.algorithm === b.algorithm &&
+    a.checksum === b.checksum &&
+    a.size === b.size;
+}
+
+export {
+  SidecarUndoHistoryStore,
+  StorageUndoHistoryStore,
+  fingerprintsMatch,
+  type UndoHistoryStore,
+  type UndoPersistenceTarget,
+  type UndoPersistenceOptions,
+  type PersistedFingerprint,
+  type LoadedUndoHistory,
+  type UndoStorage
+};
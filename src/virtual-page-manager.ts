@@ -7,8 +7,11 @@
  */
 
 import { promises as fs } from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
 import { PageInfo } from './utils/page-info';
 import { logger } from './utils/logger';
+import { isPageAuthenticationError } from './storage/page-storage';
 import {
   type IPageDescriptor,
   type IPageInfo,
@@ -85,6 +88,83 @@ class PageDescriptor implements IPageDescriptor {
   }
 }
 
+/**
+ * A byte range of the source file
+ */
+interface FileRange {
+  fileOffset: number;
+  size: number;
+}
+
+/**
+ * Checksum of an original-file region as it was when first read
+ */
+interface OriginalRegionChecksum {
+  size: number;
+  checksum: string;
+}
+
+/**
+ * A page still served from the source file whose bytes no longer match
+ */
+interface StaleOriginalRange extends FileRange {
+  virtualStart: number;
+  virtualEnd: number;
+  reason: string;
+}
+
+/**
+ * A clean original page with its place in the source file
+ */
+interface OriginalPageSource extends FileRange {
+  descriptor: PageDescriptor;
+  filename: string;
+}
+
+/**
+ * A region where the buffer no longer matches its source file:
+ * [bufferStart, bufferEnd) now stands where [fileStart, fileEnd) was
+ */
+interface ModifiedRange {
+  bufferStart: number;
+  bufferEnd: number;
+  fileStart: number;
+  fileEnd: number;
+}
+
+/**
+ * A run of buffer content: a source-file range or a copy of the bytes
+ */
+type LayoutSegment =
+  | { source: 'original'; fileOffset: number; size: number }
+  | { source: 'data'; data: Buffer };
+
+/**
+ * A content change as reported to the change listener
+ */
+type ContentChange =
+  | { type: 'insert'; position: number; data: Buffer }
+  | { type: 'delete'; position: number; length: number };
+
+/**
+ * One page of a snapshot. Its bytes are read through the live page
+ * `pageKey` until that page is written, when the page's current data is
+ * handed over; a reset instead leaves them at `detached` in the source file
+ * or page storage.
+ */
+interface SnapshotPage {
+  virtualStart: number;
+  size: number;
+  pageKey: string | null;
+  data: Buffer | null;
+  detached:
+  | { source: 'original'; filename: string; fileOffset: number }
+  | { source: 'storage'; pageKey: string }
+  | null;
+  /** Newlines in the page, once known */
+  newlineCount: number | null;
+}
+
 /**
  * Efficient B-tree-like structure for fast address lookups
  * Uses binary search for O(log n) lookups even with thousands of pages
@@ -384,6 +464,18 @@ class VirtualPageManager implements IVirtualPageManager {
   private minPageSize: number;
   private maxPageSize: number;
   private lineAndMarksManager: ILineAndMarksManager | null = null;
+  
+  // Checksums of original-file regions keyed by file offset, recorded when read;
+  // they outlive the pages themselves so edited regions can still be verified
+  private originalChecksums: Map<number, OriginalRegionChecksum> = new Map();
+  
+  // Told about every insert and delete (used by the edit journal)
+  private changeListener: ((change: ContentChange) => void) | null = null;
+
+  // Snapshot pages still reading through a live page, by page key
+  private snapshotRefs: Map<string, Set<SnapshotPage>> = new Map();
+  // Snapshot pages whose bytes a reset left in a file or page storage
+  private detachedSnapshotPages: Set<SnapshotPage> = new Set();
 
   constructor(buffer: IBuffer, pageSize: number = 64 * 1024, maxMemoryPages: number = 100) {
     this.buffer = buffer;
@@ -400,10 +492,18 @@ class VirtualPageManager implements IVirtualPageManager {
     this.lineAndMarksManager = manager;
   }
 
+  /**
+   * Set (or clear) the listener told about every content change
+   */
+  setChangeListener(listener: ((change: ContentChange) => void) | null): void {
+    this.changeListener = listener;
+  }
+
   /**
    * Initialize from a file
    */
-  initializeFromFile(filename: string, fileSize: number, _checksum: string): void {
+  initializeFromFile(filename: string, fileSize: number, _checksum: string | null): void {
+    this._resetPages();
     this.sourceFile = filename;
     this.sourceSize = fileSize;
     // Note: checksum parameter provided for future use but not currently stored
@@ -421,6 +521,7 @@ class VirtualPageManager implements IVirtualPageManager {
    * Initialize from string content
    */
   initializeFromContent(content: Buffer): void {
+    this._resetPages();
     this.sourceFile = null;
     this.sourceSize = content.length;
     
@@ -574,6 +675,7 @@ class VirtualPageManager implements IVirtualPageManager {
     
     const { descriptor, relativePos } = await this.translateAddress(virtualPos);
     const pageInfo = await this._ensurePageLoaded(descriptor);
+    this._handOverToSnapshots(descriptor.pageKey, pageInfo.data);
     
     logger.debug(`[DEBUG] Page ${descriptor.pageKey} current size: ${pageInfo.currentSize}, max: ${this.maxPageSize}`);
     
@@ -605,6 +707,7 @@ class VirtualPageManager implements IVirtualPageManager {
     // Check for potential page merging opportunities
     await this._checkForMergeOpportunities();
     
+    this.changeListener?.({ type: 'insert', position: virtualPos, data });
     return data.length;
   }
 
@@ -631,6 +734,7 @@ class VirtualPageManager implements IVirtualPageManager {
     for (let i = affectedPages.length - 1; i >= 0; i--) {
       const descriptor = affectedPages[i];
       const pageInfo = await this._ensurePageLoaded(descriptor);
+      this._handOverToSnapshots(descriptor.pageKey, pageInfo.data);
       
       // Calculate intersection with delete range
       const deleteStart = Math.max(startPos, descriptor.virtualStart);
@@ -669,6 +773,7 @@ class VirtualPageManager implements IVirtualPageManager {
     // Clean up empty pages and merge small ones
     await this._cleanupAndMergePages();
     
+    this.changeListener?.({ type: 'delete', position: startPos, length: endPos - startPos });
     return Buffer.concat(deletedChunks);
   }
 
@@ -744,6 +849,7 @@ class VirtualPageManager implements IVirtualPageManager {
     logger.debug(`[DEBUG] _splitPage called for page ${descriptor.pageKey}`);
     const pageInfo = this.pageCache.get(descriptor.pageKey);
     if (!pageInfo) return;
+    this._handOverToSnapshots(descriptor.pageKey, pageInfo.data);
     
     const splitPoint = Math.floor(pageInfo.currentSize / 2);
     const newPageKey = this._generatePageKey();
@@ -761,7 +867,10 @@ class VirtualPageManager implements IVirtualPageManager {
     
     // Create new page data
     const newData = pageInfo.data!.subarray(splitPoint);
-    this._createPageInfo(newDescriptor, newData);
+    this.pageCache.set(newPageKey, this._createPageInfo(newDescriptor, newData));
+    this.loadedPages.add(newPageKey);
+    newDescriptor.isLoaded = true;
+    this._updateLRU(newPageKey);
     
     // Insert marks into the new page
     if (this.lineAndMarksManager && marksInSecondHalf?.length > 0) {
@@ -773,11 +882,7 @@ class VirtualPageManager implements IVirtualPageManager {
     // Update original page data
     const originalData = pageInfo.data!.subarray(0, splitPoint);
     pageInfo.updateData(originalData);
-    
-    // Invalidate line caches after cleanup
-    if (this.lineAndMarksManager?.invalidateLineCaches) {
-      this.lineAndMarksManager.invalidateLineCaches();
-    }
+    descriptor.lineInfoCached = false;
 
     // Make sure notification is called
     logger.debug('[DEBUG] Sending split notification');
@@ -828,6 +933,8 @@ class VirtualPageManager implements IVirtualPageManager {
     // Ensure both pages are loaded
     const targetPageInfo = await this._ensurePageLoaded(targetPage);
     const absorbedPageInfo = await this._ensurePageLoaded(absorbedPage);
+    this._handOverToSnapshots(targetPage.pageKey, targetPageInfo.data);
+    this._handOverToSnapshots(absorbedPage.pageKey, absorbedPageInfo.data);
     
     // Calculate merge parameters
     let insertOffset: number, newData: Buffer;
@@ -858,8 +965,9 @@ class VirtualPageManager implements IVirtualPageManager {
       );
     }
     
-    // Update virtual size of target page
-    this.addressIndex.updatePageSize(targetPage.pageKey, absorbedPage.virtualSize);
+    // Update virtual size of target page; pages after the pair already sit
+    // where the combined page ends, so they must not be shifted
+    targetPage.virtualSize += absorbedPage.virtualSize;
     
     // Remove absorbed page
     this.addressIndex.removePage(absorbedPage.pageKey);
@@ -930,11 +1038,6 @@ class VirtualPageManager implements IVirtualPageManager {
         }
       }
     }
-    
-    // Invalidate line caches after cleanup
-    if (this.lineAndMarksManager?.invalidateLineCaches) {
-      this.lineAndMarksManager.invalidateLineCaches();
-    }
   }
 
   /**
@@ -946,6 +1049,679 @@ class VirtualPageManager implements IVirtualPageManager {
     return currentIndex >= 0 && currentIndex < pages.length - 1 ? pages[currentIndex + 1] : null;
   }
 
+  // =================== SNAPSHOTS ===================
+
+  /**
+   * Capture the current pages for a snapshot. Page data is always replaced,
+   * never changed in place, so loaded pages are shared as they are; unloaded
+   * pages are read through the live page until it is next written.
+   */
+  createSnapshotPages(): SnapshotPage[] {
+    const pages: SnapshotPage[] = [];
+
+    for (const descriptor of this.addressIndex.pages) {
+      if (descriptor.virtualSize === 0) continue;
+
+      const page: SnapshotPage = {
+        virtualStart: descriptor.virtualStart,
+        size: descriptor.virtualSize,
+        pageKey: null,
+        data: null,
+        detached: null,
+        newlineCount: descriptor.lineInfoCached ? descriptor.newlineCount : null
+      };
+
+      const data = this.pageCache.get(descriptor.pageKey)?.data;
+      if (data && data.length === descriptor.virtualSize) {
+        page.data = data;
+      } else {
+        page.pageKey = descriptor.pageKey;
+        const refs = this.snapshotRefs.get(descriptor.pageKey) ?? new Set<SnapshotPage>();
+        refs.add(page);
+        this.snapshotRefs.set(descriptor.pageKey, refs);
+      }
+      pages.push(page);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Read the bytes of a snapshot page
+   */
+  async readSnapshotPage(page: SnapshotPage): Promise<Buffer> {
+    let data = page.data;
+
+    if (!data && page.pageKey !== null) {
+      const descriptor = this.addressIndex.findPageByKey(page.pageKey);
+      if (descriptor) {
+        const pageInfo = await this._ensurePageLoaded(descriptor);
+        // A write while the page was loading has handed its old bytes over
+        data = page.data ?? pageInfo.data;
+      }
+    } else if (!data && page.detached) {
+      data = await this._loadDetachedSnapshotPage(page);
+    }
+
+    if (!data) {
+      throw new Error('Snapshot page is no longer available');
+    }
+    // Pages that failed to load read as zeros, as in readRange
+    return data.length >= page.size ? data : Buffer.concat([data, Buffer.alloc(page.size - data.length)]);
+  }
+
+  /**
+   * Stop tracking snapshot pages, freeing storage pages only they still used
+   */
+  releaseSnapshotPages(pages: SnapshotPage[]): void {
+    for (const page of pages) {
+      if (page.pageKey !== null) {
+        const refs = this.snapshotRefs.get(page.pageKey);
+        refs?.delete(page);
+        if (refs?.size === 0) {
+          this.snapshotRefs.delete(page.pageKey);
+        }
+      }
+
+      const detached = page.detached;
+      this.detachedSnapshotPages.delete(page);
+      if (detached?.source === 'storage' && !Array.from(this.detachedSnapshotPages).some(
+        other => other.detached?.source === 'storage' && other.detached.pageKey === detached.pageKey
+      )) {
+        this.buffer.storage.deletePage(detached.pageKey).catch(() => {
+          // Ignore deletion errors - the page is no longer referenced
+        });
+      }
+
+      page.pageKey = null;
+      page.data = null;
+      page.detached = null;
+    }
+  }
+
+  /**
+   * Read into memory every snapshot page left in a file that is about to be
+   * overwritten
+   */
+  async preserveSnapshotPages(filename: string): Promise<void> {
+    const target = path.resolve(filename);
+
+    for (const page of Array.from(this.detachedSnapshotPages)) {
+      if (page.detached?.source !== 'original' || path.resolve(page.detached.filename) !== target) continue;
+      page.data = await this._loadDetachedSnapshotPage(page);
+      page.detached = null;
+      this.detachedSnapshotPages.delete(page);
+    }
+  }
+
+  /**
+   * Give the current bytes of a page to the snapshots reading through it,
+   * before the page is written
+   */
+  private _handOverToSnapshots(pageKey: string, data: Buffer | null): void {
+    const refs = this.snapshotRefs.get(pageKey);
+    if (!refs) return;
+
+    for (const page of refs) {
+      page.data = data ?? Buffer.alloc(0);
+      page.pageKey = null;
+    }
+    this.snapshotRefs.delete(pageKey);
+  }
+
+  /**
+   * Before the pages are dropped, give snapshots the data of loaded pages
+   * and point them at where unloaded pages keep theirs
+   */
+  private _detachSnapshotPages(): void {
+    for (const [pageKey, refs] of this.snapshotRefs) {
+      const descriptor = this.addressIndex.findPageByKey(pageKey);
+      const data = this.pageCache.get(pageKey)?.data ?? null;
+
+      for (const page of refs) {
+        page.pageKey = null;
+        if (data) {
+          page.data = data;
+        } else if (descriptor?.sourceType === 'original' && descriptor.sourceInfo.filename) {
+          page.detached = {
+            source: 'original',
+            filename: descriptor.sourceInfo.filename,
+            fileOffset: descriptor.sourceInfo.fileOffset ?? 0
+          };
+          this.detachedSnapshotPages.add(page);
+        } else {
+          page.detached = { source: 'storage', pageKey };
+          this.detachedSnapshotPages.add(page);
+        }
+      }
+    }
+    this.snapshotRefs.clear();
+  }
+
+  private async _loadDetachedSnapshotPage(page: SnapshotPage): Promise<Buffer> {
+    const detached = page.detached;
+    if (detached?.source === 'storage') {
+      return await this.buffer.storage.loadPage(detached.pageKey);
+    }
+    if (!detached) {
+      throw new Error('Snapshot page is no longer available');
+    }
+
+    const fd = await fs.open(detached.filename, 'r');
+    try {
+      const data = Buffer.alloc(page.size);
+      const { bytesRead } = await fd.read(data, 0, page.size, detached.fileOffset);
+      return data.subarray(0, bytesRead);
+    } finally {
+      await fd.close();
+    }
+  }
+
+  // =================== SOURCE FILE TRACKING ===================
+
+  /**
+   * Point every page at a file that now holds exactly the buffer's content
+   * (after a complete save). Pages become clean original pages at their
+   * virtual offsets, and their storage copies are released.
+   */
+  async rebindToFile(filename: string): Promise<void> {
+    this.sourceFile = filename;
+    this.sourceSize = this.addressIndex.totalVirtualSize;
+    this.originalChecksums.clear();
+
+    for (const descriptor of this.addressIndex.pages) {
+      const wasStored = descriptor.sourceType === 'storage';
+
+      descriptor.sourceType = 'original';
+      descriptor.sourceInfo = {
+        filename,
+        fileOffset: descriptor.virtualStart,
+        size: descriptor.virtualSize
+      };
+      descriptor.isDirty = false;
+
+      const pageInfo = this.pageCache.get(descriptor.pageKey);
+      if (pageInfo?.data) {
+        pageInfo.isDirty = false;
+        this._recordOriginalChecksum(descriptor, pageInfo.data);
+      }
+
+      if (wasStored) {
+        try {
+          await this.buffer.storage.deletePage(descriptor.pageKey);
+        } catch (error) {
+          // Ignore deletion errors - the page is no longer referenced
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare every recorded original region against a file and return the
+   * regions whose content differs (or that the file no longer covers)
+   */
+  async findChangedOriginalRegions(filename: string): Promise<FileRange[]> {
+    const changed: FileRange[] = [];
+    if (this.originalChecksums.size === 0) {
+      return changed;
+    }
+
+    const fd = await fs.open(filename, 'r');
+    try {
+      const regions = Array.from(this.originalChecksums).sort(([a], [b]) => a - b);
+      for (const [fileOffset, region] of regions) {
+        if (!await this._regionMatches(fd, region, fileOffset)) {
+          changed.push({ fileOffset, size: region.size });
+        }
+      }
+    } finally {
+      await fd.close();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Find how many leading and trailing bytes of the source file a resized
+   * file still holds, comparing recorded regions inwards from each end until
+   * one differs or was never recorded
+   */
+  async findUnchangedSourceEnds(filename: string, newSourceSize: number): Promise<{ prefix: number; suffix: number }> {
+    const regions = Array.from(this.originalChecksums).sort(([a], [b]) => a - b);
+    const delta = newSourceSize - this.sourceSize;
+    let prefix = 0;
+    let suffixStart = this.sourceSize;
+
+    const fd = await fs.open(filename, 'r');
+    try {
+      // Regions recorded at other page boundaries may overlap; step over them
+      for (const [fileOffset, region] of regions) {
+        if (fileOffset < prefix) continue;
+        if (fileOffset > prefix || !await this._regionMatches(fd, region, fileOffset)) break;
+        prefix += region.size;
+      }
+      regions.sort(([a, first], [b, second]) => (b + second.size) - (a + first.size));
+      for (const [fileOffset, region] of regions) {
+        if (fileOffset + region.size > suffixStart) continue;
+        if (fileOffset + region.size < suffixStart || fileOffset + delta < 0 ||
+            !await this._regionMatches(fd, region, fileOffset + delta)) break;
+        suffixStart = fileOffset;
+      }
+    } finally {
+      await fd.close();
+    }
+
+    // Repeated content can match from both ends; the two must not overlap
+    const suffix = Math.min(this.sourceSize - suffixStart, this.sourceSize - prefix, newSourceSize - prefix);
+    return { prefix, suffix };
+  }
+
+  /**
+   * Point the pages at a resized source file that differs from the old one
+   * only within `changed`: pages after it move by the size difference, and
+   * the clean pages over it are replaced by pages of the new file's bytes
+   * there. Local edits must not reach into the changed range.
+   * @returns The old file range that was replaced, where it starts in the
+   * buffer, and its size in the new file
+   */
+  replaceSourceRange(
+    changed: FileRange,
+    newSourceSize: number
+  ): FileRange & { virtualStart: number; newSize: number } {
+    const filename = this.sourceFile;
+    if (!filename) {
+      throw new Error('Cannot replace a source range: no source file');
+    }
+    const delta = newSourceSize - this.sourceSize;
+    const changedEnd = changed.fileOffset + changed.size;
+    const pages = this.addressIndex.pages;
+
+    // Clean pages over the changed range (or next to it, when it is empty) are replaced whole
+    let first = -1;
+    let last = -1;
+    pages.forEach((descriptor, index) => {
+      const { fileOffset } = descriptor.sourceInfo;
+      if (descriptor.sourceType !== 'original' || descriptor.isDirty || fileOffset === undefined) return;
+      const end = fileOffset + descriptor.virtualSize;
+      const covers = changed.size > 0 ?
+        fileOffset < changedEnd && end > changed.fileOffset :
+        fileOffset <= changedEnd && end >= changed.fileOffset;
+      if (covers) {
+        first = first < 0 ? index : first;
+        last = index;
+      }
+    });
+    if (first < 0) {
+      throw new Error(`No unedited pages cover file range ${changed.fileOffset}-${changedEnd}`);
+    }
+
+    const replaced = pages.slice(first, last + 1);
+    const fileStart = replaced[0].sourceInfo.fileOffset ?? 0;
+    let fileEnd = fileStart;
+    for (const descriptor of replaced) {
+      if (descriptor.sourceType !== 'original' || descriptor.isDirty || descriptor.sourceInfo.fileOffset !== fileEnd) {
+        throw new Error(`File range ${changed.fileOffset}-${changedEnd} is edited locally`);
+      }
+      fileEnd += descriptor.virtualSize;
+    }
+    const virtualStart = replaced[0].virtualStart;
+    const newSize = fileEnd - fileStart + delta;
+
+    for (const descriptor of replaced) {
+      this.pageCache.delete(descriptor.pageKey);
+      this.loadedPages.delete(descriptor.pageKey);
+      const lruIndex = this.lruOrder.indexOf(descriptor.pageKey);
+      if (lruIndex >= 0) this.lruOrder.splice(lruIndex, 1);
+      this.addressIndex.pageKeyIndex.delete(descriptor.pageKey);
+    }
+
+    // Later file offsets move with the bytes before them
+    for (const descriptor of pages) {
+      const { fileOffset } = descriptor.sourceInfo;
+      if (descriptor.sourceType === 'original' && fileOffset !== undefined && fileOffset >= fileEnd) {
+        descriptor.sourceInfo.fileOffset = fileOffset + delta;
+      }
+    }
+
+    const added: PageDescriptor[] = [];
+    for (let offset = 0; offset < newSize; offset += this.pageSize) {
+      const size = Math.min(this.pageSize, newSize - offset);
+      const pageKey = this._generatePageKey();
+      const descriptor = new PageDescriptor(pageKey, 0, size, 'original', {
+        filename,
+        fileOffset: fileStart + offset,
+        size
+      });
+      added.push(descriptor);
+      this.addressIndex.pageKeyIndex.set(pageKey, descriptor);
+    }
+    pages.splice(first, replaced.length, ...added);
+
+    let position = 0;
+    for (const descriptor of pages) {
+      descriptor.virtualStart = position;
+      position += descriptor.virtualSize;
+    }
+    this.addressIndex.totalVirtualSize = position;
+
+    const checksums = new Map<number, OriginalRegionChecksum>();
+    for (const [fileOffset, region] of this.originalChecksums) {
+      if (fileOffset + region.size <= fileStart) {
+        checksums.set(fileOffset, region);
+      } else if (fileOffset >= fileEnd) {
+        checksums.set(fileOffset + delta, region);
+      }
+    }
+    this.originalChecksums = checksums;
+    this.sourceSize = newSourceSize;
+    this.lineAndMarksManager?.invalidateLineCaches?.();
+
+    return { fileOffset: fileStart, size: fileEnd - fileStart, virtualStart, newSize };
+  }
+
+  /**
+   * Get the file ranges still referenced by clean original pages, in buffer order
+   */
+  getCleanOriginalRanges(): Array<FileRange & { virtualStart: number }> {
+    return this.addressIndex.pages
+      .filter(p => p.sourceType === 'original' && !p.isDirty && p.sourceInfo.fileOffset !== undefined)
+      .map(p => ({
+        fileOffset: p.sourceInfo.fileOffset!,
+        size: p.virtualSize,
+        virtualStart: p.virtualStart
+      }));
+  }
+
+  /**
+   * Find where the buffer differs from its source file using only the page
+   * table: everything between clean original pages, plus file ranges whose
+   * pages were deleted outright. No page data is read, so regions are page
+   * granular and may include bytes that were edited back to what they were.
+   * A buffer without a source file is one region with an empty file range.
+   */
+  getModifiedRanges(): ModifiedRange[] {
+    const ranges: ModifiedRange[] = [];
+    const fileSize = this.getSourceSize();
+    let fileCursor = 0;
+    let pendingStart: number | null = null;
+
+    for (const descriptor of this.addressIndex.pages) {
+      if (descriptor.virtualSize === 0) continue;
+
+      const fileOffset = descriptor.sourceInfo.fileOffset;
+      const clean = descriptor.sourceType === 'original' && !descriptor.isDirty &&
+        fileOffset !== undefined && fileOffset >= fileCursor;
+      if (!clean) {
+        pendingStart = pendingStart ?? descriptor.virtualStart;
+        continue;
+      }
+
+      if (pendingStart !== null || fileOffset !== fileCursor) {
+        ranges.push({
+          bufferStart: pendingStart ?? descriptor.virtualStart,
+          bufferEnd: descriptor.virtualStart,
+          fileStart: fileCursor,
+          fileEnd: fileOffset
+        });
+      }
+      pendingStart = null;
+      fileCursor = fileOffset + descriptor.virtualSize;
+    }
+
+    const totalSize = this.addressIndex.totalVirtualSize;
+    if (pendingStart !== null || fileCursor < fileSize) {
+      ranges.push({
+        bufferStart: pendingStart ?? totalSize,
+        bufferEnd: totalSize,
+        fileStart: fileCursor,
+        fileEnd: Math.max(fileCursor, fileSize)
+      });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Get the size of the source file as loaded (0 without a source file)
+   */
+  getSourceSize(): number {
+    return this.sourceFile ? this.sourceSize : 0;
+  }
+
+  /**
+   * Read [start, end) of the source file as it is on disk now
+   */
+  async readSourceRange(start: number, end: number): Promise<Buffer> {
+    if (!this.sourceFile || end <= start) {
+      return Buffer.alloc(0);
+    }
+
+    const fd = await fs.open(this.sourceFile, 'r');
+    try {
+      const data = Buffer.alloc(end - start);
+      const { bytesRead } = await fd.read(data, 0, data.length, start);
+      if (bytesRead !== data.length) {
+        throw new Error(`Source file is shorter than expected: wanted ${data.length} bytes at offset ${start}, got ${bytesRead}`);
+      }
+      return data;
+    } finally {
+      await fd.close();
+    }
+  }
+
+  /**
+   * Describe the buffer as segments: clean original pages by file range,
+   * everything else by copying its bytes
+   */
+  async captureLayout(): Promise<LayoutSegment[]> {
+    const segments: LayoutSegment[] = [];
+    
+    for (const descriptor of [...this.addressIndex.pages]) {
+      if (descriptor.virtualSize === 0) continue;
+      
+      if (descriptor.sourceType === 'original' && !descriptor.isDirty) {
+        const fileOffset = descriptor.sourceInfo.fileOffset!;
+        const last = segments[segments.length - 1];
+        if (last?.source === 'original' && last.fileOffset + last.size === fileOffset) {
+          last.size += descriptor.virtualSize;
+        } else {
+          segments.push({ source: 'original', fileOffset, size: descriptor.virtualSize });
+        }
+      } else {
+        const pageInfo = await this._ensurePageLoaded(descriptor);
+        segments.push({ source: 'data', data: Buffer.from(pageInfo.data!) });
+      }
+    }
+    
+    return segments;
+  }
+
+  /**
+   * Replace the pages with a captured layout over the current source file.
+   * Data segments become dirty in-memory pages.
+   */
+  async restoreLayout(segments: LayoutSegment[]): Promise<void> {
+    this._detachSnapshotPages();
+    this.addressIndex = new PageAddressIndex();
+    this.pageCache.clear();
+    this.loadedPages.clear();
+    this.lruOrder = [];
+    
+    let virtualStart = 0;
+    for (const segment of segments) {
+      const size = segment.source === 'original' ? segment.size : segment.data.length;
+      
+      for (let offset = 0; offset < size; offset += this.pageSize) {
+        const pageSize = Math.min(this.pageSize, size - offset);
+        const pageKey = this._generatePageKey();
+        
+        if (segment.source === 'original') {
+          this.addressIndex.insertPage(new PageDescriptor(pageKey, virtualStart, pageSize, 'original', {
+            filename: this.sourceFile!,
+            fileOffset: segment.fileOffset + offset,
+            size: pageSize
+          }));
+        } else {
+          const descriptor = new PageDescriptor(pageKey, virtualStart, pageSize, 'memory', { pageKey });
+          descriptor.isDirty = true;
+          descriptor.isLoaded = true;
+          this.addressIndex.insertPage(descriptor);
+          
+          const pageInfo = this._createPageInfo(descriptor, segment.data.subarray(offset, offset + pageSize));
+          this.pageCache.set(pageKey, pageInfo);
+          this.loadedPages.add(pageKey);
+          this._updateLRU(pageKey);
+          descriptor.cacheLineInfo(pageInfo);
+        }
+        virtualStart += pageSize;
+      }
+    }
+    
+    if (this.addressIndex.pages.length === 0) {
+      const pageKey = this._generatePageKey();
+      const descriptor = new PageDescriptor(pageKey, 0, 0, 'memory', { pageKey });
+      descriptor.isDirty = true;
+      descriptor.isLoaded = true;
+      this.addressIndex.insertPage(descriptor);
+      this.pageCache.set(pageKey, this._createPageInfo(descriptor, Buffer.alloc(0)));
+      this.loadedPages.add(pageKey);
+    }
+    
+    await this._applyMemoryLimit();
+    this.lineAndMarksManager?.invalidateLineCaches?.();
+  }
+
+  /**
+   * Drop cached data for clean original pages overlapping the given file
+   * ranges so their next access reads the file again
+   */
+  reloadOriginalRanges(ranges: FileRange[]): PageDescriptor[] {
+    const reloaded: PageDescriptor[] = [];
+
+    for (const descriptor of this.addressIndex.pages) {
+      if (descriptor.sourceType !== 'original' || descriptor.isDirty) continue;
+      const start = descriptor.sourceInfo.fileOffset!;
+      const end = start + descriptor.virtualSize;
+      if (!ranges.some(r => r.fileOffset < end && r.fileOffset + r.size > start)) continue;
+
+      this.pageCache.delete(descriptor.pageKey);
+      this.loadedPages.delete(descriptor.pageKey);
+      const lruIndex = this.lruOrder.indexOf(descriptor.pageKey);
+      if (lruIndex >= 0) this.lruOrder.splice(lruIndex, 1);
+      descriptor.isLoaded = false;
+      descriptor.lineInfoCached = false;
+      this.originalChecksums.delete(start);
+      reloaded.push(descriptor);
+    }
+
+    return reloaded;
+  }
+
+  /**
+   * Extend the buffer with the bytes the source file gained by appending,
+   * as clean original pages after the current end of the buffer
+   * @returns The appended file range and where it starts in the buffer
+   */
+  appendOriginalRange(newSourceSize: number): FileRange & { virtualStart: number } {
+    const fileStart = this.sourceSize;
+    const virtualStart = this.addressIndex.totalVirtualSize;
+
+    let offset = fileStart;
+    while (offset < newSourceSize) {
+      const size = Math.min(this.pageSize, newSourceSize - offset);
+      const pageKey = this._generatePageKey();
+      this.addressIndex.insertPage(new PageDescriptor(
+        pageKey,
+        virtualStart + (offset - fileStart),
+        size,
+        'original',
+        { filename: this.sourceFile!, fileOffset: offset, size }
+      ));
+      offset += size;
+    }
+
+    this.sourceSize = Math.max(this.sourceSize, newSourceSize);
+    this.lineAndMarksManager?.invalidateLineCaches?.();
+    return { fileOffset: fileStart, size: Math.max(0, newSourceSize - fileStart), virtualStart };
+  }
+
+  /**
+   * Record checksums of the source file's page-sized blocks, as produced by
+   * hashing the whole file; regions already recorded on first read are kept
+   */
+  recordOriginalPageChecksums(pageChecksums: string[]): void {
+    pageChecksums.forEach((checksum, index) => {
+      const fileOffset = index * this.pageSize;
+      if (!this.originalChecksums.has(fileOffset)) {
+        const size = Math.min(this.pageSize, this.sourceSize - fileOffset);
+        this.originalChecksums.set(fileOffset, { size, checksum });
+      }
+    });
+  }
+
+  /**
+   * Re-read every clean page still served from the source file and report
+   * the ones whose bytes are gone or differ from their recorded checksum
+   */
+  async verifyOriginalPages(): Promise<StaleOriginalRange[]> {
+    // Only pages that know where they sit in the file can be checked
+    const pages: OriginalPageSource[] = [];
+    for (const descriptor of this.addressIndex.pages) {
+      if (descriptor.sourceType !== 'original' || descriptor.isDirty || descriptor.virtualSize === 0) continue;
+      const { filename, fileOffset, size } = descriptor.sourceInfo;
+      if (filename === undefined || fileOffset === undefined || size === undefined) continue;
+      pages.push({ descriptor, filename, fileOffset, size });
+    }
+    const stale: StaleOriginalRange[] = [];
+    if (pages.length === 0) {
+      return stale;
+    }
+
+    const toStale = (page: OriginalPageSource, reason: string): StaleOriginalRange => ({
+      fileOffset: page.fileOffset,
+      size: page.size,
+      virtualStart: page.descriptor.virtualStart,
+      virtualEnd: page.descriptor.virtualEnd,
+      reason
+    });
+
+    let fd: fs.FileHandle;
+    try {
+      fd = await fs.open(pages[0].filename, 'r');
+    } catch (error) {
+      const reason = this._determineCorruptionReason(error as Error);
+      return pages.map(page => toStale(page, reason));
+    }
+
+    try {
+      for (const page of pages) {
+        const { fileOffset, size } = page;
+        const data = Buffer.alloc(size);
+        const { bytesRead } = await fd.read(data, 0, size, fileOffset);
+        const recorded = this.originalChecksums.get(fileOffset);
+
+        if (bytesRead < size) {
+          stale.push(toStale(page, 'file_truncated'));
+        } else if (recorded && recorded.size === size && PageInfo.calculateChecksum(data) !== recorded.checksum) {
+          stale.push(toStale(page, 'checksum_mismatch'));
+        }
+      }
+    } finally {
+      await fd.close();
+    }
+
+    return stale;
+  }
+
+  /**
+   * Forget recorded checksums for regions, accepting their current content
+   */
+  forgetOriginalRegions(ranges: FileRange[]): void {
+    for (const range of ranges) {
+      this.originalChecksums.delete(range.fileOffset);
+    }
+  }
+
   /**
    * Get memory statistics
    */
@@ -994,6 +1770,41 @@ class VirtualPageManager implements IVirtualPageManager {
 
   // =================== PRIVATE METHODS ===================
 
+  /**
+   * Whether a file holds a recorded original region's bytes at an offset
+   */
+  private async _regionMatches(fd: fs.FileHandle, region: OriginalRegionChecksum, fileOffset: number): Promise<boolean> {
+    const data = Buffer.alloc(region.size);
+    const { bytesRead } = await fd.read(data, 0, region.size, fileOffset);
+    const checksum = crypto.createHash('md5').update(data.subarray(0, bytesRead)).digest('hex');
+    return bytesRead === region.size && checksum === region.checksum;
+  }
+
+  /**
+   * Drop every page so the manager can be initialized again (e.g. on reload)
+   */
+  private _resetPages(): void {
+    this._detachSnapshotPages();
+    this.addressIndex = new PageAddressIndex();
+    this.pageCache.clear();
+    this.loadedPages.clear();
+    this.lruOrder = [];
+    this.originalChecksums.clear();
+  }
+
+  /**
+   * Remember what an original-file region contained when it was first read
+   */
+  private _recordOriginalChecksum(descriptor: PageDescriptor, data: Buffer): void {
+    const { fileOffset, size } = descriptor.sourceInfo;
+    if (fileOffset === undefined || size === undefined || data.length !== size) {
+      return; // Partial reads are not a trustworthy baseline
+    }
+    if (!this.originalChecksums.has(fileOffset)) {
+      this.originalChecksums.set(fileOffset, { size, checksum: PageInfo.calculateChecksum(data) });
+    }
+  }
+
   /**
    * Create initial page descriptors for a file
    */
@@ -1057,6 +1868,7 @@ class VirtualPageManager implements IVirtualPageManager {
       switch (descriptor.sourceType) {
         case 'original':
           data = await this._loadFromOriginalFile(descriptor);
+          this._recordOriginalChecksum(descriptor, data);
           break;
         case 'storage':
           data = await this._loadFromStorage(descriptor);
@@ -1111,6 +1923,34 @@ class VirtualPageManager implements IVirtualPageManager {
     return pageInfo;
   }
 
+  /**
+   * Count a page's newlines into its descriptor without keeping the page
+   * loaded, so line counts over pages never read can be exact
+   */
+  async indexPageLines(descriptor: PageDescriptor): Promise<void> {
+    const cached = this.pageCache.get(descriptor.pageKey);
+    if (cached) {
+      cached.ensureLineCacheValid();
+      descriptor.cacheLineInfo(cached);
+      return;
+    }
+
+    let data: Buffer;
+    if (descriptor.sourceType === 'original') {
+      data = await this._loadFromOriginalFile(descriptor);
+      this._recordOriginalChecksum(descriptor, data);
+    } else {
+      data = await this._loadFromStorage(descriptor);
+    }
+
+    let count = 0;
+    for (let i = data.indexOf(0x0A); i >= 0; i = data.indexOf(0x0A, i + 1)) {
+      count++;
+    }
+    descriptor.newlineCount = count;
+    descriptor.lineInfoCached = true;
+  }
+
   /**
    * Enhanced corruption handling that properly triggers detachment
    */
@@ -1158,6 +1998,10 @@ class VirtualPageManager implements IVirtualPageManager {
       return 'file_truncated';
     } else if (error.message.includes('Permission denied') || error.message.includes('EACCES')) {
       return 'permission_denied';
+    } else if (error.message.includes('Checksum mismatch')) {
+      return 'checksum_mismatch';
+    } else if (isPageAuthenticationError((error as any).originalError)) {
+      return 'storage_tampered';
     } else if (error.message.includes('Storage')) {
       return 'storage_failure';
     } else {
@@ -1193,6 +2037,10 @@ class VirtualPageManager implements IVirtualPageManager {
         throw new Error(`No data available at offset ${descriptor.sourceInfo.fileOffset}`);
       }
       
+      if (readSize < descriptor.sourceInfo.size!) {
+        throw new Error(`File truncated: page at offset ${descriptor.sourceInfo.fileOffset} extends beyond current size ${stats.size}`);
+      }
+      
       // Open and read the file
       const fd = await fs.open(descriptor.sourceInfo.filename, 'r');
       
@@ -1210,9 +2058,13 @@ class VirtualPageManager implements IVirtualPageManager {
         }
         
         if (bytesRead !== readSize) {
-          // Partial read - file changed during read
-          logger.warn(`Partial read: expected ${readSize}, got ${bytesRead}`);
-          return buffer.subarray(0, bytesRead);
+          // File changed during read
+          throw new Error(`File truncated: expected ${readSize} bytes at offset ${descriptor.sourceInfo.fileOffset}, got ${bytesRead}`);
+        }
+        
+        const recorded = this.originalChecksums.get(descriptor.sourceInfo.fileOffset!);
+        if (recorded && recorded.size === readSize && PageInfo.calculateChecksum(buffer) !== recorded.checksum) {
+          throw new Error(`Checksum mismatch: file content at offset ${descriptor.sourceInfo.fileOffset} changed since it was loaded`);
         }
         
         return buffer;
@@ -1240,6 +2092,14 @@ class VirtualPageManager implements IVirtualPageManager {
       }
       return data;
     } catch (error) {
+      const tampered = isPageAuthenticationError(error);
+      this.buffer._notify(
+        'storage_error',
+        tampered ? 'critical' : 'error',
+        `Failed to load page ${descriptor.pageKey} from storage: ${(error as Error).message}`,
+        { pageKey: descriptor.pageKey, error: (error as Error).message, tampered }
+      );
+
       // Enhanced storage error
       const enhancedError = new Error(`Storage load failed for page ${descriptor.pageKey}: ${(error as Error).message}`);
       (enhancedError as any).originalError = error;
@@ -1252,10 +2112,12 @@ class VirtualPageManager implements IVirtualPageManager {
    * Create PageInfo with enhanced line and marks support
    */
   private _createPageInfo(descriptor: PageDescriptor, data: Buffer): PageInfo {
+    const isOriginal = descriptor.sourceType === 'original';
     const pageInfo = new PageInfo(
       descriptor.pageKey,
-      descriptor.sourceType === 'original' ? descriptor.sourceInfo.fileOffset! : -1,
-      descriptor.sourceType === 'original' ? descriptor.sourceInfo.size! : 0
+      isOriginal ? descriptor.sourceInfo.fileOffset! : -1,
+      isOriginal ? descriptor.sourceInfo.size! : 0,
+      isOriginal ? this.originalChecksums.get(descriptor.sourceInfo.fileOffset!)?.checksum ?? null : null
     );
     pageInfo.updateData(data);
     pageInfo.isDirty = descriptor.isDirty;
@@ -1346,5 +2208,11 @@ class VirtualPageManager implements IVirtualPageManager {
 export {
   VirtualPageManager,
   PageDescriptor,
-  PageAddressIndex
+  PageAddressIndex,
+  type FileRange,
+  type StaleOriginalRange,
+  type LayoutSegment,
+  type ContentChange,
+  type ModifiedRange,
+  type SnapshotPage
 };